@@ -0,0 +1,135 @@
+import { dbAll, dbGet, dbRun } from './init.js';
+
+/**
+ * Company sources
+ * Employer-run job listings read directly instead of through a job board.
+ * kind says how the target is read:
+ * - careers_page: target is a careers page URL carrying schema.org JobPosting data
+ * - greenhouse, lever, workable: target is the company's board slug on that
+ *   applicant tracking system (see scrapers/atsBoards.js)
+ */
+export const ATS_KINDS = ['greenhouse', 'lever', 'workable'];
+export const COMPANY_SOURCE_KINDS = ['careers_page', ...ATS_KINDS];
+
+// Board slugs as they appear in ATS URLs, e.g. boards.greenhouse.io/<slug>
+const BOARD_SLUG_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]*$/;
+
+// Convert a database row to the camelCase shape used by adapters and the API
+const toSource = (row) => ({
+  id: row.id,
+  kind: row.kind,
+  target: row.target,
+  company: row.company,
+  enabled: !!row.enabled,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Validate a (partial) company source payload
+ * @param {Object} data
+ * @param {boolean} partial - When true only the supplied fields are checked
+ * @param {Object} [existing] - Current source, so a partial update is checked against its kind
+ * @returns {string[]} Validation errors, empty when valid
+ */
+export function validateCompanySource(data, partial = false, existing = null) {
+  const errors = [];
+  const has = (field) => data[field] !== undefined;
+  const kind = has('kind') ? data.kind : existing?.kind;
+
+  if (!partial || has('kind')) {
+    if (!COMPANY_SOURCE_KINDS.includes(data.kind)) {
+      errors.push(`kind must be one of: ${COMPANY_SOURCE_KINDS.join(', ')}`);
+    }
+  }
+  // Changing kind re-checks the stored target against the new kind
+  if (!partial || has('target') || has('kind')) {
+    const target = has('target') ? data.target : existing?.target;
+    if (typeof target !== 'string' || !target.trim()) {
+      errors.push('target is required');
+    } else if (kind === 'careers_page' && !isHttpUrl(target.trim())) {
+      errors.push('target must be an http(s) URL for careers_page sources');
+    } else if (ATS_KINDS.includes(kind) && !BOARD_SLUG_PATTERN.test(target.trim())) {
+      errors.push(`target must be a board slug for ${kind} sources`);
+    }
+  }
+  if (has('company') && data.company !== null && (typeof data.company !== 'string' || !data.company.trim())) {
+    errors.push('company must be a non-empty string or null');
+  }
+  if (has('enabled') && typeof data.enabled !== 'boolean') {
+    errors.push('enabled must be a boolean');
+  }
+
+  return errors;
+}
+
+export async function listCompanySources({ kind, enabledOnly = false } = {}) {
+  const conditions = [];
+  const params = [];
+  if (kind) {
+    conditions.push('kind = ?');
+    params.push(kind);
+  }
+  if (enabledOnly) conditions.push('enabled = 1');
+
+  const rows = await dbAll(`
+    SELECT * FROM company_sources
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY id ASC
+  `, params);
+  return rows.map(toSource);
+}
+
+export async function getCompanySource(id) {
+  const row = await dbGet('SELECT * FROM company_sources WHERE id = ?', [id]);
+  return row ? toSource(row) : null;
+}
+
+export async function createCompanySource(data) {
+  const now = new Date().toISOString();
+  const { lastID } = await dbRun(`
+    INSERT INTO company_sources (kind, target, company, enabled, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `, [
+    data.kind,
+    data.target.trim(),
+    data.company ? data.company.trim() : null,
+    data.enabled === false ? 0 : 1,
+    now,
+    now
+  ]);
+  return getCompanySource(lastID);
+}
+
+export async function updateCompanySource(id, data) {
+  const existing = await getCompanySource(id);
+  if (!existing) return null;
+
+  const merged = { ...existing, ...data };
+  await dbRun(`
+    UPDATE company_sources
+    SET kind = ?, target = ?, company = ?, enabled = ?, updated_at = ?
+    WHERE id = ?
+  `, [
+    merged.kind,
+    merged.target.trim(),
+    merged.company ? merged.company.trim() : null,
+    merged.enabled ? 1 : 0,
+    new Date().toISOString(),
+    id
+  ]);
+  return getCompanySource(id);
+}
+
+export async function deleteCompanySource(id) {
+  const { changes } = await dbRun('DELETE FROM company_sources WHERE id = ?', [id]);
+  return changes > 0;
+}
@@ -80,24 +80,203 @@ const createTables = async () => {
       CREATE TABLE IF NOT EXISTS scraping_logs (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         site TEXT NOT NULL,
-        status TEXT NOT NULL CHECK (status IN ('success', 'error', 'partial', 'completed', 'failed')),
+        status TEXT NOT NULL CHECK (status IN ('running', 'success', 'error', 'partial', 'completed', 'failed')),
         jobs_found INTEGER DEFAULT 0,
         jobs_added INTEGER DEFAULT 0,
         jobs_updated INTEGER DEFAULT 0,
         error_message TEXT,
         started_at DATETIME NOT NULL,
         completed_at DATETIME,
-        duration_ms INTEGER
+        duration_ms INTEGER,
+        details TEXT
       )
     `);
     
+    // Job revisions table - field-level diffs when a re-scraped job has changed
+    await run(`
+      CREATE TABLE IF NOT EXISTS job_revisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job_id TEXT NOT NULL,
+        scrape_run_id INTEGER,
+        changes TEXT NOT NULL,
+        changed_at DATETIME NOT NULL,
+        FOREIGN KEY (job_id) REFERENCES jobs (id) ON DELETE CASCADE,
+        FOREIGN KEY (scrape_run_id) REFERENCES scraping_logs (id) ON DELETE SET NULL
+      )
+    `);
+    
+    // Extraction health table - card parsing coverage per scrape run
+    await run(`
+      CREATE TABLE IF NOT EXISTS extraction_health (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        run_id INTEGER,
+        site TEXT NOT NULL,
+        pages INTEGER NOT NULL DEFAULT 0,
+        cards_found INTEGER NOT NULL DEFAULT 0,
+        parse_errors INTEGER NOT NULL DEFAULT 0,
+        missing_title REAL NOT NULL DEFAULT 0,
+        missing_company REAL NOT NULL DEFAULT 0,
+        missing_location REAL NOT NULL DEFAULT 0,
+        missing_date REAL NOT NULL DEFAULT 0,
+        missing_external_id REAL NOT NULL DEFAULT 0,
+        alerts TEXT,
+        created_at DATETIME NOT NULL,
+        FOREIGN KEY (run_id) REFERENCES scraping_logs (id) ON DELETE SET NULL
+      )
+    `);
+    
+    // Search profiles table - what the scrapers search for
+    await run(`
+      CREATE TABLE IF NOT EXISTS search_profiles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        keywords TEXT NOT NULL,
+        location TEXT NOT NULL,
+        listed_within_days INTEGER,
+        salary_floor INTEGER,
+        max_pages INTEGER NOT NULL DEFAULT 2,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    
+    // Company sources table - careers pages and ATS boards read directly
+    await run(`
+      CREATE TABLE IF NOT EXISTS company_sources (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        kind TEXT NOT NULL,
+        target TEXT NOT NULL,
+        company TEXT,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(kind, target)
+      )
+    `);
+    
+    // Job feeds table - RSS/Atom vacancy feeds the feed adapter polls
+    await run(`
+      CREATE TABLE IF NOT EXISTS job_feeds (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        url TEXT NOT NULL UNIQUE,
+        company TEXT,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        last_polled_at DATETIME,
+        last_item_count INTEGER,
+        last_error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    
+    // Scrape jobs table - the persistent queue of requested scrapes (see services/scrapeQueue.js)
+    await run(`
+      CREATE TABLE IF NOT EXISTS scrape_jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        sites TEXT NOT NULL,
+        options TEXT,
+        trigger TEXT NOT NULL DEFAULT 'manual',
+        status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'succeeded', 'failed', 'cancelled')),
+        progress TEXT,
+        result TEXT,
+        error_message TEXT,
+        created_at DATETIME NOT NULL,
+        started_at DATETIME,
+        completed_at DATETIME,
+        cancel_requested_at DATETIME
+      )
+    `);
+    
+    // Scrape schedules table - when the scheduler queues scrapes (see scheduler/index.js)
+    await run(`
+      CREATE TABLE IF NOT EXISTS scrape_schedules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        cron TEXT NOT NULL,
+        timezone TEXT NOT NULL DEFAULT 'Australia/Sydney',
+        sites TEXT,
+        profile_ids TEXT,
+        mode TEXT NOT NULL DEFAULT 'full' CHECK (mode IN ('full', 'incremental')),
+        enabled INTEGER NOT NULL DEFAULT 1,
+        last_run_at DATETIME,
+        last_outcome TEXT,
+        last_job_id INTEGER,
+        last_message TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (last_job_id) REFERENCES scrape_jobs (id) ON DELETE SET NULL
+      )
+    `);
+    
+    // Job skills table - skills and technologies tagged from each job's text (see scrapers/skillTagger.js)
+    await run(`
+      CREATE TABLE IF NOT EXISTS job_skills (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job_id TEXT NOT NULL,
+        skill TEXT NOT NULL,
+        name TEXT NOT NULL,
+        kind TEXT NOT NULL CHECK (kind IN ('technology', 'skill')),
+        confidence REAL NOT NULL,
+        evidence_field TEXT NOT NULL CHECK (evidence_field IN ('title', 'description')),
+        evidence_start INTEGER NOT NULL,
+        evidence_end INTEGER NOT NULL,
+        evidence_text TEXT NOT NULL,
+        tagged_at DATETIME NOT NULL,
+        FOREIGN KEY (job_id) REFERENCES jobs (id) ON DELETE CASCADE,
+        UNIQUE(job_id, skill)
+      )
+    `);
+    
+    // Columns added after the initial schema
+    await allowRunningScrapeLogs();
+    await addColumnIfMissing('scraping_logs', 'details', 'TEXT');
+    await addColumnIfMissing('jobs', 'detail_fetched_at', 'DATETIME');
+    await addColumnIfMissing('jobs', 'salary_text', 'TEXT');
+    await addColumnIfMissing('jobs', 'salary_period', 'TEXT');
+    await addColumnIfMissing('jobs', 'salary_includes_super', 'INTEGER');
+    await addColumnIfMissing('jobs', 'first_seen_at', 'DATETIME');
+    await addColumnIfMissing('jobs', 'last_seen_at', 'DATETIME');
+    await addColumnIfMissing('jobs', 'status', "TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'stale', 'closed'))");
+    await addColumnIfMissing('jobs', 'missed_runs', 'INTEGER NOT NULL DEFAULT 0');
+    await addColumnIfMissing('jobs', 'closed_at', 'DATETIME');
+    await addColumnIfMissing('jobs', 'employment_type', 'TEXT');
+    await addColumnIfMissing('jobs', 'valid_through', 'DATETIME');
+    await addColumnIfMissing('jobs', 'department', 'TEXT');
+    await addColumnIfMissing('jobs', 'skills_tagged_at', 'DATETIME');
+    await addColumnIfMissing('jobs', 'subcategory', 'TEXT');
+    await addColumnIfMissing('jobs', 'category_confidence', 'REAL');
+    await addColumnIfMissing('jobs', 'category_classified_at', 'DATETIME');
+    await addColumnIfMissing('jobs', 'years_required_min', 'INTEGER');
+    await addColumnIfMissing('jobs', 'years_required_max', 'INTEGER');
+    await addColumnIfMissing('jobs', 'seniority_extracted_at', 'DATETIME');
+    await addColumnIfMissing('jobs', 'contract_duration_months', 'INTEGER');
+    await addColumnIfMissing('jobs', 'employment_extracted_at', 'DATETIME');
+    
+    // Jobs saved before lifecycle tracking were last seen when they were last written
+    await run(`
+      UPDATE jobs
+      SET first_seen_at = COALESCE(created_at, updated_at), last_seen_at = COALESCE(updated_at, created_at)
+      WHERE first_seen_at IS NULL
+    `);
+    
     // Create indexes for better performance
     await run(`CREATE INDEX IF NOT EXISTS idx_jobs_company ON jobs(company)`);
     await run(`CREATE INDEX IF NOT EXISTS idx_jobs_location ON jobs(location)`);
     await run(`CREATE INDEX IF NOT EXISTS idx_jobs_category ON jobs(category)`);
+    await run(`CREATE INDEX IF NOT EXISTS idx_jobs_subcategory ON jobs(subcategory)`);
+    await run(`CREATE INDEX IF NOT EXISTS idx_jobs_experience ON jobs(experience)`);
+    await run(`CREATE INDEX IF NOT EXISTS idx_jobs_employment_type ON jobs(employment_type)`);
     await run(`CREATE INDEX IF NOT EXISTS idx_jobs_posted_at ON jobs(posted_at)`);
+    await run(`CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status)`);
     await run(`CREATE INDEX IF NOT EXISTS idx_job_sources_job_id ON job_sources(job_id)`);
     await run(`CREATE INDEX IF NOT EXISTS idx_job_sources_site ON job_sources(site)`);
+    await run(`CREATE INDEX IF NOT EXISTS idx_job_sources_external_id ON job_sources(site, external_id)`);
+    await run(`CREATE INDEX IF NOT EXISTS idx_job_revisions_job_id ON job_revisions(job_id)`);
+    await run(`CREATE INDEX IF NOT EXISTS idx_extraction_health_site ON extraction_health(site)`);
+    await run(`CREATE INDEX IF NOT EXISTS idx_scrape_jobs_status ON scrape_jobs(status)`);
+    await run(`CREATE INDEX IF NOT EXISTS idx_job_skills_skill ON job_skills(skill)`);
     
     logger.info('Database tables and indexes created');
   } catch (error) {
@@ -106,6 +285,53 @@ const createTables = async () => {
   }
 };
 
+// SQLite has no ADD COLUMN IF NOT EXISTS, so check the table first
+const addColumnIfMissing = async (table, column, definition) => {
+  const all = promisify(db.all.bind(db));
+  const run = promisify(db.run.bind(db));
+  const columns = await all(`PRAGMA table_info(${table})`);
+  if (!columns.some(c => c.name === column)) {
+    await run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    logger.info(`Added column ${table}.${column}`);
+  }
+};
+
+// Older databases were created before runs were logged while in progress;
+// SQLite can't alter a CHECK constraint, so rebuild the table with 'running' allowed.
+// legacy_alter_table stops the RENAME repointing job_revisions' and
+// extraction_health's foreign keys at scraping_logs_old, which is then dropped.
+const allowRunningScrapeLogs = async () => {
+  const get = promisify(db.get.bind(db));
+  const exec = promisify(db.exec.bind(db));
+  const table = await get(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'scraping_logs'`);
+  if (!table || table.sql.includes("'running'")) return;
+
+  await exec(`
+    PRAGMA legacy_alter_table = ON;
+    BEGIN;
+    ALTER TABLE scraping_logs RENAME TO scraping_logs_old;
+    CREATE TABLE scraping_logs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      site TEXT NOT NULL,
+      status TEXT NOT NULL CHECK (status IN ('running', 'success', 'error', 'partial', 'completed', 'failed')),
+      jobs_found INTEGER DEFAULT 0,
+      jobs_added INTEGER DEFAULT 0,
+      jobs_updated INTEGER DEFAULT 0,
+      error_message TEXT,
+      started_at DATETIME NOT NULL,
+      completed_at DATETIME,
+      duration_ms INTEGER
+    );
+    INSERT INTO scraping_logs (id, site, status, jobs_found, jobs_added, jobs_updated, error_message, started_at, completed_at, duration_ms)
+      SELECT id, site, status, jobs_found, jobs_added, jobs_updated, error_message, started_at, completed_at, duration_ms
+      FROM scraping_logs_old;
+    DROP TABLE scraping_logs_old;
+    COMMIT;
+    PRAGMA legacy_alter_table = OFF;
+  `);
+  logger.info('Migrated scraping_logs to allow running status');
+};
+
 export const getDatabase = () => {
   if (!db) {
     throw new Error('Database not initialized');
@@ -113,6 +339,22 @@ export const getDatabase = () => {
   return db;
 };
 
+// Promise helpers shared by services and routes
+export const dbRun = (sql, params = []) => new Promise((resolve, reject) => {
+  getDatabase().run(sql, params, function(err) {
+    if (err) reject(err);
+    else resolve({ lastID: this.lastID, changes: this.changes });
+  });
+});
+
+export const dbGet = (sql, params = []) => new Promise((resolve, reject) => {
+  getDatabase().get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+});
+
+export const dbAll = (sql, params = []) => new Promise((resolve, reject) => {
+  getDatabase().all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+});
+
 export const closeDatabase = () => {
   if (db) {
     db.close((err) => {
@@ -0,0 +1,117 @@
+import { dbAll, dbGet, dbRun } from './init.js';
+
+/**
+ * Job feeds
+ * RSS 2.0 / Atom vacancy feeds polled by the feed adapter (see scrapers/feeds.js).
+ * The last poll's outcome is kept on the row so broken feeds are easy to spot.
+ */
+
+// Convert a database row to the camelCase shape used by the adapter and the API
+const toFeed = (row) => ({
+  id: row.id,
+  name: row.name,
+  url: row.url,
+  company: row.company,
+  enabled: !!row.enabled,
+  lastPolledAt: row.last_polled_at,
+  lastItemCount: row.last_item_count,
+  lastError: row.last_error,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Validate a (partial) feed payload
+ * @param {Object} data
+ * @param {boolean} partial - When true only the supplied fields are checked
+ * @returns {string[]} Validation errors, empty when valid
+ */
+export function validateJobFeed(data, partial = false) {
+  const errors = [];
+  const has = (field) => data[field] !== undefined;
+
+  if (!partial || has('name')) {
+    if (typeof data.name !== 'string' || !data.name.trim()) errors.push('name is required');
+  }
+  if (!partial || has('url')) {
+    if (typeof data.url !== 'string' || !isHttpUrl(data.url.trim())) errors.push('url must be an http(s) URL');
+  }
+  if (has('company') && data.company !== null && (typeof data.company !== 'string' || !data.company.trim())) {
+    errors.push('company must be a non-empty string or null');
+  }
+  if (has('enabled') && typeof data.enabled !== 'boolean') {
+    errors.push('enabled must be a boolean');
+  }
+
+  return errors;
+}
+
+export async function listJobFeeds({ enabledOnly = false } = {}) {
+  const rows = await dbAll(`
+    SELECT * FROM job_feeds
+    ${enabledOnly ? 'WHERE enabled = 1' : ''}
+    ORDER BY id ASC
+  `);
+  return rows.map(toFeed);
+}
+
+export async function getJobFeed(id) {
+  const row = await dbGet('SELECT * FROM job_feeds WHERE id = ?', [id]);
+  return row ? toFeed(row) : null;
+}
+
+export async function createJobFeed(data) {
+  const now = new Date().toISOString();
+  const { lastID } = await dbRun(`
+    INSERT INTO job_feeds (name, url, company, enabled, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `, [
+    data.name.trim(),
+    data.url.trim(),
+    data.company ? data.company.trim() : null,
+    data.enabled === false ? 0 : 1,
+    now,
+    now
+  ]);
+  return getJobFeed(lastID);
+}
+
+export async function updateJobFeed(id, data) {
+  const existing = await getJobFeed(id);
+  if (!existing) return null;
+
+  const merged = { ...existing, ...data };
+  await dbRun(`
+    UPDATE job_feeds
+    SET name = ?, url = ?, company = ?, enabled = ?, updated_at = ?
+    WHERE id = ?
+  `, [
+    merged.name.trim(),
+    merged.url.trim(),
+    merged.company ? merged.company.trim() : null,
+    merged.enabled ? 1 : 0,
+    new Date().toISOString(),
+    id
+  ]);
+  return getJobFeed(id);
+}
+
+export async function deleteJobFeed(id) {
+  const { changes } = await dbRun('DELETE FROM job_feeds WHERE id = ?', [id]);
+  return changes > 0;
+}
+
+// Store the outcome of the latest poll of a configured feed
+export async function recordFeedPoll(id, { items, error }) {
+  await dbRun(`
+    UPDATE job_feeds SET last_polled_at = ?, last_item_count = ?, last_error = ? WHERE id = ?
+  `, [new Date().toISOString(), error ? null : items, error || null, id]);
+}
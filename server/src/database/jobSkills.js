@@ -0,0 +1,93 @@
+import { dbAll, dbRun } from './init.js';
+
+/**
+ * Job skills
+ * The skills and technologies tagged from each job's title and description
+ * (see scrapers/skillTagger.js), one row per job and skill with the tagger's
+ * confidence and the text it was found in.
+ */
+
+// Convert a database row to the tag shape returned by the API
+const toJobSkill = (row) => ({
+  skill: row.skill,
+  name: row.name,
+  kind: row.kind,
+  confidence: row.confidence,
+  evidence: {
+    field: row.evidence_field,
+    start: row.evidence_start,
+    end: row.evidence_end,
+    text: row.evidence_text
+  }
+});
+
+/**
+ * Replace a job's tags with a fresh set from the tagger
+ * @param {string} jobId
+ * @param {Array} tags - Output of tagSkills()
+ */
+export async function replaceJobSkills(jobId, tags) {
+  const now = new Date().toISOString();
+  await dbRun('DELETE FROM job_skills WHERE job_id = ?', [jobId]);
+  for (const tag of tags) {
+    await dbRun(`
+      INSERT INTO job_skills (
+        job_id, skill, name, kind, confidence,
+        evidence_field, evidence_start, evidence_end, evidence_text, tagged_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      jobId,
+      tag.skill,
+      tag.name,
+      tag.kind,
+      tag.confidence,
+      tag.evidence.field,
+      tag.evidence.start,
+      tag.evidence.end,
+      tag.evidence.text,
+      now
+    ]);
+  }
+  await dbRun('UPDATE jobs SET skills_tagged_at = ? WHERE id = ?', [now, jobId]);
+}
+
+export async function getJobSkills(jobId) {
+  const rows = await dbAll(`
+    SELECT * FROM job_skills WHERE job_id = ?
+    ORDER BY confidence DESC, skill ASC
+  `, [jobId]);
+  return rows.map(toJobSkill);
+}
+
+/**
+ * Tags of many jobs at once
+ * @param {string[]} jobIds
+ * @returns {Promise<Map<string, Object[]>>} Tags by job id (jobs without tags are left out)
+ */
+export async function getSkillsForJobs(jobIds) {
+  const byJob = new Map();
+  const ids = [...new Set(jobIds)];
+
+  // Stay under SQLite's bound parameter limit
+  for (let i = 0; i < ids.length; i += 500) {
+    const chunk = ids.slice(i, i + 500);
+    const rows = await dbAll(`
+      SELECT * FROM job_skills WHERE job_id IN (${chunk.map(() => '?').join(',')})
+      ORDER BY confidence DESC, skill ASC
+    `, chunk);
+    for (const row of rows) {
+      if (!byJob.has(row.job_id)) byJob.set(row.job_id, []);
+      byJob.get(row.job_id).push(toJobSkill(row));
+    }
+  }
+  return byJob;
+}
+
+// Jobs saved before tagging existed, or whose tagging failed
+export async function listUntaggedJobs(limit = 200) {
+  return dbAll(`
+    SELECT id, title, description_snippet, description_full FROM jobs
+    WHERE skills_tagged_at IS NULL
+    LIMIT ?
+  `, [limit]);
+}
@@ -0,0 +1,116 @@
+import { dbAll, dbGet, dbRun } from './init.js';
+
+/**
+ * Scrape jobs
+ * Every requested scrape (manual trigger, schedule, on-demand search, boot)
+ * is queued here and run one at a time by services/scrapeQueue.js.
+ * status moves queued -> running -> succeeded | failed, or to cancelled
+ * from either queued or running.
+ */
+export const SCRAPE_JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+export const FINISHED_SCRAPE_JOB_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+const parseJson = (value) => (value ? JSON.parse(value) : null);
+
+// Convert a database row to the camelCase shape used by the queue and the API
+const toScrapeJob = (row) => ({
+  id: row.id,
+  sites: parseJson(row.sites) || [],
+  options: parseJson(row.options) || {},
+  trigger: row.trigger,
+  status: row.status,
+  progress: parseJson(row.progress),
+  result: parseJson(row.result),
+  errorMessage: row.error_message,
+  createdAt: row.created_at,
+  startedAt: row.started_at,
+  completedAt: row.completed_at,
+  cancelRequestedAt: row.cancel_requested_at
+});
+
+export async function createScrapeJob({ sites, options = {}, trigger = 'manual' }) {
+  const { lastID } = await dbRun(`
+    INSERT INTO scrape_jobs (sites, options, trigger, status, created_at)
+    VALUES (?, ?, ?, 'queued', ?)
+  `, [JSON.stringify(sites), JSON.stringify(options), trigger, new Date().toISOString()]);
+  return getScrapeJob(lastID);
+}
+
+export async function getScrapeJob(id) {
+  const row = await dbGet('SELECT * FROM scrape_jobs WHERE id = ?', [id]);
+  return row ? toScrapeJob(row) : null;
+}
+
+export async function listScrapeJobs({ status, limit = 50 } = {}) {
+  const rows = await dbAll(`
+    SELECT * FROM scrape_jobs
+    ${status ? 'WHERE status = ?' : ''}
+    ORDER BY id DESC
+    LIMIT ?
+  `, status ? [status, limit] : [limit]);
+  return rows.map(toScrapeJob);
+}
+
+// Oldest queued job first
+export async function listQueuedScrapeJobs() {
+  const rows = await dbAll(`SELECT * FROM scrape_jobs WHERE status = 'queued' ORDER BY id ASC`);
+  return rows.map(toScrapeJob);
+}
+
+// Queued and running jobs, oldest first
+export async function listActiveScrapeJobs() {
+  const rows = await dbAll(`SELECT * FROM scrape_jobs WHERE status IN ('queued', 'running') ORDER BY id ASC`);
+  return rows.map(toScrapeJob);
+}
+
+/**
+ * Move a queued job to running
+ * @returns {Promise<boolean>} false when the job was no longer queued (e.g. cancelled meanwhile)
+ */
+export async function claimScrapeJob(id) {
+  const { changes } = await dbRun(`
+    UPDATE scrape_jobs SET status = 'running', started_at = ? WHERE id = ? AND status = 'queued'
+  `, [new Date().toISOString(), id]);
+  return changes > 0;
+}
+
+export async function updateScrapeJobProgress(id, progress) {
+  await dbRun('UPDATE scrape_jobs SET progress = ? WHERE id = ?', [JSON.stringify(progress), id]);
+}
+
+// progress, when given, replaces the last stored progress (e.g. with the final counters)
+export async function finishScrapeJob(id, { status, result = null, error = null, progress = null }) {
+  await dbRun(`
+    UPDATE scrape_jobs
+    SET status = ?, result = ?, error_message = ?, completed_at = ?, progress = COALESCE(?, progress)
+    WHERE id = ?
+  `, [status, result ? JSON.stringify(result) : null, error, new Date().toISOString(), progress ? JSON.stringify(progress) : null, id]);
+}
+
+/**
+ * Cancel a job that hasn't started, or flag a running job for cancellation
+ * @returns {Promise<'cancelled'|'requested'|null>} null when the job had already finished
+ */
+export async function requestScrapeJobCancel(id) {
+  const now = new Date().toISOString();
+  const queued = await dbRun(`
+    UPDATE scrape_jobs SET status = 'cancelled', cancel_requested_at = ?, completed_at = ?
+    WHERE id = ? AND status = 'queued'
+  `, [now, now, id]);
+  if (queued.changes > 0) return 'cancelled';
+
+  const running = await dbRun(`
+    UPDATE scrape_jobs SET cancel_requested_at = COALESCE(cancel_requested_at, ?)
+    WHERE id = ? AND status = 'running'
+  `, [now, id]);
+  return running.changes > 0 ? 'requested' : null;
+}
+
+// Jobs left running by a crash or restart can never finish - fail them on startup
+export async function failInterruptedScrapeJobs() {
+  const { changes } = await dbRun(`
+    UPDATE scrape_jobs SET status = 'failed', error_message = 'Interrupted by server restart', completed_at = ?
+    WHERE status = 'running'
+  `, [new Date().toISOString()]);
+  return changes;
+}
@@ -0,0 +1,195 @@
+import { dbAll, dbGet, dbRun } from './init.js';
+import { isValidCron, isValidTimezone } from '../utils/cron.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Scrape schedules
+ * Each schedule queues a scrape on its cron expression (see scheduler/index.js):
+ * which sites to scrape (null = every registered adapter), optionally which
+ * Jora search profiles, and in which mode. A schedule is skipped while its
+ * previous scrape is still queued or running, and the last time it fired is
+ * kept on the row along with what happened.
+ */
+
+export const SCHEDULE_MODES = ['full', 'incremental'];
+export const DEFAULT_SCHEDULE_TIMEZONE = 'Australia/Sydney';
+
+// Seeded on first start - the schedules the scheduler used to hard-code (cron still overridable by env)
+export const DEFAULT_SCRAPE_SCHEDULES = [
+  // Incremental runs page each profile only until results are mostly known jobs
+  { name: 'incremental', cron: process.env.SCRAPE_INCREMENTAL_CRON || '0 */2 * * *', mode: 'incremental' },
+  // Daily full-depth sweep; also the only runs that count missed jobs towards closing them
+  { name: 'full-sweep', cron: process.env.SCRAPE_FULL_SWEEP_CRON || '0 3 * * *', mode: 'full' },
+  // Feeds are cheap to poll and short-lived, so they are checked between the Jora runs too
+  { name: 'feeds', cron: process.env.SCRAPE_FEEDS_CRON || '30 * * * *', sites: ['feed'], mode: 'full' }
+];
+
+const parseJson = (value) => (value ? JSON.parse(value) : null);
+
+// A schedule's last run: when it fired and what happened - the queued job's
+// status once it has one, or 'skipped' / 'error' when nothing was queued. The
+// message is the job's error, else why sites were left out or nothing was queued
+const toLastRun = (row) => {
+  if (!row.last_run_at) return null;
+  return {
+    at: row.last_run_at,
+    outcome: row.last_outcome === 'queued' ? (row.job_status || 'queued') : row.last_outcome,
+    jobId: row.last_job_id,
+    completedAt: row.job_completed_at || null,
+    message: row.last_outcome === 'queued' ? row.job_error || row.last_message || null : row.last_message
+  };
+};
+
+// Convert a database row to the camelCase shape used by the scheduler and the API
+const toSchedule = (row) => ({
+  id: row.id,
+  name: row.name,
+  cron: row.cron,
+  timezone: row.timezone,
+  sites: parseJson(row.sites),
+  profileIds: parseJson(row.profile_ids),
+  mode: row.mode,
+  enabled: !!row.enabled,
+  lastRun: toLastRun(row),
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const SELECT_SCHEDULES = `
+  SELECT s.*, j.status AS job_status, j.error_message AS job_error, j.completed_at AS job_completed_at
+  FROM scrape_schedules s
+  LEFT JOIN scrape_jobs j ON j.id = s.last_job_id
+`;
+
+/**
+ * Validate a (partial) schedule payload
+ * @param {Object} data
+ * @param {boolean} partial - When true only the supplied fields are checked
+ * @param {string[]} [knownSites] - Registered adapter names sites must come from
+ * @returns {string[]} Validation errors, empty when valid
+ */
+export function validateScrapeSchedule(data, partial = false, knownSites = null) {
+  const errors = [];
+  const has = (field) => data[field] !== undefined;
+
+  if (!partial || has('name')) {
+    if (typeof data.name !== 'string' || !data.name.trim()) errors.push('name is required');
+  }
+  if (!partial || has('cron')) {
+    if (!isValidCron(data.cron)) errors.push('cron must be a valid cron expression');
+  }
+  if (has('timezone') && (typeof data.timezone !== 'string' || !isValidTimezone(data.timezone))) {
+    errors.push('timezone must be an IANA timezone, e.g. Australia/Sydney');
+  }
+  if (has('sites') && data.sites !== null) {
+    if (!Array.isArray(data.sites) || data.sites.length === 0 || data.sites.some(s => typeof s !== 'string')) {
+      errors.push('sites must be a non-empty array of site names or null for every site');
+    } else if (knownSites) {
+      const unknown = data.sites.filter(site => !knownSites.includes(site));
+      if (unknown.length > 0) errors.push(`Unknown sites: ${unknown.join(', ')}. Available: ${knownSites.join(', ')}`);
+    }
+  }
+  if (has('profileIds') && data.profileIds !== null) {
+    if (!Array.isArray(data.profileIds) || data.profileIds.length === 0 ||
+        data.profileIds.some(id => !Number.isInteger(id) || id < 1)) {
+      errors.push('profileIds must be a non-empty array of search profile ids or null for every enabled profile');
+    }
+  }
+  if (has('mode') && !SCHEDULE_MODES.includes(data.mode)) {
+    errors.push(`mode must be one of: ${SCHEDULE_MODES.join(', ')}`);
+  }
+  if (has('enabled') && typeof data.enabled !== 'boolean') {
+    errors.push('enabled must be a boolean');
+  }
+
+  return errors;
+}
+
+export async function listScrapeSchedules({ enabledOnly = false } = {}) {
+  const rows = await dbAll(`
+    ${SELECT_SCHEDULES}
+    ${enabledOnly ? 'WHERE s.enabled = 1' : ''}
+    ORDER BY s.id ASC
+  `);
+  return rows.map(toSchedule);
+}
+
+export async function getScrapeSchedule(id) {
+  const row = await dbGet(`${SELECT_SCHEDULES} WHERE s.id = ?`, [id]);
+  return row ? toSchedule(row) : null;
+}
+
+export async function createScrapeSchedule(data) {
+  const now = new Date().toISOString();
+  const { lastID } = await dbRun(`
+    INSERT INTO scrape_schedules (name, cron, timezone, sites, profile_ids, mode, enabled, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    data.name.trim(),
+    data.cron.trim(),
+    data.timezone || DEFAULT_SCHEDULE_TIMEZONE,
+    data.sites ? JSON.stringify(data.sites) : null,
+    data.profileIds ? JSON.stringify(data.profileIds) : null,
+    data.mode || 'full',
+    data.enabled === false ? 0 : 1,
+    now,
+    now
+  ]);
+  return getScrapeSchedule(lastID);
+}
+
+export async function updateScrapeSchedule(id, data) {
+  const existing = await getScrapeSchedule(id);
+  if (!existing) return null;
+
+  const merged = { ...existing, ...data };
+  await dbRun(`
+    UPDATE scrape_schedules
+    SET name = ?, cron = ?, timezone = ?, sites = ?, profile_ids = ?, mode = ?, enabled = ?, updated_at = ?
+    WHERE id = ?
+  `, [
+    merged.name.trim(),
+    merged.cron.trim(),
+    merged.timezone,
+    merged.sites ? JSON.stringify(merged.sites) : null,
+    merged.profileIds ? JSON.stringify(merged.profileIds) : null,
+    merged.mode,
+    merged.enabled ? 1 : 0,
+    new Date().toISOString(),
+    id
+  ]);
+  return getScrapeSchedule(id);
+}
+
+export async function deleteScrapeSchedule(id) {
+  const { changes } = await dbRun('DELETE FROM scrape_schedules WHERE id = ?', [id]);
+  return changes > 0;
+}
+
+/**
+ * Record a schedule firing
+ * @param {number} id
+ * @param {Object} run
+ * @param {'queued'|'skipped'|'error'} run.outcome
+ * @param {number} [run.jobId] - The scrape job it queued (queued runs only)
+ * @param {string} [run.message] - Why it was skipped or failed to queue
+ */
+export async function recordScheduleRun(id, { outcome, jobId = null, message = null }) {
+  // A skipped run keeps pointing at the job it was waiting on
+  await dbRun(`
+    UPDATE scrape_schedules
+    SET last_run_at = ?, last_outcome = ?, last_job_id = COALESCE(?, last_job_id), last_message = ?
+    WHERE id = ?
+  `, [new Date().toISOString(), outcome, jobId, message, id]);
+}
+
+// Insert the default schedules when the table is empty (first start or fresh database)
+export async function seedDefaultScrapeSchedules() {
+  const { count } = await dbGet('SELECT COUNT(*) as count FROM scrape_schedules');
+  if (count > 0) return;
+
+  for (const schedule of DEFAULT_SCRAPE_SCHEDULES) {
+    await createScrapeSchedule(schedule);
+  }
+  logger.info(`Seeded ${DEFAULT_SCRAPE_SCHEDULES.length} default scrape schedules`);
+}
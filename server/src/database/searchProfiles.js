@@ -0,0 +1,162 @@
+import { dbAll, dbGet, dbRun } from './init.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Search profiles
+ * A profile describes one search the scrapers run: which keywords, where, how
+ * recent the listings must be, a salary floor and how many result pages to walk.
+ */
+
+// Seeded on first start - matches the searches the Jora scraper used to hard-code
+export const DEFAULT_SEARCH_PROFILES = [
+  {
+    name: 'all-it',
+    keywords: ['developer', 'programmer', 'software engineer', 'frontend', 'backend', 'data', 'analyst', 'cloud', 'cybersecurity', 'web', 'IT'],
+    maxPages: 5
+  },
+  { name: 'developer', keywords: ['developer'], maxPages: 3 },
+  { name: 'analyst', keywords: ['analyst', 'data analyst'], maxPages: 3 },
+  { name: 'programmer', keywords: ['programmer'], maxPages: 2 },
+  { name: 'frontend-developer', keywords: ['frontend developer', 'front-end developer'], maxPages: 2 },
+  { name: 'backend-developer', keywords: ['backend developer', 'back-end developer'], maxPages: 2 },
+  { name: 'cloud-engineer', keywords: ['cloud', 'aws', 'azure'], maxPages: 2 },
+  { name: 'cybersecurity', keywords: ['cybersecurity', 'security analyst'], maxPages: 2 },
+  { name: 'web-developer', keywords: ['web developer'], maxPages: 2 },
+  { name: 'IT-support', keywords: ['IT support', 'IT technician'], maxPages: 2 }
+].map(profile => ({
+  location: 'Sydney NSW',
+  listedWithinDays: 14,
+  salaryFloor: 70000,
+  enabled: true,
+  ...profile
+}));
+
+const MAX_PAGES_LIMIT = 20;
+
+// Convert a database row to the camelCase shape used by scrapers and the API
+const toProfile = (row) => ({
+  id: row.id,
+  name: row.name,
+  keywords: JSON.parse(row.keywords || '[]'),
+  location: row.location,
+  listedWithinDays: row.listed_within_days,
+  salaryFloor: row.salary_floor,
+  maxPages: row.max_pages,
+  enabled: !!row.enabled,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+/**
+ * Validate a (partial) profile payload
+ * @param {Object} data
+ * @param {boolean} partial - When true only the supplied fields are checked
+ * @returns {string[]} Validation errors, empty when valid
+ */
+export function validateSearchProfile(data, partial = false) {
+  const errors = [];
+  const has = (field) => data[field] !== undefined;
+
+  if (!partial || has('name')) {
+    if (typeof data.name !== 'string' || !data.name.trim()) errors.push('name is required');
+  }
+  if (!partial || has('keywords')) {
+    if (!Array.isArray(data.keywords) || data.keywords.length === 0 ||
+        data.keywords.some(k => typeof k !== 'string' || !k.trim())) {
+      errors.push('keywords must be a non-empty array of strings');
+    }
+  }
+  if (has('location') && (typeof data.location !== 'string' || !data.location.trim())) {
+    errors.push('location must be a non-empty string');
+  }
+  if (has('listedWithinDays') && data.listedWithinDays !== null &&
+      (!Number.isInteger(data.listedWithinDays) || data.listedWithinDays < 1)) {
+    errors.push('listedWithinDays must be a positive integer or null');
+  }
+  if (has('salaryFloor') && data.salaryFloor !== null &&
+      (!Number.isInteger(data.salaryFloor) || data.salaryFloor < 0)) {
+    errors.push('salaryFloor must be a non-negative integer or null');
+  }
+  if (has('maxPages') && (!Number.isInteger(data.maxPages) || data.maxPages < 1 || data.maxPages > MAX_PAGES_LIMIT)) {
+    errors.push(`maxPages must be an integer between 1 and ${MAX_PAGES_LIMIT}`);
+  }
+  if (has('enabled') && typeof data.enabled !== 'boolean') {
+    errors.push('enabled must be a boolean');
+  }
+
+  return errors;
+}
+
+export async function listSearchProfiles({ enabledOnly = false } = {}) {
+  const rows = await dbAll(`
+    SELECT * FROM search_profiles
+    ${enabledOnly ? 'WHERE enabled = 1' : ''}
+    ORDER BY id ASC
+  `);
+  return rows.map(toProfile);
+}
+
+export async function getSearchProfile(id) {
+  const row = await dbGet('SELECT * FROM search_profiles WHERE id = ?', [id]);
+  return row ? toProfile(row) : null;
+}
+
+export async function createSearchProfile(data) {
+  const now = new Date().toISOString();
+  const { lastID } = await dbRun(`
+    INSERT INTO search_profiles (
+      name, keywords, location, listed_within_days, salary_floor, max_pages, enabled, created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    data.name.trim(),
+    JSON.stringify(data.keywords.map(k => k.trim())),
+    (data.location || 'Sydney NSW').trim(),
+    data.listedWithinDays === undefined ? 14 : data.listedWithinDays,
+    data.salaryFloor === undefined ? null : data.salaryFloor,
+    data.maxPages || 2,
+    data.enabled === false ? 0 : 1,
+    now,
+    now
+  ]);
+  return getSearchProfile(lastID);
+}
+
+export async function updateSearchProfile(id, data) {
+  const existing = await getSearchProfile(id);
+  if (!existing) return null;
+
+  const merged = { ...existing, ...data };
+  await dbRun(`
+    UPDATE search_profiles
+    SET name = ?, keywords = ?, location = ?, listed_within_days = ?, salary_floor = ?,
+        max_pages = ?, enabled = ?, updated_at = ?
+    WHERE id = ?
+  `, [
+    merged.name.trim(),
+    JSON.stringify(merged.keywords.map(k => k.trim())),
+    merged.location.trim(),
+    merged.listedWithinDays,
+    merged.salaryFloor,
+    merged.maxPages,
+    merged.enabled ? 1 : 0,
+    new Date().toISOString(),
+    id
+  ]);
+  return getSearchProfile(id);
+}
+
+export async function deleteSearchProfile(id) {
+  const { changes } = await dbRun('DELETE FROM search_profiles WHERE id = ?', [id]);
+  return changes > 0;
+}
+
+// Insert the default profiles when the table is empty (first start or fresh database)
+export async function seedDefaultSearchProfiles() {
+  const { count } = await dbGet('SELECT COUNT(*) as count FROM search_profiles');
+  if (count > 0) return;
+
+  for (const profile of DEFAULT_SEARCH_PROFILES) {
+    await createSearchProfile(profile);
+  }
+  logger.info(`Seeded ${DEFAULT_SEARCH_PROFILES.length} default search profiles`);
+}
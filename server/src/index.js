@@ -6,9 +6,17 @@ import rateLimit from 'express-rate-limit';
 import dotenv from 'dotenv';
 import { createServer } from 'http';
 import { initDatabase } from './database/init.js';
+import { seedDefaultSearchProfiles } from './database/searchProfiles.js';
+import { seedDefaultScrapeSchedules } from './database/scrapeSchedules.js';
+import { markInterruptedRuns } from './scrapers/scrapeRun.js';
+import { backfillJobSkills } from './scrapers/skillTagger.js';
+import { backfillJobSeniority } from './scrapers/seniority.js';
+import { backfillJobEmploymentTypes } from './scrapers/employmentType.js';
 import routes from './routes/index.js';
-// import { startScrapingScheduler } from './scheduler/index.js';
-import { scrapeAllSites } from './scrapers/scrapeAll.js';
+import { startScrapingScheduler } from './scheduler/index.js';
+import { scrapeQueue } from './services/scrapeQueue.js';
+import { jobClassifier } from './services/jobClassifier.js';
+import { browserPool } from './services/browserPool.js';
 import logger from './utils/logger.js';
 
 dotenv.config();
@@ -124,6 +132,11 @@ app.get('/health', (req, res) => {
 async function startServer() {
   try {
     await initDatabase();
+    await seedDefaultSearchProfiles();
+    await seedDefaultScrapeSchedules();
+    await markInterruptedRuns();
+    await scrapeQueue.resume();
+    await startScrapingScheduler();
     logger.info('Database initialized successfully');
     
     app.use(routes);
@@ -137,20 +150,33 @@ async function startServer() {
       logger.info(`Health check available at http://localhost:${PORT}/health`);
     });
     
-    // One-time scrape on server start (Jora, IT-only) - run in background after server starts
+    // Tag, classify and read seniority and employment type for jobs saved before any of that
+    // existed - in the background so startup isn't held up
+    setImmediate(async () => {
+      await backfillJobSkills().catch(e => logger.error('Failed to backfill job skills', e));
+      await jobClassifier.backfill().catch(e => logger.error('Failed to backfill job categories', e));
+      await backfillJobSeniority().catch(e => logger.error('Failed to backfill job seniority', e));
+      await backfillJobEmploymentTypes().catch(e => logger.error('Failed to backfill job employment types', e));
+    });
+    
+    // One-time scrape on server start (Jora, IT-only) - queued to run in the background after server starts
     setImmediate(async () => {
       try {
-        logger.info('Starting one-time scrape on server boot (Jora)');
-        await scrapeAllSites(['jora']);
-        logger.info('One-time scrape completed');
+        const { job, skipped } = await scrapeQueue.enqueueUncovered(['jora'], { mode: 'incremental' }, { trigger: 'boot' });
+        if (job) {
+          logger.info(`Queued one-time incremental scrape on server boot (Jora, scrape job ${job.id})`);
+        } else {
+          logger.info(`Skipped scrape on server boot - Jora is already ${skipped[0].status} (scrape job ${skipped[0].jobId})`);
+        }
       } catch (e) {
-        logger.error('One-time scrape failed', e);
+        logger.error('Failed to queue one-time scrape', e);
       }
     });
     
-    // Graceful shutdown
-    process.on('SIGTERM', () => {
+    // Graceful shutdown - close pooled browsers so no Chromium processes are left behind
+    process.on('SIGTERM', async () => {
       logger.info('SIGTERM received, shutting down gracefully');
+      await browserPool.shutdown();
       server.close(() => {
         logger.info('Server closed');
         process.exit(0);
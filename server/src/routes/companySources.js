@@ -0,0 +1,118 @@
+import express from 'express';
+import {
+  listCompanySources,
+  getCompanySource,
+  createCompanySource,
+  updateCompanySource,
+  deleteCompanySource,
+  validateCompanySource
+} from '../database/companySources.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+const isUniqueViolation = (error) =>
+  error && error.code === 'SQLITE_CONSTRAINT' && /UNIQUE/i.test(error.message);
+
+/**
+ * GET /api/v1/company-sources
+ * List company sources (?kind=careers_page, ?enabled=true for enabled sources only)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const sources = await listCompanySources({
+      kind: req.query.kind,
+      enabledOnly: req.query.enabled === 'true'
+    });
+    res.json({ sources });
+  } catch (error) {
+    logger.error('Error fetching company sources:', error);
+    res.status(500).json({ error: 'Failed to fetch company sources' });
+  }
+});
+
+/**
+ * GET /api/v1/company-sources/:id
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const source = await getCompanySource(req.params.id);
+    if (!source) {
+      return res.status(404).json({ error: 'Company source not found' });
+    }
+    res.json(source);
+  } catch (error) {
+    logger.error('Error fetching company source:', error);
+    res.status(500).json({ error: 'Failed to fetch company source' });
+  }
+});
+
+/**
+ * POST /api/v1/company-sources
+ * Add a company source
+ */
+router.post('/', async (req, res) => {
+  try {
+    const data = req.body || {};
+    const errors = validateCompanySource(data);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid company source', details: errors });
+    }
+
+    const source = await createCompanySource(data);
+    logger.info(`Created company source ${source.kind} "${source.target}" (${source.id})`);
+    res.status(201).json(source);
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      return res.status(409).json({ error: 'That company source already exists' });
+    }
+    logger.error('Error creating company source:', error);
+    res.status(500).json({ error: 'Failed to create company source' });
+  }
+});
+
+/**
+ * PUT /api/v1/company-sources/:id
+ * Update a company source - only the supplied fields change
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const data = req.body || {};
+    const existing = await getCompanySource(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Company source not found' });
+    }
+
+    const errors = validateCompanySource(data, true, existing);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid company source', details: errors });
+    }
+
+    const source = await updateCompanySource(req.params.id, data);
+    res.json(source);
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      return res.status(409).json({ error: 'That company source already exists' });
+    }
+    logger.error('Error updating company source:', error);
+    res.status(500).json({ error: 'Failed to update company source' });
+  }
+});
+
+/**
+ * DELETE /api/v1/company-sources/:id
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await deleteCompanySource(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Company source not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error deleting company source:', error);
+    res.status(500).json({ error: 'Failed to delete company source' });
+  }
+});
+
+export default router;
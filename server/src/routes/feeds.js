@@ -0,0 +1,133 @@
+import express from 'express';
+import {
+  listJobFeeds,
+  getJobFeed,
+  createJobFeed,
+  updateJobFeed,
+  deleteJobFeed,
+  validateJobFeed
+} from '../database/jobFeeds.js';
+import { scrapeQueue } from '../services/scrapeQueue.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+const isUniqueViolation = (error) =>
+  error && error.code === 'SQLITE_CONSTRAINT' && /UNIQUE/i.test(error.message);
+
+/**
+ * GET /api/v1/feeds
+ * List job feeds with their last poll outcome (?enabled=true for enabled feeds only)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const feeds = await listJobFeeds({ enabledOnly: req.query.enabled === 'true' });
+    res.json({ feeds });
+  } catch (error) {
+    logger.error('Error fetching job feeds:', error);
+    res.status(500).json({ error: 'Failed to fetch job feeds' });
+  }
+});
+
+/**
+ * GET /api/v1/feeds/:id
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const feed = await getJobFeed(req.params.id);
+    if (!feed) {
+      return res.status(404).json({ error: 'Job feed not found' });
+    }
+    res.json(feed);
+  } catch (error) {
+    logger.error('Error fetching job feed:', error);
+    res.status(500).json({ error: 'Failed to fetch job feed' });
+  }
+});
+
+/**
+ * POST /api/v1/feeds
+ * Add an RSS or Atom feed
+ */
+router.post('/', async (req, res) => {
+  try {
+    const data = req.body || {};
+    const errors = validateJobFeed(data);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid job feed', details: errors });
+    }
+
+    const feed = await createJobFeed(data);
+    logger.info(`Created job feed "${feed.name}" (${feed.id})`);
+    res.status(201).json(feed);
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      return res.status(409).json({ error: 'A feed with that URL already exists' });
+    }
+    logger.error('Error creating job feed:', error);
+    res.status(500).json({ error: 'Failed to create job feed' });
+  }
+});
+
+/**
+ * PUT /api/v1/feeds/:id
+ * Update a job feed - only the supplied fields change
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const data = req.body || {};
+    const errors = validateJobFeed(data, true);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid job feed', details: errors });
+    }
+
+    const feed = await updateJobFeed(req.params.id, data);
+    if (!feed) {
+      return res.status(404).json({ error: 'Job feed not found' });
+    }
+    res.json(feed);
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      return res.status(409).json({ error: 'A feed with that URL already exists' });
+    }
+    logger.error('Error updating job feed:', error);
+    res.status(500).json({ error: 'Failed to update job feed' });
+  }
+});
+
+/**
+ * DELETE /api/v1/feeds/:id
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await deleteJobFeed(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Job feed not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error deleting job feed:', error);
+    res.status(500).json({ error: 'Failed to delete job feed' });
+  }
+});
+
+/**
+ * POST /api/v1/feeds/:id/poll
+ * Queue a poll of one feed - the outcome lands on the feed and in scraping_logs
+ */
+router.post('/:id/poll', async (req, res) => {
+  try {
+    const feed = await getJobFeed(req.params.id);
+    if (!feed) {
+      return res.status(404).json({ error: 'Job feed not found' });
+    }
+
+    const job = await scrapeQueue.enqueue(['feed'], { feedIds: [feed.id] }, { trigger: 'manual' });
+    res.json({ message: 'Feed poll queued', feedId: feed.id, jobId: job.id });
+  } catch (error) {
+    logger.error('Error polling job feed:', error);
+    res.status(500).json({ error: 'Failed to poll job feed' });
+  }
+});
+
+export default router;
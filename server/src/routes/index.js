@@ -2,15 +2,25 @@ import express from 'express';
 import jobsRouter from './jobs.js';
 import onDemandScrapingRoutes from './on-demand-scraping.js';
 import resumeRouter from './resume.js';
+import searchProfilesRouter from './searchProfiles.js';
+import companySourcesRouter from './companySources.js';
+import feedsRouter from './feeds.js';
+import jobImportRouter from './jobImport.js';
+import schedulesRouter from './schedules.js';
 import fs from 'fs';
 import path from 'path';
 
 const router = express.Router();
 
 // API version prefix
+router.use('/api/v1/jobs/import', jobImportRouter);
 router.use('/api/v1', jobsRouter);
 router.use('/api/v1/scraping', onDemandScrapingRoutes);
 router.use('/api/v1/resume', resumeRouter);
+router.use('/api/v1/search-profiles', searchProfilesRouter);
+router.use('/api/v1/company-sources', companySourcesRouter);
+router.use('/api/v1/feeds', feedsRouter);
+router.use('/api/v1/schedules', schedulesRouter);
 
 // Root endpoint
 router.get('/', (req, res) => {
@@ -21,11 +31,17 @@ router.get('/', (req, res) => {
       jobs: '/api/v1/jobs',
       jobById: '/api/v1/jobs/:id',
       jobStats: '/api/v1/jobs/stats',
+      jobImport: 'POST /api/v1/jobs/import',
       scrapingLogs: '/api/v1/scraping/logs',
       triggerScraping: 'POST /api/v1/scraping/trigger',
       onDemandScraping: '/api/v1/scraping/scrape-on-demand',
       scrapingStatus: '/api/v1/scraping/scraping-status',
-      jobSearch: '/api/v1/scraping/jobs/search'
+      scrapeQueue: '/api/v1/scraping/queue',
+      jobSearch: '/api/v1/scraping/jobs/search',
+      searchProfiles: '/api/v1/search-profiles',
+      companySources: '/api/v1/company-sources',
+      feeds: '/api/v1/feeds',
+      schedules: '/api/v1/schedules'
     }
   });
 });
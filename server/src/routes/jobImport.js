@@ -0,0 +1,126 @@
+import express from 'express';
+import multer from 'multer';
+import {
+  commitImport,
+  detectImportFormat,
+  IMPORT_MAX_ROWS,
+  parseImportFile,
+  previewImport,
+  validateImportMapping
+} from '../scrapers/jobImport.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
+});
+
+// CSV and NDJSON can also be posted as the raw request body
+const rawBody = express.text({ type: ['text/*', 'application/x-ndjson', 'application/ndjson', 'application/jsonl'], limit: '10mb' });
+
+// Options arrive as query params, JSON body fields or multipart form fields (strings)
+const readOption = (req, name) => req.query[name] ?? (req.body && typeof req.body === 'object' ? req.body[name] : undefined);
+const isTrue = (value) => value === true || value === 'true';
+
+/**
+ * POST /api/v1/jobs/import
+ * Import jobs from CSV, a JSON array or NDJSON.
+ * The file comes as a multipart upload (field "file"), a raw text/csv or
+ * application/x-ndjson body, or a JSON body ({ jobs: [...] } or an array).
+ * Options: format (csv|json|ndjson, otherwise detected), mapping
+ * ({ field: "Source column" }, JSON-encoded outside a JSON body),
+ * commit=true to write (default is a dry-run preview), skipInvalid=true to
+ * commit the valid rows when some rows fail validation.
+ */
+router.post('/', upload.single('file'), rawBody, async (req, res) => {
+  try {
+    let mapping = readOption(req, 'mapping');
+    if (typeof mapping === 'string') {
+      try {
+        mapping = JSON.parse(mapping);
+      } catch (e) {
+        return res.status(400).json({ error: 'Invalid import', details: ['mapping must be a JSON object'] });
+      }
+    }
+
+    const mappingErrors = validateImportMapping(mapping);
+    if (mappingErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid import', details: mappingErrors });
+    }
+
+    let parsed;
+    let format;
+    if (req.file || typeof req.body === 'string') {
+      const text = req.file ? req.file.buffer.toString('utf8') : req.body;
+      format = detectImportFormat({
+        format: readOption(req, 'format'),
+        filename: req.file?.originalname,
+        contentType: req.file ? req.file.mimetype : req.get('content-type'),
+        text
+      });
+      if (!format) {
+        return res.status(400).json({ error: 'Invalid import', details: ['format must be one of: csv, json, ndjson'] });
+      }
+      parsed = parseImportFile(text, format);
+    } else {
+      // JSON body - the rows are already parsed
+      const jobs = Array.isArray(req.body) ? req.body : req.body?.jobs;
+      if (!Array.isArray(jobs)) {
+        return res.status(400).json({ error: 'No import data', details: ['Upload a file, post CSV/NDJSON text, or post JSON { "jobs": [...] }'] });
+      }
+      format = 'json';
+      parsed = { records: jobs.map((values, index) => ({ row: index + 1, values })), errors: [] };
+    }
+
+    // A file that can't be read at all (bad JSON, no rows) has nothing to preview
+    if (parsed.records.length === 0) {
+      const details = parsed.errors.length > 0 ? parsed.errors.map(e => e.message) : ['The file has no rows'];
+      return res.status(400).json({ error: 'Invalid import', details });
+    }
+
+    if (parsed.records.length > IMPORT_MAX_ROWS) {
+      return res.status(400).json({ error: 'Invalid import', details: [`Imports are limited to ${IMPORT_MAX_ROWS} rows (got ${parsed.records.length})`] });
+    }
+
+    const preview = await previewImport(parsed.records, { mapping });
+    const { jobs, ...report } = preview;
+    for (const error of parsed.errors) {
+      report.summary.total++;
+      report.summary.invalid++;
+      report.errors.push(error);
+      report.rows.push({ row: error.row, action: 'invalid', errors: [error.message] });
+    }
+    report.rows.sort((a, b) => a.row - b.row);
+    report.errors.sort((a, b) => a.row - b.row);
+
+    if (!isTrue(readOption(req, 'commit'))) {
+      return res.json({ dryRun: true, format, ...report });
+    }
+
+    if (report.summary.invalid > 0 && !isTrue(readOption(req, 'skipInvalid'))) {
+      return res.status(400).json({
+        error: `${report.summary.invalid} rows failed validation - fix them or pass skipInvalid=true`,
+        dryRun: true,
+        format,
+        ...report
+      });
+    }
+
+    const result = await commitImport(preview);
+    logger.info(`Import: ${jobs.length} valid rows - ${result.saved} added, ${result.updated} updated, ${result.duplicates} unchanged`);
+    res.json({
+      dryRun: false,
+      format,
+      ...report,
+      added: result.saved,
+      updated: result.updated,
+      unchanged: result.duplicates
+    });
+  } catch (error) {
+    logger.error('Error importing jobs:', error);
+    res.status(500).json({ error: 'Failed to import jobs' });
+  }
+});
+
+export default router;
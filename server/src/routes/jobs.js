@@ -1,7 +1,12 @@
 import express from 'express';
-import { getDatabase } from '../database/init.js';
+import { getDatabase, dbAll } from '../database/init.js';
 import logger from '../utils/logger.js';
 import { semanticMatcher } from '../services/semanticMatcher.js';
+import { JOB_STATUSES } from '../scrapers/lifecycle.js';
+import { getHealthBaseline, listExtractionHealth } from '../scrapers/extractionHealth.js';
+import { normaliseSkill } from '../scrapers/skillTagger.js';
+import { getJobSkills } from '../database/jobSkills.js';
+import { EMPLOYMENT_TYPES } from '../scrapers/jobFields.js';
 
 const router = express.Router();
 
@@ -15,12 +20,18 @@ router.get('/jobs', async (req, res) => {
       search, 
       location, 
       category, 
+      subcategory,
       workMode, 
       experience,
+      yearsOfExperience,
+      employmentType,
       salaryMin,
       salaryMax,
       company,
-      postedWithin
+      postedWithin,
+      status,
+      skills,
+      skillsMatch = 'any'
     } = req.query;
     
     let query = `
@@ -91,6 +102,14 @@ router.get('/jobs', async (req, res) => {
       params.push(category);
     }
     
+    if (subcategory) {
+      const subcategories = String(subcategory).split(',').filter(Boolean);
+      if (subcategories.length > 0) {
+        conditions.push(`j.subcategory IN (${subcategories.map(() => '?').join(',')})`);
+        params.push(...subcategories);
+      }
+    }
+    
     if (workMode) {
       // Handle comma-separated array or single value
       const workModes = typeof workMode === 'string' ? workMode.split(',').filter(Boolean) : [workMode];
@@ -110,12 +129,37 @@ router.get('/jobs', async (req, res) => {
         params.push(...experiences);
       }
     }
+
+    // Jobs open to someone with this many years - ones asking for more are left out,
+    // ones that don't say are kept
+    if (yearsOfExperience !== undefined && yearsOfExperience !== '') {
+      const years = parseInt(yearsOfExperience);
+      if (!isNaN(years) && years >= 0) {
+        conditions.push('(j.years_required_min IS NULL OR j.years_required_min <= ?)');
+        params.push(years);
+      }
+    }
     
     if (company) {
       conditions.push('j.company LIKE ?');
       params.push(`%${company}%`);
     }
     
+    // Tagged skills, e.g. skills=react,aws - jobs with any of them, or all of them with skillsMatch=all
+    if (skills) {
+      const skillKeys = [...new Set(String(skills).split(',').map(normaliseSkill).filter(Boolean))];
+      if (skillKeys.length > 0) {
+        const placeholders = skillKeys.map(() => '?').join(',');
+        if (skillsMatch === 'all') {
+          conditions.push(`j.id IN (SELECT job_id FROM job_skills WHERE skill IN (${placeholders}) GROUP BY job_id HAVING COUNT(DISTINCT skill) = ?)`);
+          params.push(...skillKeys, skillKeys.length);
+        } else {
+          conditions.push(`j.id IN (SELECT job_id FROM job_skills WHERE skill IN (${placeholders}))`);
+          params.push(...skillKeys);
+        }
+      }
+    }
+    
     if (postedWithin) {
       const now = new Date();
       let daysAgo = 0;
@@ -144,16 +188,43 @@ router.get('/jobs', async (req, res) => {
       }
     }
     
+    // Closed listings are hidden unless asked for: status=all, or e.g. status=closed
+    if (status !== 'all') {
+      const statuses = status ? String(status).split(',') : ['active', 'stale'];
+      const invalid = statuses.filter(s => !JOB_STATUSES.includes(s));
+      if (invalid.length > 0) {
+        return res.status(400).json({ error: `Invalid status: ${invalid.join(', ')}. Expected all or one of: ${JOB_STATUSES.join(', ')}` });
+      }
+      conditions.push(`j.status IN (${statuses.map(() => '?').join(',')})`);
+      params.push(...statuses);
+    }
+    
+    // Salary filters match any job whose range overlaps the requested range
+    // (single-figure salaries are stored with only one bound, so fall back to the other)
     if (salaryMin) {
-      conditions.push('j.salary_min >= ?');
+      conditions.push('COALESCE(j.salary_max, j.salary_min) >= ?');
       params.push(parseInt(salaryMin));
     }
     
     if (salaryMax) {
-      conditions.push('j.salary_max <= ?');
+      conditions.push('COALESCE(j.salary_min, j.salary_max) <= ?');
       params.push(parseInt(salaryMax));
     }
     
+    // The employment type facet counts every type the other filters allow,
+    // so it's worked out before the employment type filter is added
+    const facetConditions = [...conditions];
+    const facetParams = [...params];
+    
+    // e.g. employmentType=contract,temporary
+    if (employmentType) {
+      const employmentTypes = String(employmentType).split(',').filter(type => EMPLOYMENT_TYPES.includes(type));
+      if (employmentTypes.length > 0) {
+        conditions.push(`j.employment_type IN (${employmentTypes.map(() => '?').join(',')})`);
+        params.push(...employmentTypes);
+      }
+    }
+    
     if (conditions.length > 0) {
       query += ' WHERE ' + conditions.join(' AND ');
     }
@@ -301,8 +372,19 @@ router.get('/jobs', async (req, res) => {
       finalTotal = countResult.total;
     }
     
+    // Jobs per employment type (null when the listing doesn't say), before semantic filtering
+    const employmentTypeFacet = await dbAll(`
+      SELECT j.employment_type as value, COUNT(*) as count FROM jobs j
+      ${facetConditions.length > 0 ? 'WHERE ' + facetConditions.join(' AND ') : ''}
+      GROUP BY j.employment_type
+      ORDER BY count DESC
+    `, facetParams);
+    
     res.json({
       jobs: processedJobs,
+      facets: {
+        employmentType: employmentTypeFacet
+      },
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -351,7 +433,7 @@ router.get('/jobs/by-ids', async (req, res) => {
              ) as sources_json
       FROM jobs j
       LEFT JOIN job_sources js ON j.id = js.job_id
-      WHERE j.id IN (${placeholders})
+      WHERE j.id IN (${placeholders}) AND j.status != 'closed'
       GROUP BY j.id
       ORDER BY j.posted_at DESC
     `;
@@ -384,6 +466,85 @@ router.get('/jobs/by-ids', async (req, res) => {
   }
 });
 
+// Get job statistics
+// Must be defined BEFORE /jobs/:id to avoid route conflicts
+router.get('/jobs/stats', async (req, res) => {
+  try {
+    const db = getDatabase();
+    
+    const stats = await new Promise((resolve, reject) => {
+      db.get(`
+        SELECT 
+          COUNT(*) as total_jobs,
+          COUNT(DISTINCT company) as unique_companies,
+          COUNT(DISTINCT category) as unique_categories,
+          COUNT(DISTINCT location) as unique_locations,
+          AVG(salary_min) as avg_salary_min,
+          AVG(salary_max) as avg_salary_max
+        FROM jobs
+        WHERE status != 'closed'
+      `, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+    
+    // Get jobs by category
+    const categoryStats = await new Promise((resolve, reject) => {
+      db.all(`
+        SELECT category, COUNT(*) as count
+        FROM jobs
+        WHERE status != 'closed'
+        GROUP BY category
+        ORDER BY count DESC
+      `, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+    
+    // Get jobs by subcategory within each category
+    const subcategoryStats = await new Promise((resolve, reject) => {
+      db.all(`
+        SELECT category, subcategory, COUNT(*) as count
+        FROM jobs
+        WHERE subcategory IS NOT NULL AND status != 'closed'
+        GROUP BY category, subcategory
+        ORDER BY count DESC
+      `, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+    
+    // Get jobs by source
+    const sourceStats = await new Promise((resolve, reject) => {
+      db.all(`
+        SELECT js.site, COUNT(*) as count
+        FROM job_sources js
+        JOIN jobs j ON j.id = js.job_id
+        WHERE j.status != 'closed'
+        GROUP BY js.site
+        ORDER BY count DESC
+      `, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+    
+    res.json({
+      ...stats,
+      categoryBreakdown: categoryStats,
+      subcategoryBreakdown: subcategoryStats,
+      sourceBreakdown: sourceStats
+    });
+    
+  } catch (error) {
+    logger.error('Error fetching job stats:', error);
+    res.status(500).json({ error: 'Failed to fetch job statistics' });
+  }
+});
+
 // Get job by ID
 router.get('/jobs/:id', async (req, res) => {
   try {
@@ -416,6 +577,7 @@ router.get('/jobs/:id', async (req, res) => {
     }
     
     job.sources = job.sources_json ? JSON.parse(`[${job.sources_json}]`) : [];
+    job.skills = await getJobSkills(id);
     
     res.json(job);
     
@@ -425,62 +587,48 @@ router.get('/jobs/:id', async (req, res) => {
   }
 });
 
-// Get job statistics
-router.get('/jobs/stats', async (req, res) => {
+// Get the change history of a job - one revision per scrape that changed it, newest first
+router.get('/jobs/:id/history', async (req, res) => {
   try {
     const db = getDatabase();
+    const { id } = req.params;
     
-    const stats = await new Promise((resolve, reject) => {
-      db.get(`
-        SELECT 
-          COUNT(*) as total_jobs,
-          COUNT(DISTINCT company) as unique_companies,
-          COUNT(DISTINCT category) as unique_categories,
-          COUNT(DISTINCT location) as unique_locations,
-          AVG(salary_min) as avg_salary_min,
-          AVG(salary_max) as avg_salary_max
-        FROM jobs
-      `, (err, row) => {
+    const job = await new Promise((resolve, reject) => {
+      db.get('SELECT id FROM jobs WHERE id = ?', [id], (err, row) => {
         if (err) reject(err);
         else resolve(row);
       });
     });
     
-    // Get jobs by category
-    const categoryStats = await new Promise((resolve, reject) => {
-      db.all(`
-        SELECT category, COUNT(*) as count
-        FROM jobs
-        GROUP BY category
-        ORDER BY count DESC
-      `, (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
-      });
-    });
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
     
-    // Get jobs by source
-    const sourceStats = await new Promise((resolve, reject) => {
+    const revisions = await new Promise((resolve, reject) => {
       db.all(`
-        SELECT js.site, COUNT(*) as count
-        FROM job_sources js
-        GROUP BY js.site
-        ORDER BY count DESC
-      `, (err, rows) => {
+        SELECT id, scrape_run_id, changes, changed_at
+        FROM job_revisions
+        WHERE job_id = ?
+        ORDER BY changed_at DESC, id DESC
+      `, [id], (err, rows) => {
         if (err) reject(err);
-        else resolve(rows);
+        else resolve(rows || []);
       });
     });
     
     res.json({
-      ...stats,
-      categoryBreakdown: categoryStats,
-      sourceBreakdown: sourceStats
+      jobId: id,
+      revisions: revisions.map(r => ({
+        id: r.id,
+        scrapeRunId: r.scrape_run_id,
+        changedAt: r.changed_at,
+        changes: JSON.parse(r.changes)
+      }))
     });
     
   } catch (error) {
-    logger.error('Error fetching job stats:', error);
-    res.status(500).json({ error: 'Failed to fetch job statistics' });
+    logger.error('Error fetching job history:', error);
+    res.status(500).json({ error: 'Failed to fetch job history' });
   }
 });
 
@@ -493,6 +641,7 @@ router.get('/companies', async (req, res) => {
       db.all(`
         SELECT DISTINCT company, COUNT(*) as job_count
         FROM jobs
+        WHERE status != 'closed'
         GROUP BY company
         ORDER BY company ASC
       `, [], (err, rows) => {
@@ -523,7 +672,7 @@ router.get('/categories', async (req, res) => {
       db.all(`
         SELECT DISTINCT category, COUNT(*) as job_count
         FROM jobs
-        WHERE category IS NOT NULL AND category != ''
+        WHERE category IS NOT NULL AND category != '' AND status != 'closed'
         GROUP BY category
         ORDER BY category ASC
       `, [], (err, rows) => {
@@ -532,10 +681,26 @@ router.get('/categories', async (req, res) => {
       });
     });
     
+    const subcategories = await new Promise((resolve, reject) => {
+      db.all(`
+        SELECT category, subcategory, COUNT(*) as job_count
+        FROM jobs
+        WHERE subcategory IS NOT NULL AND status != 'closed'
+        GROUP BY category, subcategory
+        ORDER BY subcategory ASC
+      `, [], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+    
     res.json({
       categories: categories.map(c => ({
         name: c.category,
-        jobCount: c.job_count
+        jobCount: c.job_count,
+        subcategories: subcategories
+          .filter(s => s.category === c.category)
+          .map(s => ({ name: s.subcategory, jobCount: s.job_count }))
       }))
     });
     
@@ -545,27 +710,43 @@ router.get('/categories', async (req, res) => {
   }
 });
 
-// Get scraping logs (Jora only - filter out old entries from other sites)
+// Get scraping run history - one row per site per run, newest first
+// Optional ?site=jora and ?status=partial filters
 router.get('/scraping/logs', async (req, res) => {
   try {
     const db = getDatabase();
-    const { limit = 50 } = req.query;
+    const { limit = 50, site, status } = req.query;
+    
+    const conditions = [];
+    const params = [];
+    if (site) {
+      conditions.push('site = ?');
+      params.push(String(site).toLowerCase());
+    }
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+    params.push(parseInt(limit));
     
-    // Only return logs for Jora scraping (ignore old Indeed, Seek, LinkedIn, Glassdoor entries)
     const logs = await new Promise((resolve, reject) => {
       db.all(`
         SELECT *
         FROM scraping_logs
-        WHERE site = 'jora' OR site IS NULL OR site = ''
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
         ORDER BY started_at DESC
         LIMIT ?
-      `, [parseInt(limit)], (err, rows) => {
+      `, params, (err, rows) => {
         if (err) reject(err);
         else resolve(rows || []);
       });
     });
     
-    res.json(logs);
+    // details holds per-search-term page counts and page errors as JSON
+    res.json(logs.map(log => ({
+      ...log,
+      details: log.details ? JSON.parse(log.details) : null
+    })));
     
   } catch (error) {
     logger.error('Error fetching scraping logs:', error);
@@ -573,36 +754,88 @@ router.get('/scraping/logs', async (req, res) => {
   }
 });
 
-// Trigger manual scraping (Jora only)
-router.post('/scraping/trigger', async (req, res) => {
+// Get extraction health per site - recent runs plus the rolling baseline they are compared with
+// Optional ?site=jora and ?limit=20 (runs per site)
+router.get('/scraping/health', async (req, res) => {
   try {
-    // Jora is the only supported site now
-    const { scrapeAllSites } = await import('../scrapers/scrapeAll.js');
-    scrapeAllSites(['jora'])
-      .then(() => { logger.info('Manual scraping completed (Jora)'); })
-      .catch((error) => { logger.error('Manual scraping failed:', error); });
-    res.json({ message: 'Scraping started', sites: ['jora'] });
+    const { site, limit = 20 } = req.query;
+    
+    const sites = site
+      ? [String(site).toLowerCase()]
+      : (await dbAll('SELECT DISTINCT site FROM extraction_health ORDER BY site')).map(r => r.site);
+    
+    const health = await Promise.all(sites.map(async (name) => {
+      const runs = await listExtractionHealth(name, parseInt(limit));
+      return {
+        site: name,
+        healthy: runs.length === 0 || runs[0].alerts.length === 0,
+        latest: runs[0] || null,
+        baseline: await getHealthBaseline(name),
+        runs
+      };
+    }));
+    
+    res.json({ sites: health });
     
   } catch (error) {
-    logger.error('Error triggering scraping:', error);
-    res.status(500).json({ error: 'Failed to trigger scraping' });
+    logger.error('Error fetching extraction health:', error);
+    res.status(500).json({ error: 'Failed to fetch extraction health' });
   }
 });
 
-// Also support GET for convenience (though POST is preferred)
-router.get('/scraping/trigger', async (req, res) => {
+// Resolve requested site names against the scraper registry
+// Returns { sites } or { error } when an unknown site is requested
+const resolveScrapeSites = async (requested) => {
+  const { listScrapers } = await import('../scrapers/registry.js');
+  const registered = listScrapers();
+  
+  const sites = (typeof requested === 'string' ? requested.split(',') : (requested || []))
+    .map(s => String(s).trim().toLowerCase())
+    .filter(Boolean);
+  
+  if (sites.length === 0) {
+    return { sites: registered };
+  }
+  
+  const unknown = sites.filter(s => !registered.includes(s));
+  if (unknown.length > 0) {
+    return { error: `Unknown scraping site(s): ${unknown.join(', ')}. Available: ${registered.join(', ')}` };
+  }
+  
+  return { sites };
+};
+
+const SCRAPE_MODES = ['full', 'incremental'];
+
+const triggerScraping = async (req, res) => {
   try {
-    // Jora is the only supported site now
-    const { scrapeAllSites } = await import('../scrapers/scrapeAll.js');
-    scrapeAllSites(['jora'])
-      .then(() => { logger.info('Manual scraping completed (Jora)'); })
-      .catch((error) => { logger.error('Manual scraping failed:', error); });
-    res.json({ message: 'Scraping started', sites: ['jora'] });
+    const { scrapeQueue } = await import('../services/scrapeQueue.js');
+    const { sites, error } = await resolveScrapeSites(req.body?.sites || req.query.sites);
+    
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const mode = req.body?.mode || req.query.mode || 'full';
+    if (!SCRAPE_MODES.includes(mode)) {
+      return res.status(400).json({ error: `Invalid mode: ${mode}. Expected one of: ${SCRAPE_MODES.join(', ')}` });
+    }
+    
+    // Queued behind any scrape already running - poll /scraping/queue/:id for progress
+    const job = await scrapeQueue.enqueue(sites, { mode }, { trigger: 'manual' });
+    res.json({ message: 'Scraping queued', jobId: job.id, status: job.status, sites, mode });
     
   } catch (error) {
     logger.error('Error triggering scraping:', error);
     res.status(500).json({ error: 'Failed to trigger scraping' });
   }
-});
+};
+
+// Trigger manual scraping - body.sites picks registered scrapers, defaults to all;
+// body.mode is 'full' (default) or 'incremental'
+router.post('/scraping/trigger', triggerScraping);
+
+// Also support GET for convenience (though POST is preferred) - ?sites=jora&mode=incremental
+router.get('/scraping/trigger', triggerScraping);
 
 export default router;
@@ -1,77 +1,107 @@
 import express from 'express';
-import { JoraScraper } from '../scrapers/jora.js';
 import { getDatabase } from '../database/init.js';
+import { listScrapeJobs, SCRAPE_JOB_STATUSES } from '../database/scrapeJobs.js';
+import { scrapeQueue } from '../services/scrapeQueue.js';
+import { expandRoleQuery } from '../scrapers/roleSynonyms.js';
+import { JOB_STATUSES } from '../scrapers/lifecycle.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
 
-// On-demand scraping with exact Jora URL format
+// Limits for on-demand searches - they run in the shared scrape queue, so keep them short
+const MAX_QUERY_LENGTH = 100;
+const MAX_ON_DEMAND_JOBS = 100;
+const MAX_TIME_BUDGET_SECONDS = 600;
+const DEFAULT_TIME_BUDGET_SECONDS = parseInt(process.env.ON_DEMAND_TIME_BUDGET_SECONDS) || 120;
+
+/**
+ * POST /api/v1/scraping/scrape-on-demand
+ * Search Jora for the user's query, expanded with the role's synonyms, and save
+ * what's found. Body: searchQuery (required), location (default Sydney NSW),
+ * maxJobs (default 15) and timeBudgetSeconds - the search stops at whichever
+ * limit comes first. Returns 202 straight away with the run id to poll
+ * (GET /queue/:id) while the scrape runs in the queue.
+ */
 router.post('/scrape-on-demand', async (req, res) => {
   try {
-    const { searchQuery, location = 'Sydney NSW', maxJobs = 15 } = req.body;
+    const {
+      searchQuery,
+      location = 'Sydney NSW',
+      maxJobs = 15,
+      timeBudgetSeconds = DEFAULT_TIME_BUDGET_SECONDS
+    } = req.body || {};
 
-    if (!searchQuery || !searchQuery.trim()) {
+    const errors = [];
+    if (typeof searchQuery !== 'string' || !searchQuery.trim()) {
+      errors.push('searchQuery is required');
+    } else if (searchQuery.trim().length > MAX_QUERY_LENGTH) {
+      errors.push(`searchQuery must be at most ${MAX_QUERY_LENGTH} characters`);
+    }
+    if (typeof location !== 'string' || !location.trim()) {
+      errors.push('location must be a non-empty string');
+    }
+    if (!Number.isInteger(maxJobs) || maxJobs < 1 || maxJobs > MAX_ON_DEMAND_JOBS) {
+      errors.push(`maxJobs must be an integer between 1 and ${MAX_ON_DEMAND_JOBS}`);
+    }
+    if (typeof timeBudgetSeconds !== 'number' || timeBudgetSeconds < 10 || timeBudgetSeconds > MAX_TIME_BUDGET_SECONDS) {
+      errors.push(`timeBudgetSeconds must be between 10 and ${MAX_TIME_BUDGET_SECONDS}`);
+    }
+    if (errors.length > 0) {
       return res.status(400).json({
         success: false,
-        message: 'Search query is required'
+        message: 'Invalid on-demand scrape',
+        details: errors
       });
     }
 
-    logger.info(`Starting on-demand scraping with exact URL format for: "${searchQuery}" in ${location}`);
-
-    // Perform scraping in background
-    try {
-      const scraper = new JoraScraper();
-      
-      // Use the exact URL format with OR search terms
-      // The search query from user is used for filtering/logging, but we use the exact OR terms
-      // Scrape up to 10 pages to get more diverse job types: developer, programmer, software engineer, frontend, backend, data, analyst, cloud, cybersecurity, web, IT, designer
-      const jobsFound = await scraper.scrapeWithExactUrl(location, 10);
-      
-      // Save jobs to database
-      await scraper.saveJobsToDatabase(jobsFound);
-      
-      logger.info(`On-demand scraping completed: ${jobsFound.length} jobs found and saved`);
-      
-      // Return success response
-      res.json({
-        success: true,
-        message: 'Scraping completed successfully',
-        jobsFound: jobsFound.length,
-        searchQuery,
-        location
-      });
-      
-    } catch (scrapingError) {
-      logger.error(`On-demand scraping failed:`, scrapingError);
-      
-      if (!res.headersSent) {
-        res.status(500).json({
-          success: false,
-          message: 'Scraping failed',
-          error: scrapingError.message
-        });
-      }
-    }
-    
+    const query = searchQuery.trim();
+    const keywords = expandRoleQuery(query);
+    const job = await scrapeQueue.enqueue(['jora'], {
+      query,
+      location: location.trim(),
+      maxJobs,
+      timeBudgetMs: timeBudgetSeconds * 1000,
+      maxPages: 10
+    }, { trigger: 'on-demand' });
+
+    logger.info(`Queued on-demand scrape ${job.id} for "${query}" in ${location} (${keywords.join(' | ')})`);
+
+    res.status(202).json({
+      success: true,
+      message: 'Scraping queued',
+      runId: job.id,
+      status: job.status,
+      searchQuery: query,
+      location: location.trim(),
+      keywords,
+      maxJobs,
+      timeBudgetSeconds
+    });
   } catch (error) {
     logger.error('Error in on-demand scraping endpoint:', error);
-    if (!res.headersSent) {
-      res.status(500).json({
-        success: false,
-        message: 'Internal server error',
-        error: error.message
-      });
-    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to queue on-demand scrape',
+      error: error.message
+    });
   }
 });
 
-// Get scraping status (simplified approach)
+/**
+ * GET /api/v1/scraping/scraping-status
+ * Whether a scrape is running, its live progress (site, search term, page,
+ * jobs collected) and the jobs queued behind it
+ */
 router.get('/scraping-status', async (req, res) => {
   try {
-    res.json({ 
-      status: 'idle',
-      message: 'Scraping system ready'
+    const { status, current, queued } = await scrapeQueue.status();
+    res.json({
+      status,
+      message: status === 'running'
+        ? `Scrape job ${current.id} running${queued.length > 0 ? `, ${queued.length} queued` : ''}`
+        : 'Scraping system ready',
+      current,
+      queued
     });
   } catch (error) {
     logger.error('Error getting scraping status:', error);
@@ -83,15 +113,162 @@ router.get('/scraping-status', async (req, res) => {
   }
 });
 
-// Get jobs with search
+/**
+ * GET /api/v1/scraping/queue
+ * Scrape jobs, newest first (?status=running, ?limit=50)
+ */
+router.get('/queue', async (req, res) => {
+  try {
+    const { status, limit = 50 } = req.query;
+    if (status && !SCRAPE_JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status: ${status}. Expected one of: ${SCRAPE_JOB_STATUSES.join(', ')}` });
+    }
+    const jobs = await listScrapeJobs({ status, limit: parseInt(limit) || 50 });
+    res.json({ jobs });
+  } catch (error) {
+    logger.error('Error fetching scrape queue:', error);
+    res.status(500).json({ error: 'Failed to fetch scrape queue' });
+  }
+});
+
+/**
+ * GET /api/v1/scraping/queue/:id
+ * One scrape job, with live progress while it runs
+ */
+router.get('/queue/:id', async (req, res) => {
+  try {
+    const job = await scrapeQueue.get(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Scrape job not found' });
+    }
+    res.json(job);
+  } catch (error) {
+    logger.error('Error fetching scrape job:', error);
+    res.status(500).json({ error: 'Failed to fetch scrape job' });
+  }
+});
+
+/**
+ * POST /api/v1/scraping/queue/:id/cancel
+ * Cancel a queued scrape job, or stop a running one after its current page
+ * (jobs it has already collected are kept)
+ */
+router.post('/queue/:id/cancel', async (req, res) => {
+  try {
+    const job = await scrapeQueue.get(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Scrape job not found' });
+    }
+
+    const outcome = await scrapeQueue.cancel(job.id);
+    if (!outcome) {
+      const finished = await scrapeQueue.get(job.id);
+      return res.status(409).json({ error: `Scrape job already ${finished.status}` });
+    }
+    res.json({
+      message: outcome === 'cancelled' ? 'Scrape job cancelled' : 'Cancellation requested - the scrape stops after its current page',
+      job: await scrapeQueue.get(job.id)
+    });
+  } catch (error) {
+    logger.error('Error cancelling scrape job:', error);
+    res.status(500).json({ error: 'Failed to cancel scrape job' });
+  }
+});
+
+// Comment line sent periodically so proxies don't close an idle event stream
+const SSE_HEARTBEAT_MS = 15000;
+
+/**
+ * GET /api/v1/scraping/runs/:id/events
+ * Server-Sent Events for one scrape job (the runId returned by scrape-on-demand,
+ * or any queue job id). The stream opens with a "snapshot" event holding the
+ * job and its counters so far, then relays run events as they happen
+ * (started, site-started, page-started, page-finished, jobs-parsed,
+ * duplicates-skipped, jobs-saved, warning, site-finished), each carrying the
+ * running counters. It ends with a "completed" event once the job has
+ * succeeded, failed or been cancelled.
+ */
+router.get('/runs/:id/events', async (req, res) => {
+  let close = () => {};
+  try {
+    const job = await scrapeQueue.get(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Scrape job not found' });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    let eventId = 0;
+    let closed = false;
+    // Nothing is written once the client has gone or the stream has ended
+    const write = (chunk) => {
+      if (closed || res.writableEnded) return;
+      res.write(chunk);
+      res.flush?.(); // compression buffers the response otherwise
+    };
+    const send = (type, data) => write(`id: ${++eventId}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    const unsubscribe = scrapeQueue.subscribe(job.id, (event) => send(event.type, event));
+    const heartbeat = setInterval(() => write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+    close = () => {
+      if (closed) return;
+      closed = true;
+      unsubscribe();
+      clearInterval(heartbeat);
+    };
+    req.on('close', close);
+    res.on('close', close);
+
+    send('snapshot', { runId: job.id, job, counters: job.progress?.counters || null });
+
+    const finished = await scrapeQueue.waitFor(job.id);
+    send('completed', {
+      runId: job.id,
+      status: finished.status,
+      result: finished.result,
+      error: finished.errorMessage,
+      counters: finished.progress?.counters || null
+    });
+    close();
+    res.end();
+  } catch (error) {
+    logger.error('Error streaming scrape job events:', error);
+    close();
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to stream scrape job events' });
+    } else {
+      res.end();
+    }
+  }
+});
+
+// Search saved jobs by title or snippet; closed ones are hidden as on /jobs
 router.get('/jobs/search', async (req, res) => {
   try {
-    const { q: searchQuery, page = 1, limit = 20 } = req.query;
+    const { q: searchQuery, page = 1, limit = 20, status } = req.query;
     const db = getDatabase();
     
     // Simple text search in job titles and descriptions
     const offset = (parseInt(page) - 1) * parseInt(limit);
     const searchTerm = `%${searchQuery}%`;
+    const conditions = ['(j.title LIKE ? OR j.description_snippet LIKE ?)'];
+    const params = [searchTerm, searchTerm];
+    
+    // Closed listings are hidden unless asked for, as on /jobs: status=all, or e.g. status=closed
+    if (status !== 'all') {
+      const statuses = status ? String(status).split(',') : ['active', 'stale'];
+      const invalid = statuses.filter(s => !JOB_STATUSES.includes(s));
+      if (invalid.length > 0) {
+        return res.status(400).json({ error: `Invalid status: ${invalid.join(', ')}. Expected all or one of: ${JOB_STATUSES.join(', ')}` });
+      }
+      conditions.push(`j.status IN (${statuses.map(() => '?').join(',')})`);
+      params.push(...statuses);
+    }
+    const whereClause = conditions.join(' AND ');
     
     const jobs = await new Promise((resolve, reject) => {
       db.all(`
@@ -101,11 +278,11 @@ router.get('/jobs/search', async (req, res) => {
           GROUP_CONCAT(js.url) as urls
         FROM jobs j
         LEFT JOIN job_sources js ON j.id = js.job_id
-        WHERE j.title LIKE ? OR j.description_snippet LIKE ?
+        WHERE ${whereClause}
         GROUP BY j.id
         ORDER BY j.posted_at DESC
         LIMIT ? OFFSET ?
-      `, [searchTerm, searchTerm, parseInt(limit), offset], (err, rows) => {
+      `, [...params, parseInt(limit), offset], (err, rows) => {
         if (err) reject(err);
         else resolve(rows || []);
       });
@@ -115,8 +292,8 @@ router.get('/jobs/search', async (req, res) => {
       db.get(`
         SELECT COUNT(DISTINCT j.id) as count
         FROM jobs j
-        WHERE j.title LIKE ? OR j.description_snippet LIKE ?
-      `, [searchTerm, searchTerm], (err, row) => {
+        WHERE ${whereClause}
+      `, params, (err, row) => {
         if (err) reject(err);
         else resolve(row?.count || 0);
       });
@@ -129,9 +306,16 @@ router.get('/jobs/search', async (req, res) => {
       location: job.location,
       workMode: job.work_mode,
       category: job.category,
+      subcategory: job.subcategory,
       experience: job.experience,
+      yearsRequiredMin: job.years_required_min,
+      yearsRequiredMax: job.years_required_max,
+      employmentType: job.employment_type,
+      contractDurationMonths: job.contract_duration_months,
       salaryMin: job.salary_min,
       salaryMax: job.salary_max,
+      salaryText: job.salary_text,
+      salaryPeriod: job.salary_period,
       descriptionSnippet: job.description_snippet,
       descriptionFull: job.description_full,
       postedAt: job.posted_at,
@@ -4,6 +4,7 @@ import pdfParse from 'pdf-parse';
 import { resumeParser } from '../services/resumeParser.js';
 import { resumeMatcher } from '../services/resumeMatcher.js';
 import { getDatabase } from '../database/init.js';
+import { getSkillsForJobs } from '../database/jobSkills.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
@@ -98,6 +99,7 @@ router.post('/match-jobs', async (req, res) => {
                ) as sources_json
         FROM jobs j
         LEFT JOIN job_sources js ON j.id = js.job_id
+        WHERE j.status != 'closed'
         GROUP BY j.id
         ORDER BY j.posted_at DESC
         LIMIT 500
@@ -214,6 +216,7 @@ router.post('/match-all-jobs', async (req, res) => {
                ) as sources_json
         FROM jobs j
         LEFT JOIN job_sources js ON j.id = js.job_id
+        WHERE j.status != 'closed'
         GROUP BY j.id
         ORDER BY j.posted_at DESC
       `, [], (err, rows) => {
@@ -229,6 +232,7 @@ router.post('/match-all-jobs', async (req, res) => {
     }));
 
     logger.info(`Found ${processedJobs.length} total jobs to match against`);
+    const skillsByJob = await getSkillsForJobs(processedJobs.map(job => job.id));
 
     // Match resume to all jobs with progress tracking
     // Process in smaller batches for better control and to ensure all jobs are processed
@@ -246,7 +250,7 @@ router.post('/match-all-jobs', async (req, res) => {
       // Process batch sequentially to ensure each job is properly analyzed
       for (const job of batch) {
         try {
-          const matchDetails = await resumeMatcher.matchJobToResume(parsedResume, job);
+          const matchDetails = await resumeMatcher.matchJobToResume(parsedResume, resumeMatcher.withStoredSkills(job, skillsByJob));
           
           // Only include jobs with match percentage >= 40% (strict threshold)
           if (matchDetails.matchPercentage >= 40) {
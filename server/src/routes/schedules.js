@@ -0,0 +1,170 @@
+import express from 'express';
+import {
+  listScrapeSchedules,
+  getScrapeSchedule,
+  createScrapeSchedule,
+  updateScrapeSchedule,
+  deleteScrapeSchedule,
+  validateScrapeSchedule,
+  DEFAULT_SCHEDULE_TIMEZONE
+} from '../database/scrapeSchedules.js';
+import { getSearchProfile } from '../database/searchProfiles.js';
+import { reloadScrapeSchedules } from '../scheduler/index.js';
+import { listScrapers } from '../scrapers/registry.js';
+import { isValidCron, isValidTimezone, nextCronRuns } from '../utils/cron.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+const MAX_PREVIEW_RUNS = 20;
+
+const isUniqueViolation = (error) =>
+  error && error.code === 'SQLITE_CONSTRAINT' && /UNIQUE/i.test(error.message);
+
+// Paused schedules have no upcoming runs
+const withNextRuns = (schedule, count) => ({
+  ...schedule,
+  nextRuns: schedule.enabled
+    ? nextCronRuns(schedule.cron, { timezone: schedule.timezone, count }).map(date => date.toISOString())
+    : []
+});
+
+// Search profile ids that don't exist
+const findMissingProfiles = async (profileIds) => {
+  if (!Array.isArray(profileIds)) return [];
+  const found = await Promise.all(profileIds.map(id => getSearchProfile(id)));
+  return profileIds.filter((id, index) => !found[index]);
+};
+
+/**
+ * GET /api/v1/schedules
+ * List scrape schedules with their last run and next 3 runs (?enabled=true for enabled only)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const schedules = await listScrapeSchedules({ enabledOnly: req.query.enabled === 'true' });
+    res.json({ schedules: schedules.map(schedule => withNextRuns(schedule, 3)) });
+  } catch (error) {
+    logger.error('Error fetching scrape schedules:', error);
+    res.status(500).json({ error: 'Failed to fetch scrape schedules' });
+  }
+});
+
+/**
+ * GET /api/v1/schedules/preview
+ * When a cron expression would run, before saving it
+ * (?cron=0 3 * * *&timezone=Australia/Sydney&count=5)
+ */
+router.get('/preview', (req, res) => {
+  try {
+    const { cron, timezone = DEFAULT_SCHEDULE_TIMEZONE } = req.query;
+    const count = Math.min(parseInt(req.query.count) || 5, MAX_PREVIEW_RUNS);
+
+    const errors = [];
+    if (!isValidCron(cron)) errors.push('cron must be a valid cron expression');
+    if (!isValidTimezone(timezone)) errors.push('timezone must be an IANA timezone, e.g. Australia/Sydney');
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid schedule preview', details: errors });
+    }
+
+    const nextRuns = nextCronRuns(cron, { timezone, count }).map(date => date.toISOString());
+    res.json({ cron, timezone, nextRuns });
+  } catch (error) {
+    logger.error('Error previewing scrape schedule:', error);
+    res.status(500).json({ error: 'Failed to preview scrape schedule' });
+  }
+});
+
+/**
+ * GET /api/v1/schedules/:id
+ * One schedule with its last run and next 5 runs
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const schedule = await getScrapeSchedule(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Scrape schedule not found' });
+    }
+    res.json(withNextRuns(schedule, 5));
+  } catch (error) {
+    logger.error('Error fetching scrape schedule:', error);
+    res.status(500).json({ error: 'Failed to fetch scrape schedule' });
+  }
+});
+
+/**
+ * POST /api/v1/schedules
+ * Add a scrape schedule - it starts running straight away unless enabled is false
+ */
+router.post('/', async (req, res) => {
+  try {
+    const data = req.body || {};
+    const errors = validateScrapeSchedule(data, false, listScrapers());
+    const missingProfiles = await findMissingProfiles(data.profileIds);
+    if (missingProfiles.length > 0) errors.push(`Unknown search profiles: ${missingProfiles.join(', ')}`);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid scrape schedule', details: errors });
+    }
+
+    const schedule = await createScrapeSchedule(data);
+    await reloadScrapeSchedules();
+    logger.info(`Created scrape schedule "${schedule.name}" (${schedule.id}): "${schedule.cron}" ${schedule.timezone}`);
+    res.status(201).json(withNextRuns(schedule, 5));
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      return res.status(409).json({ error: 'A schedule with that name already exists' });
+    }
+    logger.error('Error creating scrape schedule:', error);
+    res.status(500).json({ error: 'Failed to create scrape schedule' });
+  }
+});
+
+/**
+ * PUT /api/v1/schedules/:id
+ * Update a schedule - only the supplied fields change; { "enabled": false } pauses it
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const data = req.body || {};
+    const errors = validateScrapeSchedule(data, true, listScrapers());
+    const missingProfiles = await findMissingProfiles(data.profileIds);
+    if (missingProfiles.length > 0) errors.push(`Unknown search profiles: ${missingProfiles.join(', ')}`);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid scrape schedule', details: errors });
+    }
+
+    const schedule = await updateScrapeSchedule(req.params.id, data);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Scrape schedule not found' });
+    }
+    await reloadScrapeSchedules();
+    logger.info(`Updated scrape schedule "${schedule.name}" (${schedule.id})${schedule.enabled ? '' : ' - paused'}`);
+    res.json(withNextRuns(schedule, 5));
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      return res.status(409).json({ error: 'A schedule with that name already exists' });
+    }
+    logger.error('Error updating scrape schedule:', error);
+    res.status(500).json({ error: 'Failed to update scrape schedule' });
+  }
+});
+
+/**
+ * DELETE /api/v1/schedules/:id
+ * Remove a schedule - a scrape it already queued still runs
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await deleteScrapeSchedule(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Scrape schedule not found' });
+    }
+    await reloadScrapeSchedules();
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error deleting scrape schedule:', error);
+    res.status(500).json({ error: 'Failed to delete scrape schedule' });
+  }
+});
+
+export default router;
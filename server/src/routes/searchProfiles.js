@@ -0,0 +1,113 @@
+import express from 'express';
+import {
+  listSearchProfiles,
+  getSearchProfile,
+  createSearchProfile,
+  updateSearchProfile,
+  deleteSearchProfile,
+  validateSearchProfile
+} from '../database/searchProfiles.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+const isUniqueViolation = (error) =>
+  error && error.code === 'SQLITE_CONSTRAINT' && /UNIQUE/i.test(error.message);
+
+/**
+ * GET /api/v1/search-profiles
+ * List search profiles (?enabled=true for enabled profiles only)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const profiles = await listSearchProfiles({ enabledOnly: req.query.enabled === 'true' });
+    res.json({ profiles });
+  } catch (error) {
+    logger.error('Error fetching search profiles:', error);
+    res.status(500).json({ error: 'Failed to fetch search profiles' });
+  }
+});
+
+/**
+ * GET /api/v1/search-profiles/:id
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const profile = await getSearchProfile(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ error: 'Search profile not found' });
+    }
+    res.json(profile);
+  } catch (error) {
+    logger.error('Error fetching search profile:', error);
+    res.status(500).json({ error: 'Failed to fetch search profile' });
+  }
+});
+
+/**
+ * POST /api/v1/search-profiles
+ * Create a search profile
+ */
+router.post('/', async (req, res) => {
+  try {
+    const data = req.body || {};
+    const errors = validateSearchProfile(data);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid search profile', details: errors });
+    }
+
+    const profile = await createSearchProfile(data);
+    logger.info(`Created search profile "${profile.name}" (${profile.id})`);
+    res.status(201).json(profile);
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      return res.status(409).json({ error: 'A search profile with that name already exists' });
+    }
+    logger.error('Error creating search profile:', error);
+    res.status(500).json({ error: 'Failed to create search profile' });
+  }
+});
+
+/**
+ * PUT /api/v1/search-profiles/:id
+ * Update a search profile - only the supplied fields change
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const data = req.body || {};
+    const errors = validateSearchProfile(data, true);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid search profile', details: errors });
+    }
+
+    const profile = await updateSearchProfile(req.params.id, data);
+    if (!profile) {
+      return res.status(404).json({ error: 'Search profile not found' });
+    }
+    res.json(profile);
+  } catch (error) {
+    if (isUniqueViolation(error)) {
+      return res.status(409).json({ error: 'A search profile with that name already exists' });
+    }
+    logger.error('Error updating search profile:', error);
+    res.status(500).json({ error: 'Failed to update search profile' });
+  }
+});
+
+/**
+ * DELETE /api/v1/search-profiles/:id
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await deleteSearchProfile(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Search profile not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Error deleting search profile:', error);
+    res.status(500).json({ error: 'Failed to delete search profile' });
+  }
+});
+
+export default router;
@@ -1,35 +1,79 @@
 import cron from 'node-cron';
-import { scrapeAllSites } from '../scrapers/scrapeAll.js';
+import '../scrapers/adapters/index.js';
+import { listScrapers } from '../scrapers/registry.js';
+import { getScrapeSchedule, listScrapeSchedules, recordScheduleRun } from '../database/scrapeSchedules.js';
+import { scrapeQueue } from '../services/scrapeQueue.js';
 import logger from '../utils/logger.js';
 
-export function startScrapingScheduler() {
-  // Schedule scraping every 6 hours
-  cron.schedule('0 */6 * * *', async () => {
-    logger.info('Starting scheduled scraping job');
-    try {
-      const results = await scrapeAllSites();
-      logger.info('Scheduled scraping completed:', results);
-    } catch (error) {
-      logger.error('Scheduled scraping failed:', error);
-    }
-  }, {
-    scheduled: true,
-    timezone: "Australia/Sydney"
-  });
-
-  // Schedule a lighter scraping job every 2 hours (Jora only)
-  cron.schedule('0 */2 * * *', async () => {
-    logger.info('Starting light scraping job (Jora)');
-    try {
-      const results = await scrapeAllSites(['jora']);
-      logger.info('Light scraping completed:', results);
-    } catch (error) {
-      logger.error('Light scraping failed:', error);
+// Cron tasks of the enabled schedules, by schedule id
+const tasks = new Map();
+let reloading = Promise.resolve();
+
+/**
+ * Queue a schedule's scrape, leaving out sites another scrape already has queued or running
+ * Scheduled scrapes go through the queue like manual ones, so they never overlap
+ * a running scrape; coalescing keeps a slow run - this schedule's, another
+ * schedule's or the boot scrape - from stacking up copies of itself.
+ * @param {number} id - Schedule id
+ * @returns {Promise<'queued'|'skipped'|'error'|null>} null when the schedule is gone or disabled,
+ *   skipped when every site was already covered
+ */
+export async function runSchedule(id) {
+  const schedule = await getScrapeSchedule(id);
+  if (!schedule || !schedule.enabled) return null;
+
+  try {
+    const options = { mode: schedule.mode };
+    if (schedule.profileIds) options.profileIds = schedule.profileIds;
+    const { job, skipped } = await scrapeQueue.enqueueUncovered(schedule.sites || listScrapers(), options, { trigger: 'schedule' });
+    const message = skipped.length > 0
+      ? `Already ${skipped.map(s => `${s.status}: ${s.site} (scrape job ${s.jobId})`).join(', ')}`
+      : null;
+
+    if (!job) {
+      await recordScheduleRun(id, { outcome: 'skipped', message });
+      logger.warn(`Skipped scheduled scrape "${schedule.name}": ${message}`);
+      return 'skipped';
     }
-  }, {
-    scheduled: true,
-    timezone: "Australia/Sydney"
-  });
 
-  logger.info('Scraping scheduler started - Full scraping every 6 hours (Jora), light scraping every 2 hours (Jora)');
+    await recordScheduleRun(id, { outcome: 'queued', jobId: job.id, message });
+    logger.info(`Queued scheduled scrape "${schedule.name}" (scrape job ${job.id})${message ? ` - ${message}` : ''}`);
+    return 'queued';
+  } catch (error) {
+    logger.error(`Failed to queue scheduled scrape "${schedule.name}":`, error);
+    await recordScheduleRun(id, { outcome: 'error', message: error.message }).catch(() => {});
+    return 'error';
+  }
+}
+
+async function scheduleTasks() {
+  const schedules = await listScrapeSchedules({ enabledOnly: true });
+
+  for (const task of tasks.values()) task.stop();
+  tasks.clear();
+
+  for (const schedule of schedules) {
+    tasks.set(schedule.id, cron.schedule(schedule.cron, () => runSchedule(schedule.id), {
+      scheduled: true,
+      timezone: schedule.timezone
+    }));
+  }
+  return schedules;
+}
+
+/**
+ * Replace the cron tasks with the enabled schedules in the database
+ * Called after every schedule change, so edits and pauses apply immediately.
+ * Reloads run one after another, so the last change always wins.
+ * @returns {Promise<Object[]>} The schedules now running
+ */
+export function reloadScrapeSchedules() {
+  reloading = reloading.catch(() => {}).then(scheduleTasks);
+  return reloading;
+}
+
+export async function startScrapingScheduler() {
+  const schedules = await reloadScrapeSchedules();
+  const summary = schedules.map(s => `${s.name} "${s.cron}" (${s.timezone})`).join(', ');
+  logger.info(`Scraping scheduler started - ${schedules.length} enabled schedule(s)${summary ? `: ${summary}` : ''}`);
 }
@@ -0,0 +1,30 @@
+import { registerScraper } from '../registry.js';
+import { ATS_PROVIDERS, AtsBoardScraper } from '../atsBoards.js';
+import { listCompanySources } from '../../database/companySources.js';
+
+// Boards passed in directly (slugs or { target, company }) win, then enabled sources of that kind
+async function resolveBoards(provider, { boards }) {
+  if (Array.isArray(boards) && boards.length > 0) {
+    return boards.map(board => (typeof board === 'string' ? { target: board } : board));
+  }
+  return listCompanySources({ kind: provider, enabledOnly: true });
+}
+
+// One adapter per applicant tracking system; a "card" is one entry of the board JSON
+for (const provider of Object.keys(ATS_PROVIDERS)) {
+  registerScraper({
+    name: provider,
+    site: 'Company',
+    search: async (options = {}, run) => {
+      const scraper = new AtsBoardScraper(provider, { ...options, run });
+      return scraper.importBoards(await resolveBoards(provider, options));
+    },
+    parseCard: (_$, entry) => entry,
+    normalise: (entry, context = {}) => ATS_PROVIDERS[provider].toJob(entry, {
+      company: context.company || 'Unknown',
+      now: new Date()
+    }),
+    // Board entries carry stable ids - the URL-based fallback in buildJobId would collide
+    jobId: (job) => `${provider}_${job.sources[0].externalId}`
+  });
+}
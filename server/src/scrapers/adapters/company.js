@@ -0,0 +1,28 @@
+import { registerScraper } from '../registry.js';
+import { CareersPageScraper, companyJobId } from '../careersPages.js';
+import { extractJobPostings, jobPostingToJob } from '../schemaOrg.js';
+import { listCompanySources } from '../../database/companySources.js';
+
+// Pages passed in directly (urls or { target, company }) win, then enabled careers_page sources
+async function resolvePages({ careersPages }) {
+  if (Array.isArray(careersPages) && careersPages.length > 0) {
+    return careersPages.map(page => (typeof page === 'string' ? { target: page } : page));
+  }
+  return listCompanySources({ kind: 'careers_page', enabledOnly: true });
+}
+
+export default registerScraper({
+  name: 'company',
+  site: 'Company',
+  search: async (options = {}, run) => {
+    const scraper = new CareersPageScraper({ ...options, run });
+    return scraper.scrapePages(await resolvePages(options));
+  },
+  // A "card" is one JobPosting - a JSON-LD script block or a microdata element
+  parseCard: ($, el) => extractJobPostings($.html(el))[0] || null,
+  normalise: (card, context = {}) => jobPostingToJob(card, {
+    pageUrl: context.pageUrl || card.url || '',
+    company: context.company
+  }),
+  jobId: companyJobId('company')
+});
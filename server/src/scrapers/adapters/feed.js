@@ -0,0 +1,38 @@
+import { createHash } from 'crypto';
+import { registerScraper } from '../registry.js';
+import { FeedScraper, feedItemToJob } from '../feeds.js';
+import { getJobFeed, listJobFeeds, recordFeedPoll } from '../../database/jobFeeds.js';
+
+// Feeds passed in directly (urls or { url, name, company }) win, then ids, then every enabled feed
+async function resolveFeeds({ feeds, feedIds }) {
+  if (Array.isArray(feeds) && feeds.length > 0) {
+    return feeds.map(feed => (typeof feed === 'string' ? { url: feed } : feed));
+  }
+
+  if (Array.isArray(feedIds) && feedIds.length > 0) {
+    const found = await Promise.all(feedIds.map(id => getJobFeed(id)));
+    return found.filter(Boolean);
+  }
+
+  return listJobFeeds({ enabledOnly: true });
+}
+
+export default registerScraper({
+  name: 'feed',
+  site: 'Other',
+  search: async (options = {}, run) => {
+    const scraper = new FeedScraper({ ...options, run });
+    return scraper.pollFeeds(await resolveFeeds(options), async (feed, outcome) => {
+      if (feed.id) await recordFeedPoll(feed.id, outcome);
+    });
+  },
+  // A "card" is one parsed feed item (see parseFeed)
+  parseCard: (_$, item) => item,
+  normalise: (item, context = {}) => feedItemToJob(item, context.feed || { url: item.link }),
+  // guids are opaque strings of any length - hash them into a stable id
+  jobId: (job) => `feed_${createHash('sha1').update(job.sources[0].externalId).digest('hex').slice(0, 24)}`,
+  // Items fall off a feed long before the vacancy closes, so missing one proves nothing
+  closesUnseenJobs: false,
+  // The guid identifies an item even when its link changes
+  matchExternalId: true
+});
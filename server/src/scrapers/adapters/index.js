@@ -0,0 +1,6 @@
+// Importing an adapter registers it with the scraper registry.
+// Add new job boards here.
+import './jora.js';
+import './company.js';
+import './ats.js';
+import './feed.js';
@@ -0,0 +1,46 @@
+import { registerScraper } from '../registry.js';
+import { JoraScraper } from '../jora.js';
+import { DEFAULT_SEARCH_PROFILES, getSearchProfile, listSearchProfiles } from '../../database/searchProfiles.js';
+
+// Shared instance for stateless card parsing; searches get their own scraper
+const parser = new JoraScraper();
+
+// Profiles passed in directly win, then ids, then every enabled profile in the database
+async function resolveProfiles({ profiles, profileIds }) {
+  if (Array.isArray(profiles) && profiles.length > 0) return profiles;
+
+  if (Array.isArray(profileIds) && profileIds.length > 0) {
+    const found = await Promise.all(profileIds.map(id => getSearchProfile(id)));
+    return found.filter(Boolean);
+  }
+
+  const enabled = await listSearchProfiles({ enabledOnly: true });
+  return enabled.length > 0 ? enabled : DEFAULT_SEARCH_PROFILES;
+}
+
+export default registerScraper({
+  name: 'jora',
+  site: 'Jora',
+  search: async (options = {}, run) => {
+    // Fixture options (fixtureMode, fixtureDir, now) are read by the scraper itself
+    const scraper = new JoraScraper({ ...options, run });
+
+    // A query searches for that role (on-demand scraping)
+    if (options.query) {
+      return scraper.scrapeQuery(options.query, { location: options.location, maxPages: options.maxPages });
+    }
+
+    // An explicit location runs the default searches there
+    if (options.location && !options.profiles && !options.profileIds) {
+      return scraper.scrapeWithExactUrl(options.location, options.maxPages);
+    }
+
+    return scraper.scrapeProfiles(await resolveProfiles(options));
+  },
+  enrichDetails: (options = {}, run) => {
+    const scraper = new JoraScraper({ ...options, run });
+    return scraper.enrichJobDetails({ limit: options.detailLimit });
+  },
+  parseCard: ($, el, i) => parser.parseCard($, el, i),
+  normalise: (card) => parser.normaliseJob(card)
+});
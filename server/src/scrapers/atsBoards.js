@@ -0,0 +1,255 @@
+import { load } from 'cheerio';
+import { createFixtureStore } from './fixtures.js';
+import { determineWorkMode, makeSnippet, normaliseEmploymentType } from './jobFields.js';
+import { extractEmploymentType } from './employmentType.js';
+import { extractSeniority } from './seniority.js';
+import { crawlPolicy } from '../services/crawlPolicy.js';
+import { httpFetchHtml } from '../services/fetchStrategy.js';
+import { htmlToText } from '../utils/html.js';
+import { annualiseSalary, parseSalary } from '../utils/salary.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Applicant tracking system board importers
+ * Greenhouse, Lever and Workable publish each company's openings as public
+ * JSON keyed by a board slug. Those entries are far more structured than job
+ * board cards, so they map straight onto our job model without scraping.
+ * parseBoard is pure, so saved payloads (fixtures/ats/) can be checked offline.
+ */
+
+// Lever salaryRange.interval to our pay periods
+const LEVER_INTERVALS = {
+  'per-hour-wage': 'hour',
+  'per-day-wage': 'day',
+  'per-week-salary': 'week',
+  'per-month-salary': 'month',
+  'per-year-salary': 'year'
+};
+
+const toIsoDate = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const unique = (values) => [...new Set(values.map(v => (v || '').trim()).filter(Boolean))];
+
+// Greenhouse escapes its HTML (&lt;p&gt;...) - decode before converting to text
+const decodeHtml = (html) => (html ? load(`<div>${html}</div>`)('div').first().text() : '');
+
+const titleCase = (slug) => slug.replace(/[-_.]+/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+
+const workModeFrom = (flag, text) => {
+  const value = (flag || '').toLowerCase().replace(/[_\s]/g, '-');
+  if (value === 'remote') return 'Remote';
+  if (value === 'hybrid') return 'Hybrid';
+  if (value === 'on-site' || value === 'onsite') return 'On-site';
+  return determineWorkMode(text);
+};
+
+/**
+ * Build the shared job shape from the fields every provider has
+ * @returns {Object|null} null when the entry has no title
+ */
+function toJob({ title, company, location, department, remote, workplace, descriptionHtml, employmentType, salary, postedAt, url, externalId }, now) {
+  if (!title || !url) return null;
+
+  const description = htmlToText(descriptionHtml || '');
+  const pay = salary || parseSalary(description);
+  const posted = postedAt || now.toISOString();
+  const seniority = extractSeniority({ title, description });
+  const employment = extractEmploymentType({
+    title,
+    description,
+    salaryPeriod: pay?.period,
+    employmentType: normaliseEmploymentType(employmentType)
+  });
+
+  return {
+    title: title.trim(),
+    company,
+    location: location || (remote ? 'Remote' : 'Australia'),
+    department: department || null,
+    workMode: remote ? 'Remote' : workModeFrom(workplace, `${title} ${location || ''}`),
+    category: null,
+    experience: seniority.level,
+    yearsRequiredMin: seniority.yearsMin,
+    yearsRequiredMax: seniority.yearsMax,
+    employmentType: employment.employmentType,
+    contractDurationMonths: employment.contractDurationMonths,
+    salaryMin: pay?.min ?? null,
+    salaryMax: pay?.max ?? null,
+    salaryText: pay?.text ?? null,
+    salaryPeriod: pay?.period ?? null,
+    salaryIncludesSuper: pay?.includesSuper ?? null,
+    descriptionSnippet: makeSnippet(description) || title,
+    descriptionFull: description || title,
+    postedAt: posted,
+    sources: [{ site: 'Company', url, postedAt: posted, externalId: String(externalId) }]
+  };
+}
+
+export const ATS_PROVIDERS = {
+  // https://developers.greenhouse.io/job-board.html
+  greenhouse: {
+    label: 'Greenhouse',
+    boardUrl: (slug) => `https://boards-api.greenhouse.io/v1/boards/${encodeURIComponent(slug)}/jobs?content=true`,
+    entries: (payload) => payload?.jobs || [],
+    toJob: (job, { company, now }) => {
+      const location = job.location?.name || unique((job.offices || []).map(o => o.location || o.name)).join(' / ');
+      return toJob({
+        title: job.title,
+        company: job.company_name || company,
+        location,
+        department: unique((job.departments || []).map(d => d.name)).join(', '),
+        remote: /\bremote\b/i.test(location || ''),
+        descriptionHtml: decodeHtml(job.content),
+        postedAt: toIsoDate(job.first_published || job.updated_at),
+        url: job.absolute_url,
+        externalId: job.id
+      }, now);
+    }
+  },
+
+  // https://github.com/lever/postings-api
+  lever: {
+    label: 'Lever',
+    boardUrl: (slug) => `https://api.lever.co/v0/postings/${encodeURIComponent(slug)}?mode=json`,
+    entries: (payload) => (Array.isArray(payload) ? payload : []),
+    toJob: (posting, { company, now }) => {
+      const categories = posting.categories || {};
+      const range = posting.salaryRange;
+      const descriptionHtml = [
+        posting.description,
+        ...(posting.lists || []).map(list => `<h3>${list.text}</h3><ul>${list.content}</ul>`),
+        posting.additional
+      ].filter(Boolean).join('\n');
+
+      return toJob({
+        title: posting.text,
+        company,
+        location: unique(categories.allLocations?.length ? categories.allLocations : [categories.location]).join(' / '),
+        department: unique([categories.department, categories.team]).join(' - '),
+        workplace: posting.workplaceType,
+        descriptionHtml,
+        employmentType: categories.commitment,
+        salary: range && LEVER_INTERVALS[range.interval]
+          ? annualiseSalary({ min: range.min, max: range.max, period: LEVER_INTERVALS[range.interval] })
+          : null,
+        postedAt: toIsoDate(posting.createdAt),
+        url: posting.hostedUrl,
+        externalId: posting.id
+      }, now);
+    }
+  },
+
+  // https://workable.readme.io/reference/jobs (public widget endpoint)
+  workable: {
+    label: 'Workable',
+    boardUrl: (slug) => `https://apply.workable.com/api/v1/widget/accounts/${encodeURIComponent(slug)}?details=true`,
+    entries: (payload) => payload?.jobs || [],
+    toJob: (job, { company, now }) => {
+      const locations = (job.locations?.length ? job.locations : [job])
+        .filter(l => !l.hidden)
+        .map(l => [l.city, l.region || l.state].filter(Boolean).join(', ') || l.country);
+
+      return toJob({
+        title: job.title,
+        company,
+        location: unique(locations).join(' / '),
+        department: job.department,
+        remote: job.telecommuting === true,
+        workplace: job.workplace,
+        descriptionHtml: job.description,
+        employmentType: job.employment_type,
+        postedAt: toIsoDate(job.published_on || job.created_at),
+        url: job.url || job.shortlink,
+        externalId: job.shortcode || job.id
+      }, now);
+    }
+  }
+};
+
+/**
+ * Map a board payload onto normalised jobs
+ * @param {'greenhouse'|'lever'|'workable'} provider
+ * @param {Object|Array} payload - Parsed board JSON
+ * @param {Object} source - Company source ({ target: slug, company })
+ * @param {Date} [now]
+ * @returns {Array} Normalised jobs with site 'Company'
+ */
+export function parseBoard(provider, payload, source, now = new Date()) {
+  const ats = ATS_PROVIDERS[provider];
+  if (!ats) throw new Error(`Unknown ATS provider "${provider}"`);
+
+  // Workable names the account in the payload; otherwise the configured name, then the slug
+  const company = source.company || payload?.name || titleCase(source.target);
+  return ats.entries(payload)
+    .map(entry => ats.toJob(entry, { company, now }))
+    .filter(Boolean);
+}
+
+/**
+ * Imports one ATS provider's boards
+ * Board JSON is fetched through the crawl policy and supports the same
+ * record/replay fixtures as the HTML scrapers.
+ */
+export class AtsBoardScraper {
+  /**
+   * @param {'greenhouse'|'lever'|'workable'} provider
+   * @param {Object} options
+   * @param {'record'|'replay'} [options.fixtureMode] - Record fetched boards or replay them offline (env: SCRAPER_FIXTURE_MODE)
+   * @param {string} [options.fixtureDir] - Where fixtures are stored (env: SCRAPER_FIXTURE_DIR)
+   * @param {import('./scrapeRun.js').ScrapeRun} [options.run] - Run record that receives board counts and fetch attempts
+   */
+  constructor(provider, options = {}) {
+    if (!ATS_PROVIDERS[provider]) throw new Error(`Unknown ATS provider "${provider}"`);
+    this.provider = provider;
+    this.label = ATS_PROVIDERS[provider].label;
+    this.fixtures = createFixtureStore(options);
+    this.run = options.run || null;
+  }
+
+  /**
+   * Import every board; a board that fails is recorded and skipped
+   * @param {Array<{target: string, company?: string}>} sources - Board slugs
+   * @returns {Promise<Array>} Normalised jobs
+   */
+  async importBoards(sources) {
+    const jobs = [];
+
+    for (const source of sources) {
+      if (this.run?.cancelled) break;
+      const url = ATS_PROVIDERS[this.provider].boardUrl(source.target);
+      this.run?.recordPageStart(source.target, { page: 1, url });
+      try {
+        const payload = JSON.parse(await this.fetchBoard(url));
+        const boardJobs = parseBoard(this.provider, payload, source);
+        this.run?.recordPage(source.target, { page: 1, url, jobs: boardJobs.length });
+        logger.info(`${this.label}: ${boardJobs.length} openings on board "${source.target}"`);
+        jobs.push(...boardJobs);
+      } catch (error) {
+        logger.error(`${this.label}: Failed to import board "${source.target}": ${error.message}`);
+        this.run?.recordPage(source.target, { page: 1, url, error: error.message });
+      }
+    }
+
+    return jobs;
+  }
+
+  // Fetch a board's JSON text, recording it or serving it from fixtures when enabled
+  async fetchBoard(url) {
+    if (this.fixtures?.isReplaying) {
+      return this.fixtures.load(url).html;
+    }
+
+    const body = await crawlPolicy.fetch(url, () => httpFetchHtml(url), { run: this.run });
+    this.run?.recordFetchStrategy({ url, strategy: 'http' });
+
+    if (this.fixtures?.isRecording) {
+      this.fixtures.save(url, body, new Date());
+    }
+
+    return body;
+  }
+}
@@ -0,0 +1,129 @@
+import { createHash } from 'crypto';
+import { createFixtureStore } from './fixtures.js';
+import { extractJobPostings, jobPostingToJob } from './schemaOrg.js';
+import { fetchHtml } from '../services/fetchStrategy.js';
+import { dbAll } from '../database/init.js';
+import logger from '../utils/logger.js';
+
+// Past company runs searched for the last time each page loaded
+const HISTORY_RUNS = 30;
+
+/**
+ * Company careers page scraper
+ * Reads the schema.org JobPosting data employers publish on their own careers
+ * pages. Each configured page is fetched once (HTTP first, browser fallback);
+ * a page listing several openings yields several jobs. A page that listed
+ * openings last time but now has no JobPosting data at all is more likely
+ * broken (markup change, bot wall) than empty, so it counts as a failed page
+ * and the run can't close that company's jobs.
+ */
+export class CareersPageScraper {
+  /**
+   * @param {Object} options
+   * @param {'record'|'replay'} [options.fixtureMode] - Record fetched pages or replay them offline (env: SCRAPER_FIXTURE_MODE)
+   * @param {string} [options.fixtureDir] - Where fixtures are stored (env: SCRAPER_FIXTURE_DIR)
+   * @param {string|Date} [options.now] - Fixed "now" for expiry checks (env: SCRAPER_FIXED_NOW)
+   * @param {import('./scrapeRun.js').ScrapeRun} [options.run] - Run record that receives page counts and fetch attempts
+   */
+  constructor(options = {}) {
+    this.fixtures = createFixtureStore(options);
+    this.run = options.run || null;
+
+    const fixedNow = options.now || process.env.SCRAPER_FIXED_NOW;
+    this.fixedNow = fixedNow ? new Date(fixedNow) : null;
+    if (this.fixedNow && isNaN(this.fixedNow.getTime())) {
+      throw new Error(`Invalid fixed "now" for CareersPageScraper: ${fixedNow}`);
+    }
+  }
+
+  now() {
+    return this.fixedNow ? new Date(this.fixedNow) : new Date();
+  }
+
+  /**
+   * Scrape every careers page; a page that fails is recorded and skipped
+   * @param {Array<{target: string, company?: string}>} pages - Careers page sources
+   * @returns {Promise<Array>} Normalised jobs with site 'Company'
+   */
+  async scrapePages(pages) {
+    const jobs = [];
+    logger.info(`Company: Reading ${pages.length} careers pages`);
+    const previousOpenings = await this.loadPreviousOpenings();
+
+    for (const page of pages) {
+      if (this.run?.cancelled) break;
+      const url = page.target;
+      const term = page.company || new URL(url).host;
+      this.run?.recordPageStart(term, { page: 1, url });
+      try {
+        const html = await this.fetchPageHtml(url);
+        const postings = extractJobPostings(html);
+        if (postings.length === 0 && previousOpenings[term] > 0) {
+          throw new Error(`No JobPosting data found (${previousOpenings[term]} openings last time)`);
+        }
+        const pageJobs = postings
+          .map(posting => jobPostingToJob(posting, { pageUrl: url, company: page.company, now: this.now() }))
+          .filter(Boolean);
+
+        this.run?.recordPage(term, { page: 1, url, jobs: pageJobs.length });
+        logger.info(`Company: ${pageJobs.length} current openings from ${postings.length} JobPostings on ${url}`);
+        jobs.push(...pageJobs);
+      } catch (error) {
+        logger.error(`Company: Failed to read careers page ${url}: ${error.message}`);
+        this.run?.recordPage(term, { page: 1, url, error: error.message });
+      }
+    }
+
+    return jobs;
+  }
+
+  /**
+   * Openings each careers page listed the last time it loaded, keyed by company or host
+   * Read from the per-term page counts of recent company runs.
+   * @returns {Promise<Object<string, number>>}
+   */
+  async loadPreviousOpenings() {
+    const openings = {};
+    try {
+      const rows = await dbAll(`
+        SELECT details
+        FROM scraping_logs
+        WHERE site = 'company' AND status IN ('success', 'partial') AND details IS NOT NULL
+        ORDER BY started_at DESC
+        LIMIT ?
+      `, [HISTORY_RUNS]);
+      for (const row of rows) {
+        const terms = JSON.parse(row.details).terms || {};
+        for (const [term, stats] of Object.entries(terms)) {
+          if (!(term in openings) && stats.pages > 0) openings[term] = stats.jobs;
+        }
+      }
+    } catch (error) {
+      logger.warn(`Company: Could not read previous careers page runs: ${error.message}`);
+    }
+    return openings;
+  }
+
+  // Fetch a page's HTML, recording it or serving it from fixtures when enabled
+  async fetchPageHtml(url) {
+    if (this.fixtures?.isReplaying) {
+      return this.fixtures.load(url).html;
+    }
+
+    // Postings are usually server-rendered JSON-LD; the browser is only needed for client-rendered pages
+    const { html } = await fetchHtml(url, {
+      hasContent: (pageHtml) => /JobPosting/.test(pageHtml),
+      run: this.run
+    });
+
+    if (this.fixtures?.isRecording) {
+      this.fixtures.save(url, html, new Date());
+    }
+
+    return html;
+  }
+}
+
+// Careers page URLs don't follow the Jora pattern buildJobId expects - hash the posting URL instead
+export const companyJobId = (prefix) => (job) =>
+  `${prefix}_${createHash('sha1').update(job.sources[0].url).digest('hex').slice(0, 24)}`;
@@ -0,0 +1,167 @@
+import { dbAll, dbRun } from '../database/init.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Employment type extraction
+ * Reads whether a job is permanent, contract, casual ... from its title and
+ * description, for sources with no structured employment type (Jora, feeds)
+ * and as a fallback for the ones that have it, plus how long a contract runs
+ * ("6 month contract", "initial 12 weeks") where one is stated.
+ */
+
+// Cues in the order they're tried: a "Part-time Contract" role is a contract, a
+// "Casual Graduate" role casual. Titles accept the bare word, descriptions need a phrase.
+const TYPE_CUES = [
+  {
+    type: 'internship',
+    title: /\b(?:intern|internship|cadet|cadetship|vacation (?:student|program))\b/i,
+    description: /\b(?:paid |summer |winter )?internship (?:program(?:me)?|role|position|opportunity)\b/i
+  },
+  {
+    type: 'casual',
+    title: /\bcasual\b/i,
+    description: /\bcasual (?:role|position|basis|employment|opportunity|contract)\b|\bon a casual\b/i
+  },
+  {
+    type: 'temporary',
+    title: /\b(?:temp|temporary|locum)\b|\b(?:maternity|parental) leave (?:cover|contract)\b/i,
+    description: /\b(?:temporary|temp) (?:role|position|basis|assignment|opportunity)\b|\b(?:maternity|parental) leave (?:cover|replacement)\b/i
+  },
+  {
+    type: 'contract',
+    title: /\b(?:contract(?!s? (?:manager|management|administrator|specialist|analyst|officer|lawyer|coordinator))|contractor|fixed[- ]term|freelance)\b/i,
+    description: /\b(?:contract (?:role|position|opportunity|assignment|basis|engagement)|fixed[- ]term|day rate|daily rate|per day (?:rate|contract)|initial \d+[- ]?(?:months?|weeks?)|\d+[- ]?(?:months?|mths?|weeks?|wks?) (?:initial )?contract|(?:abn|pty ltd) contractors?)\b/i
+  },
+  {
+    type: 'part-time',
+    title: /\bpart[- ]?time\b/i,
+    description: /\bpart[- ]?time (?:role|position|basis|hours|opportunity)\b|\b0\.[1-9] fte\b/i
+  },
+  {
+    type: 'full-time',
+    title: /\b(?:full[- ]?time|permanent|perm)\b/i,
+    description: /\b(?:full[- ]?time|permanent) (?:role|position|basis|opportunity|employment|full[- ]?time)\b|\bpermanent,? full[- ]?time\b/i
+  }
+];
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, eighteen: 18
+};
+const NUMBER = `(\\d{1,2}|${Object.keys(NUMBER_WORDS).join('|')})`;
+const UNIT = '(months?|mths?|m|weeks?|wks?|years?|yrs?)';
+const TERM = '(?:contract|fixed[- ]term|engagement|assignment|temp|temporary|cover|project|role|position)';
+
+// "6 month contract", "3-6 month contract", "12 week fixed term", "6m contract"
+const DURATION_BEFORE = new RegExp(`\\b(?:${NUMBER}\\s*(?:-|–|to)\\s*)?${NUMBER}[\\s-]*${UNIT}\\s*\\+?\\s*(?:initial\\s+|ongoing\\s+|rolling\\s+)?${TERM}\\b`, 'i');
+// "contract of 6 months", "initial 3 months", "contract for 12 weeks", "duration: 6 months"
+const DURATION_AFTER = new RegExp(`\\b(?:${TERM}\\s+(?:of|for)|initial(?:\\s+term\\s+of)?|duration:?|length:?)\\s+(?:${NUMBER}\\s*(?:-|–|to)\\s*)?${NUMBER}[\\s-]*${UNIT}\\b`, 'i');
+
+const MONTHS_PER_UNIT = { m: 1, mth: 1, month: 1, week: 12 / 52, wk: 12 / 52, year: 12, yr: 12 };
+
+// Longer than this is a misread (a company's age, a warranty), not a contract
+const MAX_CONTRACT_MONTHS = 60;
+
+const toNumber = (text) => {
+  const key = String(text).toLowerCase();
+  return NUMBER_WORDS[key] ?? parseInt(key, 10);
+};
+
+/**
+ * Contract length in whole months, where the text states one
+ * Ranges ("3-6 month contract") use the upper figure; weeks are rounded up.
+ * @param {string} text
+ * @returns {number|null}
+ */
+export function extractContractDuration(text) {
+  const match = (text || '').match(DURATION_BEFORE) || (text || '').match(DURATION_AFTER);
+  if (!match) return null;
+
+  const [, from, to, rawUnit] = match;
+  const unit = rawUnit.toLowerCase().replace(/s$/, '');
+  const months = Math.ceil(toNumber(to ?? from) * MONTHS_PER_UNIT[unit]);
+  return months > 0 && months <= MAX_CONTRACT_MONTHS ? months : null;
+}
+
+/**
+ * Employment type of a job from its text
+ * @param {Object} job
+ * @param {string} job.title
+ * @param {string} [job.description]
+ * @param {string} [job.salaryPeriod] - Pay quoted per day hints at a contract
+ * @param {string} [job.employmentType] - Type the source published; it wins over the text
+ * @returns {{employmentType: string|null, contractDurationMonths: number|null}}
+ *   employmentType is one of EMPLOYMENT_TYPES, or null when nothing says
+ */
+export function extractEmploymentType({ title = '', description = '', salaryPeriod = null, employmentType: published = null }) {
+  const contractDurationMonths = extractContractDuration(`${title || ''}\n${description || ''}`);
+
+  const cue = TYPE_CUES.find(({ title: pattern }) => pattern.test(title || '')) ||
+    TYPE_CUES.find(({ description: pattern }) => pattern.test(description || ''));
+  let employmentType = published || (cue ? cue.type : null);
+
+  // A stated contract length or a day rate with nothing else to go on
+  if (!employmentType && (contractDurationMonths !== null || salaryPeriod === 'day')) {
+    employmentType = 'contract';
+  }
+
+  return {
+    employmentType,
+    contractDurationMonths: ['contract', 'temporary'].includes(employmentType) ? contractDurationMonths : null
+  };
+}
+
+/**
+ * Store a saved job's employment type, e.g. once its full description has been fetched
+ * When the text doesn't say, the stored type and duration are kept.
+ * @param {string} jobId
+ * @param {Object} job - { title, description, salaryPeriod, employmentType }
+ * @returns {Promise<Object>} The extracted employment type
+ */
+export async function updateJobEmploymentType(jobId, job) {
+  const extracted = extractEmploymentType(job);
+  await dbRun(`
+    UPDATE jobs SET
+      employment_type = COALESCE(?, employment_type),
+      contract_duration_months = CASE WHEN ? IS NULL THEN contract_duration_months ELSE ? END,
+      employment_extracted_at = ?
+    WHERE id = ?
+  `, [
+    extracted.employmentType,
+    extracted.employmentType,
+    extracted.contractDurationMonths,
+    new Date().toISOString(),
+    jobId
+  ]);
+  return extracted;
+}
+
+/**
+ * Extract the employment type of every job saved before extraction existed
+ * @param {Object} [options]
+ * @param {number} [options.batchSize]
+ * @returns {Promise<number>} How many jobs were updated
+ */
+export async function backfillJobEmploymentTypes({ batchSize = 200 } = {}) {
+  let updated = 0;
+  for (;;) {
+    const rows = await dbAll(`
+      SELECT id, title, description_snippet, description_full, salary_period, employment_type FROM jobs
+      WHERE employment_extracted_at IS NULL
+      LIMIT ?
+    `, [batchSize]);
+    if (rows.length === 0) break;
+
+    for (const row of rows) {
+      await updateJobEmploymentType(row.id, {
+        title: row.title,
+        description: row.description_full || row.description_snippet,
+        salaryPeriod: row.salary_period,
+        employmentType: row.employment_type
+      });
+    }
+    updated += rows.length;
+  }
+
+  if (updated > 0) logger.info(`Extracted employment type for ${updated} existing jobs`);
+  return updated;
+}
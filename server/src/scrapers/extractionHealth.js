@@ -0,0 +1,166 @@
+import { dbAll, dbRun } from '../database/init.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Extraction health
+ * Per-run card parsing metrics: how many cards the selectors found and what
+ * share of them were missing each key field. Each run is compared with a
+ * rolling baseline of recent healthy runs so markup changes are caught the
+ * day they happen instead of when the job list goes empty.
+ */
+export const HEALTH_FIELDS = ['title', 'company', 'location', 'date', 'externalId'];
+
+const COLUMNS = {
+  title: 'missing_title',
+  company: 'missing_company',
+  location: 'missing_location',
+  date: 'missing_date',
+  externalId: 'missing_external_id'
+};
+
+const baselineRuns = () => parseInt(process.env.EXTRACTION_BASELINE_RUNS, 10) || 10;
+
+// Rise in a field's missing share (0-1) over the baseline that raises an alert
+const alertDrop = () => parseFloat(process.env.EXTRACTION_ALERT_DROP) || 0.25;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Empty per-run accumulator; adapters add one page at a time
+ * @returns {{pages: number, cardsFound: number, parseErrors: number, missing: Object<string, number>}}
+ */
+export const emptyExtractionStats = () => ({
+  pages: 0,
+  cardsFound: 0,
+  parseErrors: 0,
+  missing: Object.fromEntries(HEALTH_FIELDS.map(field => [field, 0]))
+});
+
+// Turn raw counts into shares of the cards found
+export function toHealthMetrics(stats) {
+  const cards = stats.cardsFound;
+  return {
+    pages: stats.pages,
+    cardsFound: cards,
+    cardsPerPage: stats.pages > 0 ? round(cards / stats.pages) : 0,
+    parseErrors: stats.parseErrors,
+    missing: Object.fromEntries(HEALTH_FIELDS.map(field => [field, cards > 0 ? round(stats.missing[field] / cards) : 0]))
+  };
+}
+
+const toHealthRow = (row) => ({
+  id: row.id,
+  runId: row.run_id,
+  site: row.site,
+  pages: row.pages,
+  cardsFound: row.cards_found,
+  cardsPerPage: row.pages > 0 ? round(row.cards_found / row.pages) : 0,
+  parseErrors: row.parse_errors,
+  missing: Object.fromEntries(HEALTH_FIELDS.map(field => [field, row[COLUMNS[field]]])),
+  alerts: row.alerts ? JSON.parse(row.alerts) : [],
+  createdAt: row.created_at
+});
+
+/**
+ * Average of the most recent healthy runs (no alerts, at least one card) for a site
+ * @param {string} site
+ * @param {number} [excludeRunId] - Leave out the run being evaluated
+ * @returns {Promise<Object|null>} null until there is at least one healthy run
+ */
+export async function getHealthBaseline(site, excludeRunId = null) {
+  const rows = await dbAll(`
+    SELECT * FROM extraction_health
+    WHERE site = ? AND alerts IS NULL AND cards_found > 0 AND (? IS NULL OR run_id != ?)
+    ORDER BY id DESC
+    LIMIT ?
+  `, [site, excludeRunId, excludeRunId, baselineRuns()]);
+
+  if (rows.length === 0) return null;
+
+  const metrics = rows.map(toHealthRow);
+  const average = (pick) => round(metrics.reduce((sum, m) => sum + pick(m), 0) / metrics.length);
+
+  return {
+    runs: metrics.length,
+    cardsPerPage: average(m => m.cardsPerPage),
+    missing: Object.fromEntries(HEALTH_FIELDS.map(field => [field, average(m => m.missing[field])]))
+  };
+}
+
+/**
+ * Compare a run's metrics with the baseline
+ * Without a baseline, fields are compared with full coverage.
+ * @returns {string[]} Alert messages, empty when healthy
+ */
+export function findHealthAlerts(metrics, baseline) {
+  const alerts = [];
+  const drop = alertDrop();
+
+  if (metrics.pages > 0 && metrics.cardsFound === 0) {
+    alerts.push(`No job cards found on ${metrics.pages} page(s)`);
+    return alerts;
+  }
+
+  if (baseline && metrics.cardsPerPage < baseline.cardsPerPage * 0.5) {
+    alerts.push(`Cards per page fell to ${metrics.cardsPerPage} (baseline ${baseline.cardsPerPage})`);
+  }
+
+  for (const field of HEALTH_FIELDS) {
+    const expected = baseline ? baseline.missing[field] : 0;
+    if (metrics.missing[field] - expected >= drop) {
+      const pct = (share) => `${Math.round(share * 100)}%`;
+      alerts.push(`${field} missing on ${pct(metrics.missing[field])} of cards (baseline ${pct(expected)})`);
+    }
+  }
+
+  return alerts;
+}
+
+/**
+ * Store a run's extraction metrics and raise alerts when coverage has dropped
+ * @param {import('./scrapeRun.js').ScrapeRun} run - Finished run with extraction stats
+ * @returns {Promise<{metrics: Object, baseline: Object|null, alerts: string[]}>}
+ */
+export async function recordExtractionHealth(run) {
+  const metrics = toHealthMetrics(run.extraction);
+  const baseline = await getHealthBaseline(run.site, run.id);
+  const alerts = findHealthAlerts(metrics, baseline);
+
+  await dbRun(`
+    INSERT INTO extraction_health (
+      run_id, site, pages, cards_found, parse_errors,
+      missing_title, missing_company, missing_location, missing_date, missing_external_id,
+      alerts, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    run.id,
+    run.site,
+    metrics.pages,
+    metrics.cardsFound,
+    metrics.parseErrors,
+    ...HEALTH_FIELDS.map(field => metrics.missing[field]),
+    alerts.length > 0 ? JSON.stringify(alerts) : null,
+    new Date().toISOString()
+  ]);
+
+  if (alerts.length > 0) {
+    logger.error(`EXTRACTION ALERT: ${run.site} run ${run.id} - ${alerts.join('; ')}. Selectors may need updating.`);
+  }
+
+  return { metrics, baseline, alerts };
+}
+
+/**
+ * Recent extraction health rows for a site, newest first
+ * @param {string} site
+ * @param {number} limit
+ */
+export async function listExtractionHealth(site, limit = 20) {
+  const rows = await dbAll(`
+    SELECT * FROM extraction_health
+    WHERE site = ?
+    ORDER BY id DESC
+    LIMIT ?
+  `, [site, limit]);
+  return rows.map(toHealthRow);
+}
@@ -0,0 +1,237 @@
+import { load } from 'cheerio';
+import { determineWorkMode, makeSnippet, matchCategory } from './jobFields.js';
+import { extractEmploymentType } from './employmentType.js';
+import { extractSeniority } from './seniority.js';
+import { createFixtureStore } from './fixtures.js';
+import { crawlPolicy } from '../services/crawlPolicy.js';
+import { httpFetchHtml } from '../services/fetchStrategy.js';
+import { htmlToText } from '../utils/html.js';
+import { parseSalary } from '../utils/salary.js';
+import logger from '../utils/logger.js';
+
+/**
+ * RSS 2.0 / Atom vacancy feeds
+ * Some boards and government agencies publish vacancies as feeds. Items are
+ * mapped onto our job model and keyed by their guid (Atom: id), which becomes
+ * job_sources.external_id so an item is recognised even if its link changes.
+ */
+
+// Timezone abbreviations Date can't parse, seen in Australian feeds
+const TIMEZONE_OFFSETS = {
+  AEST: '+1000', AEDT: '+1100', ACST: '+0930', ACDT: '+1030',
+  AWST: '+0800', NZST: '+1200', NZDT: '+1300'
+};
+
+/**
+ * Parse a feed date, tolerating the usual malformations
+ * RFC 822 and ISO 8601 dates parse directly; missing or invalid day names,
+ * local timezone abbreviations and "T"-less ISO dates are repaired first.
+ * @param {string} value
+ * @returns {string|null} ISO timestamp, or null when nothing sensible is left
+ */
+export function parseFeedDate(value) {
+  if (!value) return null;
+  const raw = String(value).trim();
+
+  const attempts = [
+    raw,
+    // "Tues, 14 Oct 2026" - day names are optional and often wrong
+    raw.replace(/^[A-Za-z]+,?\s+/, ''),
+    // "14 Oct 2026 09:00:00 AEST"
+    raw.replace(/^[A-Za-z]+,?\s+/, '').replace(/\b([A-Z]{4})\b/, (match) => TIMEZONE_OFFSETS[match] || match),
+    // "2026-10-14 09:00:00"
+    raw.replace(/^(\d{4}-\d{2}-\d{2})\s+(\d{2}:\d{2})/, '$1T$2'),
+    // "14/10/2026" (Australian day-first)
+    raw.replace(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/, '$3-$2-$1').replace(/-(\d)(?=-|$)/g, '-0$1')
+  ];
+
+  for (const attempt of attempts) {
+    const date = new Date(attempt);
+    // Reject far-off years from two-digit or garbage input
+    if (!isNaN(date.getTime()) && date.getFullYear() > 1990 && date.getFullYear() < 2100) {
+      return date.toISOString();
+    }
+  }
+  return null;
+}
+
+const firstText = ($el, selectors) => {
+  for (const selector of selectors) {
+    const text = $el.find(selector).first().text().trim();
+    if (text) return text;
+  }
+  return '';
+};
+
+/**
+ * Parse an RSS 2.0 or Atom document into plain items
+ * @param {string} xml
+ * @returns {{title: string, items: Array<{title: string, link: string, guid: string, published: string, description: string, categories: string[], author: string}>}}
+ */
+export function parseFeed(xml) {
+  const $ = load(xml, { xml: true });
+  const isAtom = $('feed').length > 0 && $('entry').length >= $('item').length;
+
+  if (isAtom) {
+    return {
+      title: $('feed > title').first().text().trim(),
+      items: $('entry').toArray().map(el => {
+        const $el = $(el);
+        const links = $el.find('link').toArray().map(link => $(link));
+        const link = links.find(l => (l.attr('rel') || 'alternate') === 'alternate') || links[0];
+        return {
+          title: $el.find('title').first().text().trim(),
+          link: link?.attr('href') || '',
+          guid: firstText($el, ['id']),
+          published: firstText($el, ['published', 'updated']),
+          description: firstText($el, ['content', 'summary']),
+          categories: $el.find('category').toArray().map(c => $(c).attr('term') || $(c).text().trim()).filter(Boolean),
+          author: firstText($el, ['author > name'])
+        };
+      })
+    };
+  }
+
+  return {
+    title: $('channel > title').first().text().trim(),
+    items: $('item').toArray().map(el => {
+      const $el = $(el);
+      return {
+        title: $el.find('title').first().text().trim(),
+        link: $el.find('link').first().text().trim(),
+        guid: firstText($el, ['guid']),
+        published: firstText($el, ['pubDate', 'dc\\:date']),
+        description: firstText($el, ['content\\:encoded', 'description']),
+        categories: $el.find('category').toArray().map(c => $(c).text().trim()).filter(Boolean),
+        author: firstText($el, ['dc\\:creator', 'author'])
+      };
+    })
+  };
+}
+
+// "Location: ..." runs to the end of its sentence, a separator or the next "Label:"
+const LOCATION_PATTERN = /\b[Ll]ocation:\s*([^\n•|;]+?)\s*(?=[.!?](?:\s|$)|[\n•|;]|\s[A-Z][a-z]+:|$)/;
+const MAX_LOCATION_LENGTH = 80;
+
+/**
+ * Read the location from a "Location:" label in a feed item's description
+ * "Location: Canberra, ACT. $90,000 - $100,000 per year" gives "Canberra, ACT";
+ * anything longer than MAX_LOCATION_LENGTH is cut back to a whole word.
+ * @param {string} description - Plain-text description
+ * @returns {string|null}
+ */
+function extractFeedLocation(description) {
+  const value = description.match(LOCATION_PATTERN)?.[1];
+  if (!value) return null;
+  if (value.length <= MAX_LOCATION_LENGTH) return value;
+  return value.slice(0, MAX_LOCATION_LENGTH + 1).replace(/\s+\S*$/, '').replace(/[\s,]+$/, '') || null;
+}
+
+/**
+ * Map a feed item onto the normalised job shape saveJobsToDatabase expects
+ * @param {Object} item - From parseFeed
+ * @param {Object} feed - Configured feed ({ url, company })
+ * @param {Object} context
+ * @param {string} [context.feedTitle] - Company fallback after the feed's own company
+ * @param {Date} [context.now] - Used when the item has no usable date
+ * @returns {Object|null} null when the item has no title or no link/guid to key it by
+ */
+export function feedItemToJob(item, feed, { feedTitle = '', now = new Date() } = {}) {
+  const externalId = item.guid || item.link;
+  if (!item.title || !externalId) return null;
+
+  const description = htmlToText(item.description || '');
+  const postedAt = parseFeedDate(item.published) || now.toISOString();
+  const salary = parseSalary(description);
+  const url = item.link || (/^https?:\/\//.test(item.guid) ? item.guid : feed.url);
+  const location = extractFeedLocation(description) || 'Australia';
+  const seniority = extractSeniority({ title: item.title, description });
+  const employment = extractEmploymentType({ title: item.title, description, salaryPeriod: salary?.period });
+
+  return {
+    title: item.title,
+    company: feed.company || item.author || feedTitle || 'Unknown',
+    location,
+    workMode: determineWorkMode(`${item.title} ${location}`),
+    category: matchCategory(item.categories),
+    experience: seniority.level,
+    yearsRequiredMin: seniority.yearsMin,
+    yearsRequiredMax: seniority.yearsMax,
+    employmentType: employment.employmentType,
+    contractDurationMonths: employment.contractDurationMonths,
+    salaryMin: salary?.min ?? null,
+    salaryMax: salary?.max ?? null,
+    salaryText: salary?.text ?? null,
+    salaryPeriod: salary?.period ?? null,
+    salaryIncludesSuper: salary?.includesSuper ?? null,
+    descriptionSnippet: makeSnippet(description) || item.title,
+    descriptionFull: description || item.title,
+    postedAt,
+    sources: [{ site: 'Other', url, postedAt, externalId }]
+  };
+}
+
+/**
+ * Polls configured feeds
+ * Feed documents are fetched through the crawl policy and support the same
+ * record/replay fixtures as the HTML scrapers.
+ */
+export class FeedScraper {
+  /**
+   * @param {Object} options
+   * @param {'record'|'replay'} [options.fixtureMode] - Record fetched feeds or replay them offline (env: SCRAPER_FIXTURE_MODE)
+   * @param {string} [options.fixtureDir] - Where fixtures are stored (env: SCRAPER_FIXTURE_DIR)
+   * @param {import('./scrapeRun.js').ScrapeRun} [options.run] - Run record that receives feed counts and fetch attempts
+   */
+  constructor(options = {}) {
+    this.fixtures = createFixtureStore(options);
+    this.run = options.run || null;
+  }
+
+  /**
+   * Poll every feed; a feed that fails is recorded and skipped
+   * @param {Array<{id?: number, name?: string, url: string, company?: string}>} feeds
+   * @param {(feed: Object, outcome: {items: number, error: string|null}) => Promise<void>} [onPolled] - Called after each feed
+   * @returns {Promise<Array>} Normalised jobs with site 'Other'
+   */
+  async pollFeeds(feeds, onPolled = async () => {}) {
+    const jobs = [];
+
+    for (const feed of feeds) {
+      if (this.run?.cancelled) break;
+      const term = feed.name || feed.url;
+      this.run?.recordPageStart(term, { page: 1, url: feed.url });
+      try {
+        const { title, items } = parseFeed(await this.fetchFeed(feed.url));
+        const feedJobs = items.map(item => feedItemToJob(item, feed, { feedTitle: title })).filter(Boolean);
+
+        this.run?.recordPage(term, { page: 1, url: feed.url, jobs: feedJobs.length });
+        logger.info(`Feeds: ${feedJobs.length} vacancies from ${items.length} items in "${term}"`);
+        jobs.push(...feedJobs);
+        await onPolled(feed, { items: feedJobs.length, error: null });
+      } catch (error) {
+        logger.error(`Feeds: Failed to poll "${term}": ${error.message}`);
+        this.run?.recordPage(term, { page: 1, url: feed.url, error: error.message });
+        await onPolled(feed, { items: 0, error: error.message });
+      }
+    }
+
+    return jobs;
+  }
+
+  // Fetch a feed document, recording it or serving it from fixtures when enabled
+  async fetchFeed(url) {
+    if (this.fixtures?.isReplaying) {
+      return this.fixtures.load(url).html;
+    }
+
+    const xml = await crawlPolicy.fetch(url, () => httpFetchHtml(url), { run: this.run });
+    this.run?.recordFetchStrategy({ url, strategy: 'http' });
+
+    if (this.fixtures?.isRecording) {
+      this.fixtures.save(url, xml, new Date());
+    }
+
+    return xml;
+  }
+}
@@ -0,0 +1,91 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import logger from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_FIXTURE_DIR = path.join(__dirname, '../../fixtures/pages');
+
+export const FIXTURE_MODES = ['record', 'replay'];
+
+/**
+ * Record-and-replay store for fetched pages
+ * In record mode every fetched page is written to disk as { url, html, fetchedAt };
+ * in replay mode pages are served from those files so scrapers can run offline.
+ */
+export class FixtureStore {
+  /**
+   * @param {Object} options
+   * @param {'record'|'replay'} options.mode
+   * @param {string} [options.dir] - Directory holding the fixture files
+   */
+  constructor({ mode, dir = DEFAULT_FIXTURE_DIR } = {}) {
+    if (!FIXTURE_MODES.includes(mode)) {
+      throw new Error(`Unknown fixture mode "${mode}". Expected one of: ${FIXTURE_MODES.join(', ')}`);
+    }
+    this.mode = mode;
+    this.dir = dir;
+  }
+
+  get isRecording() {
+    return this.mode === 'record';
+  }
+
+  get isReplaying() {
+    return this.mode === 'replay';
+  }
+
+  // Fixture files are keyed by a hash of the full URL (query string included)
+  fileFor(url) {
+    const hash = crypto.createHash('sha1').update(url).digest('hex');
+    return path.join(this.dir, `${hash}.json`);
+  }
+
+  has(url) {
+    return fs.existsSync(this.fileFor(url));
+  }
+
+  /**
+   * Save a fetched page
+   * @param {string} url
+   * @param {string} html
+   * @param {Date} fetchedAt
+   */
+  save(url, html, fetchedAt = new Date()) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const fixture = { url, html, fetchedAt: fetchedAt.toISOString() };
+    fs.writeFileSync(this.fileFor(url), JSON.stringify(fixture, null, 2));
+    logger.debug(`Fixtures: Recorded ${url}`);
+    return fixture;
+  }
+
+  /**
+   * Load a previously recorded page
+   * @param {string} url
+   * @returns {{url: string, html: string, fetchedAt: string}}
+   */
+  load(url) {
+    const file = this.fileFor(url);
+    if (!fs.existsSync(file)) {
+      const error = new Error(`No fixture recorded for ${url}`);
+      error.code = 'FIXTURE_MISSING';
+      throw error;
+    }
+    logger.debug(`Fixtures: Replaying ${url}`);
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+}
+
+/**
+ * Build a FixtureStore from explicit options, falling back to the
+ * SCRAPER_FIXTURE_MODE / SCRAPER_FIXTURE_DIR environment variables
+ * @returns {FixtureStore|null} null when fixtures are disabled
+ */
+export function createFixtureStore({ fixtureMode, fixtureDir } = {}) {
+  const mode = fixtureMode || process.env.SCRAPER_FIXTURE_MODE;
+  if (!mode) return null;
+  return new FixtureStore({ mode, dir: fixtureDir || process.env.SCRAPER_FIXTURE_DIR || DEFAULT_FIXTURE_DIR });
+}
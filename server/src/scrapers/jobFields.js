@@ -0,0 +1,95 @@
+/**
+ * Job field normalisation shared by every adapter
+ * Adapters extract raw values in whatever shape their source uses; these
+ * helpers map them onto the values the jobs table accepts.
+ */
+
+// Values allowed by the CHECK constraints on jobs and job_sources
+export const WORK_MODES = ['Remote', 'On-site', 'Hybrid'];
+export const EXPERIENCE_LEVELS = ['Internship', 'Junior', 'Mid', 'Senior', 'Lead'];
+export const SOURCE_SITES = ['Jora', 'Company', 'Other'];
+
+export const EMPLOYMENT_TYPES = ['full-time', 'part-time', 'contract', 'temporary', 'casual', 'internship'];
+
+// schema.org employmentType values (and common free-text variants) to our types
+const EMPLOYMENT_TYPE_ALIASES = {
+  full_time: 'full-time',
+  fulltime: 'full-time',
+  permanent: 'full-time',
+  part_time: 'part-time',
+  parttime: 'part-time',
+  contractor: 'contract',
+  contract: 'contract',
+  temporary: 'temporary',
+  temp: 'temporary',
+  casual: 'casual',
+  per_diem: 'casual',
+  intern: 'internship',
+  internship: 'internship'
+};
+
+export function determineWorkMode(text) {
+  const t = (text || '').toLowerCase();
+  if (t.includes('remote') || t.includes('work from home') || t.includes('wfh')) return 'Remote';
+  if (t.includes('hybrid') || t.includes('flexible')) return 'Hybrid';
+  return 'On-site';
+}
+
+/**
+ * Map a source's employment type (schema.org FULL_TIME, "Part-time", ...) to EMPLOYMENT_TYPES
+ * @param {string|string[]} value - Arrays use the first recognised value
+ * @returns {string|null}
+ */
+export function normaliseEmploymentType(value) {
+  const values = Array.isArray(value) ? value : [value];
+  for (const raw of values) {
+    if (typeof raw !== 'string') continue;
+    const key = raw.trim().toLowerCase().replace(/[\s-]+/g, '_');
+    if (EMPLOYMENT_TYPE_ALIASES[key]) return EMPLOYMENT_TYPE_ALIASES[key];
+  }
+  return null;
+}
+
+// First couple of sentences of a description, for list views
+export function makeSnippet(text, maxLength = 300) {
+  const flat = (text || '').replace(/\s+/g, ' ').trim();
+  if (flat.length <= maxLength) return flat;
+  const cut = flat.slice(0, maxLength);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : maxLength)}…`;
+}
+
+// Categories the frontend knows (src/types/jobs.ts)
+export const JOB_CATEGORIES = [
+  'Software Engineering', 'Data', 'Design', 'Product', 'Marketing',
+  'Sales', 'Customer Support', 'Operations', 'Finance', 'HR'
+];
+
+// Source category labels that mean one of ours
+const CATEGORY_ALIASES = [
+  { category: 'Software Engineering', pattern: /\b(information (and communication )?technology|ict|it|software|engineering|developer|technology)\b/i },
+  { category: 'Data', pattern: /\b(data|analytics|business intelligence)\b/i },
+  { category: 'Design', pattern: /\b(design|ux|ui|creative)\b/i },
+  { category: 'Product', pattern: /\bproduct\b/i },
+  { category: 'Marketing', pattern: /\b(marketing|communications|advertising)\b/i },
+  { category: 'Sales', pattern: /\b(sales|business development)\b/i },
+  { category: 'Customer Support', pattern: /\b(customer (service|support)|call cent(re|er)|help ?desk)\b/i },
+  { category: 'Finance', pattern: /\b(finance|accounting|banking)\b/i },
+  { category: 'HR', pattern: /\b(hr|human resources|recruitment|people)\b/i },
+  { category: 'Operations', pattern: /\b(operations|administration|logistics)\b/i }
+];
+
+/**
+ * Map a source's category labels onto JOB_CATEGORIES
+ * @param {string[]} labels
+ * @param {string} [fallback]
+ * @returns {string}
+ */
+export function matchCategory(labels = [], fallback = 'Software Engineering') {
+  for (const label of labels) {
+    const exact = JOB_CATEGORIES.find(category => category.toLowerCase() === String(label).trim().toLowerCase());
+    if (exact) return exact;
+    const alias = CATEGORY_ALIASES.find(({ pattern }) => pattern.test(label));
+    if (alias) return alias.category;
+  }
+  return fallback;
+}
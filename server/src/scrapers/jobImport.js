@@ -0,0 +1,460 @@
+import { createHash } from 'crypto';
+import { diffJob, findExistingJob, saveJobsToDatabase } from './saveJobs.js';
+import {
+  EMPLOYMENT_TYPES,
+  EXPERIENCE_LEVELS,
+  SOURCE_SITES,
+  WORK_MODES,
+  determineWorkMode,
+  makeSnippet,
+  matchCategory,
+  normaliseEmploymentType
+} from './jobFields.js';
+import { extractEmploymentType } from './employmentType.js';
+import { extractSeniority } from './seniority.js';
+import { annualiseSalary, parseSalary, PERIOD_MULTIPLIERS } from '../utils/salary.js';
+
+/**
+ * Bulk job import
+ * Loads jobs from partner spreadsheets and historic exports (CSV, a JSON array
+ * or NDJSON). Each row is mapped onto our job model, validated against the
+ * jobs CHECK constraints, and previewed against the database before anything
+ * is written; committing goes through saveJobsToDatabase, so imported jobs
+ * dedupe and record revisions exactly like scraped ones.
+ */
+
+export const IMPORT_FORMATS = ['csv', 'json', 'ndjson'];
+
+export const IMPORT_ID_PREFIX = 'import';
+
+export const IMPORT_MAX_ROWS = parseInt(process.env.JOB_IMPORT_MAX_ROWS) || 5000;
+
+// Import fields and the column names recognised for them without a mapping
+// (compared lower-case with spaces, dashes and underscores removed)
+const FIELD_COLUMNS = {
+  title: ['title', 'jobtitle', 'position', 'role'],
+  company: ['company', 'companyname', 'employer', 'organisation', 'organization'],
+  location: ['location', 'joblocation', 'city'],
+  workMode: ['workmode', 'workplace', 'workarrangement'],
+  category: ['category', 'jobcategory', 'classification'],
+  experience: ['experience', 'experiencelevel', 'seniority', 'level'],
+  employmentType: ['employmenttype', 'worktype', 'jobtype'],
+  department: ['department', 'team'],
+  salaryMin: ['salarymin', 'minsalary', 'salaryfrom', 'paymin'],
+  salaryMax: ['salarymax', 'maxsalary', 'salaryto', 'paymax'],
+  salaryPeriod: ['salaryperiod', 'payperiod'],
+  salaryText: ['salary', 'salarytext', 'pay'],
+  description: ['description', 'descriptionfull', 'details'],
+  descriptionSnippet: ['descriptionsnippet', 'snippet', 'summary'],
+  postedAt: ['postedat', 'posted', 'dateposted', 'listed', 'listedat'],
+  validThrough: ['validthrough', 'closingdate', 'closes', 'expires'],
+  url: ['url', 'link', 'joburl', 'applyurl'],
+  site: ['site'],
+  externalId: ['externalid', 'jobid', 'id', 'reference']
+};
+
+export const IMPORT_FIELDS = Object.keys(FIELD_COLUMNS);
+
+const normaliseHeader = (name) => String(name).toLowerCase().replace(/[\s_-]+/g, '');
+
+/**
+ * Pick the import format from an explicit value, a file name or a content type
+ * @param {Object} hints
+ * @param {string} [hints.format]
+ * @param {string} [hints.filename]
+ * @param {string} [hints.contentType]
+ * @param {string} [hints.text] - Sniffed last: "[" means JSON, "{" means NDJSON
+ * @returns {string|null} One of IMPORT_FORMATS, or null when it can't be told
+ */
+export function detectImportFormat({ format, filename, contentType, text } = {}) {
+  if (format) return IMPORT_FORMATS.includes(format) ? format : null;
+
+  const extension = (filename || '').toLowerCase().match(/\.(csv|json|ndjson|jsonl)$/)?.[1];
+  if (extension) return extension === 'jsonl' ? 'ndjson' : extension;
+
+  const type = (contentType || '').toLowerCase();
+  if (/ndjson|jsonl|json-seq/.test(type)) return 'ndjson';
+  if (/json/.test(type)) return 'json';
+  if (/csv|comma-separated/.test(type)) return 'csv';
+
+  const first = (text || '').replace(/^﻿/, '').trimStart()[0];
+  if (first === '[') return 'json';
+  if (first === '{') return 'ndjson';
+  return text ? 'csv' : null;
+}
+
+/**
+ * Parse CSV text into rows of cells
+ * Handles quoted cells (with "" escapes and line breaks), CRLF line endings
+ * and a UTF-8 BOM. Tab and semicolon delimited exports are detected from the header.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+  const input = text.replace(/^﻿/, '');
+  const header = input.slice(0, input.search(/\r?\n|$/));
+  const delimiter = ['\t', ';'].find(d => header.split(d).length > header.split(',').length) || ',';
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Blank lines aren't rows
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse an import file into records
+ * @param {string} text
+ * @param {'csv'|'json'|'ndjson'} format
+ * @returns {{records: Array<{row: number, values: Object}>, errors: Array<{row: number|null, field: null, message: string}>}}
+ *   row is the 1-based record number (the CSV header isn't counted)
+ */
+export function parseImportFile(text, format) {
+  const records = [];
+  const errors = [];
+
+  if (format === 'csv') {
+    const [header = [], ...rows] = parseCsv(text);
+    const columns = header.map(name => name.trim());
+    rows.forEach((cells, index) => {
+      if (cells.length > columns.length) {
+        errors.push({ row: index + 1, field: null, message: `Row has ${cells.length} cells but the header has ${columns.length}` });
+        return;
+      }
+      records.push({ row: index + 1, values: Object.fromEntries(columns.map((column, i) => [column, cells[i] ?? ''])) });
+    });
+  } else if (format === 'json') {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      return { records, errors: [{ row: null, field: null, message: `Invalid JSON: ${error.message}` }] };
+    }
+    const items = Array.isArray(parsed) ? parsed : parsed?.jobs;
+    if (!Array.isArray(items)) {
+      return { records, errors: [{ row: null, field: null, message: 'JSON imports must be an array of jobs (or { "jobs": [...] })' }] };
+    }
+    items.forEach((item, index) => records.push({ row: index + 1, values: item }));
+  } else if (format === 'ndjson') {
+    text.split(/\r?\n/).filter(line => line.trim()).forEach((line, index) => {
+      try {
+        records.push({ row: index + 1, values: JSON.parse(line) });
+      } catch (error) {
+        errors.push({ row: index + 1, field: null, message: `Invalid JSON: ${error.message}` });
+      }
+    });
+  } else {
+    errors.push({ row: null, field: null, message: `format must be one of: ${IMPORT_FORMATS.join(', ')}` });
+  }
+
+  return { records, errors };
+}
+
+/**
+ * Validate a column mapping ({ importField: 'Source column' })
+ * @param {Object} mapping
+ * @returns {string[]} Validation errors, empty when valid
+ */
+export function validateImportMapping(mapping) {
+  if (mapping === undefined || mapping === null) return [];
+  if (typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return ['mapping must be an object of { field: "Source column" }'];
+  }
+
+  const errors = [];
+  for (const [field, column] of Object.entries(mapping)) {
+    if (!IMPORT_FIELDS.includes(field)) {
+      errors.push(`mapping field "${field}" is not one of: ${IMPORT_FIELDS.join(', ')}`);
+    } else if (typeof column !== 'string' || !column.trim()) {
+      errors.push(`mapping for "${field}" must be a column name`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Pull the import fields out of one record
+ * Mapped columns win; other fields are found by their usual column names.
+ * @param {Object} values - Record as read from the file
+ * @param {Object} [mapping]
+ * @returns {Object} Trimmed field values keyed by import field
+ */
+export function mapImportRow(values, mapping = {}) {
+  const byHeader = {};
+  for (const [column, value] of Object.entries(values || {})) {
+    byHeader[normaliseHeader(column)] = value;
+  }
+
+  const fields = {};
+  for (const [field, columns] of Object.entries(FIELD_COLUMNS)) {
+    const mapped = mapping?.[field];
+    const value = mapped
+      ? (values?.[mapped] ?? byHeader[normaliseHeader(mapped)])
+      : columns.map(column => byHeader[column]).find(v => v !== undefined && v !== null && v !== '');
+    if (value === undefined || value === null) continue;
+    fields[field] = typeof value === 'string' ? value.trim() : value;
+  }
+  return fields;
+}
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const parseAmount = (value) => {
+  if (typeof value === 'number') return value;
+  const match = String(value).replace(/[$,\s]/g, '').match(/^(\d+(?:\.\d+)?)(k)?$/i);
+  if (!match) return NaN;
+  return parseFloat(match[1]) * (match[2] ? 1000 : 1);
+};
+
+const toIsoDate = (value) => {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+// Case-insensitive match against a CHECK constraint's values ("on site" finds "On-site")
+const matchAllowed = (value, allowed) =>
+  allowed.find(option => normaliseHeader(option) === normaliseHeader(value)) || null;
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (e) {
+    return false;
+  }
+};
+
+// What identifies an imported row: its external id, then its URL, then title + company + location
+const importKey = (fields) =>
+  fields.externalId || fields.url || [fields.title, fields.company, fields.location].map(v => String(v || '').toLowerCase()).join('|');
+
+/**
+ * ID an imported job is stored under
+ * @param {Object} job - Normalised job from toImportJob
+ * @returns {string}
+ */
+export const importJobId = (job) =>
+  `${IMPORT_ID_PREFIX}_${createHash('sha1').update(String(job.importKey)).digest('hex').slice(0, 24)}`;
+
+/**
+ * Validate import fields and build the normalised job saveJobsToDatabase expects
+ * Work mode and experience must be values the jobs CHECK constraints accept;
+ * when they're missing they're inferred from the title like scraped jobs.
+ * @param {Object} fields - From mapImportRow
+ * @param {Object} [context]
+ * @param {Date} [context.now] - postedAt for rows without one
+ * @returns {{job: Object|null, errors: Array<{field: string, message: string}>}}
+ */
+export function toImportJob(fields, { now = new Date() } = {}) {
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+  const text = (field) => (isBlank(fields[field]) ? '' : String(fields[field]));
+
+  if (!text('title')) fail('title', 'title is required');
+  if (!text('company')) fail('company', 'company is required');
+
+  const location = text('location') || 'Australia';
+
+  let workMode = determineWorkMode(`${text('title')} ${location}`);
+  if (text('workMode')) {
+    workMode = matchAllowed(text('workMode'), WORK_MODES);
+    if (!workMode) fail('workMode', `workMode must be one of: ${WORK_MODES.join(', ')}`);
+  }
+
+  // Without an experience column the level is read from the title and description below
+  let experience = null;
+  if (text('experience')) {
+    experience = matchAllowed(text('experience'), EXPERIENCE_LEVELS);
+    if (!experience) fail('experience', `experience must be one of: ${EXPERIENCE_LEVELS.join(', ')}`);
+  }
+
+  let employmentType = null;
+  if (text('employmentType')) {
+    employmentType = normaliseEmploymentType(text('employmentType'));
+    if (!employmentType) fail('employmentType', `employmentType must be one of: ${EMPLOYMENT_TYPES.join(', ')}`);
+  }
+
+  let site = 'Other';
+  if (text('site')) {
+    site = matchAllowed(text('site'), SOURCE_SITES);
+    if (!site) fail('site', `site must be one of: ${SOURCE_SITES.join(', ')}`);
+  }
+
+  if (text('url') && !isHttpUrl(text('url'))) fail('url', 'url must be an http(s) URL');
+
+  // Explicit figures are annualised like scraped pay; otherwise salary text is parsed
+  let salary = null;
+  if (!isBlank(fields.salaryMin) || !isBlank(fields.salaryMax)) {
+    const min = isBlank(fields.salaryMin) ? undefined : parseAmount(fields.salaryMin);
+    const max = isBlank(fields.salaryMax) ? undefined : parseAmount(fields.salaryMax);
+    const period = text('salaryPeriod').toLowerCase() || undefined;
+    if (Number.isNaN(min)) fail('salaryMin', 'salaryMin must be a number');
+    if (Number.isNaN(max)) fail('salaryMax', 'salaryMax must be a number');
+    if (min > 0 && max > 0 && min > max) fail('salaryMax', 'salaryMax must not be less than salaryMin');
+    if (period && !PERIOD_MULTIPLIERS[period]) {
+      fail('salaryPeriod', `salaryPeriod must be one of: ${Object.keys(PERIOD_MULTIPLIERS).join(', ')}`);
+    }
+    if (!Number.isNaN(min) && !Number.isNaN(max)) {
+      salary = annualiseSalary({ min, max, period, text: text('salaryText') || undefined });
+    }
+  } else if (text('salaryText')) {
+    salary = parseSalary(text('salaryText'), { field: true });
+  }
+
+  let postedAt = now.toISOString();
+  if (text('postedAt')) {
+    postedAt = toIsoDate(text('postedAt'));
+    if (!postedAt) fail('postedAt', 'postedAt must be a date');
+  }
+
+  let validThrough = null;
+  if (text('validThrough')) {
+    validThrough = toIsoDate(text('validThrough'));
+    if (!validThrough) fail('validThrough', 'validThrough must be a date');
+  }
+
+  if (errors.length > 0) return { job: null, errors };
+
+  const description = text('description') || text('descriptionSnippet') || text('title');
+  const seniority = extractSeniority({ title: text('title'), description });
+  // An employmentType column wins over the text
+  const employment = extractEmploymentType({ title: text('title'), description, salaryPeriod: salary?.period, employmentType });
+  const key = importKey({ ...fields, location });
+
+  return {
+    job: {
+      title: text('title'),
+      company: text('company'),
+      location,
+      workMode,
+      category: matchCategory(text('category') ? [text('category')] : []),
+      experience: experience || seniority.level,
+      yearsRequiredMin: seniority.yearsMin,
+      yearsRequiredMax: seniority.yearsMax,
+      employmentType: employment.employmentType,
+      contractDurationMonths: employment.contractDurationMonths,
+      department: text('department') || null,
+      validThrough,
+      salaryMin: salary?.min ?? null,
+      salaryMax: salary?.max ?? null,
+      salaryText: salary?.text ?? null,
+      salaryPeriod: salary?.period ?? null,
+      salaryIncludesSuper: salary?.includesSuper ?? null,
+      descriptionSnippet: text('descriptionSnippet') || makeSnippet(description),
+      descriptionFull: description,
+      postedAt,
+      importKey: key,
+      // job_sources.url is required, so rows without a URL are stored without a source
+      sources: text('url') ? [{ site, url: text('url'), postedAt, externalId: text('externalId') || text('url') }] : []
+    },
+    errors
+  };
+}
+
+/**
+ * Validate records and work out what committing them would do
+ * Nothing is written. Each row is reported as insert, update (with the columns
+ * that would change), unchanged, duplicate (repeats an earlier row) or invalid.
+ * @param {Array<{row: number, values: Object}>} records - From parseImportFile
+ * @param {Object} [options]
+ * @param {Object} [options.mapping] - { importField: 'Source column' }
+ * @param {Date} [options.now]
+ * @returns {Promise<{summary: Object, rows: Array, errors: Array, jobs: Array}>} jobs are the rows a commit would save
+ */
+export async function previewImport(records, { mapping, now = new Date() } = {}) {
+  const rows = [];
+  const errors = [];
+  const jobs = [];
+  const seen = new Map();
+  const summary = { total: records.length, insert: 0, update: 0, unchanged: 0, duplicate: 0, invalid: 0 };
+
+  for (const { row, values } of records) {
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      summary.invalid++;
+      errors.push({ row, field: null, message: 'Row must be an object' });
+      rows.push({ row, action: 'invalid', errors: ['Row must be an object'] });
+      continue;
+    }
+
+    const { job, errors: rowErrors } = toImportJob(mapImportRow(values, mapping), { now });
+    if (!job) {
+      summary.invalid++;
+      errors.push(...rowErrors.map(error => ({ row, ...error })));
+      rows.push({ row, action: 'invalid', errors: rowErrors.map(error => error.message) });
+      continue;
+    }
+
+    const jobId = importJobId(job);
+    if (seen.has(jobId)) {
+      summary.duplicate++;
+      rows.push({ row, action: 'duplicate', jobId, title: job.title, company: job.company, duplicateOf: seen.get(jobId) });
+      continue;
+    }
+    seen.set(jobId, row);
+
+    const existing = await findExistingJob(job, jobId, { idPrefix: IMPORT_ID_PREFIX, matchExternalId: true });
+    const changes = existing ? Object.keys(diffJob(existing, job)) : [];
+    const action = !existing ? 'insert' : changes.length > 0 ? 'update' : 'unchanged';
+
+    summary[action]++;
+    jobs.push(job);
+    rows.push({
+      row,
+      action,
+      jobId: existing ? existing.id : jobId,
+      title: job.title,
+      company: job.company,
+      ...(action === 'update' ? { changes } : {})
+    });
+  }
+
+  return { summary, rows, errors, jobs };
+}
+
+/**
+ * Save the valid rows of a preview
+ * @param {Object} preview - From previewImport
+ * @returns {Promise<{saved: number, updated: number, duplicates: number, savedIds: string[], updatedIds: string[]}>}
+ */
+export async function commitImport(preview) {
+  return saveJobsToDatabase(preview.jobs, {
+    idPrefix: IMPORT_ID_PREFIX,
+    label: 'Import',
+    jobId: importJobId,
+    matchExternalId: true
+  });
+}
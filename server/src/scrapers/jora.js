@@ -1,262 +1,243 @@
-import puppeteer from 'puppeteer';
 import { load } from 'cheerio';
-import { getDatabase } from '../database/init.js';
+import { findKnownExternalIds, saveJobsToDatabase } from './saveJobs.js';
+import { createFixtureStore } from './fixtures.js';
+import { dbAll, dbRun } from '../database/init.js';
+import { DEFAULT_SEARCH_PROFILES } from '../database/searchProfiles.js';
+import { expandRoleQuery } from './roleSynonyms.js';
+import { markJobClosed } from './lifecycle.js';
+import { tagJobSkills } from './skillTagger.js';
+import { browserPool } from '../services/browserPool.js';
+import { jobClassifier } from '../services/jobClassifier.js';
+import { fetchHtml } from '../services/fetchStrategy.js';
+import { determineWorkMode } from './jobFields.js';
+import { extractSeniority, updateJobSeniority } from './seniority.js';
+import { extractEmploymentType, updateJobEmploymentType } from './employmentType.js';
+import { HEALTH_FIELDS } from './extractionHealth.js';
+import { htmlToText } from '../utils/html.js';
+import { findSalaryText, parseSalary } from '../utils/salary.js';
 import logger from '../utils/logger.js';
 
+const SALARY_SELECTORS = '[data-automation="job-salary"], .job-salary, .salary, [class*="salary"]';
+
+// Containers that hold the full posting on a Jora /job/ page, most specific first
+const DETAIL_SELECTORS = [
+  '#job-description-container',
+  '[data-automation="job-description"]',
+  '.job-description-container',
+  '#job-description',
+  '.job-description'
+];
+
+// Text Jora shows instead of the description once a listing is taken down
+const DETAIL_GONE_PATTERNS = [
+  /this job (is no longer available|has expired|has been removed)/i,
+  /job (ad )?(is )?no longer (available|advertised)/i
+];
+
+// Stale jobs whose page still loads are re-checked once a day, not on every run
+const STALE_RECHECK_MS = 24 * 60 * 60 * 1000;
+
 export class JoraScraper {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {'record'|'replay'} [options.fixtureMode] - Record fetched pages or replay them offline (env: SCRAPER_FIXTURE_MODE)
+   * @param {string} [options.fixtureDir] - Where fixtures are stored (env: SCRAPER_FIXTURE_DIR)
+   * @param {string|Date} [options.now] - Fixed "now" so relative dates parse deterministically (env: SCRAPER_FIXED_NOW)
+   * @param {import('./scrapeRun.js').ScrapeRun} [options.run] - Run record that receives page counts and fetch attempts
+   * @param {'full'|'incremental'} [options.mode] - Incremental runs stop paging a profile once a page is mostly known jobs
+   * @param {number} [options.knownThreshold] - Share of known jobs (0-1) that stops paging (env: SCRAPER_INCREMENTAL_KNOWN_SHARE)
+   * @param {number} [options.maxJobs] - Stop paging once this many unique jobs are collected
+   * @param {number} [options.timeBudgetMs] - Stop paging once this long has passed since the scraper was created
+   */
+  constructor(options = {}) {
     this.baseUrl = 'https://au.jora.com';
+    this.fixtures = createFixtureStore(options);
+    this.run = options.run || null;
+    this.mode = options.mode || 'full';
+    this.knownThreshold = options.knownThreshold ?? (parseFloat(process.env.SCRAPER_INCREMENTAL_KNOWN_SHARE) || 0.8);
+    this.maxJobs = options.maxJobs > 0 ? options.maxJobs : null;
+    this.deadline = options.timeBudgetMs > 0 ? Date.now() + options.timeBudgetMs : null;
+
+    const fixedNow = options.now || process.env.SCRAPER_FIXED_NOW;
+    this.fixedNow = fixedNow ? new Date(fixedNow) : null;
+    if (this.fixedNow && isNaN(this.fixedNow.getTime())) {
+      throw new Error(`Invalid fixed "now" for JoraScraper: ${fixedNow}`);
+    }
+
+    if (this.fixtures) {
+      logger.info(`Jora: Fixture ${this.fixtures.mode} mode enabled (${this.fixtures.dir})`);
+    }
   }
 
-  // Scrape using EXACT URL provided by user - no modifications
-  // But also run separate searches for diversity since OR queries can rank certain terms too high
-  async scrapeWithExactUrl(location = 'Sydney NSW', maxPages = 10) {
-    const jobs = [];
+  // Current time, or the fixed "now" when one is configured
+  now() {
+    return this.fixedNow ? new Date(this.fixedNow.getTime()) : new Date();
+  }
+
+  /**
+   * Build the Jora search URL for a search profile and page number
+   * Jora uses a different query string layout for page 1, page 2 and page 3+
+   * @param {Object} profile - Search profile (keywords, location, listedWithinDays, salaryFloor)
+   * @param {number} page - 1-based page number
+   */
+  buildSearchUrl(profile, page = 1) {
+    const query = profile.keywords.map(keyword => `"${keyword}"`).join(' OR ');
+    const age = profile.listedWithinDays ? `${profile.listedWithinDays}d` : null;
+    const params = [];
+    const add = (key, value) => {
+      if (value !== null && value !== undefined && value !== '') params.push([key, String(value)]);
+    };
+
+    if (page === 1) {
+      // Page 1: a=14d&disallow=true&l=...&q=...&sa=...&sp=facet_listed_date
+      add('a', age);
+      add('disallow', 'true');
+      add('l', profile.location);
+      add('q', query);
+      add('sa', profile.salaryFloor);
+      add('sp', 'facet_listed_date');
+    } else if (page === 2) {
+      // Page 2: sp=search&trigger_source=serp&a=14d&q=...&l=...
+      add('sp', 'search');
+      add('trigger_source', 'serp');
+      add('a', age);
+      add('q', query);
+      add('l', profile.location);
+      add('sa', profile.salaryFloor);
+    } else {
+      // Page 3+: p=N parameter with sp=search&trigger_source=serp
+      add('a', age);
+      add('disallow', 'true');
+      add('l', profile.location);
+      add('p', page);
+      add('q', query);
+      add('sa', profile.salaryFloor);
+      add('sp', 'search');
+      add('surl', '0');
+      add('trigger_source', 'serp');
+    }
+
+    // URLSearchParams encodes spaces as "+" and quotes as %22, matching Jora's own links
+    return `${this.baseUrl}/j?${new URLSearchParams(params).toString()}`;
+  }
+
+  /**
+   * Run each search profile in turn, deduplicating jobs across profiles
+   * Separate narrower profiles give more diverse results than one big OR query,
+   * since Jora may rank "software engineer" too high in OR queries
+   * A page that fails to load ends that profile's paging but not the run;
+   * each page's outcome is reported to the run record when one is given.
+   * In incremental mode a profile stops paging once knownThreshold of a page
+   * is already in job_sources - later pages are older and even more likely known.
+   * maxJobs and timeBudgetMs end the whole search between pages; the jobs
+   * collected so far are returned as a normal result.
+   * @param {Array} profiles - Search profiles (see database/searchProfiles.js)
+   * @returns {Promise<Array>} Normalised jobs, newest first
+   */
+  async scrapeProfiles(profiles) {
+    const run = this.run;
+    let jobs = [];
     const seen = new Set();
+    let limitReached = null;
     
     try {
-      // Strategy: Run the exact URL search, but also run separate targeted searches
-      // to get more diverse results since Jora may rank "software engineer" too high in OR queries
-      
-      // 1. Original exact URL with all terms (for completeness)
-      const exactBaseUrl = 'https://au.jora.com/j?a=14d&disallow=true&l=Sydney+NSW&q=%22developer%22+OR+%22programmer%22+OR+%22software+engineer%22+OR+%22frontend%22+OR+%22backend%22+OR+%22data%22+OR+%22analyst%22+OR+%22cloud%22+OR+%22cybersecurity%22+OR+%22web%22+OR+%22IT%22&sa=70000&sp=facet_listed_date';
-      
-      // 2. Separate searches for non-engineer terms to ensure diversity
-      // These separate searches help balance results since the OR query ranks "software engineer" too high
-      const searchTerms = [
-        { name: 'developer', query: '%22developer%22', pages: 3 },
-        { name: 'analyst', query: '%22analyst%22+OR+%22data+analyst%22', pages: 3 },
-        { name: 'programmer', query: '%22programmer%22', pages: 2 },
-        { name: 'frontend-developer', query: '%22frontend+developer%22+OR+%22front-end+developer%22', pages: 2 },
-        { name: 'backend-developer', query: '%22backend+developer%22+OR+%22back-end+developer%22', pages: 2 },
-        { name: 'cloud-engineer', query: '%22cloud%22+OR+%22aws%22+OR+%22azure%22', pages: 2 },
-        { name: 'cybersecurity', query: '%22cybersecurity%22+OR+%22security+analyst%22', pages: 2 },
-        { name: 'web-developer', query: '%22web+developer%22', pages: 2 },
-        { name: 'IT-support', query: '%22IT+support%22+OR+%22IT+technician%22', pages: 2 }
-      ];
+      logger.info(`Jora: Running ${profiles.length} search profiles (${this.mode}): ${profiles.map(p => p.name).join(', ')}`);
       
-      logger.info(`Jora: Running diversified search strategy - exact URL + separate term searches for better diversity`);
-      
-      // First, run the exact URL search (reduced pages since we're adding separate searches)
-      const exactUrlPages = Math.min(5, Math.floor(maxPages / 2));
-      for (let page = 1; page <= exactUrlPages; page++) {
-        // Build URL based on Jora's pagination pattern:
-        // Page 1: Base URL as provided
-        // Page 2: sp=search&trigger_source=serp format
-        // Page 3+: p=N parameter with sp=search&trigger_source=serp
-        let url = '';
-        if (page === 1) {
-          url = exactBaseUrl;
-        } else if (page === 2) {
-          // Page 2 uses different format: sp=search&trigger_source=serp&a=14d&q=...&l=...
-          url = `https://au.jora.com/j?sp=search&trigger_source=serp&a=14d&q=%22developer%22+OR+%22programmer%22+OR+%22software+engineer%22+OR+%22frontend%22+OR+%22backend%22+OR+%22data%22+OR+%22analyst%22+OR+%22cloud%22+OR+%22cybersecurity%22+OR+%22web%22+OR+%22IT%22&l=Sydney+NSW`;
-        } else {
-          // Page 3+: Use p=N parameter
-          url = `https://au.jora.com/j?a=14d&disallow=true&l=Sydney+NSW&p=${page}&q=%22developer%22+OR+%22programmer%22+OR+%22software+engineer%22+OR+%22frontend%22+OR+%22backend%22+OR+%22data%22+OR+%22analyst%22+OR+%22cloud%22+OR+%22cybersecurity%22+OR+%22web%22+OR+%22IT%22&sp=search&surl=0&trigger_source=serp`;
-        }
-        
-        logger.info(`Jora: Scraping page ${page} of ${maxPages}: ${url}`);
-        const pageJobs = await this.scrapeExactUrlPage(url);
-        
-        logger.info(`Jora: Found ${pageJobs.length} jobs on page ${page}`);
+      for (const profile of profiles) {
+        if (run?.cancelled || limitReached) break;
+        logger.info(`Jora: Running search profile "${profile.name}" in ${profile.location} (${profile.maxPages} pages)`);
         
-        // Log detailed job info from this page for verification
-        if (pageJobs.length > 0) {
-          logger.info(`Jora: === PAGE ${page} JOBS (ALL ${pageJobs.length} jobs) ===`);
-          pageJobs.forEach((job, idx) => {
-            const jobUrl = job.sources?.[0]?.url || 'no-url';
-            const externalId = job.sources?.[0]?.externalId || 'no-id';
-            // Extract hash for verification
-            const hashMatch = jobUrl.match(/-([a-f0-9]{32})(?:\?|$)/);
-            const extractedHash = hashMatch ? hashMatch[1] : 'no-hash';
-            logger.info(`Jora: Page ${page}, Job ${idx + 1}/${pageJobs.length}: "${job.title}" at ${job.company} | Hash: ${extractedHash}`);
-          });
-          
-          // Also log a comprehensive summary of job types found
-          const jobTypes = pageJobs.map(j => j.title.toLowerCase()).join(' | ');
-          const hasFrontend = jobTypes.includes('frontend');
-          const hasBackend = jobTypes.includes('backend');
-          const hasData = jobTypes.includes('data') || jobTypes.includes('analyst');
-          const hasCloud = jobTypes.includes('cloud');
-          const hasCyber = jobTypes.includes('cyber') || jobTypes.includes('security');
-          const hasWeb = jobTypes.includes('web');
-          const hasIT = jobTypes.includes(' it ') || jobTypes.includes('it ') || /\bit\b/.test(jobTypes);
-          const hasProgrammer = jobTypes.includes('programmer');
-          const hasDeveloper = jobTypes.includes('developer') && !jobTypes.includes('engineer');
-          const hasEngineer = jobTypes.includes('engineer');
-          
-          // Count job title patterns
-          const engineerCount = pageJobs.filter(j => /engineer/i.test(j.title)).length;
-          const developerCount = pageJobs.filter(j => /developer/i.test(j.title) && !/engineer/i.test(j.title)).length;
-          const analystCount = pageJobs.filter(j => /analyst/i.test(j.title)).length;
-          const programmerCount = pageJobs.filter(j => /programmer/i.test(j.title)).length;
-          
-          logger.info(`Jora: Page ${page} Job Type Summary - Frontend: ${hasFrontend}, Backend: ${hasBackend}, Data: ${hasData}, Cloud: ${hasCloud}, Cybersecurity: ${hasCyber}, Web: ${hasWeb}, IT: ${hasIT}, Programmer: ${hasProgrammer}, Developer (not engineer): ${hasDeveloper}`);
-          logger.info(`Jora: Page ${page} Job Title Counts - Engineer: ${engineerCount}, Developer (only): ${developerCount}, Analyst: ${analystCount}, Programmer: ${programmerCount}`);
-          
-          // Show unique job title patterns to verify diversity
-          const uniqueTitleWords = new Set();
-          pageJobs.forEach(job => {
-            const words = job.title.toLowerCase().split(/\s+/);
-            words.forEach(word => {
-              if (word.length > 3 && !['the', 'and', 'for', 'with', 'from'].includes(word)) {
-                uniqueTitleWords.add(word);
-              }
-            });
-          });
-          logger.info(`Jora: Page ${page} Unique job title keywords (sample): ${Array.from(uniqueTitleWords).slice(0, 20).join(', ')}`);
-          logger.info(`Jora: === END PAGE ${page} JOBS ===`);
-        }
-        
-        let addedThisPage = 0;
-        let skippedThisPage = 0;
-        
-        // Add ALL jobs from the page - no filtering, with improved deduplication
-        for (const job of pageJobs) {
-          // Create a more robust deduplication key
-          // Priority: URL > externalId > normalized title+company
-          const jobUrl = job.sources?.[0]?.url || '';
-          const externalId = job.sources?.[0]?.externalId || '';
-          const normalizedTitle = (job.title || '').toLowerCase().trim().replace(/\s+/g, ' ');
-          const normalizedCompany = (job.company || '').toLowerCase().trim().replace(/\s+/g, ' ');
-          
-          // Use URL as primary key if available (most reliable)
-          // Extract job hash from URL pattern: /job/Job-Title-hash32chars
-          // Jora uses format: /job/Job-Title-ef0bff38847e6c5e0993739857d4f106
-          let key = '';
-          if (jobUrl) {
-            // Extract the 32-char hash from URL (everything after last dash before query params)
-            // Pattern: /job/anything-hash32chars -> extract hash32chars
-            const hashMatch = jobUrl.match(/-([a-f0-9]{32})(?:\?|$)/);
-            if (hashMatch) {
-              // The hash is the unique identifier (32 hex chars)
-              key = hashMatch[1].toLowerCase();
-            } else {
-              // Fallback: extract everything after last dash in the job path
-              const pathMatch = jobUrl.match(/\/job\/[^?]+-([a-zA-Z0-9]+)(?:\?|$)/);
-              if (pathMatch && pathMatch[1].length >= 16) {
-                // If we got something that looks like a hash (at least 16 chars), use it
-                key = pathMatch[1].toLowerCase();
-              } else {
-                // Use base URL path without query params as fallback
-                const urlWithoutParams = jobUrl.split('?')[0].toLowerCase().trim();
-                key = urlWithoutParams;
-              }
-            }
-          } else if (externalId) {
-            key = externalId.toLowerCase().trim();
-          } else {
-            key = `${normalizedTitle}|${normalizedCompany}`.toLowerCase().trim();
+        for (let page = 1; page <= profile.maxPages; page++) {
+          if (run?.cancelled) {
+            logger.info(`Jora: Run cancelled, stopping "${profile.name}" at page ${page}`);
+            break;
           }
-          
-          if (!key) {
-            logger.warn(`Jora: Could not generate key for job: ${job.title} at ${job.company}`);
-            continue;
+          if (this.deadline && Date.now() >= this.deadline) {
+            limitReached = 'timeBudget';
+            logger.info(`Jora: Time budget used up, stopping "${profile.name}" at page ${page}`);
+            run?.recordEarlyStop(profile.name, page - 1, 'timeBudget');
+            break;
           }
+          const url = this.buildSearchUrl(profile, page);
           
-          if (!seen.has(key)) {
-            seen.add(key);
-            jobs.push(job);
-            addedThisPage++;
-          } else {
-            skippedThisPage++;
-            logger.debug(`Jora: Skipping duplicate on page ${page}: ${job.title} at ${job.company} (key: ${key})`);
+          logger.info(`Jora: Scraping "${profile.name}" page ${page} of ${profile.maxPages}: ${url}`);
+          run?.recordPageStart(profile.name, { page, url });
+          let pageJobs;
+          try {
+            pageJobs = await this.scrapeExactUrlPage(url);
+          } catch (pageErr) {
+            logger.error(`Jora: Failed to scrape "${profile.name}" page ${page}: ${pageErr.message}`);
+            run?.recordPage(profile.name, { page, url, error: pageErr.message });
+            break;
           }
-        }
-        
-        logger.info(`Jora: Page ${page} - Added ${addedThisPage} new, skipped ${skippedThisPage} duplicates`);
-        
-        // If we got fewer jobs than expected, we might have reached the end
-        if (pageJobs.length === 0) {
-          logger.info(`Jora: No jobs found on page ${page}, stopping pagination`);
-          break;
-        }
-        
-        // If all jobs on this page were duplicates, might have reached the end of unique results
-        if (pageJobs.length > 0 && addedThisPage === 0) {
-          logger.warn(`Jora: Page ${page} had ${pageJobs.length} jobs but all were duplicates. May have reached end of unique results.`);
           
-          // If we get 2 consecutive pages with all duplicates, pagination might be broken
-          // Check if previous page also had all duplicates
-          if (page > 2 && pageJobs.length >= 10) {
-            // Sample the first job URL from this page and previous page to verify
-            const currentPageFirstUrl = pageJobs[0]?.sources?.[0]?.url || '';
-            logger.warn(`Jora: Suspicious - page ${page} returned ${pageJobs.length} jobs but all duplicates. First job URL: ${currentPageFirstUrl}`);
-            logger.warn(`Jora: This might indicate pagination is broken and returning the same page repeatedly.`);
-          }
-        }
-        
-        await this.delay(1000);
-      }
-      
-      logger.info(`Jora: Collected ${jobs.length} jobs from exact URL search`);
-      
-      // Now run separate targeted searches for diversity
-      for (const searchTerm of searchTerms) {
-        logger.info(`Jora: Running separate search for "${searchTerm.name}" (${searchTerm.pages} pages)`);
-        
-        for (let page = 1; page <= searchTerm.pages; page++) {
-          let url = '';
-          if (page === 1) {
-            url = `https://au.jora.com/j?a=14d&disallow=true&l=${encodeURIComponent(location)}&q=${searchTerm.query}&sa=70000&sp=facet_listed_date`;
-          } else if (page === 2) {
-            url = `https://au.jora.com/j?sp=search&trigger_source=serp&a=14d&q=${searchTerm.query}&l=${encodeURIComponent(location)}`;
-          } else {
-            url = `https://au.jora.com/j?a=14d&disallow=true&l=${encodeURIComponent(location)}&p=${page}&q=${searchTerm.query}&sp=search&surl=0&trigger_source=serp`;
+          let known = 0;
+          if (this.mode === 'incremental' && pageJobs.length > 0) {
+            const knownIds = await findKnownExternalIds('Jora', pageJobs.map(job => job.sources?.[0]?.externalId));
+            known = pageJobs.filter(job => knownIds.has(job.sources?.[0]?.externalId)).length;
           }
+          run?.recordPage(profile.name, { page, url, jobs: pageJobs.length, known });
           
-          logger.info(`Jora: Scraping "${searchTerm.name}" page ${page}: ${url}`);
-          const pageJobs = await this.scrapeExactUrlPage(url);
+          logger.info(`Jora: Found ${pageJobs.length} jobs for "${profile.name}" page ${page}`);
+          this.logPageSummary(profile.name, page, pageJobs);
           
-          logger.info(`Jora: Found ${pageJobs.length} jobs for "${searchTerm.name}" page ${page}`);
+          let addedThisPage = 0;
+          let skippedThisPage = 0;
           
-          // Add jobs with deduplication
-          let addedForTerm = 0;
+          // Add ALL jobs from the page - no filtering, with deduplication across profiles
           for (const job of pageJobs) {
-            const jobUrl = job.sources?.[0]?.url || '';
-            const externalId = job.sources?.[0]?.externalId || '';
+            const key = this.jobKey(job);
             
-            let key = '';
-            if (jobUrl) {
-              const hashMatch = jobUrl.match(/-([a-f0-9]{32})(?:\?|$)/);
-              if (hashMatch) {
-                key = hashMatch[1].toLowerCase();
-              } else {
-                const pathMatch = jobUrl.match(/\/job\/[^?]+-([a-zA-Z0-9]+)(?:\?|$)/);
-                if (pathMatch && pathMatch[1].length >= 16) {
-                  key = pathMatch[1].toLowerCase();
-                } else {
-                  key = jobUrl.split('?')[0].toLowerCase().trim();
-                }
-              }
-            } else if (externalId) {
-              key = externalId.toLowerCase().trim();
-            } else {
-              const normalizedTitle = (job.title || '').toLowerCase().trim().replace(/\s+/g, ' ');
-              const normalizedCompany = (job.company || '').toLowerCase().trim().replace(/\s+/g, ' ');
-              key = `${normalizedTitle}|${normalizedCompany}`.toLowerCase().trim();
+            if (!key) {
+              logger.warn(`Jora: Could not generate key for job: ${job.title} at ${job.company}`);
+              continue;
             }
             
-            if (!key) continue;
-            
-          if (!seen.has(key)) {
-            seen.add(key);
+            if (!seen.has(key)) {
+              seen.add(key);
               jobs.push(job);
-              addedForTerm++;
+              addedThisPage++;
+            } else {
+              skippedThisPage++;
+              logger.debug(`Jora: Skipping duplicate on "${profile.name}" page ${page}: ${job.title} at ${job.company} (key: ${key})`);
+            }
           }
-        }
           
-          logger.info(`Jora: "${searchTerm.name}" page ${page} - Added ${addedForTerm} new jobs`);
+          logger.info(`Jora: "${profile.name}" page ${page} - Added ${addedThisPage} new, skipped ${skippedThisPage} duplicates`);
+          run?.recordDuplicates(profile.name, page, skippedThisPage);
           
-          if (pageJobs.length === 0) break;
+          if (this.maxJobs && jobs.length >= this.maxJobs) {
+            limitReached = 'maxJobs';
+            logger.info(`Jora: Collected ${jobs.length} jobs (limit ${this.maxJobs}), stopping pagination`);
+            run?.recordEarlyStop(profile.name, page, 'maxJobs');
+            break;
+          }
           
-        await this.delay(1000);
-      }
+          // If we got no jobs, we have reached the end of the results
+          if (pageJobs.length === 0) {
+            logger.info(`Jora: No jobs found on "${profile.name}" page ${page}, stopping pagination`);
+            break;
+          }
+          
+          // Incremental runs only need the new jobs at the top of the results
+          if (this.mode === 'incremental' && known / pageJobs.length >= this.knownThreshold) {
+            logger.info(`Jora: ${known} of ${pageJobs.length} jobs on "${profile.name}" page ${page} already known, stopping pagination (incremental)`);
+            run?.recordEarlyStop(profile.name, page);
+            break;
+          }
+          
+          // If all jobs on this page were duplicates, might have reached the end of unique results
+          if (addedThisPage === 0 && page > 2 && pageJobs.length >= 10) {
+            const currentPageFirstUrl = pageJobs[0]?.sources?.[0]?.url || '';
+            logger.warn(`Jora: Suspicious - "${profile.name}" page ${page} returned ${pageJobs.length} jobs but all duplicates. First job URL: ${currentPageFirstUrl}`);
+            logger.warn(`Jora: This might indicate pagination is broken and returning the same page repeatedly.`);
+          }
+        }
         
-        logger.info(`Jora: Completed "${searchTerm.name}" search, total jobs so far: ${jobs.length}`);
+        logger.info(`Jora: Completed "${profile.name}" search, total jobs so far: ${jobs.length}`);
       }
       
-      logger.info(`Jora: Collected ${jobs.length} total jobs from all searches (exact URL + separate term searches)`);
+      logger.info(`Jora: Collected ${jobs.length} total jobs from all search profiles`);
       
       // Sort all jobs by posted date (most recent first)
       jobs.sort((a, b) => {
@@ -265,108 +246,271 @@ export class JoraScraper {
         return dateB - dateA; // Descending order (newest first)
       });
       
-      logger.info(`Jora: Sorted ${jobs.length} jobs by posted date (most recent first)`);
+      if (this.maxJobs && jobs.length > this.maxJobs) {
+        jobs = jobs.slice(0, this.maxJobs);
+      }
       return jobs;
     } catch (err) {
-      logger.error('Jora scrape with exact URL failed:', err);
+      logger.error('Jora scrape with search profiles failed:', err);
       throw err;
     }
   }
 
-  async scrapeExactUrlPage(url) {
-    logger.info(`Jora: Loading page with Puppeteer: ${url}`);
-    let browser = null;
-    try {
-      // Launch Puppeteer with realistic browser settings
-      browser = await puppeteer.launch({
-        headless: true,
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-accelerated-2d-canvas',
-          '--no-first-run',
-          '--no-zygote',
-          '--disable-gpu'
-        ]
-      });
+  // Run the default search profiles for a single location
+  // (used by on-demand scraping; scheduled runs use the profiles stored in the database)
+  async scrapeWithExactUrl(location = 'Sydney NSW', maxPages = 10) {
+    const profiles = DEFAULT_SEARCH_PROFILES.map(profile => ({
+      ...profile,
+      location,
+      maxPages: Math.min(profile.maxPages, maxPages)
+    }));
+    return this.scrapeProfiles(profiles);
+  }
 
-      const page = await browser.newPage();
-      
-      // Set realistic viewport and user agent
-      await page.setViewport({ width: 1920, height: 1080 });
-      await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-      
-      // Set additional headers to appear more like a real browser
-      await page.setExtraHTTPHeaders({
-        'Accept-Language': 'en-AU,en-US;q=0.9,en;q=0.8',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8'
-      });
+  /**
+   * Search Jora for a user's query, expanded with the role's other common titles
+   * Unlike the stored profiles there is no salary floor or listing age limit,
+   * so a role we have no jobs for yet isn't filtered down to nothing
+   * @param {string} query - What the user searched for, e.g. "frontend developer"
+   * @param {Object} [options]
+   * @param {string} [options.location]
+   * @param {number} [options.maxPages]
+   */
+  async scrapeQuery(query, { location = 'Sydney NSW', maxPages = 5 } = {}) {
+    const keywords = expandRoleQuery(query);
+    if (keywords.length === 0) {
+      throw new Error('Jora: A search query is required');
+    }
+
+    return this.scrapeProfiles([{
+      name: `Query: ${query.trim()}`,
+      keywords,
+      location,
+      listedWithinDays: null,
+      salaryFloor: null,
+      maxPages
+    }]);
+  }
+
+  // Log which kinds of roles a results page returned, to verify search diversity
+  logPageSummary(profileName, page, pageJobs) {
+    if (pageJobs.length === 0) return;
+
+    logger.info(`Jora: === "${profileName}" PAGE ${page} JOBS (ALL ${pageJobs.length} jobs) ===`);
+    pageJobs.forEach((job, idx) => {
+      const jobUrl = job.sources?.[0]?.url || 'no-url';
+      const externalId = job.sources?.[0]?.externalId || 'no-id';
+      // Extract hash for verification
+      const hashMatch = jobUrl.match(/-([a-f0-9]{32})(?:\?|$)/);
+      const extractedHash = hashMatch ? hashMatch[1] : 'no-hash';
+      logger.debug(`Jora: Page ${page}, Job ${idx + 1}/${pageJobs.length}: "${job.title}" at ${job.company} | Hash: ${extractedHash}`);
+    });
+
+    // Also log a comprehensive summary of job types found
+    const jobTypes = pageJobs.map(j => j.title.toLowerCase()).join(' | ');
+    const hasFrontend = jobTypes.includes('frontend');
+    const hasBackend = jobTypes.includes('backend');
+    const hasData = jobTypes.includes('data') || jobTypes.includes('analyst');
+    const hasCloud = jobTypes.includes('cloud');
+    const hasCyber = jobTypes.includes('cyber') || jobTypes.includes('security');
+    const hasWeb = jobTypes.includes('web');
+    const hasIT = jobTypes.includes(' it ') || jobTypes.includes('it ') || /\bit\b/.test(jobTypes);
+    const hasProgrammer = jobTypes.includes('programmer');
+    const hasDeveloper = jobTypes.includes('developer') && !jobTypes.includes('engineer');
+    const hasEngineer = jobTypes.includes('engineer');
+
+    // Count job title patterns
+    const engineerCount = pageJobs.filter(j => /engineer/i.test(j.title)).length;
+    const developerCount = pageJobs.filter(j => /developer/i.test(j.title) && !/engineer/i.test(j.title)).length;
+    const analystCount = pageJobs.filter(j => /analyst/i.test(j.title)).length;
+    const programmerCount = pageJobs.filter(j => /programmer/i.test(j.title)).length;
 
-      // Navigate to the page and wait for content
-      await page.goto(url, { 
-        waitUntil: 'networkidle2',
-        timeout: 30000
+    logger.info(`Jora: "${profileName}" page ${page} Job Type Summary - Frontend: ${hasFrontend}, Backend: ${hasBackend}, Data: ${hasData}, Cloud: ${hasCloud}, Cybersecurity: ${hasCyber}, Web: ${hasWeb}, IT: ${hasIT}, Programmer: ${hasProgrammer}, Developer (not engineer): ${hasDeveloper}`);
+    logger.info(`Jora: "${profileName}" page ${page} Job Title Counts - Engineer: ${engineerCount}, Developer (only): ${developerCount}, Analyst: ${analystCount}, Programmer: ${programmerCount}`);
+
+    // Show unique job title patterns to verify diversity
+    const uniqueTitleWords = new Set();
+    pageJobs.forEach(job => {
+      const words = job.title.toLowerCase().split(/\s+/);
+      words.forEach(word => {
+        if (word.length > 3 && !['the', 'and', 'for', 'with', 'from'].includes(word)) {
+          uniqueTitleWords.add(word);
+        }
       });
+    });
+    logger.info(`Jora: "${profileName}" page ${page} Unique job title keywords (sample): ${Array.from(uniqueTitleWords).slice(0, 20).join(', ')}`);
+    logger.info(`Jora: === END "${profileName}" PAGE ${page} JOBS ===`);
+  }
 
-      // Wait for job cards to be visible (ensures JavaScript has loaded)
-      try {
-        await page.waitForSelector('.job-card, [data-automation="job-card"], a[href*="/job/"]', { timeout: 15000 });
-      } catch (e) {
-        logger.warn(`Jora: Job cards selector not found, continuing anyway`);
+  // Deduplication key for a job within a run
+  // Priority: URL hash > URL path > externalId > normalized title+company
+  jobKey(job) {
+    const jobUrl = job.sources?.[0]?.url || '';
+    const externalId = job.sources?.[0]?.externalId || '';
+
+    if (jobUrl) {
+      // Extract the 32-char hash from URL (everything after last dash before query params)
+      // Jora uses format: /job/Job-Title-ef0bff38847e6c5e0993739857d4f106
+      const hashMatch = jobUrl.match(/-([a-f0-9]{32})(?:\?|$)/);
+      if (hashMatch) {
+        return hashMatch[1].toLowerCase();
       }
+      // Fallback: extract everything after last dash in the job path
+      const pathMatch = jobUrl.match(/\/job\/[^?]+-([a-zA-Z0-9]+)(?:\?|$)/);
+      if (pathMatch && pathMatch[1].length >= 16) {
+        return pathMatch[1].toLowerCase();
+      }
+      // Use base URL path without query params as fallback
+      return jobUrl.split('?')[0].toLowerCase().trim();
+    }
+
+    if (externalId) {
+      return externalId.toLowerCase().trim();
+    }
+
+    const normalizedTitle = (job.title || '').toLowerCase().trim().replace(/\s+/g, ' ');
+    const normalizedCompany = (job.company || '').toLowerCase().trim().replace(/\s+/g, ' ');
+    return `${normalizedTitle}|${normalizedCompany}`.toLowerCase().trim();
+  }
+
+  async scrapeExactUrlPage(url) {
+    const html = await this.fetchPageHtml(url, {
+      hasContent: (pageHtml) => this.findJobCards(load(pageHtml)).length > 0
+    });
+    logger.info(`Jora: Successfully loaded page, parsing jobs...`);
+    return this.parseJobPage(html);
+  }
 
-      // Wait a bit more for JavaScript to fully render
-      await page.waitForTimeout(2000);
+  /**
+   * Fetch a page's HTML, recording it or serving it from fixtures when enabled
+   * Plain HTTP is tried first; Puppeteer only loads the page when the response
+   * is blocked, empty or fails hasContent (see services/fetchStrategy.js)
+   * @param {string} url
+   * @param {Object} [options]
+   * @param {(html: string) => boolean} [options.hasContent] - Whether the HTML has what the caller parses
+   * @param {Object} [options.loadOptions] - Passed to loadPageHtml for the browser fallback
+   */
+  async fetchPageHtml(url, { hasContent, loadOptions = {} } = {}) {
+    if (this.fixtures?.isReplaying) {
+      return this.fixtures.load(url).html;
+    }
+
+    // Throttling, retries and robots.txt are handled by the shared crawl policy
+    const { html, strategy } = await fetchHtml(url, {
+      loadWithBrowser: () => this.loadPageHtml(url, loadOptions),
+      hasContent,
+      run: this.run
+    });
+    logger.debug(`Jora: ${url} served by ${strategy}`);
+
+    if (this.fixtures?.isRecording) {
+      this.fixtures.save(url, html, new Date());
+    }
+
+    return html;
+  }
+
+  /**
+   * Load a page in Puppeteer and return its rendered HTML
+   * @param {string} url
+   * @param {Object} options
+   * @param {string} [options.waitForSelector] - Selector that signals the content has rendered
+   * @param {boolean} [options.scroll] - Scroll through the page to trigger lazy-loaded cards
+   */
+  async loadPageHtml(url, {
+    waitForSelector = '.job-card, [data-automation="job-card"], a[href*="/job/"]',
+    scroll = true
+  } = {}) {
+    logger.info(`Jora: Loading page with Puppeteer: ${url}`);
+    try {
+      // Pages come from the shared browser pool, which also blocks images, fonts and media
+      return await browserPool.withPage(async (page) => {
+        // Set realistic viewport and user agent
+        await page.setViewport({ width: 1920, height: 1080 });
+        await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
       
-      // Scroll multiple times to trigger all lazy-loaded jobs
-      // Jora uses lazy loading, so we need to scroll through the page
-      await page.evaluate(async () => {
-        await new Promise((resolve) => {
-          let totalHeight = 0;
-          const distance = 300;
-          const timer = setInterval(() => {
-            const scrollHeight = document.body.scrollHeight;
-            window.scrollBy(0, distance);
-            totalHeight += distance;
-
-            // Stop scrolling if we've reached the bottom or scrolled enough
-            if (totalHeight >= scrollHeight || totalHeight > 5000) {
-              clearInterval(timer);
-              resolve();
-            }
-          }, 200);
+        // Set additional headers to appear more like a real browser
+        await page.setExtraHTTPHeaders({
+          'Accept-Language': 'en-AU,en-US;q=0.9,en;q=0.8',
+          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8'
         });
-        
-        // Scroll back to top to ensure all content is in DOM
-        window.scrollTo(0, 0);
-      });
 
-      // Wait for any animations/lazy loading to complete
-      await page.waitForTimeout(2000);
+        // Navigate to the page and wait for content
+        const response = await page.goto(url, { 
+          waitUntil: 'networkidle2',
+          timeout: 30000
+        });
 
-      // Get the page HTML
-      const html = await page.content();
-      
-      // Log a sample of job titles found in HTML for debugging
-      const titleMatches = html.match(/<[^>]*data-automation="job-title"[^>]*>([^<]+)<\/[^>]*>/gi) || 
-                          html.match(/<a[^>]*href="[^"]*\/job\/[^"]*"[^>]*>([^<]+)<\/a>/gi);
-      if (titleMatches && titleMatches.length > 0) {
-        const sampleTitles = titleMatches.slice(0, 10).map(m => {
-          const textMatch = m.match(/>([^<]+)</);
-          return textMatch ? textMatch[1].trim() : '';
-        }).filter(t => t).join(', ');
-        logger.info(`Jora: Sample job titles found in HTML (first 10): ${sampleTitles}`);
-      }
+        // Removed listings answer 404/410 - callers treat PAGE_GONE as "job closed"
+        if (response && [404, 410].includes(response.status())) {
+          const goneError = new Error(`Page gone (HTTP ${response.status()}): ${url}`);
+          goneError.code = 'PAGE_GONE';
+          goneError.status = response.status();
+          throw goneError;
+        }
+
+        // Server errors are retried by the crawl policy
+        if (response && response.status() >= 500) {
+          const serverError = new Error(`HTTP ${response.status()} loading ${url}`);
+          serverError.status = response.status();
+          throw serverError;
+        }
+
+        // Wait for job cards to be visible (ensures JavaScript has loaded)
+        try {
+          await page.waitForSelector(waitForSelector, { timeout: 15000 });
+        } catch (e) {
+          logger.warn(`Jora: Selector "${waitForSelector}" not found, continuing anyway`);
+        }
+
+        // Wait a bit more for JavaScript to fully render
+        await page.waitForTimeout(2000);
       
-      await browser.close();
+        if (scroll) {
+          // Scroll multiple times to trigger all lazy-loaded jobs
+          // Jora uses lazy loading, so we need to scroll through the page
+          await page.evaluate(async () => {
+            await new Promise((resolve) => {
+              let totalHeight = 0;
+              const distance = 300;
+              const timer = setInterval(() => {
+                const scrollHeight = document.body.scrollHeight;
+                window.scrollBy(0, distance);
+                totalHeight += distance;
+
+                // Stop scrolling if we've reached the bottom or scrolled enough
+                if (totalHeight >= scrollHeight || totalHeight > 5000) {
+                  clearInterval(timer);
+                  resolve();
+                }
+              }, 200);
+            });
+        
+            // Scroll back to top to ensure all content is in DOM
+            window.scrollTo(0, 0);
+          });
+
+          // Wait for any animations/lazy loading to complete
+          await page.waitForTimeout(2000);
+        }
+
+        // Get the page HTML
+        const html = await page.content();
       
-      logger.info(`Jora: Successfully loaded page, parsing jobs...`);
-      return this.parseJobPage(html);
+        // Log a sample of job titles found in HTML for debugging
+        const titleMatches = html.match(/<[^>]*data-automation="job-title"[^>]*>([^<]+)<\/[^>]*>/gi) || 
+                            html.match(/<a[^>]*href="[^"]*\/job\/[^"]*"[^>]*>([^<]+)<\/a>/gi);
+        if (titleMatches && titleMatches.length > 0) {
+          const sampleTitles = titleMatches.slice(0, 10).map(m => {
+            const textMatch = m.match(/>([^<]+)</);
+            return textMatch ? textMatch[1].trim() : '';
+          }).filter(t => t).join(', ');
+          logger.info(`Jora: Sample job titles found in HTML (first 10): ${sampleTitles}`);
+        }
+        
+        return html;
+      });
     } catch (error) {
-      if (browser) {
-        await browser.close();
-      }
       logger.error(`Jora: Error scraping page with Puppeteer: ${error.message}`);
       throw error;
     }
@@ -374,7 +518,50 @@ export class JoraScraper {
 
   parseJobPage(html) {
     const $ = load(html);
+    const jobElements = this.findJobCards($);
+    const health = { cardsFound: jobElements.length, parseErrors: 0, missing: {} };
+    const countMissing = (fields) => fields.forEach(field => { health.missing[field] = (health.missing[field] || 0) + 1; });
+
+    if (jobElements.length === 0) {
+      logger.warn(`Jora: No jobs found. HTML length: ${html.length}`);
+      logger.debug(`Jora: HTML sample (first 500 chars): ${html.substring(0, 500)}`);
+      this.run?.recordExtraction(health);
+      return [];
+    }
+
+    const results = [];
+    jobElements.forEach((el, i) => {
+      try {
+        const card = this.parseCard($, el, i);
+        countMissing(this.missingCardFields(card));
+        const job = card ? this.normaliseJob(card) : null;
+        if (job) results.push(job);
+      } catch (e) {
+        // A card that throws counts as missing everything, so broken markup shows up in extraction health
+        health.parseErrors++;
+        countMissing(HEALTH_FIELDS);
+        logger.debug(`Jora: Failed to parse job card ${i}: ${e.message}`);
+      }
+    });
+
+    this.run?.recordExtraction(health);
+    return results;
+  }
 
+  // Key fields a parsed card is missing - feeds the per-run extraction health metrics
+  missingCardFields(card) {
+    if (!card) return HEALTH_FIELDS;
+    const missing = [];
+    if (!card.title) missing.push('title');
+    if (!card.company || card.company === 'Unknown') missing.push('company');
+    if (!card.location) missing.push('location');
+    if (!card.postedAt) missing.push('date');
+    // parseCard falls back to a generated jora_<timestamp>_<index> id when the URL has none
+    if (!card.externalId || /^jora_\d+_\d+$/.test(card.externalId)) missing.push('externalId');
+    return missing;
+  }
+
+  findJobCards($) {
     // Try multiple selector strategies for Jora's job listings
     // We want to find ALL job cards, not just the first matching selector
     const jobSelectors = [
@@ -450,211 +637,346 @@ export class JoraScraper {
       }
     }
 
-    if (jobElements.length === 0) {
-      logger.warn(`Jora: No jobs found. HTML length: ${html.length}`);
-      logger.debug(`Jora: HTML sample (first 500 chars): ${html.substring(0, 500)}`);
-      return [];
+    return jobElements;
+  }
+
+  // Extract the raw fields from a single job card; returns null when the card has no title
+  parseCard($, el, i) {
+    const $el = $(el);
+    // Try multiple ways to find the job title/link
+    let titleEl = $el.find('[data-automation="job-title"]').first();
+    if (!titleEl.length) titleEl = $el.find('a[href*="/job/"]').first();
+    if (!titleEl.length) titleEl = $el.find('h2 a, h3 a, .title a').first();
+    if (!titleEl.length) titleEl = $el.find('a').first();
+
+    const title = titleEl.text().trim();
+    if (!title) {
+      logger.debug(`Jora: Skipping job ${i} - no title found`);
+      return null;
     }
 
-    const results = [];
-    jobElements.forEach((el, i) => {
-      try {
-        const $el = $(el);
-        // Try multiple ways to find the job title/link
-        let titleEl = $el.find('[data-automation="job-title"]').first();
-        if (!titleEl.length) titleEl = $el.find('a[href*="/job/"]').first();
-        if (!titleEl.length) titleEl = $el.find('h2 a, h3 a, .title a').first();
-        if (!titleEl.length) titleEl = $el.find('a').first();
-
-        const title = titleEl.text().trim();
-        if (!title) {
-          logger.debug(`Jora: Skipping job ${i} - no title found`);
-          return;
-        }
+    const href = titleEl.attr('href') || '';
+    const jobUrl = href.startsWith('http') ? href : (href ? this.baseUrl + href : '');
 
-        const href = titleEl.attr('href') || '';
-        const jobUrl = href.startsWith('http') ? href : (href ? this.baseUrl + href : '');
+    // Try multiple selectors for company
+    let companyEl = $el.find('[data-automation="job-company"]').first();
+    if (!companyEl.length) companyEl = $el.find('.job-company, .company, .employer, [class*="company"]').first();
+    const company = companyEl.text().trim() || 'Unknown';
 
-        // Try multiple selectors for company
-        let companyEl = $el.find('[data-automation="job-company"]').first();
-        if (!companyEl.length) companyEl = $el.find('.job-company, .company, .employer, [class*="company"]').first();
-        const company = companyEl.text().trim() || 'Unknown';
+    // Try multiple selectors for location
+    let locationEl = $el.find('[data-automation="job-location"]').first();
+    if (!locationEl.length) locationEl = $el.find('.job-location, .location, [class*="location"]').first();
+    const location = locationEl.text().trim() || '';
 
-        // Try multiple selectors for location
-        let locationEl = $el.find('[data-automation="job-location"]').first();
-        if (!locationEl.length) locationEl = $el.find('.job-location, .location, [class*="location"]').first();
-        const location = locationEl.text().trim() || '';
+    // Try multiple selectors for description
+    let descEl = $el.find('[data-automation="job-short-description"]').first();
+    if (!descEl.length) descEl = $el.find('.job-abstract, .job-snippet, .job-description, .description').first();
+    const description = descEl.text().trim() || '';
 
-        // Try multiple selectors for description
-        let descEl = $el.find('[data-automation="job-short-description"]').first();
-        if (!descEl.length) descEl = $el.find('.job-abstract, .job-snippet, .job-description, .description').first();
-        const description = descEl.text().trim() || '';
+    // Salary badge when Jora shows one, otherwise any pay figure in the card text
+    const salaryText = $el.find(SALARY_SELECTORS).first().text().trim() || findSalaryText($el.text());
 
-        // Extract posted date - Jora format: "10d ago, from Prosple" or "18h ago, from eFinancialCareers"
-        // CRITICAL: Must extract EXACT value from Jora, not calculate manually
-        let postedAt = null;
-        let postedText = null;
-        
-        // Get the FULL HTML content of the job card to debug
-        const jobCardHtml = $el.html();
-        const jobCardText = $el.text();
-        
-        // Strategy 1: Try to find a specific date element with common selectors
-        let postedEl = $el.find('[data-automation="job-date"]').first();
-        if (!postedEl.length) postedEl = $el.find('time').first();
-        if (!postedEl.length) postedEl = $el.find('[class*="date"]').first();
-        if (!postedEl.length) postedEl = $el.find('[class*="ago"]').first();
-        if (!postedEl.length) postedEl = $el.find('[class*="posted"]').first();
-        if (!postedEl.length) postedEl = $el.find('[class*="listed"]').first();
-        
-        // Strategy 2: Try to get date from datetime attribute (most reliable)
-        const datetimeAttr = postedEl.attr('datetime') || postedEl.attr('data-date') || postedEl.attr('title') || postedEl.attr('aria-label');
+    // Extract posted date - Jora format: "10d ago, from Prosple" or "18h ago, from eFinancialCareers"
+    // CRITICAL: Must extract EXACT value from Jora, not calculate manually
+    let postedAt = null;
+    let postedText = null;
+    
+    // Get the FULL HTML content of the job card to debug
+    const jobCardHtml = $el.html();
+    const jobCardText = $el.text();
+    
+    // Strategy 1: Try to find a specific date element with common selectors
+    let postedEl = $el.find('[data-automation="job-date"]').first();
+    if (!postedEl.length) postedEl = $el.find('time').first();
+    if (!postedEl.length) postedEl = $el.find('[class*="date"]').first();
+    if (!postedEl.length) postedEl = $el.find('[class*="ago"]').first();
+    if (!postedEl.length) postedEl = $el.find('[class*="posted"]').first();
+    if (!postedEl.length) postedEl = $el.find('[class*="listed"]').first();
+    
+    // Strategy 2: Try to get date from datetime attribute (most reliable)
+    const datetimeAttr = postedEl.attr('datetime') || postedEl.attr('data-date') || postedEl.attr('title') || postedEl.attr('aria-label');
+    
+    if (datetimeAttr && !datetimeAttr.match(/^\d{4}-\d{2}-\d{2}/)) {
+      // If it's not an ISO date, treat it as text
+      postedText = datetimeAttr.trim();
+    } else if (datetimeAttr) {
+      // Parse ISO date string if available
+      postedAt = new Date(datetimeAttr).toISOString();
+      logger.info(`Jora: Found ISO datetime attribute: ${datetimeAttr} for job: "${title}"`);
+    } else {
+      // Strategy 3: Extract posted date text from element
+      if (postedEl.length) {
+        postedText = postedEl.text().trim();
+      }
+      
+      // Strategy 4: If no element found or no valid date pattern, search entire job card
+      if (!postedText || !postedText.match(/\d+[hd]\s*ago|\d+\s*(?:hours?|days?|weeks?|months?)\s*ago/i)) {
+        // Extract date pattern from entire job card text
+        // Patterns: "10d ago", "18h ago", "3 days ago", "2 weeks ago", etc.
+        const datePatterns = [
+          /\d+[hd]\s*ago/i,  // "10d ago" or "18h ago" - CHECK THIS FIRST
+          /\d+\s*days?\s*ago/i,    // "10 days ago" 
+          /\d+\s*hours?\s*ago/i,  // "18 hours ago"
+          /\d+\s*weeks?\s*ago/i,   // "2 weeks ago"
+          /\d+\s*months?\s*ago/i   // "3 months ago"
+        ];
         
-        if (datetimeAttr && !datetimeAttr.match(/^\d{4}-\d{2}-\d{2}/)) {
-          // If it's not an ISO date, treat it as text
-          postedText = datetimeAttr.trim();
-        } else if (datetimeAttr) {
-          // Parse ISO date string if available
-          postedAt = new Date(datetimeAttr).toISOString();
-          logger.info(`Jora: Found ISO datetime attribute: ${datetimeAttr} for job: "${title}"`);
-        } else {
-          // Strategy 3: Extract posted date text from element
-          if (postedEl.length) {
-            postedText = postedEl.text().trim();
-          }
-          
-          // Strategy 4: If no element found or no valid date pattern, search entire job card
-          if (!postedText || !postedText.match(/\d+[hd]\s*ago|\d+\s*(?:hours?|days?|weeks?|months?)\s*ago/i)) {
-            // Extract date pattern from entire job card text
-            // Patterns: "10d ago", "18h ago", "3 days ago", "2 weeks ago", etc.
-            const datePatterns = [
-              /\d+[hd]\s*ago/i,  // "10d ago" or "18h ago" - CHECK THIS FIRST
-              /\d+\s*days?\s*ago/i,    // "10 days ago" 
-              /\d+\s*hours?\s*ago/i,  // "18 hours ago"
-              /\d+\s*weeks?\s*ago/i,   // "2 weeks ago"
-              /\d+\s*months?\s*ago/i   // "3 months ago"
-            ];
-            
-            for (const pattern of datePatterns) {
-              const match = jobCardText.match(pattern);
-              if (match) {
-                // Extract the matched text and clean it
-                postedText = match[0].trim();
-                // Remove anything after comma if present (like ", from Prosple")
-                if (jobCardText.includes(',')) {
-                  const beforeComma = jobCardText.substring(0, jobCardText.indexOf(','));
-                  const matchInBeforeComma = beforeComma.match(pattern);
-                  if (matchInBeforeComma) {
-                    postedText = matchInBeforeComma[0].trim();
-                  }
-                }
-                break;
+        for (const pattern of datePatterns) {
+          const match = jobCardText.match(pattern);
+          if (match) {
+            // Extract the matched text and clean it
+            postedText = match[0].trim();
+            // Remove anything after comma if present (like ", from Prosple")
+            if (jobCardText.includes(',')) {
+              const beforeComma = jobCardText.substring(0, jobCardText.indexOf(','));
+              const matchInBeforeComma = beforeComma.match(pattern);
+              if (matchInBeforeComma) {
+                postedText = matchInBeforeComma[0].trim();
               }
             }
-            
-            // Strategy 5: If still no match, search ALL child elements for "ago" text
-            if (!postedText) {
-              $el.find('*').each((_, elem) => {
-                const $elem = $(elem);
-                const elemText = $elem.text().trim();
-                if (elemText && elemText.match(/\d+[hd]\s*ago|\d+\s*(?:hours?|days?|weeks?|months?)\s*ago/i)) {
-                  postedText = elemText;
-                  // Extract just the date part before comma
-                  if (postedText.includes(',')) {
-                    postedText = postedText.split(',')[0].trim();
-                  }
-                  // Remove "from X" suffix
-                  postedText = postedText.replace(/\s+from\s+.*$/i, '').trim();
-                  return false; // break
-                }
-              });
-            }
-          } else {
-            // Clean the extracted text - remove "from X" suffix and comma-separated content
-            if (postedText.includes(',')) {
-              postedText = postedText.split(',')[0].trim();
-            }
-            postedText = postedText.replace(/\s+from\s+.*$/i, '').trim();
-          }
-          
-          if (postedText) {
-            logger.info(`Jora: ✅ Extracted posted date text from Jora: "${postedText}" for job: "${title}" at ${company}`);
-            postedAt = this.parsePostedDate(postedText);
-            if (postedAt) {
-              const parsedDate = new Date(postedAt);
-              const daysDiff = Math.floor((Date.now() - parsedDate.getTime()) / (1000 * 60 * 60 * 24));
-              const hoursDiff = Math.floor((Date.now() - parsedDate.getTime()) / (1000 * 60 * 60));
-              logger.info(`Jora: ✅ Parsed "${postedText}" -> ISO: ${postedAt} (${daysDiff} days, ${hoursDiff} hours ago)`);
-            } else {
-              logger.warn(`Jora: ⚠️ Failed to parse date text: "${postedText}"`);
-            }
-          } else {
-            logger.warn(`Jora: ⚠️ No date text extracted for job: "${title}" at ${company}. Full card text sample: "${$el.text().substring(0, 200)}..."`);
+            break;
           }
         }
-
-        // Extract hash from Jora URL format: /job/Job-Title-hash32chars
-        // The hash is the last segment after the final dash (32 hex characters)
-        let externalId = null;
-        if (jobUrl) {
-          // Match: /job/anything-hash where hash is 32 hex chars at the end
-          const hashMatch = jobUrl.match(/-([a-f0-9]{32})(?:\?|$)/);
-          if (hashMatch) {
-            externalId = hashMatch[1];
-          } else {
-            // Fallback: extract everything after last dash
-            const pathMatch = jobUrl.match(/\/job\/[^?]+-([a-zA-Z0-9]+)/);
-            if (pathMatch) {
-              externalId = pathMatch[1];
-            } else {
-              externalId = `jora_${Date.now()}_${i}`;
+        
+        // Strategy 5: If still no match, search ALL child elements for "ago" text
+        if (!postedText) {
+          $el.find('*').each((_, elem) => {
+            const $elem = $(elem);
+            const elemText = $elem.text().trim();
+            if (elemText && elemText.match(/\d+[hd]\s*ago|\d+\s*(?:hours?|days?|weeks?|months?)\s*ago/i)) {
+              postedText = elemText;
+              // Extract just the date part before comma
+              if (postedText.includes(',')) {
+                postedText = postedText.split(',')[0].trim();
+              }
+              // Remove "from X" suffix
+              postedText = postedText.replace(/\s+from\s+.*$/i, '').trim();
+              return false; // break
             }
-          }
+          });
+        }
+      } else {
+        // Clean the extracted text - remove "from X" suffix and comma-separated content
+        if (postedText.includes(',')) {
+          postedText = postedText.split(',')[0].trim();
+        }
+        postedText = postedText.replace(/\s+from\s+.*$/i, '').trim();
+      }
+      
+      if (postedText) {
+        logger.info(`Jora: ✅ Extracted posted date text from Jora: "${postedText}" for job: "${title}" at ${company}`);
+        postedAt = this.parsePostedDate(postedText);
+        if (postedAt) {
+          const parsedDate = new Date(postedAt);
+          const daysDiff = Math.floor((this.now().getTime() - parsedDate.getTime()) / (1000 * 60 * 60 * 24));
+          const hoursDiff = Math.floor((this.now().getTime() - parsedDate.getTime()) / (1000 * 60 * 60));
+          logger.info(`Jora: ✅ Parsed "${postedText}" -> ISO: ${postedAt} (${daysDiff} days, ${hoursDiff} hours ago)`);
         } else {
-          externalId = `jora_${Date.now()}_${i}`;
+          logger.warn(`Jora: ⚠️ Failed to parse date text: "${postedText}"`);
         }
+      } else {
+        logger.warn(`Jora: ⚠️ No date text extracted for job: "${title}" at ${company}. Full card text sample: "${$el.text().substring(0, 200)}..."`);
+      }
+    }
 
-        // Only use current date as fallback if we truly couldn't find any date element
-        // Otherwise, log that we couldn't parse the date but still try to save something
-        if (!postedAt || isNaN(new Date(postedAt).getTime())) {
-          if (!postedEl.length) {
-            // No date element found at all - use current date as fallback
-            logger.warn(`Jora: No date element found for job: ${title} at ${company}`);
-            postedAt = new Date().toISOString();
-          } else {
-            // Date element found but couldn't parse - log and use current date
-            const postedText = postedEl.text().trim();
-            logger.warn(`Jora: Could not parse posted date for job "${title} at ${company}". Date text: "${postedText}"`);
-            postedAt = new Date().toISOString();
-          }
+    // Extract hash from Jora URL format: /job/Job-Title-hash32chars
+    // The hash is the last segment after the final dash (32 hex characters)
+    let externalId = null;
+    if (jobUrl) {
+      // Match: /job/anything-hash where hash is 32 hex chars at the end
+      const hashMatch = jobUrl.match(/-([a-f0-9]{32})(?:\?|$)/);
+      if (hashMatch) {
+        externalId = hashMatch[1];
+      } else {
+        // Fallback: extract everything after last dash
+        const pathMatch = jobUrl.match(/\/job\/[^?]+-([a-zA-Z0-9]+)/);
+        if (pathMatch) {
+          externalId = pathMatch[1];
         } else {
-          logger.debug(`Jora: Successfully parsed posted date: ${postedAt} for job: ${title}`);
+          externalId = `jora_${this.now().getTime()}_${i}`;
         }
+      }
+    } else {
+      externalId = `jora_${this.now().getTime()}_${i}`;
+    }
 
-        const workMode = this.determineWorkMode(title + ' ' + description);
-        const experience = this.determineExperienceLevel(title + ' ' + description);
-        const category = 'Software Engineering';
-
-        results.push({
-          title,
-          company,
-          location,
-          workMode,
-          category,
-          experience,
-          salaryMin: null,
-          salaryMax: null,
-          descriptionSnippet: description,
-          descriptionFull: description,
-          postedAt,
-          sources: [{ site: 'Jora', url: jobUrl, postedAt, externalId }]
-        });
-      } catch (e) {
-        // ignore element errors
+    return {
+      title,
+      url: jobUrl,
+      company,
+      location,
+      description,
+      postedAt,
+      dateElementText: postedEl.length ? postedEl.text().trim() : null,
+      salaryText: salaryText || null,
+      externalId
+    };
+  }
+
+  // Turn a raw card from parseCard into the job shape saveJobsToDatabase expects
+  normaliseJob(card) {
+    const { title, company, location, description, externalId } = card;
+    let postedAt = card.postedAt;
+
+    // Only use current date as fallback if we truly couldn't find any date element
+    // Otherwise, log that we couldn't parse the date but still try to save something
+    if (!postedAt || isNaN(new Date(postedAt).getTime())) {
+      if (card.dateElementText === null) {
+        // No date element found at all - use current date as fallback
+        logger.warn(`Jora: No date element found for job: ${title} at ${company}`);
+        postedAt = this.now().toISOString();
+      } else {
+        // Date element found but couldn't parse - log and use current date
+        logger.warn(`Jora: Could not parse posted date for job "${title} at ${company}". Date text: "${card.dateElementText}"`);
+        postedAt = this.now().toISOString();
+      }
+    } else {
+      logger.debug(`Jora: Successfully parsed posted date: ${postedAt} for job: ${title}`);
+    }
+
+    const workMode = this.determineWorkMode(title + ' ' + description);
+    const seniority = this.extractSeniority({ title, description });
+    const salary = parseSalary(card.salaryText, { field: true });
+    const employment = this.extractEmploymentType({ title, description, salaryPeriod: salary?.period });
+
+    return {
+      title,
+      company,
+      location,
+      workMode,
+      category: null, // Jora cards have no category - jobClassifier assigns one when the job is saved
+      experience: seniority.level,
+      yearsRequiredMin: seniority.yearsMin,
+      yearsRequiredMax: seniority.yearsMax,
+      employmentType: employment.employmentType,
+      contractDurationMonths: employment.contractDurationMonths,
+      salaryMin: salary?.min ?? null,
+      salaryMax: salary?.max ?? null,
+      salaryText: salary?.text ?? null,
+      salaryPeriod: salary?.period ?? null,
+      salaryIncludesSuper: salary?.includesSuper ?? null,
+      descriptionSnippet: description,
+      descriptionFull: description,
+      postedAt,
+      sources: [{ site: 'Jora', url: card.url, postedAt, externalId }]
+    };
+  }
+
+  // Extract the full description body from a Jora /job/ detail page
+  // gone is set when the page says the listing has expired or been removed
+  parseJobDetail(html) {
+    const $ = load(html);
+    let descriptionFull = null;
+    const gone = DETAIL_GONE_PATTERNS.some(pattern => pattern.test($('body').text()));
+
+    for (const selector of DETAIL_SELECTORS) {
+      const el = $(selector).first();
+      if (!el.length) continue;
+
+      const text = htmlToText($.html(el));
+      if (text) {
+        descriptionFull = text;
+        break;
       }
+    }
+
+    // Pay is usually in the page header; fall back to a figure quoted in the description
+    const salaryText = $(SALARY_SELECTORS).first().text().trim() || findSalaryText(descriptionFull);
+
+    return { descriptionFull, salary: parseSalary(salaryText, { field: true }), gone };
+  }
+
+  async fetchJobDetail(url) {
+    const html = await this.fetchPageHtml(url, {
+      hasContent: (pageHtml) => {
+        const detail = this.parseJobDetail(pageHtml);
+        return Boolean(detail.descriptionFull || detail.gone);
+      },
+      loadOptions: { waitForSelector: DETAIL_SELECTORS.join(', '), scroll: false }
     });
+    return this.parseJobDetail(html);
+  }
 
-    return results;
+  /**
+   * Visit the /job/ page of every Jora job that has not been enriched yet and
+   * replace its card snippet with the full posting
+   * Stale jobs are re-checked too, at most once per recheck interval, and closed when their page is gone
+   * @param {Object} options
+   * @param {number} [options.limit] - Maximum number of detail pages to fetch this run
+   * @param {number} [options.staleRecheckMs] - How long a stale job's last detail fetch counts before it is re-checked
+   * @returns {Promise<{enriched: number, failed: number, closed: number}>}
+   */
+  async enrichJobDetails({ limit = 50, staleRecheckMs = STALE_RECHECK_MS } = {}) {
+    const recheckBefore = new Date(this.now().getTime() - staleRecheckMs).toISOString();
+    const rows = await dbAll(`
+      SELECT j.id, j.title, j.salary_min, j.salary_period, MIN(js.url) as url
+      FROM jobs j
+      INNER JOIN job_sources js ON j.id = js.job_id
+      WHERE js.site = 'Jora' AND js.url != '' AND j.status != 'closed'
+        AND (j.detail_fetched_at IS NULL OR (j.status = 'stale' AND j.detail_fetched_at < ?))
+      GROUP BY j.id
+      ORDER BY j.detail_fetched_at IS NOT NULL, j.created_at DESC
+      LIMIT ?
+    `, [recheckBefore, limit]);
+
+    logger.info(`Jora: Fetching detail pages for ${rows.length} jobs`);
+
+    let enriched = 0;
+    let failed = 0;
+    let closed = 0;
+
+    for (const row of rows) {
+      if (this.run?.cancelled) break;
+      try {
+        const { descriptionFull, salary, gone } = await this.fetchJobDetail(row.url);
+
+        if (gone) {
+          if (await markJobClosed(row.id, 'detail page says the listing is gone')) closed++;
+        } else if (!descriptionFull) {
+          failed++;
+          logger.warn(`Jora: No description found on detail page for "${row.title}" (${row.url})`);
+        } else {
+          const now = this.now().toISOString();
+          await dbRun(`
+            UPDATE jobs SET description_full = ?, detail_fetched_at = ?, updated_at = ? WHERE id = ?
+          `, [descriptionFull, now, now, row.id]);
+          await tagJobSkills(row.id, { title: row.title, description: descriptionFull });
+          await jobClassifier.classifyStoredJob(row.id, { title: row.title, description: descriptionFull });
+          await updateJobSeniority(row.id, { title: row.title, description: descriptionFull });
+          await updateJobEmploymentType(row.id, {
+            title: row.title,
+            description: descriptionFull,
+            salaryPeriod: row.salary_period ?? salary?.period
+          });
+
+          // Only fill in pay from the detail page when the card didn't have any
+          if (salary && row.salary_min === null) {
+            await dbRun(`
+              UPDATE jobs SET salary_min = ?, salary_max = ?, salary_text = ?, salary_period = ?, salary_includes_super = ?
+              WHERE id = ?
+            `, [
+              salary.min,
+              salary.max,
+              salary.text,
+              salary.period,
+              salary.includesSuper === null ? null : Number(salary.includesSuper),
+              row.id
+            ]);
+          }
+          enriched++;
+        }
+      } catch (error) {
+        if (error.code === 'PAGE_GONE') {
+          if (await markJobClosed(row.id, error.message)) closed++;
+        } else {
+          failed++;
+          logger.warn(`Jora: Failed to fetch detail page for "${row.title}": ${error.message}`);
+        }
+      }
+    }
+
+    logger.info(`Jora: Enriched ${enriched} jobs with full descriptions, ${failed} failed, ${closed} closed`);
+    return { enriched, failed, closed };
   }
 
   parsePostedDate(dateText) {
@@ -670,7 +992,7 @@ export class JoraScraper {
     
     const originalText = text;
     text = text.toLowerCase();
-    const now = new Date();
+    const now = this.now();
     
     logger.debug(`Jora: parsePostedDate - Input: "${dateText}", Cleaned: "${originalText}"`);
     
@@ -744,149 +1066,19 @@ export class JoraScraper {
   }
 
   determineWorkMode(text) {
-    const t = text.toLowerCase();
-    if (t.includes('remote') || t.includes('work from home') || t.includes('wfh')) return 'Remote';
-    if (t.includes('hybrid') || t.includes('flexible')) return 'Hybrid';
-    return 'On-site';
+    return determineWorkMode(text);
   }
 
-  determineExperienceLevel(text) {
-    const t = text.toLowerCase();
-    if (t.includes('senior') || t.includes('lead') || t.includes('principal') || t.includes('architect')) return 'Senior';
-    if (t.includes('junior') || t.includes('graduate') || t.includes('entry')) return 'Junior';
-    return 'Mid';
+  extractSeniority(job) {
+    return extractSeniority(job);
   }
 
-  delay(ms) { return new Promise(r => setTimeout(r, ms)); }
+  extractEmploymentType(job) {
+    return extractEmploymentType(job);
+  }
 
+  // Saving is shared by every adapter - see saveJobs.js
   async saveJobsToDatabase(jobs) {
-    const db = getDatabase();
-    const exec = (sql) => new Promise((resolve, reject) => db.exec(sql, (err) => err ? reject(err) : resolve()));
-    const run = (sql, params) => new Promise((resolve, reject) => db.run(sql, params, function(err){ err ? reject(err) : resolve(this.lastID); }));
-    const get = (sql, params) => new Promise((resolve, reject) => db.get(sql, params, (err, row) => err ? reject(err) : resolve(row)));
-
-    try {
-      await exec('BEGIN');
-      let savedCount = 0;
-      let duplicateCount = 0;
-      
-      for (const job of jobs) {
-        try {
-          // Create a reliable job ID from URL or externalId
-          const jobUrl = job.sources?.[0]?.url || '';
-          const externalId = job.sources?.[0]?.externalId || '';
-          
-          // Extract the base URL path (without query params) for duplicate checking
-          // Same job will have same path but different query params on different pages
-          const baseUrlPath = jobUrl ? jobUrl.split('?')[0] : '';
-          
-          let jobId = '';
-          if (jobUrl) {
-            // Extract job hash from URL - Jora format: /job/Job-Title-ef0bff38847e6c5e0993739857d4f106
-            // The hash is 32 hex characters after the last dash
-            const hashMatch = jobUrl.match(/-([a-f0-9]{32})(?:\?|$)/);
-            if (hashMatch) {
-              // Use the 32-char hash as the unique identifier
-              jobId = `jora_${hashMatch[1]}`;
-            } else {
-              // Fallback: extract everything after last dash in path
-              const pathMatch = jobUrl.match(/\/job\/[^?]+-([a-zA-Z0-9]+)(?:\?|$)/);
-              if (pathMatch && pathMatch[1].length >= 16) {
-                // If we got something that looks like a hash, use it
-                jobId = `jora_${pathMatch[1]}`;
-              } else {
-                // Use hash of base URL path as fallback
-                jobId = `jora_${Buffer.from(baseUrlPath).toString('base64').slice(0, 20).replace(/[^a-zA-Z0-9]/g, '')}`;
-              }
-            }
-          } else if (externalId) {
-            jobId = `jora_${externalId}`;
-          } else {
-            // Fallback: use normalized title+company hash
-            const normalized = `${(job.title || '').toLowerCase().trim()}_${(job.company || '').toLowerCase().trim()}`;
-            jobId = `jora_${Buffer.from(normalized).toString('base64').slice(0, 20).replace(/[^a-zA-Z0-9]/g, '')}`;
-          }
-          
-          logger.debug(`Jora: Processing job "${job.title}" - Extracted hash from URL, jobId: ${jobId}, basePath: ${baseUrlPath}`);
-          
-          // Check if job already exists by base URL path (without query params)
-          // This ensures the same job from different pages is detected as a duplicate
-          let existingJob = null;
-          if (baseUrlPath) {
-            existingJob = await get(`
-              SELECT j.id FROM jobs j
-              INNER JOIN job_sources js ON j.id = js.job_id
-              WHERE js.url LIKE ?
-              LIMIT 1
-            `, [`${baseUrlPath}%`]);
-          }
-          
-          // Also check by job ID as backup
-          if (!existingJob) {
-            existingJob = await get(`SELECT id FROM jobs WHERE id = ?`, [jobId]);
-          }
-          
-          if (existingJob) {
-            duplicateCount++;
-            logger.info(`Jora: Skipping duplicate job in database: ${job.title} at ${job.company} (ID: ${jobId}, basePath: ${baseUrlPath})`);
-            continue;
-          }
-          
-          logger.debug(`Jora: New unique job found: ${job.title} at ${job.company} (ID: ${jobId}, basePath: ${baseUrlPath})`);
-          
-          // Insert new job
-          await run(`
-            INSERT OR REPLACE INTO jobs (
-              id, title, company, location, work_mode, category, experience,
-              salary_min, salary_max, description_snippet, description_full,
-              posted_at, updated_at
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-          `, [
-            jobId,
-            job.title,
-            job.company,
-            job.location,
-            job.workMode,
-            job.category,
-            job.experience,
-            job.salaryMin,
-            job.salaryMax,
-            job.descriptionSnippet,
-            job.descriptionFull,
-            job.postedAt,
-            new Date().toISOString()
-          ]);
-          
-          // Insert job sources
-          for (const source of job.sources) {
-            await run(`
-              INSERT OR IGNORE INTO job_sources (
-                job_id, site, url, posted_at, external_id
-              ) VALUES (?, ?, ?, ?, ?)
-            `, [
-              jobId,
-              source.site,
-              source.url,
-              source.postedAt,
-              source.externalId
-            ]);
-          }
-          
-          savedCount++;
-        } catch (e) {
-          if (e && e.code === 'SQLITE_BUSY') {
-            await this.delay(200);
-          } else {
-            logger.error('Jora: save job failed', e);
-          }
-        }
-      }
-      
-      await exec('COMMIT');
-      logger.info(`Jora: Saved ${savedCount} new jobs, skipped ${duplicateCount} duplicates`);
-    } catch (txErr) {
-      try { await exec('ROLLBACK'); } catch(_) {}
-      logger.error('Jora: transaction failed', txErr);
-    }
+    return saveJobsToDatabase(jobs, { idPrefix: 'jora', label: 'Jora' });
   }
 }
@@ -0,0 +1,64 @@
+import { dbGet, dbRun } from '../database/init.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Job lifecycle
+ * A job is 'active' while scrapes keep seeing it, 'stale' once a full run misses
+ * it, and 'closed' after JOB_CLOSE_AFTER_MISSED_RUNS full runs in a row miss it
+ * or its detail page is gone. Seeing a job again makes it active.
+ */
+export const JOB_STATUSES = ['active', 'stale', 'closed'];
+
+export const closeAfterMissedRuns = () =>
+  Math.max(1, parseInt(process.env.JOB_CLOSE_AFTER_MISSED_RUNS, 10) || 3);
+
+/**
+ * Count a missed run against every open job of one scraper not seen since the run started
+ * Only call this after a successful full run - a partial or narrowed run
+ * doesn't see every listing, so missing from it proves nothing.
+ * @param {Object} options
+ * @param {string} options.idPrefix - Job id prefix of the scraper (adapter name)
+ * @param {Date} options.since - When the run started
+ * @param {number} [options.closeAfter] - Missed runs before a job is closed
+ * @returns {Promise<{missed: number, closed: number}>}
+ */
+export async function markUnseenJobs({ idPrefix, since, closeAfter = closeAfterMissedRuns() }) {
+  const now = new Date().toISOString();
+  const pattern = `${idPrefix.replace(/[\\%_]/g, '\\$&')}\\_%`;
+
+  // SET expressions all see the old missed_runs value
+  const { changes } = await dbRun(`
+    UPDATE jobs
+    SET missed_runs = missed_runs + 1,
+        status = CASE WHEN missed_runs + 1 >= ? THEN 'closed' ELSE 'stale' END,
+        closed_at = CASE WHEN missed_runs + 1 >= ? THEN ? ELSE closed_at END
+    WHERE id LIKE ? ESCAPE '\\'
+      AND status != 'closed'
+      AND (last_seen_at IS NULL OR last_seen_at < ?)
+  `, [closeAfter, closeAfter, now, pattern, since.toISOString()]);
+
+  const { closed } = await dbGet(`
+    SELECT COUNT(*) as closed FROM jobs WHERE id LIKE ? ESCAPE '\\' AND closed_at = ?
+  `, [pattern, now]);
+
+  if (changes > 0) {
+    logger.info(`${idPrefix}: ${changes} jobs missed by this run, ${closed} closed after ${closeAfter} missed runs`);
+  }
+  return { missed: changes, closed };
+}
+
+/**
+ * Close a single job, e.g. when its detail page reports the listing has gone
+ * @param {string} id
+ * @param {string} reason - Logged only
+ * @returns {Promise<boolean>} True when the job was open
+ */
+export async function markJobClosed(id, reason) {
+  const { changes } = await dbRun(`
+    UPDATE jobs SET status = 'closed', closed_at = ? WHERE id = ? AND status != 'closed'
+  `, [new Date().toISOString(), id]);
+  if (changes > 0) {
+    logger.info(`Closed job ${id}: ${reason}`);
+  }
+  return changes > 0;
+}
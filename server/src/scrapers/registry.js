@@ -0,0 +1,70 @@
+import logger from '../utils/logger.js';
+
+/**
+ * Scraper adapter registry
+ * Every job board registers one adapter here; scrapeAllSites, the scheduler and
+ * the manual trigger endpoint only ever talk to boards through this registry.
+ *
+ * @typedef {Object} ScraperAdapter
+ * @property {string} name - Registry key used by callers (e.g. 'jora')
+ * @property {string} site - Value written to job_sources.site ('Jora', 'Company', 'Other')
+ * @property {(options?: Object, run?: import('./scrapeRun.js').ScrapeRun) => Promise<Array>} search - Walks the board's search pages and returns normalised jobs;
+ *   reports each page to run.recordPageStart()/recordPage() when a ScrapeRun is given, and should fetch through
+ *   services/fetchStrategy.js (HTTP first, browser fallback), which applies services/crawlPolicy.js
+ *   throttling, retries and robots.txt
+ * @property {Function} parseCard - Extracts the raw fields of a single listing card
+ * @property {(card: Object) => Object|null} normalise - Turns a raw card into the job shape saveJobsToDatabase expects
+ * @property {(job: Object) => string} [jobId] - Optional override for the stored job id
+ * @property {(options?: Object, run?: import('./scrapeRun.js').ScrapeRun) => Promise<Object>} [enrichDetails] - Optional detail-page stage that fills in description_full
+ * @property {boolean} [closesUnseenJobs] - false when a full run can't see every open listing (e.g. feeds), so missed jobs are never closed
+ * @property {boolean} [matchExternalId] - Match existing jobs by job_sources.external_id before URL, for sources with stable ids
+ */
+
+const adapters = new Map();
+
+const REQUIRED_FUNCTIONS = ['search', 'parseCard', 'normalise'];
+
+/**
+ * Register a job board adapter
+ * @param {ScraperAdapter} adapter
+ * @returns {ScraperAdapter} The registered adapter
+ */
+export function registerScraper(adapter) {
+  if (!adapter || typeof adapter.name !== 'string' || !adapter.name.trim()) {
+    throw new Error('Scraper adapter must have a name');
+  }
+
+  const name = adapter.name.trim().toLowerCase();
+
+  for (const fn of REQUIRED_FUNCTIONS) {
+    if (typeof adapter[fn] !== 'function') {
+      throw new Error(`Scraper adapter "${name}" is missing ${fn}()`);
+    }
+  }
+
+  if (adapters.has(name)) {
+    logger.warn(`Scraper adapter "${name}" registered twice, replacing previous registration`);
+  }
+
+  const registered = { site: 'Other', ...adapter, name };
+  adapters.set(name, registered);
+  return registered;
+}
+
+/**
+ * Look up a registered adapter by name (case-insensitive)
+ * @param {string} name
+ * @returns {ScraperAdapter|undefined}
+ */
+export function getScraper(name) {
+  if (!name) return undefined;
+  return adapters.get(String(name).trim().toLowerCase());
+}
+
+/**
+ * Names of all registered adapters, in registration order
+ * @returns {string[]}
+ */
+export function listScrapers() {
+  return Array.from(adapters.keys());
+}
@@ -0,0 +1,63 @@
+/**
+ * Role synonyms for on-demand searches
+ * A user's query is searched on Jora together with the other names the same
+ * role is advertised under, so "frontend developer" also finds "front-end
+ * developer" and "UI developer" listings. Mirrors the primary/synonym pairs of
+ * the frontend's intelligentJobMatcher; related (but different) roles are left
+ * out so an on-demand search stays about the role that was asked for.
+ */
+export const ROLE_SYNONYMS = [
+  { primary: 'software engineer', synonyms: ['software developer', 'programmer'] },
+  { primary: 'frontend developer', synonyms: ['front-end developer', 'front end developer', 'ui developer', 'react developer'] },
+  { primary: 'backend developer', synonyms: ['back-end developer', 'back end developer', 'api developer', 'server developer'] },
+  { primary: 'full stack developer', synonyms: ['fullstack developer', 'full-stack developer'] },
+  { primary: 'mobile developer', synonyms: ['ios developer', 'android developer', 'react native developer'] },
+  { primary: 'data scientist', synonyms: ['machine learning engineer', 'ml engineer', 'ai engineer'] },
+  { primary: 'data analyst', synonyms: ['business intelligence analyst', 'bi analyst', 'reporting analyst'] },
+  { primary: 'data engineer', synonyms: ['analytics engineer', 'etl developer', 'big data engineer'] },
+  { primary: 'devops engineer', synonyms: ['devops', 'site reliability engineer', 'sre', 'platform engineer'] },
+  { primary: 'cloud engineer', synonyms: ['aws engineer', 'azure engineer', 'cloud architect'] },
+  { primary: 'security analyst', synonyms: ['cybersecurity analyst', 'cyber security analyst', 'security engineer'] },
+  { primary: 'ui designer', synonyms: ['user interface designer', 'visual designer', 'ui/ux designer'] },
+  { primary: 'ux designer', synonyms: ['user experience designer', 'ux/ui designer', 'product designer'] },
+  { primary: 'product manager', synonyms: ['product owner', 'product lead'] },
+  { primary: 'qa engineer', synonyms: ['test analyst', 'software tester', 'quality assurance engineer', 'test automation engineer'] },
+  { primary: 'it support', synonyms: ['it technician', 'help desk analyst', 'service desk analyst', 'desktop support'] },
+  { primary: 'business analyst', synonyms: ['systems analyst', 'functional analyst'] },
+  { primary: 'marketing manager', synonyms: ['digital marketing manager', 'marketing lead', 'brand manager'] },
+  { primary: 'sales manager', synonyms: ['account manager', 'business development manager', 'sales lead'] }
+];
+
+const normalise = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9/+#]+/g, ' ').trim();
+
+/**
+ * Expand a search query into the keywords to search for
+ * The query itself always comes first. Roles named exactly by the query (or
+ * contained in it, e.g. "senior frontend developer") add their synonyms.
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {number} [options.maxKeywords] - Jora queries get slow and noisy with long OR lists
+ * @returns {string[]} Unique keywords, the query first
+ */
+export function expandRoleQuery(query, { maxKeywords = 6 } = {}) {
+  const cleaned = String(query || '').replace(/\s+/g, ' ').trim();
+  if (!cleaned) return [];
+
+  const target = ` ${normalise(cleaned)} `;
+  const keywords = [cleaned];
+  const seen = new Set([normalise(cleaned)]);
+
+  for (const role of ROLE_SYNONYMS) {
+    const names = [role.primary, ...role.synonyms];
+    if (!names.some(name => target.includes(` ${normalise(name)} `))) continue;
+
+    for (const name of names) {
+      if (!seen.has(normalise(name))) {
+        seen.add(normalise(name));
+        keywords.push(name);
+      }
+    }
+  }
+
+  return keywords.slice(0, maxKeywords);
+}
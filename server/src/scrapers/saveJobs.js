@@ -0,0 +1,383 @@
+import { dbAll, dbGet, dbRun, getDatabase } from '../database/init.js';
+import { tagJobSkills } from './skillTagger.js';
+import { matchCategory } from './jobFields.js';
+import { jobClassifier } from '../services/jobClassifier.js';
+import logger from '../utils/logger.js';
+
+const delay = (ms) => new Promise(r => setTimeout(r, ms));
+
+/**
+ * Build a stable job ID from the job's URL or externalId
+ * Jora URLs end in a 32-char hex hash which is used when present
+ * @param {Object} job - Normalised job
+ * @param {string} prefix - ID prefix, usually the adapter name
+ * @returns {string}
+ */
+export function buildJobId(job, prefix = 'jora') {
+  const jobUrl = job.sources?.[0]?.url || '';
+  const externalId = job.sources?.[0]?.externalId || '';
+  const baseUrlPath = jobUrl ? jobUrl.split('?')[0] : '';
+
+  if (jobUrl) {
+    // Extract job hash from URL - Jora format: /job/Job-Title-ef0bff38847e6c5e0993739857d4f106
+    // The hash is 32 hex characters after the last dash
+    const hashMatch = jobUrl.match(/-([a-f0-9]{32})(?:\?|$)/);
+    if (hashMatch) {
+      return `${prefix}_${hashMatch[1]}`;
+    }
+    // Fallback: extract everything after last dash in path
+    const pathMatch = jobUrl.match(/\/job\/[^?]+-([a-zA-Z0-9]+)(?:\?|$)/);
+    if (pathMatch && pathMatch[1].length >= 16) {
+      return `${prefix}_${pathMatch[1]}`;
+    }
+    // Use hash of base URL path as fallback
+    return `${prefix}_${Buffer.from(baseUrlPath).toString('base64').slice(0, 20).replace(/[^a-zA-Z0-9]/g, '')}`;
+  }
+
+  if (externalId) {
+    return `${prefix}_${externalId}`;
+  }
+
+  // Fallback: use normalized title+company hash
+  const normalized = `${(job.title || '').toLowerCase().trim()}_${(job.company || '').toLowerCase().trim()}`;
+  return `${prefix}_${Buffer.from(normalized).toString('base64').slice(0, 20).replace(/[^a-zA-Z0-9]/g, '')}`;
+}
+
+/**
+ * Which of the given external ids are already stored for a site
+ * Used by incremental runs to tell how much of a results page is new.
+ * @param {string} site - job_sources.site value ('Jora', ...)
+ * @param {string[]} externalIds
+ * @returns {Promise<Set<string>>}
+ */
+export async function findKnownExternalIds(site, externalIds) {
+  const ids = [...new Set(externalIds.filter(Boolean))];
+  if (ids.length === 0) return new Set();
+
+  const rows = await dbAll(`
+    SELECT DISTINCT external_id FROM job_sources
+    WHERE site = ? AND external_id IN (${ids.map(() => '?').join(',')})
+  `, [site, ...ids]);
+  return new Set(rows.map(row => row.external_id));
+}
+
+/**
+ * Find the stored job a normalised job is a repeat of
+ * Matches by source site + external_id (when matchExternalId), then by the
+ * source URL ignoring query params, then by the generated job id.
+ * @param {Object} job - Normalised job
+ * @param {string} jobId - ID the job would be inserted under
+ * @param {Object} options
+ * @param {string} options.idPrefix - Adapter prefix, limits external_id matches to the adapter's own jobs
+ * @param {boolean} [options.matchExternalId]
+ * @returns {Promise<Object|undefined>} The jobs row
+ */
+export async function findExistingJob(job, jobId, { idPrefix, matchExternalId = false }) {
+  const source = job.sources?.[0];
+
+  // Same job will have same path but different query params on different pages,
+  // without /jobs/1 matching /jobs/12
+  const baseUrlPath = source?.url ? source.url.split('?')[0] : '';
+
+  if (matchExternalId && source?.externalId) {
+    const row = await dbGet(`
+      SELECT j.* FROM jobs j
+      INNER JOIN job_sources js ON j.id = js.job_id
+      WHERE js.site = ? AND js.external_id = ? AND j.id LIKE ? ESCAPE '\\'
+      LIMIT 1
+    `, [source.site, source.externalId, `${idPrefix.replace(/[\\%_]/g, '\\$&')}\\_%`]);
+    if (row) return row;
+  }
+
+  if (baseUrlPath) {
+    const row = await dbGet(`
+      SELECT j.* FROM jobs j
+      INNER JOIN job_sources js ON j.id = js.job_id
+      WHERE js.url = ? OR js.url LIKE ?
+      LIMIT 1
+    `, [baseUrlPath, `${baseUrlPath}?%`]);
+    if (row) return row;
+  }
+
+  // Also check by job ID as backup
+  return dbGet('SELECT * FROM jobs WHERE id = ?', [jobId]);
+}
+
+// jobs columns compared when a job is seen again, mapped to the normalised job field
+// (category isn't one - it comes from jobClassifier, not the source)
+const TRACKED_FIELDS = {
+  title: 'title',
+  company: 'company',
+  location: 'location',
+  work_mode: 'workMode',
+  experience: 'experience',
+  years_required_min: 'yearsRequiredMin',
+  years_required_max: 'yearsRequiredMax',
+  department: 'department',
+  employment_type: 'employmentType',
+  contract_duration_months: 'contractDurationMonths',
+  valid_through: 'validThrough',
+  salary_min: 'salaryMin',
+  salary_max: 'salaryMax',
+  salary_text: 'salaryText',
+  salary_period: 'salaryPeriod',
+  salary_includes_super: 'salaryIncludesSuper',
+  description_snippet: 'descriptionSnippet',
+  description_full: 'descriptionFull',
+  posted_at: 'postedAt'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Read from the whole description, so null means it no longer says rather than the source not knowing
+const CLEARABLE_COLUMNS = ['years_required_min', 'years_required_max', 'contract_duration_months'];
+
+// Columns filled from the detail page once it has been fetched (see JoraScraper.enrichJobDetails)
+const DETAIL_COLUMNS = [
+  'description_full', 'experience', 'years_required_min', 'years_required_max', 'employment_type', 'contract_duration_months'
+];
+
+// Columns the skill tags and category are read from
+const TEXT_FIELDS = ['title', 'description_snippet', 'description_full'];
+
+// Tag a saved job's skills; a failure leaves it untagged for backfillJobSkills to retry
+async function tagSavedJob(jobId, { title, description }, label) {
+  try {
+    await tagJobSkills(jobId, { title, description });
+  } catch (error) {
+    logger.warn(`${label}: Failed to tag skills for job ${jobId}: ${error.message}`);
+  }
+}
+
+// Classify a saved job's category from its text. Runs after the save transaction
+// commits, as the classifier may load a model and shouldn't hold the shared
+// connection's transaction open. If it fails the stored category is kept and
+// category_classified_at left empty, so jobClassifier.backfill() retries it.
+async function classifySavedJob(jobId, { title, description, category }, label) {
+  try {
+    const result = await jobClassifier.classify({ title, description, fallbackCategory: category });
+    await dbRun(`
+      UPDATE jobs SET category = ?, subcategory = ?, category_confidence = ?, category_classified_at = ?
+      WHERE id = ?
+    `, [result.category, result.subcategory, result.confidence, new Date().toISOString(), jobId]);
+  } catch (error) {
+    logger.warn(`${label}: Failed to classify job "${title}": ${error.message}`);
+  }
+}
+
+/**
+ * Compare a stored jobs row with a freshly scraped job
+ * Missing values in the scraped job never blank out stored ones (except the
+ * years required, see CLEARABLE_COLUMNS), and relative dates ("3d ago") only
+ * count as changed when they move by more than a day.
+ * @param {Object} row - Current jobs row
+ * @param {Object} job - Normalised job
+ * @returns {Object} { column: { from, to } } for every changed column
+ */
+export function diffJob(row, job) {
+  const changes = {};
+
+  for (const [column, field] of Object.entries(TRACKED_FIELDS)) {
+    let value = job[field];
+    const cleared = value === null && CLEARABLE_COLUMNS.includes(column);
+    if (!cleared && (value === undefined || value === null || value === '')) continue;
+    if (column === 'salary_includes_super') value = Number(value);
+
+    // Placeholder used when a card has no company - never replaces a real name
+    if (column === 'company' && value === 'Unknown') continue;
+
+    // The detail page description is better than the card snippet - keep it,
+    // and the seniority and employment type read from it
+    if (DETAIL_COLUMNS.includes(column) && row.detail_fetched_at) continue;
+
+    if (column === 'posted_at') {
+      const before = new Date(row.posted_at).getTime();
+      const after = new Date(value).getTime();
+      if (isNaN(after) || (!isNaN(before) && Math.abs(after - before) <= DAY_MS)) continue;
+    }
+
+    if (row[column] !== value) {
+      changes[column] = { from: row[column], to: value };
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Save normalised jobs from any adapter
+ * New jobs are inserted; jobs already in the database are compared field by
+ * field and changed fields are updated, with the diff stored in job_revisions.
+ * @param {Array} jobs - Jobs in the shape produced by an adapter's normalise()
+ * @param {Object} options
+ * @param {string} options.idPrefix - Prefix for generated job IDs
+ * @param {string} options.label - Prefix used in log lines
+ * @param {(job: Object) => string} [options.jobId] - Custom ID builder
+ * @param {number} [options.runId] - scraping_logs id recorded on revisions
+ * @param {boolean} [options.matchExternalId] - Match existing jobs of this adapter by source site + external_id first
+ * @returns {Promise<{saved: number, updated: number, duplicates: number, savedIds: string[], updatedIds: string[]}>}
+ */
+export async function saveJobsToDatabase(jobs, { idPrefix = 'jora', label = 'Jora', jobId: jobIdFn, runId = null, matchExternalId = false } = {}) {
+  const db = getDatabase();
+  const exec = (sql) => new Promise((resolve, reject) => db.exec(sql, (err) => err ? reject(err) : resolve()));
+  const run = (sql, params) => new Promise((resolve, reject) => db.run(sql, params, function(err){ err ? reject(err) : resolve(this.lastID); }));
+
+  let savedCount = 0;
+  let updatedCount = 0;
+  let duplicateCount = 0;
+  const savedIds = [];
+  const updatedIds = [];
+  // Jobs whose category needs (re)classifying once the transaction commits
+  const toClassify = [];
+
+  try {
+    await exec('BEGIN');
+
+    for (const job of jobs) {
+      try {
+        const jobUrl = job.sources?.[0]?.url || '';
+
+        // Extract the base URL path (without query params) for duplicate checking
+        // Same job will have same path but different query params on different pages
+        const baseUrlPath = jobUrl ? jobUrl.split('?')[0] : '';
+
+        const jobId = jobIdFn ? jobIdFn(job) : buildJobId(job, idPrefix);
+
+        logger.debug(`${label}: Processing job "${job.title}" - jobId: ${jobId}, basePath: ${baseUrlPath}`);
+
+        const existingJob = await findExistingJob(job, jobId, { idPrefix, matchExternalId });
+
+        const now = new Date().toISOString();
+
+        if (existingJob) {
+          const changes = diffJob(existingJob, job);
+          const columns = Object.keys(changes);
+
+          // Seeing a job again keeps it (or brings it back) active
+          await run(`
+            UPDATE jobs SET last_seen_at = ?, missed_runs = 0, status = 'active', closed_at = NULL
+            WHERE id = ?
+          `, [now, existingJob.id]);
+
+          if (columns.length === 0) {
+            duplicateCount++;
+            logger.debug(`${label}: Unchanged job already in database: ${job.title} at ${job.company} (ID: ${existingJob.id})`);
+            continue;
+          }
+
+          await run(`
+            UPDATE jobs SET ${columns.map(c => `${c} = ?`).join(', ')}, updated_at = ?
+            WHERE id = ?
+          `, [...columns.map(c => changes[c].to), now, existingJob.id]);
+
+          await run(`
+            INSERT INTO job_revisions (job_id, scrape_run_id, changes, changed_at)
+            VALUES (?, ?, ?, ?)
+          `, [existingJob.id, runId, JSON.stringify(changes), now]);
+
+          if (columns.some(c => TEXT_FIELDS.includes(c))) {
+            const value = (column) => (changes[column] ? changes[column].to : existingJob[column]);
+            const text = {
+              title: value('title'),
+              description: value('description_full') || value('description_snippet')
+            };
+            await tagSavedJob(existingJob.id, text, label);
+            toClassify.push({ jobId: existingJob.id, text: { ...text, category: existingJob.category } });
+          }
+
+          updatedCount++;
+          updatedIds.push(existingJob.id);
+          logger.info(`${label}: Updated ${columns.join(', ')} for job: ${job.title} at ${job.company} (ID: ${existingJob.id})`);
+          continue;
+        }
+
+        logger.debug(`${label}: New unique job found: ${job.title} at ${job.company} (ID: ${jobId}, basePath: ${baseUrlPath})`);
+
+        const text = { title: job.title, description: job.descriptionFull || job.descriptionSnippet };
+
+        // Insert new job
+        await run(`
+          INSERT OR REPLACE INTO jobs (
+            id, title, company, location, work_mode, category, subcategory, category_confidence, category_classified_at,
+            experience, years_required_min, years_required_max, seniority_extracted_at,
+            department, employment_type, contract_duration_months, employment_extracted_at, valid_through,
+            salary_min, salary_max, salary_text, salary_period, salary_includes_super,
+            description_snippet, description_full, posted_at, updated_at,
+            first_seen_at, last_seen_at, status
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'active')
+        `, [
+          jobId,
+          job.title,
+          job.company,
+          job.location,
+          job.workMode,
+          // The source's category until classifySavedJob replaces it
+          matchCategory(job.category ? [job.category] : []),
+          null,
+          null,
+          null,
+          job.experience,
+          job.yearsRequiredMin ?? null,
+          job.yearsRequiredMax ?? null,
+          now,
+          job.department || null,
+          job.employmentType || null,
+          job.contractDurationMonths ?? null,
+          now,
+          job.validThrough || null,
+          job.salaryMin,
+          job.salaryMax,
+          job.salaryText || null,
+          job.salaryPeriod || null,
+          job.salaryIncludesSuper == null ? null : Number(job.salaryIncludesSuper),
+          job.descriptionSnippet,
+          job.descriptionFull,
+          job.postedAt,
+          now,
+          now,
+          now
+        ]);
+
+        // Insert job sources
+        for (const source of job.sources) {
+          await run(`
+            INSERT OR IGNORE INTO job_sources (
+              job_id, site, url, posted_at, external_id
+            ) VALUES (?, ?, ?, ?, ?)
+          `, [
+            jobId,
+            source.site,
+            source.url,
+            source.postedAt,
+            source.externalId
+          ]);
+        }
+
+        await tagSavedJob(jobId, text, label);
+        toClassify.push({ jobId, text: { ...text, category: job.category } });
+
+        savedCount++;
+        savedIds.push(jobId);
+      } catch (e) {
+        if (e && e.code === 'SQLITE_BUSY') {
+          await delay(200);
+        } else {
+          logger.error(`${label}: save job failed`, e);
+        }
+      }
+    }
+
+    await exec('COMMIT');
+    logger.info(`${label}: Saved ${savedCount} new jobs, updated ${updatedCount}, ${duplicateCount} unchanged`);
+  } catch (txErr) {
+    try { await exec('ROLLBACK'); } catch(_) {}
+    logger.error(`${label}: transaction failed`, txErr);
+    toClassify.length = 0;
+  }
+
+  for (const { jobId, text } of toClassify) {
+    await classifySavedJob(jobId, text, label);
+  }
+
+  return { saved: savedCount, updated: updatedCount, duplicates: duplicateCount, savedIds, updatedIds };
+}
@@ -0,0 +1,195 @@
+import { createHash } from 'crypto';
+import { load } from 'cheerio';
+import { htmlToText } from '../utils/html.js';
+import { annualiseSalary } from '../utils/salary.js';
+import { determineWorkMode, makeSnippet, normaliseEmploymentType } from './jobFields.js';
+import { extractEmploymentType } from './employmentType.js';
+import { extractSeniority } from './seniority.js';
+
+/**
+ * schema.org JobPosting extraction
+ * Careers pages (and most ATS-hosted job pages) embed their openings as
+ * JobPosting structured data for search engines - either JSON-LD script
+ * blocks or microdata attributes. Both are read into plain JSON-LD-shaped
+ * objects and mapped onto our job model.
+ */
+
+// schema.org baseSalary unitText to our pay periods
+const UNIT_PERIODS = { HOUR: 'hour', DAY: 'day', WEEK: 'week', MONTH: 'month', YEAR: 'year' };
+
+const isJobPosting = (node) => {
+  const types = Array.isArray(node?.['@type']) ? node['@type'] : [node?.['@type']];
+  return types.some(type => typeof type === 'string' && /(^|\/)JobPosting$/.test(type));
+};
+
+// JSON-LD may nest postings in arrays, @graph or ItemList elements
+const collectPostings = (node, found) => {
+  if (!node || typeof node !== 'object') return;
+  if (Array.isArray(node)) {
+    node.forEach(item => collectPostings(item, found));
+    return;
+  }
+  if (isJobPosting(node)) {
+    found.push(node);
+    return;
+  }
+  collectPostings(node['@graph'], found);
+  collectPostings(node.itemListElement, found);
+  collectPostings(node.item, found);
+};
+
+// Read one microdata item into a JSON-LD-like object
+const readMicrodataItem = ($, el) => {
+  const item = { '@type': ($(el).attr('itemtype') || '').split('/').pop() };
+
+  $(el).find('[itemprop]').each((_, prop) => {
+    // Properties of nested items belong to those items
+    if ($(prop).parent().closest('[itemscope]').get(0) !== el) return;
+
+    const name = $(prop).attr('itemprop');
+    let value;
+    if ($(prop).is('[itemscope]')) {
+      value = readMicrodataItem($, prop);
+    } else if ($(prop).is('meta')) {
+      value = $(prop).attr('content');
+    } else if ($(prop).is('time')) {
+      value = $(prop).attr('datetime') || $(prop).text().trim();
+    } else if ($(prop).is('a, link')) {
+      value = $(prop).attr('href');
+    } else if (name === 'description') {
+      value = $(prop).html();
+    } else {
+      value = $(prop).attr('content') || $(prop).text().trim();
+    }
+
+    item[name] = item[name] === undefined ? value : [].concat(item[name], value);
+  });
+
+  return item;
+};
+
+/**
+ * Find every JobPosting on a page
+ * @param {string} html
+ * @returns {Object[]} JSON-LD-shaped JobPosting objects
+ */
+export function extractJobPostings(html) {
+  const $ = load(html);
+  const found = [];
+
+  $('script[type="application/ld+json"]').each((_, el) => {
+    try {
+      collectPostings(JSON.parse($(el).contents().text()), found);
+    } catch (e) {
+      // Some sites ship invalid JSON-LD - skip the block, keep the rest of the page
+    }
+  });
+
+  $('[itemscope][itemtype*="schema.org/JobPosting"]').each((_, el) => {
+    found.push(readMicrodataItem($, el));
+  });
+
+  return found;
+}
+
+const first = (value) => (Array.isArray(value) ? value[0] : value);
+const text = (value) => {
+  const v = first(value);
+  if (v == null) return null;
+  if (typeof v === 'object') return v.name || v['@value'] || null;
+  return String(v).trim() || null;
+};
+
+// "Sydney, NSW" from a Place / PostalAddress (or a plain string)
+const formatLocation = (jobLocation) => {
+  const places = Array.isArray(jobLocation) ? jobLocation : [jobLocation];
+  const names = places.filter(Boolean).map(place => {
+    if (typeof place === 'string') return place;
+    const address = place.address || place;
+    if (typeof address === 'string') return address;
+    return [address.addressLocality, address.addressRegion].map(text).filter(Boolean).join(', ')
+      || text(address.addressCountry)
+      || text(place.name);
+  }).filter(Boolean);
+  return [...new Set(names)].join(' / ') || null;
+};
+
+const parseBaseSalary = (baseSalary) => {
+  const salary = first(baseSalary);
+  if (!salary || typeof salary !== 'object') return null;
+  const value = typeof salary.value === 'object' && salary.value !== null ? salary.value : { value: salary.value };
+  return annualiseSalary({
+    min: value.minValue ?? value.value,
+    max: value.maxValue ?? value.value,
+    period: UNIT_PERIODS[String(value.unitText || salary.unitText || '').toUpperCase()]
+  });
+};
+
+const toIsoDate = (value) => {
+  const raw = text(value);
+  if (!raw) return null;
+  const date = new Date(raw);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Map a JobPosting onto the normalised job shape saveJobsToDatabase expects
+ * @param {Object} posting - JSON-LD JobPosting
+ * @param {Object} options
+ * @param {string} options.pageUrl - Page the posting was found on
+ * @param {string} [options.company] - Fallback when hiringOrganization is missing
+ * @param {Date} [options.now]
+ * @returns {Object|null} null when the posting has no title or has expired
+ */
+export function jobPostingToJob(posting, { pageUrl, company = null, now = new Date() }) {
+  const title = text(posting.title) || text(posting.name);
+  if (!title) return null;
+
+  const validThrough = toIsoDate(posting.validThrough);
+  if (validThrough && new Date(validThrough) < now) return null;
+
+  const description = htmlToText(text(posting.description) || '');
+  const remote = first(posting.jobLocationType) === 'TELECOMMUTE';
+  const location = formatLocation(posting.jobLocation) || (remote ? 'Remote' : null) ||
+    formatLocation(posting.applicantLocationRequirements) || 'Australia';
+  const identifier = first(posting.identifier);
+  const externalId = (identifier && typeof identifier === 'object' ? text(identifier.value) : text(identifier)) ||
+    createHash('sha1').update(`${text(posting.url) || pageUrl}|${title}`).digest('hex').slice(0, 20);
+  // Postings listed together on one page share its URL - the fragment keeps their sources apart
+  const url = text(posting.url) || `${pageUrl.split('#')[0]}#job-${encodeURIComponent(externalId)}`;
+  const postedAt = toIsoDate(posting.datePosted) || now.toISOString();
+  const salary = parseBaseSalary(posting.baseSalary);
+  const seniority = extractSeniority({
+    title,
+    description: `${text(posting.experienceRequirements) || ''}\n${description}`
+  });
+  const employment = extractEmploymentType({
+    title,
+    description,
+    salaryPeriod: salary?.period,
+    employmentType: normaliseEmploymentType(posting.employmentType)
+  });
+
+  return {
+    title,
+    company: text(posting.hiringOrganization) || company || 'Unknown',
+    location,
+    workMode: remote ? 'Remote' : determineWorkMode(`${title} ${location}`),
+    category: null,
+    experience: seniority.level,
+    yearsRequiredMin: seniority.yearsMin,
+    yearsRequiredMax: seniority.yearsMax,
+    employmentType: employment.employmentType,
+    contractDurationMonths: employment.contractDurationMonths,
+    validThrough,
+    salaryMin: salary?.min ?? null,
+    salaryMax: salary?.max ?? null,
+    salaryText: salary?.text ?? null,
+    salaryPeriod: salary?.period ?? null,
+    salaryIncludesSuper: salary?.includesSuper ?? null,
+    descriptionSnippet: makeSnippet(description) || title,
+    descriptionFull: description || title,
+    postedAt,
+    sources: [{ site: 'Company', url, postedAt, externalId }]
+  };
+}
@@ -1,39 +1,122 @@
-import { JoraScraper } from './jora.js';
+import './adapters/index.js';
+import { getScraper, listScrapers } from './registry.js';
+import { saveJobsToDatabase } from './saveJobs.js';
+import { ScrapeRun } from './scrapeRun.js';
+import { markUnseenJobs } from './lifecycle.js';
 import logger from '../utils/logger.js';
 
-export async function scrapeAllSites(sites = ['jora']) {
+// Only an unrestricted full sweep sees every listing, so only it can tell that a job has gone
+const NARROWING_OPTIONS = ['query', 'location', 'maxJobs', 'timeBudgetMs', 'profiles', 'profileIds', 'careersPages', 'boards', 'feeds', 'feedIds'];
+const isFullSweep = (options) =>
+  (options.mode || 'full') === 'full' && NARROWING_OPTIONS.every(option => !options[option]);
+
+// The detail stage works through the whole backlog of unenriched jobs, which an on-demand search has no time for
+const isOnDemand = (options) => Boolean(options.query || options.timeBudgetMs);
+
+/**
+ * Run the registered scrapers for the given sites and save their jobs
+ * Each site gets its own scraping_logs row (see scrapeRun.js)
+ * @param {string[]} sites - Adapter names; defaults to every registered adapter
+ * @param {Object} options - Passed through to each adapter's search()
+ * @param {'full'|'incremental'} [options.mode] - 'incremental' stops paging once results are mostly known (default 'full')
+ * @param {AbortSignal} [options.signal] - Stops the run early; jobs already collected are still saved
+ * @param {(progress: Object) => void} [options.onProgress] - Receives { site, siteIndex, siteCount, phase, term, page, pages, failedPages, jobsCollected }
+ * @param {(event: Object) => void} [options.onEvent] - Receives { type, site, ... } run events: site-started, page-started,
+ *   page-finished, jobs-parsed, duplicates-skipped, jobs-saved, warning and site-finished
+ */
+export async function scrapeAllSites(sites = listScrapers(), options = {}) {
   const results = {
     totalJobs: 0,
     jobsBySite: {},
-    errors: []
+    runs: {},
+    errors: [],
+    cancelled: false
   };
+  const { signal, onProgress, onEvent } = options;
 
-  for (const site of sites) {
-    const startTime = Date.now();
+  for (const [siteIndex, site] of sites.entries()) {
+    if (signal?.aborted) {
+      results.cancelled = true;
+      logger.info(`Scraping cancelled, skipping ${sites.slice(siteIndex).join(', ')}`);
+      break;
+    }
+
+    const adapter = getScraper(site);
+    const collectedBefore = results.totalJobs;
+    const reportProgress = (progress) => onProgress?.({
+      site,
+      siteIndex,
+      siteCount: sites.length,
+      ...progress,
+      jobsCollected: collectedBefore + (progress.jobsCollected || 0)
+    });
+    const emit = (type, data = {}) => onEvent?.({ type, site, ...data });
+    const run = new ScrapeRun(site, {
+      mode: options.mode || 'full',
+      signal,
+      onProgress: (progress) => reportProgress({ phase: 'scraping', ...progress }),
+      onEvent: (event) => emit(event.type, event)
+    });
     let jobs = [];
-    let status = 'success';
-    let errorMessage = null;
+    let saveResult = { saved: 0, updated: 0 };
+    let runError = null;
 
     try {
-      if (site !== 'jora') throw new Error('Only Jora scraping supported');
-      logger.info('Starting Jora scraping with exact URL format (all job types: developer, programmer, software engineer, frontend, backend, data, analyst, cloud, cybersecurity, web, IT)...');
-      const scraper = new JoraScraper();
-      // Use the exact URL format with OR search terms - scrape up to 10 pages for more diversity
-      jobs = await scraper.scrapeWithExactUrl('Sydney NSW', 10);
-      await scraper.saveJobsToDatabase(jobs);
-      logger.info(`Jora scraped ${jobs.length} jobs from exact URL`);
+      await run.start();
+
+      if (!adapter) throw new Error(`No scraper registered for "${site}"`);
+
+      logger.info(`Starting ${adapter.site} scraping via "${adapter.name}" adapter (run ${run.id})...`);
+      reportProgress({ phase: 'scraping' });
+      emit('site-started', { siteIndex, siteCount: sites.length });
+      jobs = await adapter.search(options, run);
+      reportProgress({ phase: 'saving', jobsCollected: jobs.length });
+      saveResult = await saveJobsToDatabase(jobs, {
+        idPrefix: adapter.name,
+        label: adapter.site,
+        jobId: adapter.jobId,
+        matchExternalId: adapter.matchExternalId,
+        runId: run.id
+      });
+      emit('jobs-saved', { added: saveResult.saved, updated: saveResult.updated, unchanged: saveResult.duplicates });
+      // Jobs collected before a cancel are kept, but the run didn't finish its pages
+      run.throwIfCancelled();
+      
+      // Optional detail stage - visits job pages that have not been enriched yet
+      const fetchDetails = options.fetchDetails ??
+        (process.env.SCRAPER_FETCH_DETAILS === 'true' && !isOnDemand(options));
+      if (fetchDetails && adapter.enrichDetails) {
+        await adapter.enrichDetails(options, run);
+      }
+      logger.info(`${adapter.site} scraped ${jobs.length} jobs`);
     } catch (error) {
-      status = 'error';
-      errorMessage = error.message;
-      results.errors.push({ site, error: errorMessage });
-      logger.error('Error scraping:', error);
+      runError = error;
+      results.errors.push({ site, error: error.message });
+      if (error.code === 'SCRAPE_CANCELLED') {
+        logger.info(`${site} scraping cancelled - ${jobs.length} jobs collected before the cancel were saved`);
+      } else {
+        logger.error('Error scraping:', error);
+        emit('warning', { message: `${site} failed: ${error.message}` });
+      }
     }
 
-    const endTime = Date.now();
+    const status = run.id
+      ? await run.finish({ found: jobs.length, added: saveResult.saved, updated: saveResult.updated, error: runError })
+      : 'error';
+    emit('site-finished', { status, jobsFound: jobs.length });
+
+    if (status === 'success' && isFullSweep(options) && adapter.closesUnseenJobs !== false) {
+      try {
+        await markUnseenJobs({ idPrefix: site, since: run.startedAt });
+      } catch (error) {
+        logger.error(`Failed to update job lifecycle for ${site}:`, error);
+      }
+    }
+    if (run.cancelled) results.cancelled = true;
+    results.runs[site] = { id: run.id, status };
     results.jobsBySite[site] = jobs.length;
     results.totalJobs += jobs.length;
   }
   logger.info('Scraping completed. Total jobs:', results.totalJobs);
   return results;
 }
-
@@ -0,0 +1,294 @@
+import { dbRun } from '../database/init.js';
+import logger from '../utils/logger.js';
+import { emptyExtractionStats, HEALTH_FIELDS, recordExtractionHealth } from './extractionHealth.js';
+
+const MAX_LOGGED_ATTEMPTS = 500;
+
+/**
+ * One scraping run for one site, persisted to scraping_logs
+ * The row is inserted as 'running' when the run starts and finalised with the
+ * real counts, per-search-term page counts and a success/partial/error status.
+ * Runs are partial when some pages failed or extraction health raised an alert.
+ */
+export class ScrapeRun {
+  /**
+   * @param {string} site - Adapter name
+   * @param {Object} [options]
+   * @param {'full'|'incremental'} [options.mode] - Incremental runs stop paging once pages are mostly known jobs
+   * @param {AbortSignal} [options.signal] - Aborted when the run should stop early (see services/scrapeQueue.js)
+   * @param {(progress: Object) => void} [options.onProgress] - Called after every recorded page
+   * @param {(event: Object) => void} [options.onEvent] - Receives { type, ... } for each page, parse, duplicate and warning
+   */
+  constructor(site, { mode = 'full', signal = null, onProgress = null, onEvent = null } = {}) {
+    this.site = site;
+    this.mode = mode;
+    this.signal = signal;
+    this.onProgress = onProgress;
+    this.onEvent = onEvent;
+    this.id = null;
+    this.startedAt = null;
+    this.terms = {};
+    this.pageErrors = [];
+    this.attempts = [];
+    this.requests = { attempts: 0, succeeded: 0, retried: 0, failed: 0, robotsDisallowed: 0 };
+    this.fetchStrategies = { http: 0, browser: 0, fallbacks: 0, pages: [] };
+    this.extraction = null;
+  }
+
+  async start() {
+    this.startedAt = new Date();
+    const { lastID } = await dbRun(`
+      INSERT INTO scraping_logs (site, status, started_at)
+      VALUES (?, 'running', ?)
+    `, [this.site, this.startedAt.toISOString()]);
+    this.id = lastID;
+    return this;
+  }
+
+  // Report a run event to whoever is streaming the run (see routes/on-demand-scraping.js)
+  emit(type, data = {}) {
+    this.onEvent?.({ type, ...data });
+  }
+
+  /**
+   * Record that a search results page is about to be fetched
+   * @param {string} term - Search term or profile name the page belongs to
+   * @param {Object} page
+   * @param {number} page.page - 1-based page number
+   * @param {string} page.url
+   */
+  recordPageStart(term, { page, url }) {
+    this.emit('page-started', { term, page, url });
+  }
+
+  /**
+   * Record the outcome of one search results page
+   * @param {string} term - Search term or profile name the page belongs to
+   * @param {Object} page
+   * @param {number} page.page - 1-based page number
+   * @param {string} page.url
+   * @param {number} [page.jobs] - Jobs found on the page
+   * @param {number} [page.known] - Jobs on the page already in the database (incremental runs)
+   * @param {string} [page.error] - Set when the page failed to load or parse
+   */
+  recordPage(term, { page, url, jobs = 0, known = 0, error = null }) {
+    const stats = this.terms[term] || (this.terms[term] = { pages: 0, failedPages: 0, jobs: 0, known: 0 });
+    if (error) {
+      stats.failedPages++;
+      this.pageErrors.push({ term, page, url, error });
+    } else {
+      stats.pages++;
+      stats.jobs += jobs;
+      stats.known += known;
+    }
+
+    this.emit('page-finished', { term, page, url, jobs, error });
+    if (error) {
+      this.emit('warning', { term, page, message: `Page ${page} of "${term}" failed: ${error}` });
+    } else {
+      this.emit('jobs-parsed', { term, page, jobs });
+    }
+
+    this.onProgress?.({
+      term,
+      page,
+      pages: this.succeededPages,
+      failedPages: this.failedPages,
+      jobsCollected: this.jobsCollected
+    });
+  }
+
+  // Adapters check this between pages and stop paging once it's set
+  get cancelled() {
+    return !!this.signal?.aborted;
+  }
+
+  throwIfCancelled() {
+    if (this.cancelled) {
+      const error = new Error('Scrape cancelled');
+      error.code = 'SCRAPE_CANCELLED';
+      throw error;
+    }
+  }
+
+  // Jobs on a page that an earlier page or search term already returned
+  recordDuplicates(term, page, count) {
+    if (count > 0) this.emit('duplicates-skipped', { term, page, count });
+  }
+
+  /**
+   * Record that paging a search term stopped before its last page
+   * @param {string} term
+   * @param {number} page - Last page that was scraped
+   * @param {'incremental'|'maxJobs'|'timeBudget'} [reason] - Mostly known jobs, enough jobs, or out of time
+   */
+  recordEarlyStop(term, page, reason = 'incremental') {
+    if (this.terms[term]) {
+      this.terms[term].stoppedEarlyAtPage = page;
+      this.terms[term].stoppedEarlyReason = reason;
+    }
+  }
+
+  /**
+   * Record one fetch attempt made through the crawl policy
+   * @param {Object} attempt
+   * @param {string} attempt.url
+   * @param {number} attempt.attempt - 1-based attempt number (0 when robots.txt blocked the URL)
+   * @param {'success'|'retry'|'failed'|'robots-disallowed'} attempt.outcome
+   * @param {number} [attempt.status] - HTTP status when known
+   * @param {string} [attempt.error]
+   * @param {number} [attempt.durationMs]
+   */
+  recordAttempt(attempt) {
+    const counters = {
+      success: 'succeeded',
+      retry: 'retried',
+      failed: 'failed',
+      'robots-disallowed': 'robotsDisallowed'
+    };
+    this.requests.attempts++;
+    this.requests[counters[attempt.outcome]]++;
+
+    // Keep the stored log bounded on long runs; the counters above stay exact
+    if (this.attempts.length < MAX_LOGGED_ATTEMPTS) {
+      this.attempts.push({ ...attempt, at: new Date().toISOString() });
+    }
+  }
+
+  /**
+   * Record which fetch strategy served a page (see services/fetchStrategy.js)
+   * @param {Object} fetch
+   * @param {string} fetch.url
+   * @param {'http'|'browser'} fetch.strategy
+   * @param {string} [fetch.fallbackReason] - Why plain HTTP wasn't enough, if it wasn't
+   */
+  recordFetchStrategy({ url, strategy, fallbackReason = null }) {
+    const stats = this.fetchStrategies;
+    stats[strategy]++;
+    if (fallbackReason) stats.fallbacks++;
+
+    if (stats.pages.length < MAX_LOGGED_ATTEMPTS) {
+      stats.pages.push({ url, strategy, fallbackReason });
+    }
+  }
+
+  /**
+   * Record card extraction counts for one results page (see extractionHealth.js)
+   * @param {Object} page
+   * @param {number} page.cardsFound - Cards the selectors matched
+   * @param {number} [page.parseErrors] - Cards that threw while parsing
+   * @param {Object<string, number>} page.missing - Cards missing each HEALTH_FIELDS field
+   */
+  recordExtraction({ cardsFound, parseErrors = 0, missing }) {
+    const stats = this.extraction || (this.extraction = emptyExtractionStats());
+    stats.pages++;
+    stats.cardsFound += cardsFound;
+    stats.parseErrors += parseErrors;
+    for (const field of HEALTH_FIELDS) {
+      stats.missing[field] += missing[field] || 0;
+    }
+  }
+
+  get failedPages() {
+    return this.pageErrors.length;
+  }
+
+  // Jobs found on result pages so far, before de-duplication across search terms
+  get jobsCollected() {
+    return Object.values(this.terms).reduce((sum, stats) => sum + stats.jobs, 0);
+  }
+
+  get succeededPages() {
+    return Object.values(this.terms).reduce((sum, stats) => sum + stats.pages, 0);
+  }
+
+  // Some pages failed -> partial; every page failed -> error
+  get pageStatus() {
+    if (this.failedPages === 0) return 'success';
+    return this.succeededPages > 0 ? 'partial' : 'error';
+  }
+
+  /**
+   * Finalise the scraping_logs row
+   * @param {Object} result
+   * @param {number} [result.found] - Jobs returned by the search
+   * @param {number} [result.added] - New jobs saved
+   * @param {number} [result.updated] - Existing jobs updated
+   * @param {Error|string} [result.error] - Set when the run failed outright
+   * @returns {Promise<string>} Final status
+   */
+  async finish({ found = 0, added = 0, updated = 0, error = null } = {}) {
+    // Adapters that report card extraction get a health row; a sharp drop makes the run partial
+    let health = null;
+    if (this.extraction) {
+      try {
+        health = await recordExtractionHealth(this);
+      } catch (err) {
+        logger.error(`Failed to record extraction health for run ${this.id}:`, err);
+      }
+    }
+    const healthAlerts = health?.alerts || [];
+    for (const alert of healthAlerts) {
+      this.emit('warning', { message: `Extraction health: ${alert}` });
+    }
+
+    const completedAt = new Date();
+    let status = error ? 'error' : this.pageStatus;
+    if (status === 'success' && healthAlerts.length > 0) {
+      status = 'partial';
+    }
+
+    const problems = [];
+    if (this.failedPages > 0) problems.push(`${this.failedPages} page(s) failed`);
+    if (healthAlerts.length > 0) problems.push(`Extraction health: ${healthAlerts.join('; ')}`);
+    const errorMessage = error
+      ? (error.message || String(error))
+      : (problems.length > 0 ? problems.join('. ') : null);
+
+    const details = {
+      mode: this.mode,
+      terms: this.terms,
+      pageErrors: this.pageErrors,
+      requests: this.requests,
+      attempts: this.attempts,
+      fetchStrategies: this.fetchStrategies,
+      extraction: health ? { ...health.metrics, alerts: healthAlerts } : null
+    };
+
+    try {
+      await dbRun(`
+        UPDATE scraping_logs
+        SET status = ?, jobs_found = ?, jobs_added = ?, jobs_updated = ?, error_message = ?,
+            completed_at = ?, duration_ms = ?, details = ?
+        WHERE id = ?
+      `, [
+        status,
+        found,
+        added,
+        updated,
+        errorMessage,
+        completedAt.toISOString(),
+        completedAt.getTime() - this.startedAt.getTime(),
+        JSON.stringify(details),
+        this.id
+      ]);
+    } catch (err) {
+      // A logging failure should never fail the scrape itself
+      logger.error(`Failed to finalise scraping log ${this.id}:`, err);
+    }
+
+    return status;
+  }
+}
+
+// Runs left 'running' by a crash or restart can never finish - close them off on startup
+export async function markInterruptedRuns() {
+  const { changes } = await dbRun(`
+    UPDATE scraping_logs
+    SET status = 'error', error_message = 'Interrupted by server restart', completed_at = ?
+    WHERE status = 'running'
+  `, [new Date().toISOString()]);
+  if (changes > 0) {
+    logger.warn(`Marked ${changes} interrupted scraping run(s) as failed`);
+  }
+}
@@ -0,0 +1,193 @@
+import { dbAll, dbRun } from '../database/init.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Seniority extraction
+ * Reads a job's level from its title (intern, graduate, senior, staff,
+ * principal, head of ...) and the years of experience it asks for from
+ * requirement phrases ("5+ years", "minimum 3 years", "2-4 years of
+ * experience"). Title cues win; without one the years decide the level, then
+ * a few unmistakable description phrases ("graduate program"), then Mid.
+ */
+
+// Title cues in the order they're tried: "Graduate Intern" is an internship, "Lead Graduate Recruiter" a lead
+const TITLE_CUES = [
+  { level: 'Internship', pattern: /\b(?:intern|internship|cadet|cadetship|vacation (?:student|program)|work experience student)\b/i },
+  { level: 'Lead', pattern: /\b(?:lead(?! generation)|head of|principal|director|chief|vp|vice president|engineering manager|development manager)\b|\bstaff (?:[a-z]+ )?(?:engineer|developer|scientist|architect)\b/i },
+  { level: 'Senior', pattern: /\b(?:senior|sr|snr|architect|expert)\b/i },
+  { level: 'Junior', pattern: /\b(?:junior|jr|graduate|grad|entry[- ]level|trainee|apprentice|apprenticeship)\b/i },
+  { level: 'Mid', pattern: /\b(?:intermediate|mid[- ]level|mid[- ]weight)\b/i }
+];
+
+// Description phrases strong enough to set the level on their own
+const DESCRIPTION_CUES = [
+  { level: 'Internship', pattern: /\b(?:internship program(?:me)?|summer internship|intern program(?:me)?)\b/i },
+  { level: 'Junior', pattern: /\b(?:graduate program(?:me)?|entry[- ]level (?:role|position)|no (?:prior )?experience (?:required|necessary|needed))\b/i }
+];
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, twelve: 12, fifteen: 15
+};
+const NUMBER = `(\\d{1,2}|${Object.keys(NUMBER_WORDS).join('|')})`;
+const YEARS = '(?:\\+\\s*)?(?:years?|yrs?)';
+
+// Requirement phrases, each mapped to the bounds it sets; a range reads as a requirement on its own
+const YEAR_PATTERNS = [
+  // "3-5 years", "3 to 5 years"
+  { regex: new RegExp(`\\b${NUMBER}\\s*(?:-|–|to)\\s*${NUMBER}\\s*${YEARS}`, 'gi'), bounds: (a, b) => [a, b], asks: true },
+  // "up to 2 years", "less than 2 years"
+  { regex: new RegExp(`\\b(?:up to|less than|under|no more than)\\s+${NUMBER}\\s*${YEARS}`, 'gi'), bounds: (a) => [null, a] },
+  // "5+ years", "minimum of 3 years", "at least 3 years", "3 or more years", "over 5 years"
+  { regex: new RegExp(`\\b(?:(?:minimum|min\\.?|at least|over|more than)\\s+(?:of\\s+)?)?${NUMBER}\\s*(?:\\+|or more|plus)?\\s*${YEARS}`, 'gi'), bounds: (a) => [a, null] }
+];
+
+// A years phrase only counts as a requirement in a sentence about experience...
+const EXPERIENCE_CONTEXT = /\bexperience\b|\bexp\b/i;
+// ...that asks for it: in the phrase itself ("5+", "at least 3", "2-4 years"), in
+// wording before it ("you have", "we require") or just after it ("... required").
+// "We have 10 years experience" is the company talking, not a requirement.
+const REQUIREMENT_MARKER = /\+|\b(?:minimum|min|at least|or more|plus|up to|no more than)\b/i;
+const REQUIREMENT_BEFORE = /\b(?:minimum|at least|you(?:'ll| will)? (?:have|bring|need|possess)|you(?:'re| are)|requir(?:e|es|ed|ing)|requirements?|must (?:have|bring|possess)|need|needs|looking for|seeking|ideally|proven|demonstrated|candidates? (?:with|who|should|will)|someone with)\b/i;
+const REQUIREMENT_AFTER = /^[^,]{0,40}?\b(?:required|essential|needed|necessary|preferred|desirable|is a must)\b/i;
+const CONTEXT_AFTER = 60;
+const CONTEXT_BEFORE = 40;
+
+// Anything above this is a company's age or a contract length, not a requirement
+const MAX_YEARS = 25;
+
+const toNumber = (text) => {
+  const key = String(text).toLowerCase();
+  return NUMBER_WORDS[key] ?? parseInt(key, 10);
+};
+
+// Text either side of a match, cut at the ends of its sentence or bullet
+const sentenceAround = (text, start, end) => {
+  const before = text.slice(Math.max(0, start - CONTEXT_BEFORE), start).split(/[.!?;]\s|\n/).pop();
+  const after = text.slice(end, end + CONTEXT_AFTER).split(/[.!?;]\s|\n/)[0];
+  return { before, after };
+};
+
+/**
+ * Years of experience a job asks for
+ * With several requirements ("5+ years Java, 2+ years AWS") the highest minimum wins.
+ * @param {string} text
+ * @returns {{min: number|null, max: number|null}}
+ */
+export function extractYearsRequired(text) {
+  const found = [];
+  const taken = [];
+
+  for (const { regex, bounds, asks } of YEAR_PATTERNS) {
+    regex.lastIndex = 0;
+    let match;
+    while ((match = regex.exec(text || '')) !== null) {
+      const start = match.index;
+      const end = start + match[0].length;
+      // The range pattern already read "3-5 years"; don't read its "5 years" again
+      if (taken.some(([from, to]) => start < to && end > from)) continue;
+
+      const { before, after } = sentenceAround(text, start, end);
+      const sentence = `${before}${match[0]}${after}`;
+      if (!EXPERIENCE_CONTEXT.test(sentence)) continue;
+      if (!asks && !REQUIREMENT_MARKER.test(match[0]) && !REQUIREMENT_BEFORE.test(before) && !REQUIREMENT_AFTER.test(after)) continue;
+
+      const [min, max] = bounds(...match.slice(1).filter(Boolean).map(toNumber));
+      if ((min ?? 0) > MAX_YEARS || (max ?? 0) > MAX_YEARS || (min !== null && max !== null && min > max)) continue;
+
+      taken.push([start, end]);
+      found.push({ min, max });
+    }
+  }
+
+  const mins = found.map(f => f.min).filter(v => v !== null);
+  const maxes = found.map(f => f.max).filter(v => v !== null);
+  const min = mins.length > 0 ? Math.max(...mins) : null;
+  const max = maxes.length > 0 ? Math.max(...maxes) : null;
+  return { min, max: max !== null && min !== null && max < min ? null : max };
+}
+
+// Level implied by the years asked for - years alone never make a role Lead
+function levelFromYears(min, max) {
+  if (min === null && max === null) return null;
+  // "Up to 2 years" is open to people with none
+  const years = min ?? 0;
+  if (years < 2) return 'Junior';
+  if (years < 5) return 'Mid';
+  return 'Senior';
+}
+
+/**
+ * Seniority of a job
+ * @param {Object} job
+ * @param {string} job.title
+ * @param {string} [job.description]
+ * @returns {{level: string, yearsMin: number|null, yearsMax: number|null, source: 'title'|'years'|'description'|'default'}}
+ *   level is one of EXPERIENCE_LEVELS; source says what decided it
+ */
+export function extractSeniority({ title = '', description = '' }) {
+  const { min, max } = extractYearsRequired(`${title || ''}\n${description || ''}`);
+  const result = (level, source) => ({ level, yearsMin: min, yearsMax: max, source });
+
+  const titleCue = TITLE_CUES.find(cue => cue.pattern.test(title || ''));
+  if (titleCue) return result(titleCue.level, 'title');
+
+  const yearsLevel = levelFromYears(min, max);
+  if (yearsLevel) return result(yearsLevel, 'years');
+
+  const descriptionCue = DESCRIPTION_CUES.find(cue => cue.pattern.test(description || ''));
+  if (descriptionCue) return result(descriptionCue.level, 'description');
+
+  return result('Mid', 'default');
+}
+
+/**
+ * Store a saved job's seniority, e.g. once its full description has been fetched
+ * The level is only replaced when the text decided it, so a level the source
+ * gave (an import's experience column) isn't reset to the Mid default.
+ * @param {string} jobId
+ * @param {Object} job - { title, description }
+ * @returns {Promise<Object>} The extracted seniority
+ */
+export async function updateJobSeniority(jobId, job) {
+  const seniority = extractSeniority(job);
+  await dbRun(`
+    UPDATE jobs SET experience = COALESCE(?, experience), years_required_min = ?, years_required_max = ?, seniority_extracted_at = ?
+    WHERE id = ?
+  `, [
+    seniority.source === 'default' ? null : seniority.level,
+    seniority.yearsMin,
+    seniority.yearsMax,
+    new Date().toISOString(),
+    jobId
+  ]);
+  return seniority;
+}
+
+/**
+ * Extract seniority for every job saved before extraction existed
+ * @param {Object} [options]
+ * @param {number} [options.batchSize]
+ * @returns {Promise<number>} How many jobs were updated
+ */
+export async function backfillJobSeniority({ batchSize = 200 } = {}) {
+  let updated = 0;
+  for (;;) {
+    const rows = await dbAll(`
+      SELECT id, title, description_snippet, description_full FROM jobs
+      WHERE seniority_extracted_at IS NULL
+      LIMIT ?
+    `, [batchSize]);
+    if (rows.length === 0) break;
+
+    for (const row of rows) {
+      await updateJobSeniority(row.id, {
+        title: row.title,
+        description: row.description_full || row.description_snippet
+      });
+    }
+    updated += rows.length;
+  }
+
+  if (updated > 0) logger.info(`Extracted seniority for ${updated} existing jobs`);
+  return updated;
+}
@@ -0,0 +1,265 @@
+import { listUntaggedJobs, replaceJobSkills } from '../database/jobSkills.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Skill and technology tagging
+ * Pulls normalised skills out of a job's title and description when the job is
+ * saved, so filters and resume matching read stored tags instead of searching
+ * the text on every request. Matches are whole words (so "go" never matches
+ * "good"); names that are also everyday words are only matched with their
+ * usual capitalisation and next to something technical.
+ */
+
+// kind 'technology' - languages, frameworks, platforms and tools; 'skill' - practices
+// aliases are matched case-insensitively; ambiguous aliases exactly as written and in a technical context
+export const SKILL_CATALOGUE = [
+  { skill: 'javascript', name: 'JavaScript', kind: 'technology', aliases: ['javascript', 'js', 'es6'] },
+  { skill: 'typescript', name: 'TypeScript', kind: 'technology', aliases: ['typescript'] },
+  { skill: 'python', name: 'Python', kind: 'technology', aliases: ['python'] },
+  { skill: 'java', name: 'Java', kind: 'technology', aliases: ['java'] },
+  { skill: 'kotlin', name: 'Kotlin', kind: 'technology', aliases: ['kotlin'] },
+  { skill: 'swift', name: 'Swift', kind: 'technology', aliases: ['swiftui'], ambiguous: ['Swift'] },
+  { skill: 'c#', name: 'C#', kind: 'technology', aliases: ['c#', 'csharp', 'c sharp'] },
+  { skill: 'c++', name: 'C++', kind: 'technology', aliases: ['c++', 'cpp'] },
+  { skill: '.net', name: '.NET', kind: 'technology', aliases: ['.net', 'dotnet', 'asp.net', '.net core'] },
+  { skill: 'go', name: 'Go', kind: 'technology', aliases: ['golang'], ambiguous: ['Go'] },
+  { skill: 'rust', name: 'Rust', kind: 'technology', aliases: [], ambiguous: ['Rust'] },
+  { skill: 'php', name: 'PHP', kind: 'technology', aliases: ['php', 'laravel'] },
+  { skill: 'ruby', name: 'Ruby', kind: 'technology', aliases: ['ruby'] },
+  { skill: 'rails', name: 'Ruby on Rails', kind: 'technology', aliases: ['ruby on rails', 'rails'] },
+  { skill: 'scala', name: 'Scala', kind: 'technology', aliases: ['scala'] },
+  { skill: 'sql', name: 'SQL', kind: 'technology', aliases: ['sql', 't-sql', 'pl/sql'] },
+  { skill: 'html', name: 'HTML', kind: 'technology', aliases: ['html', 'html5'] },
+  { skill: 'css', name: 'CSS', kind: 'technology', aliases: ['css', 'css3', 'sass', 'scss'] },
+  { skill: 'tailwind', name: 'Tailwind CSS', kind: 'technology', aliases: ['tailwind', 'tailwindcss', 'tailwind css'] },
+  { skill: 'react', name: 'React', kind: 'technology', aliases: ['react', 'react.js', 'reactjs'] },
+  { skill: 'react-native', name: 'React Native', kind: 'technology', aliases: ['react native', 'react-native'] },
+  { skill: 'angular', name: 'Angular', kind: 'technology', aliases: ['angular', 'angularjs'] },
+  { skill: 'vue', name: 'Vue', kind: 'technology', aliases: ['vue', 'vue.js', 'vuejs', 'nuxt'] },
+  { skill: 'svelte', name: 'Svelte', kind: 'technology', aliases: ['svelte', 'sveltekit'] },
+  { skill: 'next.js', name: 'Next.js', kind: 'technology', aliases: ['next.js', 'nextjs'] },
+  { skill: 'node.js', name: 'Node.js', kind: 'technology', aliases: ['node.js', 'nodejs', 'node js'] },
+  { skill: 'express', name: 'Express', kind: 'technology', aliases: ['express.js', 'expressjs'], ambiguous: ['Express'] },
+  { skill: 'django', name: 'Django', kind: 'technology', aliases: ['django'] },
+  { skill: 'flask', name: 'Flask', kind: 'technology', aliases: ['flask'] },
+  { skill: 'fastapi', name: 'FastAPI', kind: 'technology', aliases: ['fastapi'] },
+  { skill: 'spring', name: 'Spring', kind: 'technology', aliases: ['spring boot', 'springboot', 'spring framework'], ambiguous: ['Spring'] },
+  { skill: 'graphql', name: 'GraphQL', kind: 'technology', aliases: ['graphql'] },
+  { skill: 'postgresql', name: 'PostgreSQL', kind: 'technology', aliases: ['postgresql', 'postgres'] },
+  { skill: 'mysql', name: 'MySQL', kind: 'technology', aliases: ['mysql', 'mariadb'] },
+  { skill: 'sql-server', name: 'SQL Server', kind: 'technology', aliases: ['sql server', 'mssql'] },
+  { skill: 'mongodb', name: 'MongoDB', kind: 'technology', aliases: ['mongodb', 'mongo'] },
+  { skill: 'redis', name: 'Redis', kind: 'technology', aliases: ['redis'] },
+  { skill: 'elasticsearch', name: 'Elasticsearch', kind: 'technology', aliases: ['elasticsearch', 'opensearch'] },
+  { skill: 'dynamodb', name: 'DynamoDB', kind: 'technology', aliases: ['dynamodb'] },
+  { skill: 'snowflake', name: 'Snowflake', kind: 'technology', aliases: ['snowflake'] },
+  { skill: 'aws', name: 'AWS', kind: 'technology', aliases: ['aws', 'amazon web services'] },
+  { skill: 'azure', name: 'Azure', kind: 'technology', aliases: ['azure'] },
+  { skill: 'gcp', name: 'Google Cloud', kind: 'technology', aliases: ['gcp', 'google cloud', 'google cloud platform'] },
+  { skill: 'docker', name: 'Docker', kind: 'technology', aliases: ['docker'] },
+  { skill: 'kubernetes', name: 'Kubernetes', kind: 'technology', aliases: ['kubernetes', 'k8s', 'eks', 'aks', 'gke'] },
+  { skill: 'terraform', name: 'Terraform', kind: 'technology', aliases: ['terraform'] },
+  { skill: 'ansible', name: 'Ansible', kind: 'technology', aliases: ['ansible'] },
+  { skill: 'jenkins', name: 'Jenkins', kind: 'technology', aliases: ['jenkins'] },
+  { skill: 'github-actions', name: 'GitHub Actions', kind: 'technology', aliases: ['github actions'] },
+  { skill: 'git', name: 'Git', kind: 'technology', aliases: ['git', 'github', 'gitlab', 'bitbucket'] },
+  { skill: 'linux', name: 'Linux', kind: 'technology', aliases: ['linux', 'unix'] },
+  { skill: 'kafka', name: 'Kafka', kind: 'technology', aliases: ['kafka'] },
+  { skill: 'spark', name: 'Apache Spark', kind: 'technology', aliases: ['apache spark', 'pyspark'], ambiguous: ['Spark'] },
+  { skill: 'airflow', name: 'Airflow', kind: 'technology', aliases: ['airflow'] },
+  { skill: 'dbt', name: 'dbt', kind: 'technology', aliases: ['dbt'] },
+  { skill: 'power-bi', name: 'Power BI', kind: 'technology', aliases: ['power bi', 'powerbi'] },
+  { skill: 'tableau', name: 'Tableau', kind: 'technology', aliases: ['tableau'] },
+  { skill: 'excel', name: 'Excel', kind: 'technology', aliases: ['microsoft excel', 'ms excel'], ambiguous: ['Excel'] },
+  { skill: 'pandas', name: 'pandas', kind: 'technology', aliases: ['pandas', 'numpy'] },
+  { skill: 'pytorch', name: 'PyTorch', kind: 'technology', aliases: ['pytorch'] },
+  { skill: 'tensorflow', name: 'TensorFlow', kind: 'technology', aliases: ['tensorflow', 'keras'] },
+  { skill: 'salesforce', name: 'Salesforce', kind: 'technology', aliases: ['salesforce'] },
+  { skill: 'sap', name: 'SAP', kind: 'technology', aliases: [], ambiguous: ['SAP'] },
+  { skill: 'jira', name: 'Jira', kind: 'technology', aliases: ['jira', 'confluence'] },
+  { skill: 'figma', name: 'Figma', kind: 'technology', aliases: ['figma'] },
+  { skill: 'selenium', name: 'Selenium', kind: 'technology', aliases: ['selenium'] },
+  { skill: 'cypress', name: 'Cypress', kind: 'technology', aliases: ['cypress', 'playwright'] },
+  { skill: 'jest', name: 'Jest', kind: 'technology', aliases: ['jest'] },
+  { skill: 'ios', name: 'iOS', kind: 'technology', aliases: ['ios'] },
+  { skill: 'android', name: 'Android', kind: 'technology', aliases: ['android'] },
+
+  { skill: 'agile', name: 'Agile', kind: 'skill', aliases: ['agile', 'scrum', 'kanban'] },
+  { skill: 'ci-cd', name: 'CI/CD', kind: 'skill', aliases: ['ci/cd', 'ci / cd', 'continuous integration', 'continuous delivery', 'continuous deployment'] },
+  { skill: 'devops', name: 'DevOps', kind: 'skill', aliases: ['devops', 'devsecops'] },
+  { skill: 'microservices', name: 'Microservices', kind: 'skill', aliases: ['microservices', 'microservice'] },
+  { skill: 'rest-api', name: 'REST APIs', kind: 'skill', aliases: ['rest api', 'rest apis', 'restful'], ambiguous: ['REST'] },
+  { skill: 'machine-learning', name: 'Machine Learning', kind: 'skill', aliases: ['machine learning', 'deep learning'], ambiguous: ['ML'] },
+  { skill: 'data-analysis', name: 'Data Analysis', kind: 'skill', aliases: ['data analysis', 'data analytics'] },
+  { skill: 'data-modelling', name: 'Data Modelling', kind: 'skill', aliases: ['data modelling', 'data modeling'] },
+  { skill: 'etl', name: 'ETL', kind: 'skill', aliases: ['etl', 'elt', 'data pipelines'] },
+  { skill: 'tdd', name: 'Test-Driven Development', kind: 'skill', aliases: ['tdd', 'test-driven development', 'test driven development'] },
+  { skill: 'automated-testing', name: 'Automated Testing', kind: 'skill', aliases: ['automated testing', 'test automation', 'unit testing'] },
+  { skill: 'ux-design', name: 'UX Design', kind: 'skill', aliases: ['ux', 'user experience', 'ui/ux', 'ux/ui'] },
+  { skill: 'system-design', name: 'System Design', kind: 'skill', aliases: ['system design', 'distributed systems'] },
+  { skill: 'cybersecurity', name: 'Cyber Security', kind: 'skill', aliases: ['cyber security', 'cybersecurity', 'information security'] },
+  { skill: 'project-management', name: 'Project Management', kind: 'skill', aliases: ['project management'] },
+  { skill: 'stakeholder-management', name: 'Stakeholder Management', kind: 'skill', aliases: ['stakeholder management', 'stakeholder engagement'] }
+];
+
+// Confidence of a tag by where it was found; every extra mention adds a little
+const CONFIDENCE = { title: 0.95, description: 0.8, ambiguous: 0.6, perMention: 0.05, max: 0.99 };
+
+// Words that put an ambiguous name ("Go", "Spring") in a technical context
+const TECH_CONTEXT = /\b(?:develop(?:er|ment)?|engineer(?:ing)?|programming|language|framework|stack|back-?end|front-?end|code|coding|experience (?:with|in)|skills?)\b|\//i;
+const CONTEXT_CHARS = 25;
+
+// Characters evidence spans show either side of the match
+const EVIDENCE_CHARS = 60;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-word pattern: no letter, digit or symbol that continues a tech name on either side
+export const wordPattern = (alias, flags) =>
+  new RegExp(`(?<![\\w+#.])${escapeRegex(alias).replace(/\s+/g, '\\s+')}(?![\\w+#])`, flags);
+
+const PATTERNS = SKILL_CATALOGUE.flatMap(entry => [
+  ...entry.aliases.map(alias => ({ entry, regex: wordPattern(alias, 'gi'), ambiguous: false })),
+  ...(entry.ambiguous || []).map(alias => ({ entry, regex: wordPattern(alias, 'g'), ambiguous: true }))
+]);
+
+// Any alias (or the skill key / display name) to the skill key
+const SKILL_KEYS = new Map(SKILL_CATALOGUE.flatMap(entry =>
+  [entry.skill, entry.name, ...entry.aliases, ...(entry.ambiguous || [])].map(alias => [alias.toLowerCase(), entry.skill])
+));
+
+/**
+ * Normalise a skill name to its catalogue key ("ReactJS" -> "react")
+ * Names the catalogue doesn't know come back lower-cased.
+ * @param {string} name
+ * @returns {string}
+ */
+export const normaliseSkill = (name) => {
+  const key = String(name || '').trim().toLowerCase();
+  return SKILL_KEYS.get(key) || key;
+};
+
+export const isKnownSkill = (name) => SKILL_KEYS.has(String(name || '').trim().toLowerCase());
+
+/**
+ * Whether a term appears in text as a whole word, case-insensitively
+ * For skills outside the catalogue, which have no stored tags.
+ */
+export const mentionsTerm = (text, term) =>
+  !!term && wordPattern(String(term).trim(), 'i').test(text || '');
+
+function findMentions(field, text) {
+  const mentions = [];
+  const seen = new Set();
+  for (const { entry, regex, ambiguous } of PATTERNS) {
+    regex.lastIndex = 0;
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      // ".net" and ".net core" are one mention
+      const key = `${entry.skill}:${match.index}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      mentions.push({ entry, ambiguous, field, start: match.index, end: match.index + match[0].length });
+    }
+  }
+
+  // An ambiguous name only counts near a technical word or another (unambiguous) technology
+  const certain = mentions.filter(m => !m.ambiguous);
+  return mentions.filter(mention => {
+    if (!mention.ambiguous) return true;
+    const from = Math.max(0, mention.start - CONTEXT_CHARS);
+    const to = mention.end + CONTEXT_CHARS;
+    return TECH_CONTEXT.test(text.slice(from, to)) ||
+      certain.some(other => other.entry !== mention.entry && other.end >= from && other.start <= to);
+  });
+}
+
+function toEvidence(mention, text) {
+  const from = Math.max(0, mention.start - EVIDENCE_CHARS);
+  const to = Math.min(text.length, mention.end + EVIDENCE_CHARS);
+  return {
+    field: mention.field,
+    start: mention.start,
+    end: mention.end,
+    text: `${from > 0 ? '…' : ''}${text.slice(from, to).replace(/\s+/g, ' ').trim()}${to < text.length ? '…' : ''}`
+  };
+}
+
+/**
+ * Tag a job's skills and technologies
+ * @param {Object} job
+ * @param {string} job.title
+ * @param {string} [job.description] - Full description, or the snippet when that's all there is
+ * @returns {Array<{skill: string, name: string, kind: string, confidence: number, evidence: Object}>}
+ *   One tag per skill, most confident first; evidence is the first mention (title before description)
+ *   with its offsets in that field
+ */
+export function tagSkills({ title = '', description = '' }) {
+  const texts = { title: title || '', description: description || '' };
+  const mentions = [
+    ...findMentions('title', texts.title),
+    ...findMentions('description', texts.description)
+  ];
+
+  const bySkill = new Map();
+  for (const mention of mentions) {
+    const list = bySkill.get(mention.entry.skill) || [];
+    list.push(mention);
+    bySkill.set(mention.entry.skill, list);
+  }
+
+  const tags = [];
+  for (const list of bySkill.values()) {
+    const { entry } = list[0];
+    const best = list.find(m => m.field === 'title' && !m.ambiguous) || list.find(m => !m.ambiguous) || list[0];
+    const base = best.ambiguous ? CONFIDENCE.ambiguous : CONFIDENCE[best.field];
+    const confidence = Math.min(CONFIDENCE.max, base + CONFIDENCE.perMention * (list.length - 1));
+
+    tags.push({
+      skill: entry.skill,
+      name: entry.name,
+      kind: entry.kind,
+      confidence: Math.round(confidence * 100) / 100,
+      evidence: toEvidence(best, texts[best.field])
+    });
+  }
+
+  return tags.sort((a, b) => b.confidence - a.confidence || a.skill.localeCompare(b.skill));
+}
+
+/**
+ * Tag a job and store the tags, replacing any it had
+ * @param {string} jobId
+ * @param {Object} job - { title, description }
+ * @returns {Promise<Array>} The tags stored
+ */
+export async function tagJobSkills(jobId, job) {
+  const tags = tagSkills(job);
+  await replaceJobSkills(jobId, tags);
+  return tags;
+}
+
+/**
+ * Tag every job that has never been tagged, e.g. jobs saved before tagging existed
+ * @param {Object} [options]
+ * @param {number} [options.batchSize]
+ * @returns {Promise<number>} How many jobs were tagged
+ */
+export async function backfillJobSkills({ batchSize = 200 } = {}) {
+  let tagged = 0;
+  for (;;) {
+    const rows = await listUntaggedJobs(batchSize);
+    if (rows.length === 0) break;
+
+    for (const row of rows) {
+      await tagJobSkills(row.id, {
+        title: row.title,
+        description: row.description_full || row.description_snippet
+      });
+    }
+    tagged += rows.length;
+  }
+
+  if (tagged > 0) logger.info(`Tagged skills for ${tagged} existing jobs`);
+  return tagged;
+}
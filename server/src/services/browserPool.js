@@ -0,0 +1,154 @@
+import puppeteer from 'puppeteer';
+import logger from '../utils/logger.js';
+
+// Requests that never matter for scraping HTML
+const BLOCKED_RESOURCE_TYPES = new Set(['image', 'font', 'media']);
+
+const LAUNCH_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-accelerated-2d-canvas',
+  '--no-first-run',
+  '--no-zygote',
+  '--disable-gpu'
+];
+
+/**
+ * Shared Puppeteer browser pool
+ * Keeps a small number of browsers alive between pages instead of launching
+ * one per page, and bounds how many pages are open at once across all scrapers.
+ * A browser that crashes or disconnects is relaunched on its next use.
+ */
+class BrowserPool {
+  constructor({
+    size = parseInt(process.env.BROWSER_POOL_SIZE, 10) || 1,
+    pagesPerBrowser = parseInt(process.env.BROWSER_PAGE_CONCURRENCY, 10) || 2
+  } = {}) {
+    this.size = Math.max(1, size);
+    this.pagesPerBrowser = Math.max(1, pagesPerBrowser);
+    this.slots = Array.from({ length: this.size }, () => ({ browser: null, launching: null, activePages: 0 }));
+    this.activePages = 0;
+    this.waiting = [];
+    this.closing = false;
+  }
+
+  get maxPages() {
+    return this.size * this.pagesPerBrowser;
+  }
+
+  /**
+   * Run fn with a fresh page from the pool; the page is always closed afterwards
+   * Images, fonts and media are blocked on every page.
+   * @template T
+   * @param {(page: import('puppeteer').Page) => Promise<T>} fn
+   * @returns {Promise<T>}
+   */
+  async withPage(fn) {
+    await this.acquire();
+    const slot = this.leastBusySlot();
+    slot.activePages++;
+
+    let page = null;
+    try {
+      const browser = await this.getBrowser(slot);
+      page = await browser.newPage();
+      await this.blockResources(page);
+      return await fn(page);
+    } finally {
+      if (page) {
+        await page.close().catch(() => {});
+      }
+      slot.activePages--;
+      this.release();
+    }
+  }
+
+  // Wait until fewer than maxPages pages are open
+  acquire() {
+    if (this.closing) {
+      return Promise.reject(new Error('Browser pool is shutting down'));
+    }
+    if (this.activePages < this.maxPages) {
+      this.activePages++;
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => this.waiting.push({ resolve, reject }));
+  }
+
+  // Hand the freed page slot straight to the next waiter, if any
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next.resolve();
+    } else {
+      this.activePages--;
+    }
+  }
+
+  leastBusySlot() {
+    return this.slots.reduce((best, slot) => (slot.activePages < best.activePages ? slot : best));
+  }
+
+  async getBrowser(slot) {
+    if (slot.browser && slot.browser.isConnected()) {
+      return slot.browser;
+    }
+    if (!slot.launching) {
+      slot.launching = this.launch(slot).finally(() => { slot.launching = null; });
+    }
+    return slot.launching;
+  }
+
+  async launch(slot) {
+    const restarting = slot.browser !== null;
+    logger.info(`Browser pool: ${restarting ? 'Restarting' : 'Launching'} browser ${this.slots.indexOf(slot) + 1} of ${this.size}`);
+
+    const browser = await puppeteer.launch({ headless: true, args: LAUNCH_ARGS });
+
+    // A crashed browser is replaced the next time a page is requested from its slot
+    browser.on('disconnected', () => {
+      if (slot.browser === browser && !this.closing) {
+        logger.warn(`Browser pool: Browser ${this.slots.indexOf(slot) + 1} disconnected, it will be relaunched on next use`);
+      }
+    });
+
+    slot.browser = browser;
+    return browser;
+  }
+
+  async blockResources(page) {
+    await page.setRequestInterception(true);
+    page.on('request', (request) => {
+      if (request.isInterceptResolutionHandled()) return;
+      if (BLOCKED_RESOURCE_TYPES.has(request.resourceType())) {
+        request.abort().catch(() => {});
+      } else {
+        request.continue().catch(() => {});
+      }
+    });
+  }
+
+  /**
+   * Close every browser and reject callers still waiting for a page
+   */
+  async shutdown() {
+    this.closing = true;
+
+    for (const waiter of this.waiting.splice(0)) {
+      waiter.reject(new Error('Browser pool is shutting down'));
+    }
+
+    await Promise.all(this.slots.map(async (slot) => {
+      const browser = slot.browser || (slot.launching && await slot.launching.catch(() => null));
+      slot.browser = null;
+      if (browser) {
+        await browser.close().catch((error) => logger.warn(`Browser pool: Error closing browser: ${error.message}`));
+      }
+    }));
+
+    logger.info('Browser pool shut down');
+  }
+}
+
+export const browserPool = new BrowserPool();
@@ -0,0 +1,213 @@
+import axios from 'axios';
+import logger from '../utils/logger.js';
+
+// Product token matched against robots.txt User-agent lines (besides "*")
+const ROBOTS_AGENT = 'rolerelaybot';
+const ROBOTS_CACHE_MS = 24 * 60 * 60 * 1000;
+
+const RETRYABLE_CODES = new Set(['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'EAI_AGAIN', 'ENOTFOUND']);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Parse robots.txt into the rule group that applies to us
+ * Uses the group naming ROBOTS_AGENT if there is one, otherwise the "*" group.
+ * @param {string} text
+ * @returns {{rules: Array<{allow: boolean, path: string}>, crawlDelayMs: number}}
+ */
+export function parseRobotsTxt(text) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of String(text || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const match = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+    if (!match) continue;
+
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelayMs: 0 };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow allows everything
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const seconds = parseFloat(value);
+      if (!isNaN(seconds)) current.crawlDelayMs = seconds * 1000;
+    }
+  }
+
+  const group = groups.find(g => g.agents.includes(ROBOTS_AGENT))
+    || groups.find(g => g.agents.includes('*'));
+
+  return group ? { rules: group.rules, crawlDelayMs: group.crawlDelayMs } : { rules: [], crawlDelayMs: 0 };
+}
+
+// robots.txt path patterns: "*" matches anything, a trailing "$" anchors the end
+const ruleMatches = (rulePath, path) => {
+  const pattern = rulePath
+    .replace(/[.+?^{}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\\?\$$/, '$');
+  return new RegExp(`^${pattern}`).test(path);
+};
+
+/**
+ * Whether robots rules allow a path - the longest matching rule wins, Allow wins ties
+ * @param {Array<{allow: boolean, path: string}>} rules
+ * @param {string} path - Path plus query string
+ */
+export function isPathAllowed(rules, path) {
+  let best = null;
+  for (const rule of rules) {
+    if (!ruleMatches(rule.path, path)) continue;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return best ? best.allow : true;
+}
+
+/**
+ * Crawl politeness shared by every scraper fetch
+ * - caps requests per host per minute by spacing them evenly (and honours Crawl-delay)
+ * - retries timeouts and 5xx responses with exponential backoff and jitter
+ * - checks robots.txt, cached per host
+ * Every attempt is reported to the run record when one is given.
+ */
+class CrawlPolicy {
+  constructor({
+    requestsPerMinute = parseInt(process.env.CRAWL_MAX_REQUESTS_PER_MINUTE, 10) || 20,
+    maxRetries = process.env.CRAWL_MAX_RETRIES !== undefined ? parseInt(process.env.CRAWL_MAX_RETRIES, 10) : 3,
+    backoffBaseMs = parseInt(process.env.CRAWL_BACKOFF_BASE_MS, 10) || 2000
+  } = {}) {
+    this.requestsPerMinute = Math.max(1, requestsPerMinute);
+    this.maxRetries = Math.max(0, maxRetries);
+    this.backoffBaseMs = backoffBaseMs;
+    this.hosts = new Map();
+    this.robots = new Map();
+  }
+
+  /**
+   * Fetch a URL politely
+   * @template T
+   * @param {string} url
+   * @param {() => Promise<T>} fetchFn - Does the actual request (Puppeteer, axios, ...)
+   * @param {Object} [options]
+   * @param {import('../scrapers/scrapeRun.js').ScrapeRun} [options.run] - Receives every attempt
+   * @returns {Promise<T>}
+   */
+  async fetch(url, fetchFn, { run } = {}) {
+    const { host, pathname, search } = new URL(url);
+    run?.throwIfCancelled();
+
+    const robots = await this.getRobots(url);
+    if (!isPathAllowed(robots.rules, pathname + search)) {
+      run?.recordAttempt({ url, attempt: 0, outcome: 'robots-disallowed' });
+      const error = new Error(`Disallowed by robots.txt: ${url}`);
+      error.code = 'ROBOTS_DISALLOWED';
+      throw error;
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      await this.throttle(host, robots.crawlDelayMs);
+      // A cancel while waiting for the rate limit (or a backoff) stops before the next request
+      run?.throwIfCancelled();
+      const startedAt = Date.now();
+
+      try {
+        const result = await fetchFn();
+        run?.recordAttempt({ url, attempt, outcome: 'success', durationMs: Date.now() - startedAt });
+        return result;
+      } catch (error) {
+        const status = error.status ?? error.response?.status ?? null;
+        const retry = this.isRetryable(error) && attempt <= this.maxRetries;
+
+        run?.recordAttempt({
+          url,
+          attempt,
+          outcome: retry ? 'retry' : 'failed',
+          status,
+          error: error.message,
+          durationMs: Date.now() - startedAt
+        });
+
+        if (!retry) throw error;
+
+        // Exponential backoff plus random jitter, so retries from parallel pages spread out
+        const backoff = this.backoffBaseMs * 2 ** (attempt - 1) + Math.random() * this.backoffBaseMs;
+        logger.warn(`Crawl: ${error.message} (attempt ${attempt} of ${this.maxRetries + 1}) - retrying in ${Math.round(backoff)}ms`);
+        await sleep(backoff);
+      }
+    }
+  }
+
+  isRetryable(error) {
+    const status = error.status ?? error.response?.status;
+    if (status) return status >= 500;
+    return error.name === 'TimeoutError' || RETRYABLE_CODES.has(error.code);
+  }
+
+  // Space requests to one host at least 60s / requestsPerMinute apart
+  async throttle(host, crawlDelayMs = 0) {
+    const interval = Math.max(60000 / this.requestsPerMinute, crawlDelayMs);
+    const state = this.hosts.get(host) || { nextAt: 0 };
+    this.hosts.set(host, state);
+
+    // Reserve the slot before waiting so concurrent callers queue up behind each other
+    const now = Date.now();
+    const at = Math.max(now, state.nextAt);
+    state.nextAt = at + interval;
+
+    if (at > now) {
+      await sleep(at - now);
+    }
+  }
+
+  /**
+   * robots.txt rules for the URL's host, fetched at most once a day
+   * A missing or unreachable robots.txt allows everything.
+   */
+  async getRobots(url) {
+    const { origin } = new URL(url);
+    const cached = this.robots.get(origin);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.robots;
+    }
+
+    let robots = { rules: [], crawlDelayMs: 0 };
+    try {
+      const response = await axios.get(`${origin}/robots.txt`, {
+        timeout: 10000,
+        responseType: 'text',
+        validateStatus: () => true
+      });
+      if (response.status >= 200 && response.status < 300) {
+        robots = parseRobotsTxt(response.data);
+      } else {
+        logger.debug(`Crawl: No robots.txt for ${origin} (HTTP ${response.status})`);
+      }
+    } catch (error) {
+      logger.warn(`Crawl: Could not fetch robots.txt for ${origin}: ${error.message}`);
+    }
+
+    this.robots.set(origin, { robots, expiresAt: Date.now() + ROBOTS_CACHE_MS });
+    return robots;
+  }
+}
+
+export const crawlPolicy = new CrawlPolicy();
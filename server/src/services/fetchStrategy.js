@@ -0,0 +1,152 @@
+import axios from 'axios';
+import logger from '../utils/logger.js';
+import { browserPool } from './browserPool.js';
+import { crawlPolicy } from './crawlPolicy.js';
+
+export const FETCH_STRATEGIES = ['auto', 'http', 'browser'];
+
+const HTTP_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+  'Accept-Language': 'en-AU,en-US;q=0.9,en;q=0.8',
+  'Cache-Control': 'no-cache'
+};
+
+// Bot walls answer 200 with a challenge page instead of the content
+const BLOCK_PAGE_PATTERNS = [
+  /cf-challenge|challenge-platform|cf_chl_/i,
+  /captcha/i,
+  /access denied/i,
+  /enable javascript and cookies to continue/i
+];
+
+// Errors that mean the page itself is unavailable (or the run was cancelled), not that plain HTTP failed
+const FINAL_ERROR_CODES = new Set(['PAGE_GONE', 'ROBOTS_DISALLOWED', 'SCRAPE_CANCELLED']);
+
+const configuredStrategy = () => {
+  const strategy = (process.env.SCRAPER_FETCH_STRATEGY || 'auto').toLowerCase();
+  return FETCH_STRATEGIES.includes(strategy) ? strategy : 'auto';
+};
+
+/**
+ * Fetch a page with a plain HTTP request
+ * Throws PAGE_GONE on 404/410, a status error (retried by the crawl policy) on
+ * 5xx and BLOCKED on 401/403/429 or a bot challenge page.
+ * @param {string} url
+ * @returns {Promise<string>} Raw HTML
+ */
+export async function httpFetchHtml(url) {
+  const response = await axios.get(url, {
+    headers: HTTP_HEADERS,
+    timeout: 15000,
+    responseType: 'text',
+    maxRedirects: 5,
+    validateStatus: () => true
+  });
+  const status = response.status;
+
+  if ([404, 410].includes(status)) {
+    const error = new Error(`Page gone (HTTP ${status}): ${url}`);
+    error.code = 'PAGE_GONE';
+    error.status = status;
+    throw error;
+  }
+
+  if ([401, 403, 429].includes(status)) {
+    const error = new Error(`Blocked (HTTP ${status}): ${url}`);
+    error.code = 'BLOCKED';
+    error.status = status;
+    throw error;
+  }
+
+  if (status >= 400) {
+    const error = new Error(`HTTP ${status} loading ${url}`);
+    error.status = status;
+    throw error;
+  }
+
+  const html = typeof response.data === 'string' ? response.data : String(response.data ?? '');
+  if (html.length < 2000 && BLOCK_PAGE_PATTERNS.some(pattern => pattern.test(html))) {
+    const error = new Error(`Blocked (challenge page): ${url}`);
+    error.code = 'BLOCKED';
+    throw error;
+  }
+
+  return html;
+}
+
+/**
+ * Render a page in a pooled browser - the default fallback for adapters that
+ * don't need site-specific waiting or scrolling
+ * @param {string} url
+ * @returns {Promise<string>} Rendered HTML
+ */
+export async function renderWithBrowser(url) {
+  return browserPool.withPage(async (page) => {
+    await page.setUserAgent(HTTP_HEADERS['User-Agent']);
+    const response = await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+    const status = response ? response.status() : 200;
+
+    if ([404, 410].includes(status)) {
+      const error = new Error(`Page gone (HTTP ${status}): ${url}`);
+      error.code = 'PAGE_GONE';
+      error.status = status;
+      throw error;
+    }
+    if (status >= 500) {
+      const error = new Error(`HTTP ${status} loading ${url}`);
+      error.status = status;
+      throw error;
+    }
+
+    return page.content();
+  });
+}
+
+/**
+ * Fetch a page over plain HTTP first, falling back to a headless browser
+ * The browser is only used when the HTTP response is blocked, empty or fails
+ * hasContent (e.g. the expected job cards aren't in the server-rendered HTML).
+ * Both attempts go through the crawl policy, and the strategy that served the
+ * page is reported to the run record.
+ * SCRAPER_FETCH_STRATEGY=http never launches a browser; =browser skips HTTP.
+ * @param {string} url
+ * @param {Object} options
+ * @param {() => Promise<string>} [options.loadWithBrowser] - Puppeteer fallback (default renderWithBrowser)
+ * @param {(html: string) => boolean} [options.hasContent] - Whether HTML has what the caller needs
+ * @param {import('../scrapers/scrapeRun.js').ScrapeRun} [options.run]
+ * @param {string} [options.strategy] - Overrides SCRAPER_FETCH_STRATEGY
+ * @returns {Promise<{html: string, strategy: 'http'|'browser', fallbackReason: string|null}>}
+ */
+export async function fetchHtml(url, { loadWithBrowser = () => renderWithBrowser(url), hasContent = () => true, run, strategy = configuredStrategy() }) {
+  let fallbackReason = null;
+
+  if (strategy !== 'browser') {
+    try {
+      const html = await crawlPolicy.fetch(url, () => httpFetchHtml(url), { run });
+      if (!html.trim()) {
+        fallbackReason = 'empty response';
+      } else if (!hasContent(html)) {
+        fallbackReason = 'expected content missing';
+      } else {
+        run?.recordFetchStrategy({ url, strategy: 'http' });
+        return { html, strategy: 'http', fallbackReason: null };
+      }
+
+      // Without a browser to fall back to, hand back what HTTP returned
+      if (strategy === 'http') {
+        run?.recordFetchStrategy({ url, strategy: 'http', fallbackReason });
+        return { html, strategy: 'http', fallbackReason };
+      }
+    } catch (error) {
+      if (FINAL_ERROR_CODES.has(error.code) || strategy === 'http') throw error;
+      fallbackReason = error.code === 'BLOCKED' ? 'blocked' : error.message;
+    }
+
+    logger.info(`Fetch: HTTP could not serve ${url} (${fallbackReason}), falling back to browser`);
+  }
+
+  const html = await crawlPolicy.fetch(url, loadWithBrowser, { run });
+  run?.recordFetchStrategy({ url, strategy: 'browser', fallbackReason });
+  return { html, strategy: 'browser', fallbackReason };
+}
@@ -0,0 +1,362 @@
+import { semanticMatcher } from './semanticMatcher.js';
+import { dbAll, dbRun } from '../database/init.js';
+import { JOB_CATEGORIES } from '../scrapers/jobFields.js';
+import { wordPattern } from '../scrapers/skillTagger.js';
+import logger from '../utils/logger.js';
+
+// Subcategories and the category each belongs to, with the keywords that point
+// to them and example postings their embedding centroid is built from
+export const JOB_TAXONOMY = [
+  {
+    subcategory: 'frontend',
+    category: 'Software Engineering',
+    keywords: ['frontend', 'front-end', 'front end', 'ui developer', 'ux developer', 'react developer', 'vue developer', 'angular developer', 'web developer', 'client-side'],
+    examples: ['Frontend developer building React and TypeScript user interfaces', 'UI engineer creating responsive web applications with Angular or Vue, HTML and CSS']
+  },
+  {
+    subcategory: 'backend',
+    category: 'Software Engineering',
+    keywords: ['backend', 'back-end', 'back end', 'api developer', 'microservices', 'rest api', 'graphql', 'server-side', 'backend engineer'],
+    examples: ['Backend engineer building APIs and microservices in Java, Go or Node.js', 'Server-side developer designing databases, REST services and integrations']
+  },
+  {
+    subcategory: 'fullstack',
+    category: 'Software Engineering',
+    keywords: ['fullstack', 'full-stack', 'full stack'],
+    examples: ['Full stack developer working across React frontends and Node.js APIs', 'Full-stack engineer owning features end to end, from the database to the user interface']
+  },
+  {
+    subcategory: 'mobile',
+    category: 'Software Engineering',
+    keywords: ['mobile', 'ios developer', 'android developer', 'react native', 'flutter', 'swift developer', 'kotlin developer', 'ios', 'android'],
+    examples: ['Mobile developer building iOS and Android apps in Swift and Kotlin', 'React Native or Flutter engineer shipping cross-platform mobile applications']
+  },
+  {
+    subcategory: 'devops',
+    category: 'Software Engineering',
+    keywords: ['devops', 'sre', 'site reliability', 'infrastructure', 'ci/cd', 'deployment engineer', 'platform engineer'],
+    examples: ['DevOps engineer automating CI/CD pipelines, Docker and Kubernetes deployments', 'Site reliability engineer running production infrastructure, monitoring and on-call']
+  },
+  {
+    subcategory: 'cloud',
+    category: 'Software Engineering',
+    keywords: ['cloud engineer', 'cloud architect', 'aws engineer', 'azure engineer', 'gcp engineer', 'cloud'],
+    examples: ['Cloud engineer designing AWS and Azure environments with infrastructure as code', 'Cloud architect planning migrations and landing zones on public cloud platforms']
+  },
+  {
+    subcategory: 'cybersecurity',
+    category: 'Software Engineering',
+    keywords: ['security', 'cybersecurity', 'cyber security', 'penetration tester', 'security engineer', 'information security', 'soc analyst'],
+    examples: ['Cyber security analyst monitoring threats, incidents and vulnerabilities', 'Security engineer running penetration tests and hardening systems']
+  },
+  {
+    subcategory: 'qa',
+    category: 'Software Engineering',
+    keywords: ['qa', 'quality assurance', 'test analyst', 'tester', 'test automation', 'automation tester', 'test engineer'],
+    examples: ['QA engineer writing automated tests and test plans for web applications', 'Software tester performing manual and automated regression testing']
+  },
+  {
+    subcategory: 'software',
+    category: 'Software Engineering',
+    keywords: ['software engineer', 'software developer', 'programmer', 'application developer', 'developer'],
+    examples: ['Software engineer designing, building and maintaining applications', 'Software developer writing and reviewing code in an agile team']
+  },
+  {
+    subcategory: 'data-engineering',
+    category: 'Data',
+    keywords: ['data engineer', 'etl', 'data pipeline', 'data pipelines', 'data warehouse', 'warehouse', 'big data', 'data platform'],
+    examples: ['Data engineer building ETL pipelines and a cloud data warehouse', 'Big data engineer working with Spark, Airflow and data platforms']
+  },
+  {
+    subcategory: 'data-science',
+    category: 'Data',
+    keywords: ['data scientist', 'data science', 'machine learning', 'ml engineer', 'machine learning engineer', 'ai engineer', 'deep learning', 'nlp'],
+    examples: ['Data scientist building machine learning models and statistical analysis', 'Machine learning engineer training and deploying deep learning models']
+  },
+  {
+    subcategory: 'analytics',
+    category: 'Data',
+    keywords: ['data analyst', 'analytics', 'business intelligence', 'bi developer', 'bi analyst', 'reporting analyst', 'insights analyst', 'power bi', 'tableau'],
+    examples: ['Data analyst creating SQL reports and Power BI dashboards', 'Business intelligence analyst turning data into insights for stakeholders']
+  },
+  {
+    subcategory: 'ux-design',
+    category: 'Design',
+    keywords: ['ux designer', 'ui designer', 'ux/ui', 'ui/ux', 'product designer', 'user researcher', 'interaction designer', 'user experience'],
+    examples: ['UX designer running user research and designing wireframes and prototypes in Figma', 'Product designer crafting user interfaces and interaction flows']
+  },
+  {
+    subcategory: 'graphic-design',
+    category: 'Design',
+    keywords: ['graphic designer', 'visual designer', 'illustrator', 'motion designer', 'creative designer'],
+    examples: ['Graphic designer producing brand, print and digital artwork', 'Visual designer creating illustrations and motion graphics']
+  },
+  {
+    subcategory: 'product-management',
+    category: 'Product',
+    keywords: ['product manager', 'product owner', 'product management', 'business analyst', 'product lead'],
+    examples: ['Product manager owning the roadmap and prioritising features with customers', 'Product owner writing user stories and managing the backlog']
+  },
+  {
+    subcategory: 'marketing',
+    category: 'Marketing',
+    keywords: ['marketing', 'seo', 'digital marketing', 'content marketing', 'social media', 'communications', 'marketing manager'],
+    examples: ['Digital marketing specialist running SEO, paid and social media campaigns', 'Marketing manager planning brand and content strategy']
+  },
+  {
+    subcategory: 'sales',
+    category: 'Sales',
+    keywords: ['sales', 'account executive', 'business development', 'account manager', 'bdm', 'sales representative'],
+    examples: ['Account executive selling software to new business customers and meeting targets', 'Business development manager growing client relationships and the sales pipeline']
+  },
+  {
+    subcategory: 'customer-support',
+    category: 'Customer Support',
+    keywords: ['customer service', 'customer support', 'call centre', 'call center', 'contact centre', 'customer success'],
+    examples: ['Customer service representative answering calls and emails in a contact centre', 'Customer success manager helping clients get value and renew']
+  },
+  {
+    subcategory: 'it-support',
+    category: 'Customer Support',
+    keywords: ['help desk', 'helpdesk', 'service desk', 'desktop support', 'it support', 'technical support', 'support analyst'],
+    examples: ['IT support technician resolving help desk tickets, hardware and user accounts', 'Service desk analyst providing first and second level technical support']
+  },
+  {
+    subcategory: 'operations',
+    category: 'Operations',
+    keywords: ['operations manager', 'operations', 'administration', 'logistics', 'supply chain', 'office manager'],
+    examples: ['Operations manager running day-to-day processes, logistics and suppliers', 'Office administrator handling scheduling, records and facilities']
+  },
+  {
+    subcategory: 'project-management',
+    category: 'Operations',
+    keywords: ['project manager', 'program manager', 'programme manager', 'scrum master', 'delivery manager', 'project coordinator'],
+    examples: ['Project manager delivering projects on time and budget with stakeholders', 'Scrum master and delivery manager coordinating agile teams']
+  },
+  {
+    subcategory: 'finance',
+    category: 'Finance',
+    keywords: ['finance', 'accountant', 'accounting', 'financial analyst', 'payroll', 'bookkeeper', 'auditor', 'banking'],
+    examples: ['Accountant preparing financial statements, reconciliations and tax', 'Financial analyst building budgets, forecasts and reports']
+  },
+  {
+    subcategory: 'hr',
+    category: 'HR',
+    keywords: ['human resources', 'hr', 'recruiter', 'recruitment', 'talent acquisition', 'people and culture', 'people & culture'],
+    examples: ['HR advisor supporting employee relations, policies and onboarding', 'Recruiter sourcing candidates and managing talent acquisition']
+  }
+];
+
+// A keyword in the title says more about the role than one in the description
+const TITLE_WEIGHT = 3;
+const DESCRIPTION_WEIGHT = 1;
+
+// How much the keyword scores count against the embedding scores when both are available
+const KEYWORD_SHARE = 0.6;
+
+// Softmax temperature for turning centroid similarities into a distribution
+const SEMANTIC_TEMPERATURE = 0.05;
+
+// Used when neither keywords nor embeddings say anything - the scrapers search IT roles
+const DEFAULT_CATEGORY = 'Software Engineering';
+
+const PATTERNS = JOB_TAXONOMY.map(entry => ({
+  entry,
+  patterns: entry.keywords.map(keyword => wordPattern(keyword, 'i'))
+}));
+
+const normaliseScores = (scores) => {
+  const total = Object.values(scores).reduce((sum, score) => sum + score, 0);
+  if (total === 0) return null;
+  return Object.fromEntries(Object.entries(scores).map(([key, score]) => [key, score / total]));
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Job Classifier
+ * Assigns every job a category (one of JOB_CATEGORIES) and a subcategory from
+ * JOB_TAXONOMY. Keyword rules score the title and description; when the
+ * embedding model is available the job is also compared with each
+ * subcategory's centroid (the mean embedding of its example postings) and the
+ * two are mixed.
+ */
+class JobClassifier {
+  constructor() {
+    this.centroidsPromise = null;
+  }
+
+  /**
+   * Keyword scores of every subcategory with any keyword in the text
+   * @param {string} title
+   * @param {string} [description]
+   * @returns {Object<string, number>} Score by subcategory
+   */
+  scoreKeywords(title, description = '') {
+    const scores = {};
+    for (const { entry, patterns } of PATTERNS) {
+      let score = 0;
+      for (const pattern of patterns) {
+        if (pattern.test(title || '')) score += TITLE_WEIGHT;
+        else if (pattern.test(description || '')) score += DESCRIPTION_WEIGHT;
+      }
+      if (score > 0) scores[entry.subcategory] = score;
+    }
+
+    // Frontend and backend work without a full stack keyword is still a full stack role
+    if (scores.frontend && scores.backend && !scores.fullstack) {
+      scores.fullstack = scores.frontend + scores.backend;
+    }
+    return scores;
+  }
+
+  /**
+   * Best subcategory by keywords alone - synchronous, for callers that can't wait on the model
+   * @param {string} title
+   * @param {string} [description]
+   * @returns {string|null} Subcategory, or null when no keyword matched
+   */
+  classifyByKeywords(title, description = '') {
+    const scores = this.scoreKeywords(title, description);
+    const best = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+    return best ? best[0] : null;
+  }
+
+  // Mean embedding of each subcategory's examples, or null when the model isn't available
+  // (a null result isn't cached, so the next call tries again)
+  async getCentroids() {
+    if (!this.centroidsPromise) {
+      const promise = this.centroidsPromise = (async () => {
+        const centroids = {};
+        for (const entry of JOB_TAXONOMY) {
+          const embeddings = [];
+          for (const example of entry.examples) {
+            const embedding = await semanticMatcher.getEmbedding(example);
+            if (!embedding) return null;
+            embeddings.push(embedding);
+          }
+          centroids[entry.subcategory] = embeddings[0].map((_, i) =>
+            embeddings.reduce((sum, embedding) => sum + embedding[i], 0) / embeddings.length
+          );
+        }
+        return centroids;
+      })();
+      promise.then(
+        (centroids) => { if (!centroids && this.centroidsPromise === promise) this.centroidsPromise = null; },
+        () => { if (this.centroidsPromise === promise) this.centroidsPromise = null; }
+      );
+    }
+    return this.centroidsPromise;
+  }
+
+  async scoreSemantic(title, description = '') {
+    const centroids = await this.getCentroids();
+    if (!centroids) return null;
+
+    const embedding = await semanticMatcher.getEmbedding(`${title}. ${(description || '').slice(0, 400)}`.trim());
+    if (!embedding) return null;
+
+    const weights = {};
+    for (const [subcategory, centroid] of Object.entries(centroids)) {
+      weights[subcategory] = Math.exp(semanticMatcher.cosineSimilarity(embedding, centroid) / SEMANTIC_TEMPERATURE);
+    }
+    return normaliseScores(weights);
+  }
+
+  /**
+   * Classify a job
+   * @param {Object} job
+   * @param {string} job.title
+   * @param {string} [job.description]
+   * @param {string} [job.fallbackCategory] - Category from the source, used when nothing else matches
+   * @returns {Promise<{category: string, subcategory: string|null, confidence: number, method: string}>}
+   *   method is 'combined', 'keywords', 'semantic' or 'fallback'
+   */
+  async classify({ title = '', description = '', fallbackCategory = null }) {
+    const keywordScores = this.scoreKeywords(title, description);
+    const keywords = normaliseScores(keywordScores);
+    const semantic = await this.scoreSemantic(title, description);
+
+    if (!keywords && !semantic) {
+      return {
+        category: JOB_CATEGORIES.includes(fallbackCategory) ? fallbackCategory : DEFAULT_CATEGORY,
+        subcategory: null,
+        confidence: 0,
+        method: 'fallback'
+      };
+    }
+
+    let scores;
+    let method;
+    if (keywords && semantic) {
+      scores = Object.fromEntries(Object.keys(semantic).map(key =>
+        [key, KEYWORD_SHARE * (keywords[key] || 0) + (1 - KEYWORD_SHARE) * semantic[key]]
+      ));
+      method = 'combined';
+    } else {
+      scores = keywords || semantic;
+      method = keywords ? 'keywords' : 'semantic';
+    }
+
+    const [subcategory, score] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+
+    // A single description keyword is weak evidence however lopsided the scores are
+    const strength = keywords
+      ? Math.min(1, 0.6 + 0.1 * Math.max(...Object.values(keywordScores)))
+      : 0.7;
+
+    return {
+      category: JOB_TAXONOMY.find(entry => entry.subcategory === subcategory).category,
+      subcategory,
+      confidence: round(score * strength),
+      method
+    };
+  }
+
+  /**
+   * Classify a saved job and store the result on its row
+   * @param {string} jobId
+   * @param {Object} job - { title, description, fallbackCategory }
+   * @returns {Promise<Object>} The classification
+   */
+  async classifyStoredJob(jobId, job) {
+    const result = await this.classify(job);
+    await dbRun(`
+      UPDATE jobs SET category = ?, subcategory = ?, category_confidence = ?, category_classified_at = ?
+      WHERE id = ?
+    `, [result.category, result.subcategory, result.confidence, new Date().toISOString(), jobId]);
+    return result;
+  }
+
+  /**
+   * Classify every job that has never been classified, e.g. jobs saved before classification existed
+   * @param {Object} [options]
+   * @param {number} [options.batchSize]
+   * @returns {Promise<number>} How many jobs were classified
+   */
+  async backfill({ batchSize = 100 } = {}) {
+    let classified = 0;
+    for (;;) {
+      const rows = await dbAll(`
+        SELECT id, title, category, description_snippet, description_full FROM jobs
+        WHERE category_classified_at IS NULL
+        LIMIT ?
+      `, [batchSize]);
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        await this.classifyStoredJob(row.id, {
+          title: row.title,
+          description: row.description_full || row.description_snippet,
+          fallbackCategory: row.category
+        });
+      }
+      classified += rows.length;
+    }
+
+    if (classified > 0) logger.info(`Classified ${classified} existing jobs`);
+    return classified;
+  }
+}
+
+export const jobClassifier = new JobClassifier();
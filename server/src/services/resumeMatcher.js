@@ -1,7 +1,15 @@
 import { semanticMatcher } from './semanticMatcher.js';
 import { resumeParser } from './resumeParser.js';
+import { isKnownSkill, mentionsTerm, normaliseSkill, tagSkills } from '../scrapers/skillTagger.js';
+import { getSkillsForJobs } from '../database/jobSkills.js';
+import { EXPERIENCE_LEVELS } from '../scrapers/jobFields.js';
+import { extractSeniority } from '../scrapers/seniority.js';
+import { jobClassifier, JOB_TAXONOMY } from './jobClassifier.js';
 import logger from '../utils/logger.js';
 
+// Categories resumeParser gives resumes, besides 'general'
+const RESUME_CATEGORIES = ['data', 'frontend', 'backend', 'fullstack', 'mobile', 'devops', 'cloud', 'cybersecurity'];
+
 /**
  * Resume Matcher Service
  * Matches resume to jobs and identifies what parts match
@@ -28,8 +36,10 @@ class ResumeMatcher {
         matchPercentage: 0
       };
 
-      // 1. Determine job category (CRITICAL for matching)
-      const jobCategory = this.determineJobCategory(job.title, job.description_snippet || job.description_full || '');
+      // 1. Determine job category (CRITICAL for matching) - stored at ingest, or from keywords for unsaved jobs
+      const jobCategory = job.category_classified_at
+        ? this.toResumeCategory(job.subcategory)
+        : this.determineJobCategory(job.title, job.description_snippet || job.description_full || '');
       const resumeCategory = resumeData.primaryCategory || 'general';
       
       // Category match is THE MOST IMPORTANT factor
@@ -38,12 +48,29 @@ class ResumeMatcher {
       matchDetails.resumeCategory = resumeCategory;
       matchDetails.jobCategory = jobCategory;
 
-      // 2. Match skills
-      const jobText = `${job.title} ${job.description_snippet || ''} ${job.description_full || ''}`.toLowerCase();
+      // Seniority - the years the job asks for, else its level, against the resume's
+      const experienceFit = this.calculateExperienceFit(resumeData, job);
+      matchDetails.experienceFit = experienceFit.fit;
+      matchDetails.experienceLevelMatch = experienceFit.fit === 'meets';
+      matchDetails.jobExperienceLevel = experienceFit.level;
+      matchDetails.jobYearsRequired = { min: experienceFit.yearsMin, max: experienceFit.yearsMax };
+
+      // 2. Match skills against the job's skill tags (stored at ingest, or tagged now
+      // for jobs that don't carry them); skills the tagger doesn't know are
+      // looked for as whole words in the job text
+      const jobText = `${job.title} ${job.description_snippet || ''} ${job.description_full || ''}`;
+      const jobSkills = new Set((job.skills || tagSkills({
+        title: job.title,
+        description: job.description_full || job.description_snippet
+      })).map(tag => tag.skill));
+      const jobHasSkill = (name) => isKnownSkill(name)
+        ? jobSkills.has(normaliseSkill(name))
+        : mentionsTerm(jobText, name);
+
       const resumeSkills = resumeData.skills.map(s => s.toLowerCase());
       
       resumeSkills.forEach(skill => {
-        if (jobText.includes(skill)) {
+        if (jobHasSkill(skill)) {
           matchDetails.skillsMatched.push(skill);
         } else {
           matchDetails.skillsMissing.push(skill);
@@ -53,7 +80,7 @@ class ResumeMatcher {
       // 3. Match technologies
       const resumeTechnologies = resumeData.technologies.map(t => t.toLowerCase());
       resumeTechnologies.forEach(tech => {
-        if (jobText.includes(tech)) {
+        if (jobHasSkill(tech)) {
           matchDetails.technologiesMatched.push(tech);
         } else {
           matchDetails.technologiesMissing.push(tech);
@@ -165,6 +192,13 @@ class ResumeMatcher {
       if (categoryMatch >= 0.9 && skillMatchRatio >= 0.6 && techMatchRatio >= 0.6) {
         bonusMultiplier += 0.15; // Additional 15% for exceptional category+technical matches
       }
+
+      // Seniority: small bonus when it fits, penalty when the role asks for much more
+      if (experienceFit.fit === 'meets') {
+        bonusMultiplier += 0.05;
+      } else if (experienceFit.fit === 'under') {
+        bonusMultiplier *= 0.85;
+      }
       
       // Apply bonuses to base score
       // Note: bonusMultiplier accumulates (e.g., 1.0 + 0.12 + 0.08 = 1.20 = 20% bonus)
@@ -217,6 +251,10 @@ class ResumeMatcher {
         matchDetails.matchReasons.push(`✓ Uses technologies you know: ${topMatchedTech}`);
       }
 
+      if (experienceFit.reason) {
+        matchDetails.matchReasons.push(experienceFit.reason);
+      }
+
       if (semanticScore >= 0.75) {
         matchDetails.matchReasons.push('✓ Excellent semantic match with your background');
       } else if (semanticScore >= 0.65) {
@@ -238,6 +276,9 @@ class ResumeMatcher {
         if (semanticScore < 0.75) {
           suggestions.push('Gain more relevant experience to improve semantic match');
         }
+        if (experienceFit.fit === 'under') {
+          suggestions.push('Look at roles a level below while you build experience');
+        }
       }
       
       if (suggestions.length > 0) {
@@ -282,9 +323,10 @@ class ResumeMatcher {
   async matchResumeToJobs(resumeData, jobs) {
     logger.info(`Matching resume to ${jobs.length} jobs...`);
     
+    const skillsByJob = await getSkillsForJobs(jobs.map(job => job.id));
     const jobsWithMatches = await Promise.all(
       jobs.map(async (job) => {
-        const matchDetails = await this.matchJobToResume(resumeData, job);
+        const matchDetails = await this.matchJobToResume(resumeData, this.withStoredSkills(job, skillsByJob));
         return {
           ...job,
           resumeMatch: matchDetails
@@ -303,72 +345,71 @@ class ResumeMatcher {
   }
 
   /**
-   * Determine job category from title and description
+   * Attach a job's stored skill tags, when it has been tagged
+   * @param {Object} job - Jobs row
+   * @param {Map<string, Object[]>} skillsByJob - From getSkillsForJobs()
+   * @returns {Object}
    */
-  determineJobCategory(jobTitle, jobDescription) {
-    const text = `${jobTitle} ${jobDescription}`.toLowerCase();
-    
-    const categoryPatterns = {
-      data: {
-        keywords: ['data', 'analyst', 'analytics', 'data engineer', 'data scientist', 'bi', 'etl', 'warehouse', 'sql', 'business intelligence', 'machine learning engineer', 'ml engineer'],
-        weight: 0
-      },
-      frontend: {
-        keywords: ['frontend', 'front-end', 'front end', 'ui', 'ux developer', 'ui developer', 'react developer', 'vue developer', 'angular developer', 'web developer', 'client-side'],
-        weight: 0
-      },
-      backend: {
-        keywords: ['backend', 'back-end', 'back end', 'server', 'api developer', 'microservices', 'rest api', 'graphql', 'server-side', 'backend engineer'],
-        weight: 0
-      },
-      fullstack: {
-        keywords: ['fullstack', 'full-stack', 'full stack', 'full stack developer', 'full stack engineer'],
-        weight: 0
-      },
-      mobile: {
-        keywords: ['mobile', 'ios developer', 'android developer', 'react native', 'flutter', 'swift developer', 'kotlin developer'],
-        weight: 0
-      },
-      devops: {
-        keywords: ['devops', 'sre', 'site reliability', 'infrastructure', 'ci/cd', 'deployment engineer', 'platform engineer'],
-        weight: 0
-      },
-      cloud: {
-        keywords: ['cloud engineer', 'cloud architect', 'aws engineer', 'azure engineer', 'gcp engineer'],
-        weight: 0
-      },
-      cybersecurity: {
-        keywords: ['security', 'cybersecurity', 'penetration tester', 'security engineer', 'information security'],
-        weight: 0
-      }
-    };
+  withStoredSkills(job, skillsByJob) {
+    if (job.skills || !job.skills_tagged_at) return job;
+    return { ...job, skills: skillsByJob.get(job.id) || [] };
+  }
 
-    // Calculate weights
-    Object.keys(categoryPatterns).forEach(category => {
-      categoryPatterns[category].keywords.forEach(keyword => {
-        if (text.includes(keyword)) {
-          categoryPatterns[category].weight += 1;
-        }
-      });
-    });
+  /**
+   * How a resume's experience compares with what a job asks for
+   * Uses the job's years_required_min/max when both sides have years, otherwise
+   * its level - within a year or one level either way counts as meeting it.
+   * Jobs saved before seniority extraction are read on the fly.
+   * @param {Object} resumeData - Parsed resume data
+   * @param {Object} job - Jobs row
+   * @returns {{fit: 'meets'|'under'|'over'|'unknown', level: string, yearsMin: number|null, yearsMax: number|null, reason: string|null}}
+   */
+  calculateExperienceFit(resumeData, job) {
+    let seniority = { level: job.experience || 'Mid', yearsMin: job.years_required_min ?? null, yearsMax: job.years_required_max ?? null };
+    if (!job.seniority_extracted_at && job.title) {
+      const extracted = extractSeniority({ title: job.title, description: job.description_full || job.description_snippet });
+      seniority = extracted.source === 'default' ? { ...extracted, level: seniority.level } : extracted;
+    }
+    const { level, yearsMin, yearsMax } = seniority;
+    const result = (fit, reason = null) => ({ fit, level, yearsMin, yearsMax, reason });
 
-    // Find category with highest weight
-    let maxWeight = 0;
-    let jobCategory = 'general';
-    
-    Object.keys(categoryPatterns).forEach(category => {
-      if (categoryPatterns[category].weight > maxWeight) {
-        maxWeight = categoryPatterns[category].weight;
-        jobCategory = category;
-      }
-    });
+    // resumeParser reports 0 years when it found no dates or figures
+    const years = resumeData.yearsOfExperience > 0 ? resumeData.yearsOfExperience : null;
+    const asked = yearsMax === null ? `${yearsMin}+ years`
+      : yearsMin === null ? `up to ${yearsMax} years` : `${yearsMin}-${yearsMax} years`;
 
-    // Special handling: if both frontend and backend keywords exist, it's likely fullstack
-    if (categoryPatterns.frontend.weight > 0 && categoryPatterns.backend.weight > 0 && categoryPatterns.fullstack.weight === 0) {
-      jobCategory = 'fullstack';
+    if (years !== null && (yearsMin !== null || yearsMax !== null)) {
+      if (yearsMin !== null && years < yearsMin - 1) {
+        return result('under', `⚠️ Role asks for ${asked}; you have about ${years}`);
+      }
+      if (yearsMax !== null && years > yearsMax + 3) {
+        return result('over', `⚠️ You may be overqualified: role asks for ${asked}`);
+      }
+      return result('meets', `✓ Experience fits: role asks for ${asked}, you have about ${years}`);
     }
 
-    return jobCategory;
+    const resumeIndex = EXPERIENCE_LEVELS.indexOf(resumeData.experienceLevel);
+    const jobIndex = EXPERIENCE_LEVELS.indexOf(level);
+    if (resumeIndex === -1 || jobIndex === -1) return result('unknown');
+    if (jobIndex - resumeIndex >= 2) return result('under', `⚠️ ${level} role; your experience reads as ${resumeData.experienceLevel}`);
+    if (resumeIndex - jobIndex >= 2) return result('over', `⚠️ You may be overqualified for this ${level} role`);
+    return result('meets', `✓ Experience level fits: ${level} role`);
+  }
+
+  /**
+   * Determine job category from title and description
+   * Uses the shared job classifier's keyword rules, mapped onto the categories
+   * resumeParser assigns to resumes (data, frontend, backend, ... or general).
+   */
+  determineJobCategory(jobTitle, jobDescription) {
+    return this.toResumeCategory(jobClassifier.classifyByKeywords(jobTitle, jobDescription));
+  }
+
+  // Job subcategory to the resume category it compares with
+  toResumeCategory(subcategory) {
+    if (!subcategory) return 'general';
+    if (JOB_TAXONOMY.find(entry => entry.subcategory === subcategory)?.category === 'Data') return 'data';
+    return RESUME_CATEGORIES.includes(subcategory) ? subcategory : 'general';
   }
 
   /**
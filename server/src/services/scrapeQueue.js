@@ -0,0 +1,290 @@
+import { EventEmitter } from 'node:events';
+import {
+  claimScrapeJob,
+  createScrapeJob,
+  failInterruptedScrapeJobs,
+  finishScrapeJob,
+  getScrapeJob,
+  listActiveScrapeJobs,
+  listQueuedScrapeJobs,
+  requestScrapeJobCancel,
+  updateScrapeJobProgress
+} from '../database/scrapeJobs.js';
+import logger from '../utils/logger.js';
+
+const emptyCounters = () => ({
+  pages: 0,
+  failedPages: 0,
+  jobsParsed: 0,
+  duplicatesSkipped: 0,
+  jobsAdded: 0,
+  jobsUpdated: 0,
+  jobsUnchanged: 0,
+  warnings: 0
+});
+
+// Running totals for a job, kept up to date from its run events
+function countEvent(counters, event) {
+  switch (event.type) {
+    case 'page-finished':
+      if (event.error) counters.failedPages++;
+      else counters.pages++;
+      break;
+    case 'jobs-parsed':
+      counters.jobsParsed += event.jobs;
+      break;
+    case 'duplicates-skipped':
+      counters.duplicatesSkipped += event.count;
+      break;
+    case 'jobs-saved':
+      counters.jobsAdded += event.added;
+      counters.jobsUpdated += event.updated;
+      counters.jobsUnchanged += event.unchanged;
+      break;
+    case 'warning':
+      counters.warnings++;
+      break;
+  }
+}
+
+/**
+ * Persistent scrape queue
+ * Every scrape is queued in scrape_jobs and run by a single runner, so two
+ * triggers never scrape (and write to SQLite) at the same time. The running
+ * job's progress is kept in memory for status requests and written to its row
+ * as it changes; cancelling aborts the run's signal, which adapters check
+ * between pages. Run events (pages, parsed jobs, duplicates, saves, warnings)
+ * are counted per job and published to subscribers, which is what the
+ * scrape progress stream is built on.
+ */
+class ScrapeQueue {
+  constructor() {
+    this.current = null; // { id, controller, progress, counters }
+    this.draining = false;
+    this.waiters = new Map(); // job id -> resolve functions waiting for it to finish
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0); // one listener per open progress stream
+    this.coalescing = Promise.resolve();
+  }
+
+  /**
+   * Queue a scrape; it starts as soon as the runner is free
+   * @param {string[]} sites - Adapter names
+   * @param {Object} [options] - scrapeAllSites options (must be JSON-serialisable)
+   * @param {Object} [meta]
+   * @param {string} [meta.trigger] - What asked for it: manual, schedule, boot, on-demand, ...
+   * @returns {Promise<Object>} The queued scrape job
+   */
+  async enqueue(sites, options = {}, { trigger = 'manual' } = {}) {
+    const job = await createScrapeJob({ sites, options, trigger });
+    logger.info(`Scrape queue: queued job ${job.id} (${trigger}) for ${sites.join(', ')}`);
+    this.drain();
+    return job;
+  }
+
+  /**
+   * Queue a scrape of the sites no other queued or running scrape covers yet
+   * Used by periodic scrapes (schedules, the boot scrape) so a slow run doesn't
+   * pile copies of itself up in the queue. On-demand searches only cover one
+   * query, so they don't count. Calls run one after another, so two schedules
+   * firing together can't both queue the same site.
+   * @param {string[]} sites - Adapter names
+   * @param {Object} [options] - scrapeAllSites options
+   * @param {Object} [meta] - As for enqueue()
+   * @returns {Promise<{job: Object|null, skipped: Array<{site: string, jobId: number, status: string}>}>}
+   *   job is null when every site was already covered
+   */
+  enqueueUncovered(sites, options = {}, meta = {}) {
+    const queued = this.coalescing.catch(() => {}).then(async () => {
+      const active = (await listActiveScrapeJobs()).filter(job => job.trigger !== 'on-demand');
+      const skipped = [];
+      const remaining = sites.filter(site => {
+        const covering = active.find(job => job.sites.includes(site));
+        if (covering) skipped.push({ site, jobId: covering.id, status: covering.status });
+        return !covering;
+      });
+
+      const job = remaining.length > 0 ? await this.enqueue(remaining, options, meta) : null;
+      return { job, skipped };
+    });
+    this.coalescing = queued;
+    return queued;
+  }
+
+  /**
+   * Cancel a queued job, or stop a running one after its current page
+   * @returns {Promise<'cancelled'|'requested'|null>} null when the job has already finished
+   */
+  async cancel(id) {
+    const outcome = await requestScrapeJobCancel(id);
+    if (outcome === 'requested' && this.current?.id === Number(id)) {
+      this.current.controller.abort();
+    }
+    if (outcome === 'cancelled') {
+      this.settle(Number(id));
+    }
+    if (outcome) logger.info(`Scrape queue: ${outcome === 'cancelled' ? 'cancelled' : 'stopping'} job ${id}`);
+    return outcome;
+  }
+
+  /**
+   * Get a job, with live progress when it's the one running
+   */
+  async get(id) {
+    const job = await getScrapeJob(id);
+    if (job && this.current?.id === job.id) {
+      job.progress = { ...this.current.progress, counters: { ...this.current.counters } };
+    }
+    return job;
+  }
+
+  /**
+   * Listen to a job's run events until the returned function is called
+   * Events are { type, runId, at, counters, ... } where type is one of started,
+   * site-started, page-started, page-finished, jobs-parsed, duplicates-skipped,
+   * jobs-saved, warning or site-finished. Use waitFor() for completion.
+   * @param {number|string} id
+   * @param {(event: Object) => void} listener
+   * @returns {() => void} Unsubscribe
+   */
+  subscribe(id, listener) {
+    const name = `job:${Number(id)}`;
+    this.events.on(name, listener);
+    return () => this.events.off(name, listener);
+  }
+
+  /**
+   * What the runner is doing right now
+   * @returns {Promise<{status: 'running'|'idle', current: Object|null, queued: Object[]}>}
+   */
+  async status() {
+    const current = this.current ? await this.get(this.current.id) : null;
+    const queued = await listQueuedScrapeJobs();
+    return { status: current ? 'running' : 'idle', current, queued };
+  }
+
+  /**
+   * Wait for a job to finish
+   * @returns {Promise<Object>} The finished job
+   */
+  async waitFor(id) {
+    const jobId = Number(id);
+    // Listen before checking, so a job finishing in between isn't missed
+    const finished = new Promise(resolve => {
+      this.waiters.set(jobId, [...(this.waiters.get(jobId) || []), resolve]);
+    });
+
+    const job = await getScrapeJob(jobId);
+    if (!job || !['queued', 'running'].includes(job.status)) {
+      this.settle(jobId);
+      return job;
+    }
+    await finished;
+    return getScrapeJob(jobId);
+  }
+
+  /**
+   * Pick up after a restart: jobs that were running are failed, queued ones run
+   */
+  async resume() {
+    const interrupted = await failInterruptedScrapeJobs();
+    if (interrupted > 0) {
+      logger.warn(`Scrape queue: marked ${interrupted} interrupted scrape job(s) as failed`);
+    }
+    this.drain();
+  }
+
+  // Run queued jobs one at a time until none are left; the draining flag is the single-runner lock
+  async drain() {
+    if (this.draining) return;
+    this.draining = true;
+
+    try {
+      for (;;) {
+        const [next] = await listQueuedScrapeJobs();
+        if (!next) break;
+        // A cancel can land between listing and claiming
+        if (!(await claimScrapeJob(next.id))) continue;
+        await this.runJob(next);
+      }
+    } catch (error) {
+      logger.error('Scrape queue: runner failed:', error);
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  async runJob(job) {
+    const controller = new AbortController();
+    this.current = { id: job.id, controller, progress: null, counters: emptyCounters() };
+    logger.info(`Scrape queue: starting job ${job.id} (${job.trigger}) for ${job.sites.join(', ')}`);
+    this.publish(job.id, { type: 'started', sites: job.sites });
+
+    let status;
+    let result = null;
+    let error = null;
+
+    try {
+      // Imported lazily (like the routes do) so loading the queue doesn't load every adapter
+      const { scrapeAllSites } = await import('../scrapers/scrapeAll.js');
+      result = await scrapeAllSites(job.sites, {
+        ...job.options,
+        signal: controller.signal,
+        onProgress: (progress) => this.recordProgress(job.id, progress),
+        onEvent: (event) => this.publish(job.id, event)
+      });
+
+      if (result.cancelled || controller.signal.aborted) {
+        status = 'cancelled';
+      } else if (result.errors.length > 0) {
+        status = 'failed';
+        error = result.errors.map(e => `${e.site}: ${e.error}`).join('; ');
+      } else {
+        status = 'succeeded';
+      }
+    } catch (err) {
+      status = 'failed';
+      error = err.message;
+      logger.error(`Scrape queue: job ${job.id} failed:`, err);
+    }
+
+    try {
+      const progress = { ...this.current.progress, counters: this.current.counters };
+      await finishScrapeJob(job.id, { status, result, error, progress });
+    } finally {
+      this.current = null;
+      this.settle(job.id);
+    }
+    logger.info(`Scrape queue: job ${job.id} ${status}${result ? ` (${result.totalJobs} jobs)` : ''}`);
+  }
+
+  recordProgress(id, progress) {
+    const current = { ...progress, updatedAt: new Date().toISOString() };
+    if (this.current?.id === id) {
+      this.current.progress = current;
+      current.counters = { ...this.current.counters };
+    }
+    // Best effort - a failed progress write must not stop the scrape
+    updateScrapeJobProgress(id, current).catch(error => {
+      logger.warn(`Scrape queue: failed to store progress for job ${id}: ${error.message}`);
+    });
+  }
+
+  publish(id, event) {
+    if (this.current?.id !== id) return;
+    countEvent(this.current.counters, event);
+    this.events.emit(`job:${id}`, {
+      ...event,
+      runId: id,
+      at: new Date().toISOString(),
+      counters: { ...this.current.counters }
+    });
+  }
+
+  settle(id) {
+    for (const resolve of this.waiters.get(id) || []) resolve();
+    this.waiters.delete(id);
+  }
+}
+
+export const scrapeQueue = new ScrapeQueue();
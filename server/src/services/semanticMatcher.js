@@ -1,4 +1,3 @@
-import { pipeline } from '@xenova/transformers';
 import logger from '../utils/logger.js';
 
 class SemanticMatcher {
@@ -21,6 +20,9 @@ class SemanticMatcher {
     this.initializationPromise = (async () => {
       try {
         logger.info('Initializing semantic matching model...');
+        // Imported here rather than at the top so modules that only might match
+        // (the scrapers, via jobClassifier) load even where its native deps don't
+        const { pipeline } = await import('@xenova/transformers');
         // Use a lightweight sentence similarity model optimized for speed
         // This model is good for semantic similarity without being too heavy
         this.model = await pipeline(
@@ -0,0 +1,129 @@
+import cron from 'node-cron';
+
+// Second, minute, hour, day of month, month, day of week - as node-cron reads them
+const FIELDS = [
+  { min: 0, max: 59 },
+  { min: 0, max: 59 },
+  { min: 0, max: 23 },
+  { min: 1, max: 31 },
+  { min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'], offset: 1 },
+  { min: 0, max: 6, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], offset: 0 }
+];
+
+// Look at least this far ahead for the next run (covers yearly expressions and leap days)
+const SEARCH_LIMIT_MS = 4 * 366 * 24 * 60 * 60 * 1000;
+
+export const isValidCron = (expression) => typeof expression === 'string' && cron.validate(expression);
+
+export function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Expand one field to the set of values it allows
+function expandField(text, { min, max, names, offset }) {
+  let expression = text.toLowerCase();
+  if (names) {
+    // Full names first ("june" before "jun"), like node-cron
+    expression = expression.replace(/[a-z]+/g, (word) => {
+      const index = names.indexOf(word.slice(0, 3));
+      return index === -1 ? word : String(index + offset);
+    });
+  }
+  if (max === 6) expression = expression.replace(/\b7\b/g, '0'); // Sunday can be 0 or 7
+
+  const [base, step] = expression.split('/');
+  const values = new Set();
+  for (const part of base.split(',')) {
+    if (part === '*') {
+      for (let value = min; value <= max; value++) values.add(value);
+      continue;
+    }
+    const [from, to = from] = part.split('-').map(Number);
+    for (let value = Math.min(from, to); value <= Math.max(from, to); value++) values.add(value);
+  }
+  // node-cron keeps the values divisible by the step rather than counting from the range start
+  return step ? new Set([...values].filter(value => value % Number(step) === 0)) : values;
+}
+
+function parseCron(expression) {
+  const parts = expression.trim().split(/\s+/);
+  if (parts.length === 5) parts.unshift('0');
+  return parts.map((part, index) => expandField(part, FIELDS[index]));
+}
+
+// Wall-clock fields of an instant in a timezone
+function wallClock(date, formatter) {
+  const parts = Object.fromEntries(formatter.formatToParts(date).map(part => [part.type, part.value]));
+  return {
+    second: Number(parts.second),
+    minute: Number(parts.minute),
+    hour: Number(parts.hour),
+    day: Number(parts.day),
+    month: Number(parts.month),
+    weekday: new Date(Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day))).getUTCDay()
+  };
+}
+
+/**
+ * When a cron expression will next fire
+ * Matches node-cron's reading of the expression (optional seconds field, names,
+ * day of month AND day of week), evaluated on the wall clock of the timezone.
+ * @param {string} expression
+ * @param {Object} [options]
+ * @param {string} [options.timezone] - IANA timezone, e.g. Australia/Sydney (default: server time)
+ * @param {number} [options.count] - How many runs to list
+ * @param {Date} [options.from] - List runs after this instant (default: now)
+ * @returns {Date[]} Upcoming run times, soonest first
+ */
+export function nextCronRuns(expression, { timezone, count = 5, from = new Date() } = {}) {
+  if (!isValidCron(expression)) throw new Error(`Invalid cron expression: ${expression}`);
+
+  const [seconds, minutes, hours, days, months, weekdays] = parseCron(expression);
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  });
+  const secondList = [...seconds].sort((a, b) => a - b);
+  const runs = [];
+  const limit = from.getTime() + SEARCH_LIMIT_MS;
+
+  // Step to the next whole second, then skip ahead a day, hour or minute at a time
+  // while that unit can't match. Jumps stop an hour short of a wall-clock midnight
+  // so a daylight saving change never carries us past a matching time.
+  let time = Math.floor(from.getTime() / 1000) * 1000 + 1000;
+  while (runs.length < count && time <= limit) {
+    const now = wallClock(new Date(time), formatter);
+    const toNextMinute = (60 - now.second) * 1000;
+
+    if (!months.has(now.month) || !days.has(now.day) || !weekdays.has(now.weekday)) {
+      const toMidnight = ((23 - now.hour) * 60 + (59 - now.minute)) * 60 * 1000 + toNextMinute;
+      time += toMidnight > 60 * 60 * 1000 ? toMidnight - 60 * 60 * 1000 : toNextMinute;
+    } else if (!hours.has(now.hour)) {
+      time += (59 - now.minute) * 60 * 1000 + toNextMinute;
+    } else if (!minutes.has(now.minute)) {
+      time += toNextMinute;
+    } else {
+      const second = secondList.find(value => value >= now.second);
+      if (second === undefined) {
+        time += toNextMinute;
+      } else {
+        time += (second - now.second) * 1000;
+        runs.push(new Date(time));
+        time += 1000;
+      }
+    }
+  }
+
+  return runs;
+}
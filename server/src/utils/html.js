@@ -0,0 +1,81 @@
+import { load } from 'cheerio';
+
+const BLOCK_TAGS = new Set([
+  'p', 'div', 'section', 'article', 'header', 'footer', 'main', 'aside',
+  'blockquote', 'pre', 'table', 'tr', 'ul', 'ol', 'dl', 'dt', 'dd', 'form'
+]);
+const HEADING_TAGS = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+const SKIP_TAGS = new Set(['script', 'style', 'noscript', 'iframe', 'svg', 'button', 'form', 'nav']);
+
+/**
+ * Convert an HTML fragment to readable plain text
+ * Headings and paragraphs become their own blocks and list items are
+ * prefixed with "• ", so the result renders well with white-space: pre-line.
+ *
+ * @param {string} html - HTML fragment (or a full document)
+ * @returns {string} Plain text with blank lines between blocks
+ */
+export function htmlToText(html) {
+  if (!html) return '';
+  const $ = load(html);
+  const root = $('body').length ? $('body') : $.root();
+  const lines = [];
+  let current = '';
+
+  const flush = () => {
+    const text = current.replace(/[ \t ]+/g, ' ').trim();
+    if (text) lines.push(text);
+    current = '';
+  };
+
+  const blankLine = () => {
+    flush();
+    if (lines.length && lines[lines.length - 1] !== '') lines.push('');
+  };
+
+  const walk = (node) => {
+    if (node.type === 'text') {
+      current += node.data.replace(/\s+/g, ' ');
+      return;
+    }
+    if (node.type !== 'tag') return;
+
+    const tag = node.name.toLowerCase();
+    if (SKIP_TAGS.has(tag)) return;
+
+    if (tag === 'br') {
+      flush();
+      return;
+    }
+
+    if (tag === 'li') {
+      flush();
+      current = '• ';
+      node.children.forEach(walk);
+      flush();
+      return;
+    }
+
+    if (HEADING_TAGS.has(tag)) {
+      blankLine();
+      node.children.forEach(walk);
+      blankLine();
+      return;
+    }
+
+    const isBlock = BLOCK_TAGS.has(tag);
+    if (isBlock) blankLine();
+    node.children.forEach(walk);
+    if (isBlock) blankLine();
+  };
+
+  root.contents().each((_, node) => walk(node));
+  flush();
+
+  // Drop "• " lines left behind by empty list items and trim blank edges
+  return lines
+    .filter(line => line !== '•')
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
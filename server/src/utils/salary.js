@@ -0,0 +1,156 @@
+/**
+ * Salary extraction and normalisation
+ * Turns free-text pay ("$90k - $110k", "$65 - $75 per hour", "$600 p.d. + super")
+ * into annualised AUD min/max figures so jobs can be filtered and compared.
+ */
+
+// Annualisation assumes a standard Australian full-time year: 38h weeks, 5 day weeks, 52 weeks
+export const PERIOD_MULTIPLIERS = {
+  hour: 38 * 52,
+  day: 5 * 52,
+  week: 52,
+  fortnight: 26,
+  month: 12,
+  year: 1
+};
+
+const PERIOD_PATTERNS = [
+  { period: 'hour', pattern: /(per|an|a|\/)\s*(hour|hr)\b|\bp\.?\s?h\.?(?![a-z])|\bhourly\b/i },
+  { period: 'day', pattern: /(per|a|\/)\s*day\b|\bp\.?\s?d\.?(?![a-z])|\bdaily\b|\bday rate\b/i },
+  { period: 'week', pattern: /(per|a|\/)\s*(week|wk)\b|\bp\.?\s?w\.?(?![a-z])|\bweekly\b/i },
+  { period: 'fortnight', pattern: /(per|a|\/)\s*fortnight\b|\bfortnightly\b/i },
+  { period: 'month', pattern: /(per|a|\/)\s*(month|mth)\b|\bmonthly\b/i },
+  { period: 'year', pattern: /(per|a|\/)\s*(year|annum|yr)\b|\bp\.?\s?a\.?(?![a-z])|\bannual(ly)?\b|\bpackage\b/i }
+];
+
+const AMOUNT = String.raw`\$\s?\d[\d,]*(?:\.\d+)?(?:\s*k(?![a-z]))?`;
+const BARE_AMOUNT = String.raw`\$?\s?\d[\d,]*(?:\.\d+)?(?:\s*k(?![a-z]))?`;
+const PERIOD = String.raw`\s*(?:per|an|a|\/)\s*(?:hour|hr|day|week|wk|fortnight|month|mth|year|annum|yr)\b|\s*(?:p\.?\s?[hdwa]\.?(?![a-z])|hourly|daily|weekly|monthly|annually)`;
+// "+ super", "plus 11% super", "incl. superannuation"
+const SUPER = String.raw`\s*(?:\+|plus|incl\.?|including|inc\.?|excl\.?|excluding)\s*(?:\d+(?:\.\d+)?\s*%\s*)?super(?:annuation)?`;
+
+// "$90k - $110k", "$65-75 per hour", "$120,000 to $140,000", "$600 p.d. + 11% super"
+// Groups: 1 the upper end of a range, 2 the period, 3 the super mention
+const SALARY_PATTERN = new RegExp(
+  String.raw`${AMOUNT}(\s*(?:-|–|—|to)\s*${BARE_AMOUNT})?(${PERIOD})?(${SUPER})?`,
+  'gi'
+);
+
+const SUPER_SPLIT = new RegExp(SUPER, 'i');
+
+// Annualised figures outside this are a misread ("raised $5 million", "$2 coffee"), not pay
+const MIN_ANNUAL_SALARY = 15000;
+const MAX_ANNUAL_SALARY = 1000000;
+
+const parseAmount = (raw) => {
+  const cleaned = raw.replace(/[$,\s]/g, '');
+  const isThousands = /k$/i.test(cleaned);
+  const value = parseFloat(cleaned.replace(/k$/i, ''));
+  if (isNaN(value)) return null;
+  return isThousands ? value * 1000 : value;
+};
+
+// Guess the pay period from the size of the number when the text doesn't say
+const inferPeriod = (amount) => {
+  if (amount < 300) return 'hour';
+  if (amount < 3000) return 'day';
+  return 'year';
+};
+
+const detectSuper = (text) => {
+  if (/(incl\.?|including|inc\.?)\s*(\d+(\.\d+)?\s*%\s*)?super/i.test(text)) return true;
+  if (/(\+|plus|excl\.?|excluding)\s*(\d+(\.\d+)?\s*%\s*)?super/i.test(text)) return false;
+  return null;
+};
+
+// Annualise one matched salary phrase; null when the figures aren't believable pay
+function readSalary(salaryText) {
+  const [rangeText] = salaryText.split(SUPER_SPLIT);
+  const amounts = (rangeText.match(/\$?\s?\d[\d,]*(?:\.\d+)?\s*[kK]?/g) || [])
+    .map(parseAmount)
+    .filter(value => value !== null && value > 0);
+
+  if (amounts.length === 0) return null;
+
+  // "$90-110k" - the k on the upper bound applies to both
+  if (amounts.length > 1 && amounts[0] < 1000 && amounts[1] >= 1000 && /k\s*$/i.test(rangeText.trim())) {
+    amounts[0] *= 1000;
+  }
+
+  const low = Math.min(...amounts.slice(0, 2));
+  const high = Math.max(...amounts.slice(0, 2));
+
+  const explicitPeriod = PERIOD_PATTERNS.find(({ pattern }) => pattern.test(salaryText));
+  const period = explicitPeriod ? explicitPeriod.period : inferPeriod(high);
+  const multiplier = PERIOD_MULTIPLIERS[period];
+  const min = Math.round(low * multiplier);
+  const max = Math.round(high * multiplier);
+  if (min < MIN_ANNUAL_SALARY || max > MAX_ANNUAL_SALARY) return null;
+
+  return {
+    min,
+    max,
+    period,
+    includesSuper: detectSuper(salaryText),
+    text: salaryText
+  };
+}
+
+/**
+ * Find the first salary-looking phrase in a block of text
+ * In running text a lone "$500" is as likely a fee or a funding round as pay, so
+ * only amounts in thousands ("$90k"), ranges, or ones with a period or super count.
+ * @param {string} text
+ * @returns {string|null}
+ */
+export function findSalaryText(text) {
+  return parseSalary(text)?.text ?? null;
+}
+
+/**
+ * Parse salary text into annualised AUD figures
+ * @param {string} text - Salary text as shown on the listing, or a description to search
+ * @param {Object} [options]
+ * @param {boolean} [options.field] - Text is a dedicated salary field, where a bare "$95,000" is pay
+ * @returns {{min: number, max: number, period: string, includesSuper: boolean|null, text: string}|null}
+ */
+export function parseSalary(text, { field = false } = {}) {
+  if (!text) return null;
+
+  for (const match of text.matchAll(SALARY_PATTERN)) {
+    const [phrase, range, period, superText] = match;
+    const stated = range || period || superText || /\dk/i.test(phrase.replace(/\s/g, ''));
+    if (!field && !stated) continue;
+
+    const salary = readSalary(phrase.trim());
+    if (salary) return salary;
+  }
+  return null;
+}
+
+/**
+ * Annualise a structured pay range (e.g. schema.org baseSalary or ATS compensation fields)
+ * @param {Object} range
+ * @param {number} [range.min]
+ * @param {number} [range.max]
+ * @param {string} [range.period] - hour, day, week, fortnight, month or year; inferred when missing
+ * @param {string} [range.text] - Display text; built from the figures when missing
+ * @returns {{min: number, max: number, period: string, includesSuper: boolean|null, text: string}|null}
+ */
+export function annualiseSalary({ min, max, period, text }) {
+  const low = Number(min ?? max);
+  const high = Number(max ?? min);
+  if (!(low > 0) || !(high > 0)) return null;
+
+  const resolved = PERIOD_MULTIPLIERS[period] ? period : inferPeriod(high);
+  const multiplier = PERIOD_MULTIPLIERS[resolved];
+  const format = (value) => `$${value.toLocaleString('en-AU')}`;
+
+  return {
+    min: Math.round(Math.min(low, high) * multiplier),
+    max: Math.round(Math.max(low, high) * multiplier),
+    period: resolved,
+    includesSuper: text ? detectSuper(text) : null,
+    text: text || `${low === high ? format(low) : `${format(low)} - ${format(high)}`} per ${resolved}`
+  };
+}
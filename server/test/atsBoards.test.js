@@ -0,0 +1,159 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ATS_PROVIDERS, parseBoard } from '../src/scrapers/atsBoards.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const NOW = new Date('2026-10-18T00:00:00.000Z');
+
+const loadPayload = (provider) => JSON.parse(
+  fs.readFileSync(path.join(__dirname, `../fixtures/ats/${provider}-example.json`), 'utf8')
+);
+
+// The fields every provider maps; descriptions are checked separately
+const mapped = (job) => ({
+  title: job.title,
+  company: job.company,
+  location: job.location,
+  department: job.department,
+  workMode: job.workMode,
+  experience: job.experience,
+  employmentType: job.employmentType,
+  salary: [job.salaryMin, job.salaryMax, job.salaryPeriod, job.salaryIncludesSuper],
+  postedAt: job.postedAt,
+  source: job.sources[0]
+});
+
+describe('ATS board payloads', () => {
+  it('has a saved payload for every provider, and maps each entry', () => {
+    for (const [provider, ats] of Object.entries(ATS_PROVIDERS)) {
+      const payload = loadPayload(provider);
+      const entries = ats.entries(payload);
+      assert.ok(entries.length > 0, `${provider} payload has no entries`);
+      assert.equal(parseBoard(provider, payload, { target: 'example' }, NOW).length, entries.length, provider);
+    }
+  });
+
+  it('maps Greenhouse jobs', () => {
+    const [backend, analyst] = parseBoard('greenhouse', loadPayload('greenhouse'), { target: 'example' }, NOW);
+
+    assert.deepEqual(mapped(backend), {
+      title: 'Senior Backend Engineer',
+      company: 'Example Co',
+      location: 'Sydney, New South Wales, Australia',
+      department: 'Engineering',
+      workMode: 'On-site',
+      experience: 'Senior',
+      employmentType: null,
+      salary: [160000, 185000, 'year', false],
+      postedAt: '2026-10-08T14:00:00.000Z',
+      source: { site: 'Company', url: 'https://boards.greenhouse.io/example/jobs/4012345', postedAt: '2026-10-08T14:00:00.000Z', externalId: '4012345' }
+    });
+    // Greenhouse escapes its HTML; the text is decoded before conversion
+    assert.match(backend.descriptionFull, /^About the role\n\nDesign and run the services/);
+    assert.match(backend.descriptionFull, /• PostgreSQL and AWS/);
+
+    assert.deepEqual(mapped(analyst), {
+      title: 'Data Analyst (Remote)',
+      company: 'Example Co',
+      location: 'Remote - Australia',
+      department: 'Data',
+      workMode: 'Remote',
+      experience: 'Mid',
+      employmentType: null,
+      salary: [null, null, null, null],
+      // No first_published - falls back to updated_at
+      postedAt: '2026-10-16T17:40:00.000Z',
+      source: { site: 'Company', url: 'https://boards.greenhouse.io/example/jobs/4012399', postedAt: '2026-10-16T17:40:00.000Z', externalId: '4012399' }
+    });
+  });
+
+  it('maps Lever postings', () => {
+    const [frontend, contractor] = parseBoard('lever', loadPayload('lever'), { target: 'example' }, NOW);
+
+    assert.deepEqual(mapped(frontend), {
+      title: 'Frontend Developer',
+      company: 'Example',
+      location: 'Melbourne / Sydney',
+      department: 'Product Engineering - Web',
+      workMode: 'Hybrid',
+      experience: 'Mid',
+      employmentType: 'full-time',
+      salary: [120000, 140000, 'year', null],
+      postedAt: '2026-10-14T00:00:00.000Z',
+      source: {
+        site: 'Company',
+        url: 'https://jobs.lever.co/example/5b9c7a3e-1f2d-4c1a-9f77-0c1d2e3f4a5b',
+        postedAt: '2026-10-14T00:00:00.000Z',
+        externalId: '5b9c7a3e-1f2d-4c1a-9f77-0c1d2e3f4a5b'
+      }
+    });
+    assert.equal(frontend.yearsRequiredMin, 3);
+    // Lists are kept under their headings
+    assert.match(frontend.descriptionFull, /What you'll do\n\n• Ship React and TypeScript features/);
+
+    assert.deepEqual(mapped(contractor), {
+      title: 'Cloud Platform Contractor',
+      company: 'Example',
+      location: 'Remote',
+      department: 'Infrastructure',
+      workMode: 'Remote',
+      experience: 'Mid',
+      employmentType: 'contract',
+      salary: [234000, 286000, 'day', null],
+      postedAt: '2026-10-16T00:00:00.000Z',
+      source: {
+        site: 'Company',
+        url: 'https://jobs.lever.co/example/8e1f0a22-6b4d-4e3a-8c55-1a2b3c4d5e6f',
+        postedAt: '2026-10-16T00:00:00.000Z',
+        externalId: '8e1f0a22-6b4d-4e3a-8c55-1a2b3c4d5e6f'
+      }
+    });
+    assert.equal(contractor.contractDurationMonths, 6);
+  });
+
+  it('maps Workable jobs', () => {
+    const [graduate, support] = parseBoard('workable', loadPayload('workable'), { target: 'example' }, NOW);
+
+    assert.deepEqual(mapped(graduate), {
+      title: 'Graduate Software Engineer',
+      // Workable names the account in the payload
+      company: 'Example Pty Ltd',
+      location: 'Brisbane, Queensland',
+      department: 'Engineering',
+      workMode: 'On-site',
+      experience: 'Junior',
+      employmentType: 'full-time',
+      salary: [75000, 85000, 'year', false],
+      postedAt: '2026-10-12T00:00:00.000Z',
+      source: { site: 'Company', url: 'https://apply.workable.com/j/A1B2C3D4E5', postedAt: '2026-10-12T00:00:00.000Z', externalId: 'A1B2C3D4E5' }
+    });
+
+    assert.deepEqual(mapped(support), {
+      title: 'IT Support Officer (Casual)',
+      company: 'Example Pty Ltd',
+      location: 'Australia',
+      department: 'IT',
+      workMode: 'Remote',
+      experience: 'Mid',
+      employmentType: 'casual',
+      salary: [88920, 88920, 'hour', null],
+      postedAt: '2026-10-15T00:00:00.000Z',
+      source: { site: 'Company', url: 'https://apply.workable.com/j/F6G7H8J9K0', postedAt: '2026-10-15T00:00:00.000Z', externalId: 'F6G7H8J9K0' }
+    });
+  });
+
+  it('prefers the configured company name and skips entries without a title', () => {
+    const [posting] = loadPayload('lever');
+    assert.equal(ATS_PROVIDERS.lever.toJob({ ...posting, text: '' }, { company: 'Example', now: NOW }), null);
+
+    const jobs = parseBoard('workable', loadPayload('workable'), { target: 'example', company: 'Example Logistics' }, NOW);
+    assert.deepEqual(jobs.map(job => job.company), ['Example Logistics', 'Example Logistics']);
+  });
+
+  it('rejects an unknown provider', () => {
+    assert.throws(() => parseBoard('ashby', {}, { target: 'example' }), /Unknown ATS provider "ashby"/);
+  });
+});
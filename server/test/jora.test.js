@@ -0,0 +1,77 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { JoraScraper } from '../src/scrapers/jora.js';
+
+// Replays the pages in fixtures/pages; "now" matches when they were captured
+const NOW = '2026-10-15T00:00:00.000Z';
+const SEARCH_PROFILE = { keywords: ['software engineer'], location: 'Sydney NSW', listedWithinDays: 14, salaryFloor: null };
+const DETAIL_URL = 'https://au.jora.com/job/Senior-Software-Engineer-0a1b2c3d4e5f60718293a4b5c6d7e8f9?disallow=true&sp=serp_job&tk=x1';
+
+const replayScraper = () => new JoraScraper({ fixtureMode: 'replay', now: NOW });
+
+describe('Jora replay', () => {
+  it('parses every card on a recorded search page', async () => {
+    const scraper = replayScraper();
+    const jobs = await scraper.scrapeExactUrlPage(scraper.buildSearchUrl(SEARCH_PROFILE, 1));
+
+    assert.deepEqual(jobs.map(job => [job.title, job.company, job.location]), [
+      ['Senior Software Engineer', 'Example Tech', 'Sydney NSW'],
+      ['Graduate Data Analyst', 'Example Bank', 'Melbourne VIC'],
+      ['DevOps Engineer', 'Cloud Co', 'Sydney NSW'],
+      ['Product Marketing Manager', 'Startup Labs', 'Sydney NSW']
+    ]);
+    assert.deepEqual(jobs.map(job => job.sources[0].externalId), [
+      '0a1b2c3d4e5f60718293a4b5c6d7e8f9',
+      '1b2c3d4e5f60718293a4b5c6d7e8f90a',
+      '2c3d4e5f60718293a4b5c6d7e8f90a1b',
+      '3d4e5f60718293a4b5c6d7e8f90a1b2c'
+    ]);
+    assert.deepEqual(jobs.map(job => job.postedAt), [
+      '2026-10-13T00:00:00.000Z', // 2d ago
+      '2026-10-14T06:00:00.000Z', // 18h ago
+      '2026-10-10T00:00:00.000Z', // 5d ago, from Prosple
+      '2026-10-14T00:00:00.000Z'
+    ]);
+    assert.equal(jobs[0].sources[0].url, DETAIL_URL);
+  });
+
+  it('reads pay, level, work mode and employment type from the cards', async () => {
+    const scraper = replayScraper();
+    const [senior, graduate, devops, marketing] = await scraper.scrapeExactUrlPage(scraper.buildSearchUrl(SEARCH_PROFILE, 1));
+
+    assert.equal(senior.salaryText, '$160,000 - $180,000 a year');
+    assert.deepEqual([senior.salaryMin, senior.salaryMax, senior.salaryPeriod], [160000, 180000, 'year']);
+    assert.deepEqual([senior.experience, senior.yearsRequiredMin, senior.workMode], ['Senior', 5, 'Hybrid']);
+
+    assert.deepEqual([graduate.experience, graduate.salaryMin], ['Junior', null]);
+
+    // No salary badge - the day rate is found in the card text
+    assert.equal(devops.salaryText, '$900 - $1,000 per day');
+    assert.deepEqual([devops.salaryMin, devops.salaryMax, devops.salaryPeriod], [234000, 260000, 'day']);
+    assert.deepEqual([devops.employmentType, devops.contractDurationMonths, devops.workMode], ['contract', 6, 'Remote']);
+
+    // "raised $5 million" isn't pay and "we have 10 years experience" isn't a requirement
+    assert.equal(marketing.salaryText, null);
+    assert.deepEqual([marketing.yearsRequiredMin, marketing.experience], [null, 'Mid']);
+  });
+
+  it('reads the full description and pay from a recorded detail page', async () => {
+    const detail = await replayScraper().fetchJobDetail(DETAIL_URL);
+
+    assert.equal(detail.gone, false);
+    assert.match(detail.descriptionFull, /^About the role\n/);
+    assert.match(detail.descriptionFull, /• You have 5\+ years of experience with TypeScript and Node\.js/);
+    assert.deepEqual(detail.salary, {
+      min: 160000,
+      max: 180000,
+      period: 'year',
+      includesSuper: false,
+      text: '$160k - $180k + 11% super'
+    });
+  });
+
+  it('fails on a page that was never recorded', async () => {
+    const scraper = replayScraper();
+    await assert.rejects(scraper.scrapeExactUrlPage(scraper.buildSearchUrl(SEARCH_PROFILE, 2)), { code: 'FIXTURE_MISSING' });
+  });
+});
@@ -8,16 +8,26 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@
 import { Slider } from "@/components/ui/slider";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Collapsible, CollapsibleContent, CollapsibleTrigger } from "@/components/ui/collapsible";
-import { SearchFilters } from "@/types/jobs";
-import { jobApiService } from "@/services/jobApi";
+import { EmploymentType, SearchFilters } from "@/types/jobs";
+import { FacetCount, jobApiService } from "@/services/jobApi";
+
+const EMPLOYMENT_TYPES: Array<{ value: EmploymentType; label: string }> = [
+  { value: "full-time", label: "Full-time" },
+  { value: "part-time", label: "Part-time" },
+  { value: "contract", label: "Contract" },
+  { value: "temporary", label: "Temporary" },
+  { value: "casual", label: "Casual" },
+  { value: "internship", label: "Internship" }
+];
 
 interface JobFiltersProps {
   filters: SearchFilters;
   onFiltersChange: (filters: SearchFilters) => void;
+  employmentTypeCounts?: FacetCount<EmploymentType>[];
   className?: string;
 }
 
-export const JobFilters = ({ filters, onFiltersChange, className }: JobFiltersProps) => {
+export const JobFilters = ({ filters, onFiltersChange, employmentTypeCounts = [], className }: JobFiltersProps) => {
   const [companies, setCompanies] = useState<Array<{ name: string; jobCount: number }>>([]);
   const [categories, setCategories] = useState<Array<{ name: string; jobCount: number }>>([]);
   const [loadingCompanies, setLoadingCompanies] = useState(false);
@@ -25,6 +35,7 @@ export const JobFilters = ({ filters, onFiltersChange, className }: JobFiltersPr
   
   const [expandedSections, setExpandedSections] = useState({
     workMode: true,
+    employmentType: true,
     category: true,
     experience: true,
     posted: true,
@@ -85,6 +96,17 @@ export const JobFilters = ({ filters, onFiltersChange, className }: JobFiltersPr
     updateFilters({ workMode: newWorkMode });
   };
 
+  const handleEmploymentTypeChange = (type: EmploymentType, checked: boolean) => {
+    const current = filters.employmentType || [];
+    const newEmploymentType = checked
+      ? [...current, type]
+      : current.filter(t => t !== type);
+    updateFilters({ employmentType: newEmploymentType });
+  };
+
+  const employmentTypeCount = (type: EmploymentType) =>
+    employmentTypeCounts.find(facet => facet.value === type)?.count;
+
   const handleExperienceChange = (level: string, checked: boolean) => {
     const newExperience = checked 
       ? [...filters.experience, level]
@@ -150,6 +172,26 @@ export const JobFilters = ({ filters, onFiltersChange, className }: JobFiltersPr
           </div>
         </FilterSection>
 
+        <FilterSection title="Employment Type" section="employmentType">
+          <div className="space-y-2">
+            {EMPLOYMENT_TYPES.map(({ value, label }) => (
+              <div key={value} className="flex items-center space-x-2">
+                <Checkbox
+                  id={`employment-${value}`}
+                  checked={filters.employmentType?.includes(value) || false}
+                  onCheckedChange={(checked) => handleEmploymentTypeChange(value, !!checked)}
+                />
+                <Label htmlFor={`employment-${value}`}>
+                  {label}
+                  {employmentTypeCount(value) !== undefined && (
+                    <span className="text-muted-foreground"> ({employmentTypeCount(value)})</span>
+                  )}
+                </Label>
+              </div>
+            ))}
+          </div>
+        </FilterSection>
+
         <FilterSection title="Job Category" section="category">
           <Select value={filters.category || "all"} onValueChange={(value) => updateFilters({ category: value === "all" ? "" : value })}>
             <SelectTrigger>
@@ -190,6 +232,26 @@ export const JobFilters = ({ filters, onFiltersChange, className }: JobFiltersPr
               </div>
             ))}
           </div>
+          <div className="space-y-2 pt-3">
+            <Label>My years of experience</Label>
+            <Select
+              value={filters.yearsOfExperience === undefined ? "any" : String(filters.yearsOfExperience)}
+              onValueChange={(value) => updateFilters({ yearsOfExperience: value === "any" ? undefined : Number(value) })}
+            >
+              <SelectTrigger>
+                <SelectValue placeholder="Any requirement" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="any">Any requirement</SelectItem>
+                <SelectItem value="0">None yet</SelectItem>
+                {[1, 2, 3, 5, 8, 10].map((years) => (
+                  <SelectItem key={years} value={String(years)}>
+                    {years} {years === 1 ? "year" : "years"}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
         </FilterSection>
 
         <FilterSection title="Posted Date" section="posted">
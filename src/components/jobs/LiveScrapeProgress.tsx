@@ -0,0 +1,99 @@
+import { Radar, CheckCircle2, XCircle, AlertTriangle, X } from "lucide-react";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent } from "@/components/ui/card";
+import { Progress } from "@/components/ui/progress";
+import { ScrapeJobStatus, ScrapeRunCounters } from "@/services/onDemandScraping";
+
+export interface LiveScrape {
+  runId: number;
+  searchQuery: string;
+  maxJobs: number;
+  status: ScrapeJobStatus;
+  currentStep: string;
+  counters: ScrapeRunCounters;
+  warnings: string[];
+}
+
+interface LiveScrapeProgressProps {
+  scrape: LiveScrape;
+  onCancel?: () => void;
+  onDismiss?: () => void;
+}
+
+const Counter = ({ label, value }: { label: string; value: number }) => (
+  <div className="rounded-md border bg-background px-3 py-2">
+    <div className="text-lg font-semibold text-foreground tabular-nums">{value}</div>
+    <div className="text-xs text-muted-foreground">{label}</div>
+  </div>
+);
+
+export const LiveScrapeProgress = ({ scrape, onCancel, onDismiss }: LiveScrapeProgressProps) => {
+  const { counters, status } = scrape;
+  const active = status === 'queued' || status === 'running';
+  const uniqueJobs = Math.max(0, counters.jobsParsed - counters.duplicatesSkipped);
+  const progress = status === 'succeeded' ? 100 : Math.min(100, Math.round((uniqueJobs / scrape.maxJobs) * 100));
+
+  const heading = {
+    queued: 'Waiting to search Jora',
+    running: 'Searching Jora',
+    succeeded: 'Search complete',
+    failed: 'Search failed',
+    cancelled: 'Search stopped',
+  }[status];
+
+  return (
+    <Card>
+      <CardContent className="p-4 space-y-4">
+        <div className="flex items-start justify-between gap-4">
+          <div className="flex items-center space-x-2">
+            {active && <Radar className="h-5 w-5 text-primary animate-pulse" />}
+            {status === 'succeeded' && <CheckCircle2 className="h-5 w-5 text-green-600" />}
+            {(status === 'failed' || status === 'cancelled') && <XCircle className="h-5 w-5 text-destructive" />}
+            <div>
+              <h3 className="font-semibold text-foreground">
+                {heading} for "{scrape.searchQuery}"
+              </h3>
+              <p className="text-sm text-muted-foreground">{scrape.currentStep}</p>
+            </div>
+          </div>
+          {active && onCancel && (
+            <Button variant="outline" size="sm" onClick={onCancel}>
+              Stop
+            </Button>
+          )}
+          {!active && onDismiss && (
+            <Button variant="ghost" size="icon" onClick={onDismiss} aria-label="Dismiss">
+              <X className="h-4 w-4" />
+            </Button>
+          )}
+        </div>
+
+        <Progress value={progress} className="w-full" />
+
+        <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-6 gap-2">
+          <Counter label="Pages read" value={counters.pages} />
+          <Counter label="Jobs found" value={counters.jobsParsed} />
+          <Counter label="Duplicates skipped" value={counters.duplicatesSkipped} />
+          <Counter label="New jobs saved" value={counters.jobsAdded} />
+          <Counter label="Jobs updated" value={counters.jobsUpdated} />
+          <Counter label="Warnings" value={counters.warnings} />
+        </div>
+
+        {scrape.warnings.length > 0 && (
+          <div className="space-y-1">
+            {scrape.warnings.map((warning, index) => (
+              <div key={index} className="flex items-center space-x-2 text-xs text-muted-foreground">
+                <AlertTriangle className="h-3 w-3 text-amber-500 flex-shrink-0" />
+                <span>{warning}</span>
+              </div>
+            ))}
+            {counters.warnings > scrape.warnings.length && (
+              <Badge variant="outline">+{counters.warnings - scrape.warnings.length} more</Badge>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
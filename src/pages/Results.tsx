@@ -1,10 +1,11 @@
 import { useState, useEffect, useMemo } from "react";
 import { useSearchParams } from "react-router-dom";
-import { SlidersHorizontal, ArrowUpDown, Menu, X, Loader2, Clock, Sparkles, ChevronDown, ChevronUp } from "lucide-react";
+import { SlidersHorizontal, ArrowUpDown, Menu, X, Loader2, Clock, Sparkles, ChevronDown, ChevronUp, Radar } from "lucide-react";
 import { Header } from "@/components/layout/Header";
 import { SearchForm } from "@/components/search/SearchForm";
 import { JobFilters } from "@/components/filters/JobFilters";
 import { JobCard } from "@/components/jobs/JobCard";
+import { LiveScrape, LiveScrapeProgress } from "@/components/jobs/LiveScrapeProgress";
 import { ResumeUpload } from "@/components/upload/ResumeUpload";
 import { Button } from "@/components/ui/button";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
@@ -13,13 +14,47 @@ import { Sheet, SheetContent, SheetHeader, SheetTitle, SheetTrigger } from "@/co
 import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/ui/dialog";
 import { Collapsible, CollapsibleContent, CollapsibleTrigger } from "@/components/ui/collapsible";
 import { Progress } from "@/components/ui/progress";
-import { SearchFilters, JobBundle } from "@/types/jobs";
-import { jobApiService } from "@/services/jobApi";
+import { SearchFilters, JobBundle, EmploymentType } from "@/types/jobs";
+import { FacetCount, jobApiService } from "@/services/jobApi";
 import { resumeService } from "@/services/resumeService";
+import { onDemandScrapingService, EMPTY_SCRAPE_COUNTERS, ScrapeRunEvent } from "@/services/onDemandScraping";
 import { useToast } from "@/hooks/use-toast";
 import { formatDistanceToNow } from "date-fns";
 import { useResume } from "@/contexts/ResumeContext";
 
+// Fold one progress event from an on-demand Jora search into the live scrape state
+const applyScrapeEvent = (scrape: LiveScrape, event: ScrapeRunEvent): LiveScrape => {
+  const next = { ...scrape, counters: event.counters ?? scrape.counters };
+
+  switch (event.type) {
+    case 'snapshot':
+      return event.job?.status === 'running'
+        ? { ...next, status: 'running', currentStep: 'Searching...' }
+        : next;
+    case 'started':
+      return { ...next, status: 'running', currentStep: 'Starting search...' };
+    case 'page-started':
+      return { ...next, currentStep: `Reading results page ${event.page}...` };
+    case 'page-finished':
+      return event.error ? next : { ...next, currentStep: `Page ${event.page}: ${event.jobs} jobs` };
+    case 'jobs-saved':
+      return { ...next, currentStep: `Saved ${event.added} new and ${event.updated} updated jobs` };
+    case 'warning':
+      return { ...next, warnings: [...scrape.warnings, event.message ?? 'Warning'].slice(-3) };
+    case 'completed': {
+      const status = event.status ?? 'failed';
+      const currentStep = status === 'succeeded'
+        ? `Added ${next.counters.jobsAdded} new jobs to the results`
+        : status === 'cancelled'
+          ? 'Stopped - jobs found so far were kept'
+          : event.error || 'Something went wrong while searching';
+      return { ...next, status, currentStep };
+    }
+    default:
+      return next;
+  }
+};
+
 const Results = () => {
   const [searchParams, setSearchParams] = useSearchParams();
   const [sortBy, setSortBy] = useState("newest");
@@ -27,6 +62,7 @@ const Results = () => {
   const [selectedJob, setSelectedJob] = useState<JobBundle | null>(null);
   const [savedJobs, setSavedJobs] = useState<string[]>([]);
   const [jobBundles, setJobBundles] = useState<JobBundle[]>([]);
+  const [employmentTypeCounts, setEmploymentTypeCounts] = useState<FacetCount<EmploymentType>[]>([]);
   const [loading, setLoading] = useState(false);
   const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState<string | null>(null);
@@ -42,6 +78,10 @@ const Results = () => {
   const [isMatchingJobs, setIsMatchingJobs] = useState(false);
   const [matchingProgress, setMatchingProgress] = useState({ current: 0, total: 0, matched: 0 });
   const [matchedJobIds, setMatchedJobIds] = useState<Set<string>>(new Set());
+  const [liveScrape, setLiveScrape] = useState<LiveScrape | null>(null);
+  const [jobsRefreshKey, setJobsRefreshKey] = useState(0);
+  const liveScrapeRunId = liveScrape?.runId;
+  const liveScrapeActive = liveScrape?.status === 'queued' || liveScrape?.status === 'running';
   
   // Match ALL jobs in database when resume exists (only once on mount or resume change)
   useEffect(() => {
@@ -204,6 +244,7 @@ const Results = () => {
       
       if (page === 1) {
         setJobBundles(bundles);
+        setEmploymentTypeCounts(response.facets?.employmentType || []);
       } else {
         setJobBundles(prev => [...prev, ...bundles]);
       }
@@ -272,7 +313,21 @@ const Results = () => {
         matchedJobIdsSize: matchedJobIds.size
       });
     }
-  }, [filters, isMatchingJobs, parsedResume, matchedJobIds.size]);
+  }, [filters, isMatchingJobs, parsedResume, matchedJobIds.size, jobsRefreshKey]);
+
+  // Follow an on-demand Jora search live, and reload the results once it has saved its jobs
+  useEffect(() => {
+    if (!liveScrapeRunId) return;
+
+    return onDemandScrapingService.streamRun(liveScrapeRunId, (event) => {
+      setLiveScrape(prev => (prev && prev.runId === event.runId ? applyScrapeEvent(prev, event) : prev));
+      if (event.type === 'completed' && event.status !== 'failed') {
+        setJobsRefreshKey(key => key + 1);
+      }
+    }, (streamError) => {
+      setLiveScrape(prev => (prev ? { ...prev, status: 'failed', currentStep: streamError.message } : prev));
+    });
+  }, [liveScrapeRunId]);
 
   // Update URL when filters change
   useEffect(() => {
@@ -365,6 +420,49 @@ const Results = () => {
     setFilters(newFilters);
   };
 
+  // Ask the backend to search Jora for the current query and fill in jobs we don't have yet
+  const handleSearchJora = async () => {
+    const query = filters.query.trim();
+    if (!query) return;
+
+    try {
+      const response = await onDemandScrapingService.startScraping(query, {
+        location: filters.location || undefined,
+        maxJobs: 20
+      });
+      setLiveScrape({
+        runId: response.runId,
+        searchQuery: response.searchQuery,
+        maxJobs: response.maxJobs,
+        status: response.status,
+        currentStep: 'Queued - waiting to start...',
+        counters: EMPTY_SCRAPE_COUNTERS,
+        warnings: []
+      });
+    } catch (err) {
+      toast({
+        title: "Couldn't search Jora",
+        description: err instanceof Error ? err.message : 'Please try again.',
+        variant: "destructive"
+      });
+    }
+  };
+
+  const handleStopJoraSearch = async () => {
+    if (!liveScrape) return;
+
+    try {
+      await onDemandScrapingService.cancelRun(liveScrape.runId);
+      setLiveScrape(prev => (prev ? { ...prev, currentStep: 'Stopping after the current page...' } : prev));
+    } catch (err) {
+      toast({
+        title: "Couldn't stop the search",
+        description: err instanceof Error ? err.message : 'Please try again.',
+        variant: "destructive"
+      });
+    }
+  };
+
   const handleSaveJob = (jobId: string) => {
     const newSavedJobs = savedJobs.includes(jobId)
       ? savedJobs.filter(id => id !== jobId)
@@ -426,7 +524,7 @@ const Results = () => {
                       <SheetTitle>Filters</SheetTitle>
                     </SheetHeader>
                     <div className="mt-4">
-                      <JobFilters filters={filters} onFiltersChange={setFilters} />
+                      <JobFilters filters={filters} onFiltersChange={setFilters} employmentTypeCounts={employmentTypeCounts} />
                     </div>
                   </SheetContent>
                 </Sheet>
@@ -476,7 +574,7 @@ const Results = () => {
           {/* Filters Sidebar - Desktop */}
           <div className="hidden lg:block lg:col-span-1">
             <div className="sticky top-48">
-              <JobFilters filters={filters} onFiltersChange={setFilters} />
+              <JobFilters filters={filters} onFiltersChange={setFilters} employmentTypeCounts={employmentTypeCounts} />
             </div>
           </div>
           
@@ -548,8 +646,22 @@ const Results = () => {
                     </div>
                   )}
                 </div>
+                {filters.query && !parsedResume && !liveScrapeActive && (
+                  <Button variant="outline" size="sm" onClick={handleSearchJora}>
+                    <Radar className="h-4 w-4 mr-2" />
+                    Search Jora for more
+                  </Button>
+                )}
               </div>
               
+              {liveScrape && (
+                <LiveScrapeProgress
+                  scrape={liveScrape}
+                  onCancel={handleStopJoraSearch}
+                  onDismiss={() => setLiveScrape(null)}
+                />
+              )}
+              
               {error ? (
                 <div className="text-center py-12">
                   <div className="text-muted-foreground mb-4">
@@ -582,12 +694,20 @@ const Results = () => {
                         : 'Try widening your radius or removing some filters.'}
                     </p>
                   </div>
-                  <Button variant="outline" onClick={() => setFilters({
-                    query: "", location: "", radius: "25 km", workMode: [], category: "all",
-                    distance: 50, sources: [], experience: [], postedWithin: "any", company: ""
-                  })}>
-                    Reset all filters
-                  </Button>
+                  <div className="flex flex-wrap justify-center gap-2">
+                    {filters.query && !parsedResume && !liveScrapeActive && (
+                      <Button onClick={handleSearchJora}>
+                        <Radar className="h-4 w-4 mr-2" />
+                        Search Jora for "{filters.query}"
+                      </Button>
+                    )}
+                    <Button variant="outline" onClick={() => setFilters({
+                      query: "", location: "", radius: "25 km", workMode: [], category: "all",
+                      distance: 50, sources: [], experience: [], postedWithin: "any", company: ""
+                    })}>
+                      Reset all filters
+                    </Button>
+                  </div>
                 </div>
               ) : (
                 <>
@@ -1,10 +1,19 @@
-import { Job, JobBundle, SearchFilters } from '@/types/jobs';
+import { EmploymentType, Job, JobBundle, SearchFilters } from '@/types/jobs';
 import { intelligentJobMatcher } from './intelligentJobMatcher';
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api/v1';
 
 export interface ApiJob extends Job {
   sources_json?: string;
+  years_required_min?: number | null;
+  years_required_max?: number | null;
+  employment_type?: EmploymentType | null;
+  contract_duration_months?: number | null;
+}
+
+export interface FacetCount<T = string> {
+  value: T | null;
+  count: number;
 }
 
 export interface ApiResponse<T> {
@@ -20,6 +29,9 @@ export interface ApiResponse<T> {
 
 export interface JobsResponse {
   jobs: ApiJob[];
+  facets?: {
+    employmentType: FacetCount<EmploymentType>[];
+  };
   pagination: {
     page: number;
     limit: number;
@@ -28,6 +40,12 @@ export interface JobsResponse {
   };
 }
 
+export interface CategoryCount {
+  name: string;
+  jobCount: number;
+  subcategories: Array<{ name: string; jobCount: number }>;
+}
+
 export interface JobStats {
   total_jobs: number;
   unique_companies: number;
@@ -36,6 +54,7 @@ export interface JobStats {
   avg_salary_min: number;
   avg_salary_max: number;
   categoryBreakdown: Array<{ category: string; count: number }>;
+  subcategoryBreakdown: Array<{ category: string; subcategory: string; count: number }>;
   sourceBreakdown: Array<{ site: string; count: number }>;
 }
 
@@ -73,12 +92,17 @@ class JobApiService {
     }
     if (filters.location) params.set('location', filters.location);
     if (filters.category && filters.category !== 'all') params.set('category', filters.category);
+    if (filters.subcategory) params.set('subcategory', filters.subcategory);
     if (filters.workMode?.length) params.set('workMode', filters.workMode.join(','));
     if (filters.experience?.length) params.set('experience', filters.experience.join(','));
+    if (filters.yearsOfExperience !== undefined) params.set('yearsOfExperience', filters.yearsOfExperience.toString());
+    if (filters.employmentType?.length) params.set('employmentType', filters.employmentType.join(','));
     if (filters.salaryMin) params.set('salaryMin', filters.salaryMin.toString());
     if (filters.salaryMax) params.set('salaryMax', filters.salaryMax.toString());
     if (filters.company) params.set('company', filters.company);
     if (filters.postedWithin) params.set('postedWithin', filters.postedWithin);
+    if (filters.skills?.length) params.set('skills', filters.skills.join(','));
+    if (filters.skillsMatch) params.set('skillsMatch', filters.skillsMatch);
     
     params.set('page', page.toString());
     params.set('limit', limit.toString());
@@ -94,8 +118,8 @@ class JobApiService {
     return this.request<{ companies: Array<{ name: string; jobCount: number }> }>('/companies');
   }
 
-  async getCategories(): Promise<{ categories: Array<{ name: string; jobCount: number }> }> {
-    return this.request<{ categories: Array<{ name: string; jobCount: number }> }>('/categories');
+  async getCategories(): Promise<{ categories: CategoryCount[] }> {
+    return this.request<{ categories: CategoryCount[] }>('/categories');
   }
 
   async getJobsByIds(jobIds: string[]): Promise<JobsResponse> {
@@ -115,8 +139,8 @@ class JobApiService {
     return this.request<any[]>(`/scraping/logs?limit=${limit}`);
   }
 
-  async triggerScraping(sites?: string[]): Promise<{ message: string; sites: string[] }> {
-    return this.request<{ message: string; sites: string[] }>('/scraping/trigger', {
+  async triggerScraping(sites?: string[]): Promise<{ message: string; jobId: number; sites: string[] }> {
+    return this.request<{ message: string; jobId: number; sites: string[] }>('/scraping/trigger', {
       method: 'POST',
       body: JSON.stringify({ sites }),
     });
@@ -167,6 +191,10 @@ class JobApiService {
         sources,
         postedAt: job.posted_at,
         workMode: job.work_mode,
+        yearsRequiredMin: job.years_required_min,
+        yearsRequiredMax: job.years_required_max,
+        employmentType: job.employment_type,
+        contractDurationMonths: job.contract_duration_months,
         salaryMin: job.salary_min,
         salaryMax: job.salary_max,
         descriptionSnippet: job.description_snippet,
@@ -216,6 +244,10 @@ class JobApiService {
           sources: j.sources || [],
           postedAt: j.posted_at,
           workMode: j.work_mode,
+          yearsRequiredMin: j.years_required_min,
+          yearsRequiredMax: j.years_required_max,
+          employmentType: j.employment_type,
+          contractDurationMonths: j.contract_duration_months,
           salaryMin: j.salary_min,
           salaryMax: j.salary_max,
           descriptionSnippet: j.description_snippet,
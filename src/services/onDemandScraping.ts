@@ -1,21 +1,103 @@
-import { JobBundle, SearchFilters } from '@/types/jobs';
+import { JobBundle } from '@/types/jobs';
 
 const API_BASE_URL = 'http://localhost:3001/api/v1';
 
+export type ScrapeJobStatus = 'queued' | 'running' | 'succeeded' | 'failed' | 'cancelled';
+
+export interface OnDemandScrapingOptions {
+  location?: string;
+  maxJobs?: number;
+  timeBudgetSeconds?: number;
+}
+
 export interface OnDemandScrapingResponse {
+  success: boolean;
   message: string;
+  runId: number;
+  status: ScrapeJobStatus;
   searchQuery: string;
-  status: 'started' | 'completed' | 'failed';
-  estimatedTime?: string;
+  location: string;
+  keywords: string[];
+  maxJobs: number;
+  timeBudgetSeconds: number;
+}
+
+// Running totals the server keeps for a scrape run
+export interface ScrapeRunCounters {
+  pages: number;
+  failedPages: number;
+  jobsParsed: number;
+  duplicatesSkipped: number;
+  jobsAdded: number;
+  jobsUpdated: number;
+  jobsUnchanged: number;
+  warnings: number;
+}
+
+export const EMPTY_SCRAPE_COUNTERS: ScrapeRunCounters = {
+  pages: 0,
+  failedPages: 0,
+  jobsParsed: 0,
+  duplicatesSkipped: 0,
+  jobsAdded: 0,
+  jobsUpdated: 0,
+  jobsUnchanged: 0,
+  warnings: 0,
+};
+
+export interface ScrapeJob {
+  id: number;
+  sites: string[];
+  trigger: string;
+  status: ScrapeJobStatus;
+  progress: { counters?: ScrapeRunCounters; [key: string]: unknown } | null;
+  errorMessage: string | null;
+  createdAt: string;
+  startedAt: string | null;
+  completedAt: string | null;
 }
 
-export interface ScrapingStatusResponse {
-  status: 'idle' | 'started' | 'completed' | 'failed';
+export type ScrapeRunEventType =
+  | 'snapshot'
+  | 'started'
+  | 'site-started'
+  | 'page-started'
+  | 'page-finished'
+  | 'jobs-parsed'
+  | 'duplicates-skipped'
+  | 'jobs-saved'
+  | 'warning'
+  | 'site-finished'
+  | 'completed';
+
+const SCRAPE_RUN_EVENT_TYPES: ScrapeRunEventType[] = [
+  'snapshot', 'started', 'site-started', 'page-started', 'page-finished', 'jobs-parsed',
+  'duplicates-skipped', 'jobs-saved', 'warning', 'site-finished', 'completed',
+];
+
+// One event from GET /scraping/runs/:id/events; which fields are set depends on the type
+export interface ScrapeRunEvent {
+  type: ScrapeRunEventType;
+  runId: number;
+  counters: ScrapeRunCounters | null;
   site?: string;
-  jobsFound?: number;
-  startedAt?: string;
-  completedAt?: string;
-  error?: string;
+  term?: string;
+  page?: number;
+  jobs?: number;
+  count?: number;
+  added?: number;
+  updated?: number;
+  message?: string;
+  error?: string | null;
+  status?: ScrapeJobStatus;
+  job?: ScrapeJob;
+}
+
+export interface ScrapeRunCompletion {
+  runId: number;
+  status: ScrapeJobStatus;
+  error: string | null;
+  counters: ScrapeRunCounters;
 }
 
 export interface JobSearchResponse {
@@ -75,17 +157,87 @@ class OnDemandScrapingService {
     }
   }
 
-  // Start on-demand scraping
-  async startScraping(searchQuery: string, maxJobs: number = 10): Promise<OnDemandScrapingResponse> {
+  // Queue a Jora search for the query; resolves as soon as it is queued
+  async startScraping(searchQuery: string, options: OnDemandScrapingOptions = {}): Promise<OnDemandScrapingResponse> {
     return this.request<OnDemandScrapingResponse>('/scraping/scrape-on-demand', {
       method: 'POST',
-      body: JSON.stringify({ searchQuery, maxJobs }),
+      body: JSON.stringify({ searchQuery, ...options }),
+    });
+  }
+
+  async getRun(runId: number): Promise<ScrapeJob> {
+    return this.request<ScrapeJob>(`/scraping/queue/${runId}`);
+  }
+
+  // Stops a running search after its current page; jobs found so far are kept
+  async cancelRun(runId: number): Promise<{ message: string; job: ScrapeJob }> {
+    return this.request<{ message: string; job: ScrapeJob }>(`/scraping/queue/${runId}/cancel`, {
+      method: 'POST',
+    });
+  }
+
+  /**
+   * Stream a run's progress events until it completes.
+   * Returns a function that closes the stream early.
+   */
+  streamRun(
+    runId: number,
+    onEvent: (event: ScrapeRunEvent) => void,
+    onError?: (error: Error) => void
+  ): () => void {
+    const source = new EventSource(`${API_BASE_URL}/scraping/runs/${runId}/events`);
+
+    SCRAPE_RUN_EVENT_TYPES.forEach((type) => {
+      source.addEventListener(type, (message) => {
+        const data = JSON.parse((message as MessageEvent).data);
+        // The server ends the stream after "completed"; closing stops EventSource reconnecting
+        if (type === 'completed') source.close();
+        onEvent({ ...data, type });
+      });
     });
+
+    source.onerror = () => {
+      // EventSource retries dropped connections itself; CLOSED means it gave up (e.g. unknown run)
+      if (source.readyState === EventSource.CLOSED) {
+        onError?.(new Error('Lost connection to the scraping progress stream'));
+      }
+    };
+
+    return () => source.close();
   }
 
-  // Get scraping status
-  async getScrapingStatus(): Promise<ScrapingStatusResponse> {
-    return this.request<ScrapingStatusResponse>('/scraping/scraping-status');
+  // Wait for a run to finish, passing its progress events to onEvent as they arrive.
+  // Gives up once a started run sends no progress for maxIdleTime; there's no limit
+  // while it waits in the queue behind other scrapes.
+  waitForRun(
+    runId: number,
+    onEvent?: (event: ScrapeRunEvent) => void,
+    maxIdleTime: number = 300000 // 5 minutes without progress
+  ): Promise<ScrapeRunCompletion> {
+    return new Promise((resolve, reject) => {
+      let timeout: ReturnType<typeof setTimeout> | undefined;
+
+      const close = this.streamRun(runId, (event) => {
+        onEvent?.(event);
+        clearTimeout(timeout);
+        if (event.type === 'completed') {
+          resolve({
+            runId,
+            status: event.status ?? 'failed',
+            error: event.error ?? null,
+            counters: event.counters ?? EMPTY_SCRAPE_COUNTERS,
+          });
+        } else if (event.type !== 'snapshot' || event.job?.status !== 'queued') {
+          timeout = setTimeout(() => {
+            close();
+            reject(new Error('Scraping timeout - no progress within the maximum wait time'));
+          }, maxIdleTime);
+        }
+      }, (error) => {
+        clearTimeout(timeout);
+        reject(error);
+      });
+    });
   }
 
   // Search jobs with intelligent matching
@@ -99,46 +251,12 @@ class OnDemandScrapingService {
     return this.request<JobSearchResponse>(`/scraping/jobs/search?${params.toString()}`);
   }
 
-  // Poll scraping status until completion
-  async waitForScrapingCompletion(
-    maxWaitTime: number = 120000, // 2 minutes
-    pollInterval: number = 2000   // 2 seconds
-  ): Promise<ScrapingStatusResponse> {
-    const startTime = Date.now();
-    
-    return new Promise((resolve, reject) => {
-      const poll = async () => {
-        try {
-          const status = await this.getScrapingStatus();
-          
-          if (status.status === 'completed' || status.status === 'failed') {
-            resolve(status);
-            return;
-          }
-          
-          if (Date.now() - startTime > maxWaitTime) {
-            reject(new Error('Scraping timeout - maximum wait time exceeded'));
-            return;
-          }
-          
-          // Continue polling
-          setTimeout(poll, pollInterval);
-        } catch (error) {
-          reject(error);
-        }
-      };
-      
-      poll();
-    });
-  }
-
-  // Complete workflow: start scraping, wait for completion, then search jobs
+  // Complete workflow: queue the search, follow it to completion, then search jobs
   async scrapeAndSearch(
-    searchQuery: string, 
-    maxJobs: number = 10,
-    maxWaitTime: number = 120000
+    searchQuery: string,
+    options: OnDemandScrapingOptions & { onEvent?: (event: ScrapeRunEvent) => void } = {}
   ): Promise<{
-    scrapingResult: ScrapingStatusResponse;
+    scrapingResult: ScrapeRunCompletion;
     jobs: JobBundle[];
     searchQuery: string;
   }> {
@@ -148,19 +266,17 @@ class OnDemandScrapingService {
       throw new Error('Backend server is not running. Please start the server first.');
     }
 
-    // Start scraping
-    await this.startScraping(searchQuery, maxJobs);
-    
-    // Wait for completion
-    const scrapingResult = await this.waitForScrapingCompletion(maxWaitTime);
-    
+    const { onEvent, ...scrapeOptions } = options;
+    const { runId } = await this.startScraping(searchQuery, scrapeOptions);
+    const scrapingResult = await this.waitForRun(runId, onEvent);
+
     if (scrapingResult.status === 'failed') {
       throw new Error(scrapingResult.error || 'Scraping failed');
     }
-    
+
     // Search for jobs
     const searchResult = await this.searchJobs(searchQuery);
-    
+
     return {
       scrapingResult,
       jobs: searchResult.jobs,
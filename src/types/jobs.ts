@@ -5,6 +5,21 @@ export type JobSource = {
   externalId: string;
 };
 
+export type JobSkill = {
+  skill: string;
+  name: string;
+  kind: "technology" | "skill";
+  confidence: number;
+  evidence: {
+    field: "title" | "description";
+    start: number;
+    end: number;
+    text: string;
+  };
+};
+
+export type EmploymentType = "full-time" | "part-time" | "contract" | "temporary" | "casual" | "internship";
+
 export type Job = {
   id: string;
   title: string;
@@ -14,7 +29,12 @@ export type Job = {
   longitude?: number;
   workMode: "Remote" | "On-site" | "Hybrid";
   category: "Software Engineering" | "Data" | "Design" | "Product" | "Marketing" | "Sales" | "Customer Support" | "Operations" | "Finance" | "HR";
+  subcategory?: string | null;
   experience: "Internship" | "Junior" | "Mid" | "Senior" | "Lead";
+  yearsRequiredMin?: number | null;
+  yearsRequiredMax?: number | null;
+  employmentType?: EmploymentType | null;
+  contractDurationMonths?: number | null;
   salaryMin?: number;
   salaryMax?: number;
   descriptionSnippet: string;
@@ -22,6 +42,7 @@ export type Job = {
   postedAt: string;
   logoUrl?: string;
   sources: JobSource[];
+  skills?: JobSkill[];
 };
 
 export type JobBundle = {
@@ -36,11 +57,16 @@ export type SearchFilters = {
   radius: string;
   workMode: string[];
   category: string;
+  subcategory?: string;
   distance: number;
   sources: string[];
   experience: string[];
+  yearsOfExperience?: number;
+  employmentType?: EmploymentType[];
   salaryMin?: number;
   salaryMax?: number;
   postedWithin: string;
   company: string;
+  skills?: string[];
+  skillsMatch?: "any" | "all";
 };
\ No newline at end of file